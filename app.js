@@ -20,10 +20,57 @@ const app = Express();
 // Configuration options
 const options = {
   databasePath: Path.join(__dirname, 'data/database.sq3'),
+  staticPath: Path.join(__dirname, 'static'),
   themePath: Path.join(__dirname, 'themes'),
   uploadPath: Path.join(__dirname, 'uploads')
 };
 
+//
+// Runs migrations from the command line and exits.
+//
+//  node app.js migrate [up|down|status]
+//
+function migrate(command) {
+  return Postleaf.migrate(command, options)
+    .then((result) => {
+      if(Array.isArray(result)) {
+        let verb = command === 'down' ? 'Reverted' : 'Ran';
+        console.info(result.length ? verb + ' ' + result.join(', ') : 'Nothing to migrate.');
+      } else {
+        result.executed.forEach((name) => console.info(Chalk.green('up') + '      ' + name));
+        result.pending.forEach((name) => console.info(Chalk.yellow('pending') + ' ' + name));
+      }
+    })
+    .catch((err) => {
+      console.error(Chalk.red('Error: ') + 'Migration failed! 🐛\n\n' + Chalk.red(err.stack));
+      process.exitCode = 1;
+    });
+}
+
+//
+// Generates a static copy of the website from the command line and exits.
+//
+//  node app.js static [postId...]
+//
+// When post IDs are passed, only pages affected by those posts are regenerated.
+//
+function generateStatic(postIds) {
+  return Postleaf(app, Object.assign({}, options, { startSchedulers: false }))
+    .then(() => app.locals.StaticSite.generate({ postIds: postIds }))
+    .then((report) => {
+      console.info(
+        'Generated %d pages, %d images, and %d files in %s. Removed %d pages.',
+        report.pages, report.images, report.files, options.staticPath, report.removed
+      );
+    })
+    .catch((err) => {
+      console.error(Chalk.red('Error: ') + 'Static website generation failed! 🐛\n\n' + Chalk.red(err.stack));
+      process.exitCode = 1;
+    })
+    // Close the connection so the process can exit
+    .finally(() => app.locals.Database.sequelize.close());
+}
+
 Promise.resolve()
   // Make sure .env exists
   .then(() => {
@@ -31,14 +78,26 @@ Promise.resolve()
       throw new Error('Required config file .env is missing.');
     }
   })
-  // Initialize Postleaf
-  .then(() => Postleaf(app, options))
   .then(() => {
+    // Run migrations instead of starting the app
+    if(process.argv[2] === 'migrate') {
+      return migrate(process.argv[3]);
+    }
 
-    // Start sailing! ⚓️
-    app.listen(process.env.APP_PORT, process.env.APP_HOST || '::', () => {
-      console.info('Postleaf publishing on port %d! 🌱', process.env.APP_PORT);
-    });
+    // Generate a static website instead of starting the app
+    if(process.argv[2] === 'static') {
+      return generateStatic(process.argv.slice(3));
+    }
+
+    // Initialize Postleaf
+    return Postleaf(app, options)
+      .then(() => {
+
+        // Start sailing! ⚓️
+        app.listen(process.env.APP_PORT, process.env.APP_HOST || '::', () => {
+          console.info('Postleaf publishing on port %d! 🌱', process.env.APP_PORT);
+        });
+      });
   })
   .catch((err) => {
     console.error(
@@ -23,6 +23,8 @@ module.exports = function(app, options) {
   const DynamicImages = require(Path.join(__basedir, 'source/modules/dynamic_images.js'));
   const HtmlHelpers = require(Path.join(__basedir, 'source/modules/helpers/html_helpers.js'));
   const I18n = require(Path.join(__basedir, 'source/modules/i18n.js'));
+  const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+  const SitemapPing = require(Path.join(__basedir, 'source/modules/sitemap_ping.js'));
   const ThemeHelpers = require(Path.join(__basedir, 'source/modules/helpers/theme_helpers.js'));
   const UtilityHelpers = require(Path.join(__basedir, 'source/modules/helpers/utility_helpers.js'));
 
@@ -44,7 +46,45 @@ module.exports = function(app, options) {
   
   // Stash upload path on app.locals so we can access the configured directory
   app.locals.uploadPath = options.uploadPath || Path.join(__basedir, 'uploads');
-  
+
+  // Storage stored on app.locals so uploads can be read and written regardless of the backend
+  const Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({
+    storageDriver: options.storageDriver,
+    uploadPath: app.locals.uploadPath
+  });
+  app.locals.Storage = Storage;
+
+  // Scheduler stored on app.locals so controllers can inspect the publishing queue
+  const Scheduler = require(Path.join(__basedir, 'source/modules/scheduler.js'))(Database);
+  app.locals.Scheduler = Scheduler;
+
+  // Backups stored on app.locals so they can be created and restored from anywhere
+  const Backup = require(Path.join(__basedir, 'source/modules/backup.js'))(Database, Storage, Themes);
+  app.locals.Backup = Backup;
+
+  // Automatic backups read their options from settings, which may be reloaded at any time
+  const BackupScheduler = require(Path.join(__basedir, 'source/modules/backup_scheduler.js'))(Backup, () => app.locals.Settings);
+  app.locals.BackupScheduler = BackupScheduler;
+
+  // Trash stored on app.locals so controllers can restore and permanently delete items
+  const Trash = require(Path.join(__basedir, 'source/modules/trash.js'))(Database, Storage, () => app.locals.Settings);
+  app.locals.Trash = Trash;
+
+  // Importer and exporter stored on app.locals so content can be moved to and from other platforms
+  app.locals.Importer = require(Path.join(__basedir, 'source/modules/importer.js'))(Database, Storage);
+  app.locals.Exporter = require(Path.join(__basedir, 'source/modules/exporter.js'))(Database, Storage);
+
+  // Static site generator stored on app.locals so the website can be exported for a CDN
+  const StaticSite = require(Path.join(__basedir, 'source/modules/static_site.js'))(app, {
+    staticPath: options.staticPath
+  });
+  app.locals.StaticSite = StaticSite;
+
+  // Page cache stored on app.locals so controllers can invalidate pages when data changes
+  const PageCache = require(Path.join(__basedir, 'source/modules/page_cache.js'))({
+    driver: process.env.PAGE_CACHE || (process.env.NODE_ENV === 'production' ? 'memory' : 'off')
+  });
+  app.locals.PageCache = PageCache;
 
   return Promise.resolve()
     // Initialize the database
@@ -65,6 +105,63 @@ module.exports = function(app, options) {
     // Load navigation into app.locals.Navigation
     .then(() => Database.sequelize.models.navigation.getArray())
     .then((navigation) => app.locals.Navigation = navigation)
+    // Load custom roles into app.locals.Permissions
+    .then(() => {
+      app.locals.Permissions = Permissions;
+      return Permissions.load(Database.sequelize.models);
+    })
+    // Start publishing scheduled posts
+    .then(() => {
+      if(options.startSchedulers === false) return;
+
+      Scheduler.on('error', (err) => {
+        console.error(Chalk.red('Error: ') + 'Unable to publish a scheduled post.\n\n' + Chalk.red(err.stack));
+      });
+
+      // Scheduled posts go live without being saved, so the search index, cached pages, and sitemap
+      // are updated here
+      Scheduler.on('publish', (post) => {
+        const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(app.locals.Settings);
+
+        Database.sequelize.models.post.reindex(post);
+        PageCache.invalidate(['posts', 'post:' + post.id]);
+        SitemapPing.ping(MakeUrl.raw('sitemap.xml', { absolute: true })).catch((err) => {
+          console.error(Chalk.red('Error: ') + 'Unable to notify search engines of a new post.\n\n' + Chalk.red(err.stack));
+        });
+      });
+
+      return Scheduler.start();
+    })
+    // Start making automatic backups
+    .then(() => {
+      if(options.startSchedulers === false) return;
+
+      BackupScheduler.on('error', (err) => {
+        console.error(Chalk.red('Error: ') + 'Unable to make an automatic backup.\n\n' + Chalk.red(err.stack));
+      });
+
+      return BackupScheduler.start();
+    })
+    // Purge old items from the trash
+    .then(() => {
+      if(options.startSchedulers === false) return;
+
+      Trash.on('error', (err) => {
+        console.error(Chalk.red('Error: ') + 'Unable to purge old items from the trash.\n\n' + Chalk.red(err.stack));
+      });
+
+      Trash.start();
+    })
+    // Regenerate static pages when posts change
+    .then(() => {
+      if(options.startSchedulers === false || process.env.STATIC_AUTO_REGENERATE !== 'true') return;
+
+      StaticSite.on('error', (err) => {
+        console.error(Chalk.red('Error: ') + 'Unable to regenerate the static website.\n\n' + Chalk.red(err.stack));
+      });
+
+      StaticSite.watch();
+    })
     // Load i18n into app.locals.I18n
     .then(() => {
       app.locals.I18n = I18n;
@@ -84,7 +181,7 @@ module.exports = function(app, options) {
         .use(DynamicImages.processImages)
         .use('/assets', Express.static(Path.join(__basedir, 'assets')))
         .use('/themes', Express.static(Themes.themePath))
-        .use('/uploads', Express.static(app.locals.uploadPath))
+        .use('/uploads', Storage.serve())
         .use(BodyParser.urlencoded({ extended: true, limit: '10mb' }))
         .use(AuthMiddleware.attachUser)
         .use(ViewMiddleware.attachViewData);
@@ -101,6 +198,15 @@ module.exports = function(app, options) {
       ]);
       app.set('view engine', 'dust');
 
+      // Use the client's IP address from X-Forwarded-For when running behind a reverse proxy, so
+      // login attempts are throttled per client instead of per proxy
+      let trustProxy = process.env.TRUST_PROXY;
+      if(trustProxy && trustProxy !== 'false') {
+        // true, a number of hops, or a list of trusted addresses
+        app.set('trust proxy', trustProxy === 'true' ? true :
+          /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+      }
+
       // App routers
       ApiRouter(app);
       AdminRouter(app);
@@ -117,3 +223,45 @@ module.exports = function(app, options) {
       );
     });
 };
+
+//
+// Runs database migrations without starting the app.
+//
+//  command (string) - 'up' to run pending migrations, 'down' to revert the last one, or 'status' to
+//    list executed and pending migrations (default 'up').
+//  options (object) - The same options that get passed to Postleaf.
+//
+// Returns a promise that resolves with an array of migration names for up/down or a status object.
+//
+module.exports.migrate = function(command, options) {
+  options = options || {};
+
+  // Globals
+  global.__basedir = __dirname;
+  global.__version = require('./package.json').version;
+
+  // Node modules
+  const Path = require('path');
+  const Promise = require('bluebird');
+
+  // Database
+  const Database = require(Path.join(__basedir, 'source/modules/database.js'))(options);
+  let migration;
+
+  switch(command || 'up') {
+  case 'up':
+    migration = Database.init();
+    break;
+  case 'down':
+    migration = Database.migrator.down();
+    break;
+  case 'status':
+    migration = Database.migrator.status();
+    break;
+  default:
+    return Promise.reject(new Error('Unknown migrate command: ' + command));
+  }
+
+  // Close the connection so the process can exit
+  return migration.finally(() => Database.sequelize.close());
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+module.exports = {
+
+  //
+  // Renders the audit log page.
+  //
+  view: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const sequelize = req.app.locals.Database.sequelize;
+    const models = sequelize.models;
+    let itemsPerPage = 50;
+
+    // Gets the distinct values of a column for the filters
+    let getDistinct = (column) => {
+      return models.auditLog
+        .findAll({
+          attributes: [[sequelize.fn('DISTINCT', sequelize.col(column)), column]],
+          order: [[column, 'ASC']]
+        })
+        .then((rows) => rows.map((row) => row.get(column)).filter((value) => value));
+    };
+
+    Promise
+      .all([
+        // Fetch the first page of entries
+        models.auditLog.findAndCountAll({
+          limit: itemsPerPage,
+          offset: 0,
+          order: [['createdAt', 'DESC']]
+        }),
+        // Fetch filter options
+        models.user.findAll({
+          attributes: ['id', 'name', 'username'],
+          order: [
+            sequelize.fn('lower', sequelize.col('name'))
+          ]
+        }),
+        getDistinct('action'),
+        getDistinct('targetType')
+      ])
+      .then((result) => {
+        // Render the template
+        res.render('admin/audit_log', {
+          meta: {
+            bodyClass: 'audit-log',
+            title: I18n.term('audit_log')
+          },
+          entries: result[0].rows,
+          totalItems: result[0].count,
+          itemsPerPage: itemsPerPage,
+          users: result[1],
+          actions: result[2],
+          targetTypes: result[3],
+          scripts: ['/assets/js/audit_log.bundle.js'],
+          styles: ['/assets/css/audit_log.css']
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
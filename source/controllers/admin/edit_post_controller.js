@@ -7,6 +7,7 @@ const Promise = require('bluebird');
 
 // Local modules
 const AutocompleteSuggestions = require(Path.join(__basedir, 'source/modules/autocomplete_suggestions.js'));
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 
 module.exports = {
 
@@ -23,7 +24,12 @@ module.exports = {
     let create = typeof req.params.id === 'undefined';
     let statuses = [];
     let authors;
+    let autosave;
+    let lock;
+    let customFields;
     let linkSuggestions;
+    let post;
+    let rejection;
     let tags;
     let templates;
 
@@ -36,7 +42,7 @@ module.exports = {
       .then((links) => linkSuggestions = links)
       // Fetch authors
       .then(() => models.user.findAll({
-        attributes: ['id', 'name', 'username'],
+        attributes: ['id', 'name', 'username', 'role'],
         order: [
           sequelize.fn('lower', sequelize.col('name'))
         ]
@@ -61,6 +67,12 @@ module.exports = {
             as: 'author',
             attributes: { exclude: ['password', 'resetToken'] }
           },
+          {
+            model: models.user,
+            as: 'authors',
+            attributes: ['id'],
+            through: { attributes: ['sortOrder'] }
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -71,17 +83,30 @@ module.exports = {
           sequelize.fn('lower', sequelize.col('tags.name'))
         ]
       }))
-      .then((post) => {
-        // Owners/admins/editors can publish. Contributors can only publish if the post they're
-        // editing is already published.
+      .then((result) => post = result)
+      // Fetch the reason the post was rejected
+      .then(() => post && post.status === 'rejected' ? models.review.getRejection(post.id) : null)
+      .then((result) => rejection = result)
+      // Fetch unsaved changes the user can recover
+      .then(() => post ? models.autosave.findOne({ where: { postId: post.id, userId: User.id } }) : null)
+      .then((result) => autosave = result)
+      // Find out if someone else is editing the post
+      .then(() => post ? models.postLock.getActive(post.id) : null)
+      .then((result) => lock = result && result.userId !== User.id ? result : null)
+      // Get custom fields
+      .then(() => CustomFields.getFormFields(req, 'post', post ? post.fields : null))
+      .then((result) => customFields = result)
+      .then(() => {
+        // Users with the publish capability can publish. Everyone else can only publish if the post
+        // they're editing is already published.
         let canPublish =
-          ['owner', 'admin', 'editor'].includes(User.role) ||
+          User.can('post.publish') ||
           (!create && post.status === 'published');
 
-        // Owners/admins/editors can reject. Contributors can only reject if the post they're
-        // editing is already rejected.
+        // Users with the publish capability can reject. Everyone else can only reject if the post
+        // they're editing is already rejected.
         let canReject =
-          ['owner', 'admin', 'editor'].includes(User.role) ||
+          User.can('post.publish') ||
           (!create && post.status === 'rejected');
 
         // Generate available statuses
@@ -95,8 +120,8 @@ module.exports = {
           throw new Error('Page Not Found');
         }
 
-        // All posts for owners/admins/editors, only yours for contributors
-        if(!create && !['owner', 'admin', 'editor'].includes(User.role) && !User.id === post.userId) {
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!create && !User.can('post.edit_others') && User.id !== post.userId) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
@@ -108,9 +133,19 @@ module.exports = {
             title: I18n.term(create ? 'new_post' : 'edit_post')
           },
           post: post,
+          rejection: rejection,
+          autosave: autosave,
+          lock: lock,
+          // The post has been saved since the unsaved changes were made
+          autosaveConflict: !!autosave && !!autosave.baseUpdatedAt &&
+            new Date(post.updatedAt).getTime() > new Date(autosave.baseUpdatedAt).getTime(),
           authors: authors,
+          coauthorIds: post ? post.listAuthors().map((author) => author.id).filter((id) => id !== post.userId) : [],
+          // Only users who can publish can review posts
+          reviewers: authors.filter((user) => user.can('post.publish')),
           tags: tags,
           templates: templates,
+          customFields: customFields,
           statuses: statuses,
           linkSuggestions: linkSuggestions,
           scripts: ['/assets/js/edit_post.bundle.js'],
@@ -2,6 +2,10 @@
 
 // Node modules
 const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 
 module.exports = {
 
@@ -27,15 +31,19 @@ module.exports = {
           throw new Error('Page Not Found');
         }
 
-        // Render the template
-        res.render('admin/edit_tag', {
-          meta: {
-            bodyClass: 'edit-tag',
-            title: I18n.term(create ? 'new_tag' : 'edit_tag')
-          },
-          tag: tag,
-          scripts: ['/assets/js/edit_tag.bundle.js'],
-          styles: ['/assets/css/edit_tag.css']
+        // Get custom fields
+        return CustomFields.getFormFields(req, 'tag', tag ? tag.fields : null).then((customFields) => {
+          // Render the template
+          res.render('admin/edit_tag', {
+            meta: {
+              bodyClass: 'edit-tag',
+              title: I18n.term(create ? 'new_tag' : 'edit_tag')
+            },
+            tag: tag,
+            customFields: customFields,
+            scripts: ['/assets/js/edit_tag.bundle.js'],
+            styles: ['/assets/css/edit_tag.css']
+          });
         });
       })
       .catch((err) => next(err));
@@ -2,6 +2,11 @@
 
 // Node modules
 const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 
 module.exports = {
 
@@ -12,6 +17,7 @@ module.exports = {
     const I18n = req.app.locals.I18n;
     const User = req.User;
     const models = req.app.locals.Database.sequelize.models;
+    const Permissions = req.app.locals.Permissions;
     let create = typeof req.params.id === 'undefined';
 
     // Fetch the user
@@ -33,15 +39,57 @@ module.exports = {
           throw new Error('Unauthorized');
         }
 
-        // Render the template
-        res.render('admin/edit_user', {
-          meta: {
-            bodyClass: 'edit-user',
-            title: I18n.term(create ? 'new_user' : 'edit_user')
-          },
-          user: user,
-          scripts: ['/assets/js/edit_user.bundle.js'],
-          styles: ['/assets/css/edit_user.css']
+        let isSelf = !create && user.id === User.id;
+        let twoFactorRoles = (req.app.locals.Settings.twoFactorRoles || '').split(',');
+        let canManageAccess = !create && (isSelf || User.can('user.manage'));
+
+        // Users can't change their own role or a role with capabilities they don't have
+        let canChangeRole = !isSelf && User.can('user.manage') && (create || Permissions.canAssign(User.role, user.role));
+
+        // Fetch API tokens and sessions for the user's own profile or for users who manage users
+        return Promise.all([
+          canManageAccess ?
+            models.apiToken.findAll({
+              where: { userId: user.id },
+              order: [['createdAt', 'DESC']]
+            }) : [],
+          canManageAccess ?
+            models.session.findAll({
+              where: {
+                userId: user.id,
+                expiresAt: { $gt: new Date() }
+              },
+              order: [['lastSeenAt', 'DESC']]
+            }) : [],
+          CustomFields.getFormFields(req, 'user', user ? user.fields : null)
+        ]).then((result) => {
+          // Render the template
+          res.render('admin/edit_user', {
+            meta: {
+              bodyClass: 'edit-user',
+              title: I18n.term(create ? 'new_user' : 'edit_user')
+            },
+            user: user,
+            isSelf: isSelf,
+            recoveryCodeCount: isSelf ? user.getRecoveryCodeCount() : 0,
+            twoFactorRequired: isSelf && !user.twoFactorEnabled && twoFactorRoles.includes(user.role),
+            canManageAccess: canManageAccess,
+            apiTokens: result[0].map((apiToken) => apiToken.toJSON()),
+            sessions: result[1].map((session) => {
+              return Object.assign(session.toJSON(), {
+                current: !!req.Session && req.Session.id === session.id
+              });
+            }),
+            apiTokenScopes: models.apiToken.getAvailableScopes(),
+            customFields: result[2],
+            canChangeRole: canChangeRole,
+            // Only list roles the current user can assign, plus the user's current role
+            roles: Permissions.getRoles(I18n).filter((role) => {
+              return (!create && role.id === user.role) || Permissions.canAssign(User.role, role.id);
+            }),
+            scripts: ['/assets/js/edit_user.bundle.js'],
+            styles: ['/assets/css/edit_user.css']
+          });
         });
       })
       .catch((err) => next(err));
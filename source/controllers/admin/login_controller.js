@@ -1,12 +1,34 @@
 'use strict';
 
+// Node modules
+const Path = require('path');
+
+// Local modules
+const Oidc = require(Path.join(__basedir, 'source/modules/oidc.js'));
+
+// Errors the single sign-on callback can redirect back with
+const oidcErrors = {
+  sso_expired: 'your_login_expired_please_try_again',
+  sso_failed: 'single_sign_on_failed_please_try_again',
+  sso_locked: 'your_account_has_been_locked_check_your_email',
+  sso_no_account: 'there_is_no_account_for_your_email_address',
+  sso_no_email: 'your_identity_provider_did_not_share_a_verified_email_address'
+};
+
 module.exports = {
 
   //
-  // Renders the login page.
+  // Renders the login page. After single sign-on, users with two-factor authentication enabled are
+  // sent here with a two-factor token in a cookie, and the page asks for their code.
   //
   view: (req, res) => {
     const I18n = req.app.locals.I18n;
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+    let error = oidcErrors[req.query.error];
+    let twoFactorToken = req.cookies.twoFactorToken || null;
+
+    // The token can only be used once
+    if(twoFactorToken) res.cookie('twoFactorToken', '', { path: MakeUrl.admin('login'), expires: new Date() });
 
     // Render the template
     res.render('admin/login', {
@@ -14,6 +36,13 @@ module.exports = {
         bodyClass: 'login no-menu',
         title: I18n.term('login')
       },
+      error: error ? I18n.term(error) : null,
+      oidc: Oidc.isEnabled() ? {
+        name: process.env.OIDC_NAME || I18n.term('single_sign_on'),
+        url: MakeUrl.api('auth/oidc', req.query.redirect ? { query: { redirect: req.query.redirect } } : {})
+      } : null,
+      passwordLogin: !Oidc.isPasswordLoginDisabled(),
+      twoFactorToken: twoFactorToken,
       scripts: ['/assets/js/login.bundle.js'],
       styles: ['/assets/css/login.css']
     });
@@ -2,22 +2,28 @@
 
 // Node modules
 const Path = require('path');
+const Promise = require('bluebird');
 
 module.exports = {
 
   //
-  // Logs the user out and redirects them to the login page.
+  // Logs the user out, ending their session so the auth token can't be used again, and redirects
+  // them to the login page.
   //
-  view: (req, res) => {
+  view: (req, res, next) => {
     const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
 
-    // Remove the auth cookie for supportive clients
-    res.cookie('authToken', '', { expires: new Date() });
+    Promise.resolve(req.Session ? req.Session.destroy() : null)
+      .then(() => {
+        // Remove the auth cookie for supportive clients
+        res.cookie('authToken', '', { expires: new Date() });
 
-    // Redirect to the login page
-    res.redirect(
-      MakeUrl.admin('login')
-    );
+        // Redirect to the login page
+        res.redirect(
+          MakeUrl.admin('login')
+        );
+      })
+      .catch((err) => next(err));
   }
 
 };
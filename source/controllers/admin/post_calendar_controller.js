@@ -0,0 +1,102 @@
+'use strict';
+
+// Node modules
+const Moment = require('moment');
+const Promise = require('bluebird');
+
+module.exports = {
+
+  //
+  // Renders the post calendar.
+  //
+  //  month (string) - The month to display in YYYY-MM format (default current month).
+  //
+  view: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const Scheduler = req.app.locals.Scheduler;
+    const Settings = req.app.locals.Settings;
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+    let locale = I18n.term('momentjs_locale', { type: 'meta' });
+    let now = Moment().tz(Settings.timeZone);
+    let month = req.query.month ? Moment.tz(req.query.month, 'YYYY-MM', true, Settings.timeZone) : now.clone();
+    let where = { status: 'published' };
+
+    // Fall back to the current month if the requested one is invalid
+    if(!month.isValid()) month = now.clone();
+    month = month.locale(locale).startOf('month');
+
+    // The calendar starts at the beginning of the first week and ends at the end of the last week
+    let start = month.clone().startOf('week');
+    let end = month.clone().endOf('month').endOf('week');
+
+    // All posts for owners/admins/editors, only yours for contributors
+    let isLimited = !User.can('post.edit_others');
+    if(isLimited) where.userId = User.id;
+
+    // Only fetch posts that appear on the calendar
+    where.publishedAt = {
+      $gte: start.clone().utc().toDate(),
+      $lte: end.clone().utc().toDate()
+    };
+
+    Promise.resolve()
+      // Fetch posts
+      .then(() => {
+        return models.post.findAll({
+          attributes: ['id', 'slug', 'title', 'status', 'publishedAt', 'userId'],
+          where: where,
+          order: [
+            ['publishedAt', 'ASC']
+          ]
+        });
+      })
+      // Render the template
+      .then((posts) => {
+        let weeks = [];
+        let days = {};
+
+        // Generate a grid of weeks and days
+        for(let day = start.clone(); day.isBefore(end); day.add(1, 'day')) {
+          if(day.day() === start.day()) weeks.push({ days: [] });
+
+          let cell = {
+            date: day.format('YYYY-MM-DD'),
+            dayOfMonth: day.format('D'),
+            dayOfWeek: day.format('ddd'),
+            isOtherMonth: !day.isSame(month, 'month'),
+            isToday: day.isSame(now, 'day'),
+            posts: []
+          };
+
+          weeks[weeks.length - 1].days.push(cell);
+          days[cell.date] = cell;
+        }
+
+        // Place each post on the day it goes live
+        posts.forEach((post) => {
+          let date = Moment(post.publishedAt).tz(Settings.timeZone).format('YYYY-MM-DD');
+          if(days[date]) days[date].posts.push(post);
+        });
+
+        // Show the upcoming queue alongside the calendar
+        let queue = Scheduler.getQueue().filter((post) => !isLimited || post.userId === User.id);
+
+        res.render('admin/post_calendar', {
+          meta: {
+            bodyClass: 'post-calendar',
+            title: I18n.term('calendar')
+          },
+          month: month.format('MMMM YYYY'),
+          prevMonth: month.clone().subtract(1, 'month').format('YYYY-MM'),
+          nextMonth: month.clone().add(1, 'month').format('YYYY-MM'),
+          weekdays: weeks[0].days.map((day) => day.dayOfWeek),
+          weeks: weeks,
+          queue: queue,
+          styles: ['/assets/css/post_calendar.css']
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
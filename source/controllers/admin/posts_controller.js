@@ -19,12 +19,12 @@ module.exports = {
     let postFilters = (req.cookies.postFilters || '').split(',');
 
     // All posts for owners/admins/editors, only yours for contributors
-    if(!['owner', 'admin', 'editor'].includes(User.role)) {
+    if(!User.can('post.edit_others')) {
       where.userId = User.id;
     }
 
     // Restore status from cookie
-    ['draft', 'pending', 'rejected', 'published'].forEach((key) => {
+    ['draft', 'pending', 'rejected', 'published', 'scheduled'].forEach((key) => {
       if(postFilters.includes(key)) status.push(key);
     });
 
@@ -33,8 +33,17 @@ module.exports = {
       if(postFilters.includes(key)) flag.push(key);
     });
 
-    // Filter by status
-    if(status && status.length) where.status = { $in: status };
+    // Filter by status. Scheduled posts are published posts that are waiting to go live.
+    if(status && status.length) {
+      if(status.includes('scheduled') && !status.includes('published')) {
+        where.$or = [
+          { status: { $in: status } },
+          { status: 'published', isScheduled: true }
+        ];
+      } else {
+        where.status = { $in: status };
+      }
+    }
 
     // Filter by flag
     if(flag && flag.length) {
@@ -43,6 +52,15 @@ module.exports = {
       if(flag.includes('isSticky')) where.isSticky = 1;
     }
 
+    // Restore the needs review queue from cookie. These are pending posts that are assigned to you
+    // or to no one.
+    if(postFilters.includes('needsReview')) {
+      where.$and = [
+        { status: 'pending' },
+        { $or: [{ reviewerId: User.id }, { reviewerId: null }] }
+      ];
+    }
+
     Promise.resolve()
       // Fetch posts
       .then(() => {
@@ -60,6 +78,11 @@ module.exports = {
                   }
                 } : null
               },
+              {
+                model: models.user,
+                as: 'reviewer',
+                attributes: ['id', 'name', 'username']
+              },
               {
                 model: models.tag,
                 through: { attributes: [] }, // exclude postTags
@@ -5,6 +5,22 @@ const Moment = require('moment');
 const Path = require('path');
 const Promise = require('bluebird');
 
+// i18n terms that describe each capability
+const capabilityTerms = {
+  'post.edit_others': 'edit_other_users_posts',
+  'post.publish': 'publish_and_reject_posts',
+  'upload.view_others': 'view_other_users_uploads',
+  'upload.delete_others': 'delete_other_users_uploads',
+  'tag.manage': 'manage_tags',
+  'navigation.manage': 'manage_navigation',
+  'user.manage': 'manage_users',
+  'settings.manage': 'manage_settings',
+  'backup.manage': 'manage_backups_imports_and_exports',
+  'static.generate': 'generate_the_static_website',
+  'audit.view': 'view_the_audit_log',
+  'security.manage': 'manage_roles_and_security'
+};
+
 module.exports = {
 
   //
@@ -13,6 +29,7 @@ module.exports = {
   view: (req, res, next) => {
     const I18n = req.app.locals.I18n;
     const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+    const Permissions = req.app.locals.Permissions;
     const Themes = req.app.locals.Themes;
     const sequelize = req.app.locals.Database.sequelize;
     const models = sequelize.models;
@@ -46,12 +63,33 @@ module.exports = {
       })
     );
 
+    // Get automatic backups
+    queue.push(req.app.locals.BackupScheduler.list());
+
+    // Get recent failed login attempts
+    queue.push(
+      req.User.can('security.manage') ?
+        models.loginAttempt.findAll({
+          where: { success: false },
+          include: [
+            {
+              model: models.user,
+              attributes: ['id', 'name', 'username']
+            }
+          ],
+          order: [['createdAt', 'DESC']],
+          limit: 50
+        }) : []
+    );
+
     // Wait for all queue to resolve
     Promise.all(queue)
       .then((result) => {
         let themes = result[0];
         let languages = result[1];
         let homepagePosts = result[2];
+        let backups = result[3];
+        let failedLoginAttempts = result[4];
 
         // Render the template
         res.render('admin/settings', {
@@ -59,10 +97,41 @@ module.exports = {
             bodyClass: 'settings',
             title: I18n.term('settings')
           },
+          backupFrequencies: ['never', 'hourly', 'daily', 'weekly'].map((frequency) => {
+            return { id: frequency, name: I18n.term(frequency) };
+          }),
+          backups: backups,
+          capabilities: Permissions.getCapabilities().map((capability) => {
+            return { id: capability, name: I18n.term(capabilityTerms[capability]) };
+          }),
+          failedLoginAttempts: failedLoginAttempts.map((attempt) => {
+            return {
+              createdAt: attempt.createdAt,
+              username: attempt.user ? attempt.user.username : attempt.username,
+              ipAddress: attempt.ipAddress,
+              action: I18n.term({
+                login: 'login',
+                'two-factor': 'two_factor_authentication',
+                oidc: 'single_sign_on',
+                recover: 'recover_password',
+                reset: 'reset_password',
+                unlock: 'unlock_account'
+              }[attempt.action] || attempt.action),
+              reason: I18n.term(attempt.reason)
+            };
+          }),
           homepagePosts: homepagePosts,
           languages: languages,
+          roles: Permissions.getRoles(I18n).map((role) => {
+            role.capabilityNames = role.capabilities.map((capability) => I18n.term(capabilityTerms[capability]));
+            return role;
+          }),
           themes: themes,
           timeZones: timeZones,
+          twoFactorRoles: Permissions.getRoles(I18n).map((role) => {
+            role.checked = (req.app.locals.Settings.twoFactorRoles || '').split(',').includes(role.id);
+            return role;
+          }),
           scripts: ['/assets/js/settings.bundle.js'],
           styles: ['/assets/css/settings.css'],
           uploadAction: MakeUrl.api('uploads')
@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+
+  //
+  // Renders the trash page.
+  //
+  view: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const Trash = req.app.locals.Trash;
+    const User = req.User;
+    let itemsPerPage = 50;
+
+    // Users can always see their own posts and uploads, so only tags and users depend on their role
+    let types = Trash.getTypes()
+      .filter((type) => {
+        if(type === 'tag') return User.can('tag.manage');
+        if(type === 'user') return User.can('user.manage');
+        return true;
+      })
+      .map((type) => {
+        return { id: type, name: I18n.term(type + 's') };
+      });
+
+    // Posts for users who can edit others' posts, only yours for everyone else
+    let where = User.can('post.edit_others') ? null : { userId: User.id };
+
+    // Fetch the first page of posts
+    Trash
+      .list('post', {
+        where: where,
+        limit: itemsPerPage,
+        offset: 0
+      })
+      .then((result) => {
+        // Render the template
+        res.render('admin/trash', {
+          meta: {
+            bodyClass: 'trash',
+            title: I18n.term('trash')
+          },
+          types: types,
+          trashType: 'post',
+          items: result.rows,
+          totalItems: result.count,
+          itemsPerPage: itemsPerPage,
+          scripts: ['/assets/js/trash.bundle.js'],
+          styles: ['/assets/css/trash.css']
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
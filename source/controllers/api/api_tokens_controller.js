@@ -0,0 +1,140 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const ManagedUser = require(Path.join(__basedir, 'source/modules/managed_user.js'));
+
+module.exports = {
+
+  //
+  // Gets a user's API tokens.
+  //
+  //  id* (string) - A user id.
+  //
+  // Returns a JSON response:
+  //
+  //  { apiTokens: [] }
+  //
+  index: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    ManagedUser.fetch(req, res)
+      .then((user) => {
+        return models.apiToken.findAll({
+          where: {
+            userId: user.id
+          },
+          order: [['createdAt', 'DESC']]
+        });
+      })
+      .then((apiTokens) => {
+        res.json({
+          apiTokens: apiTokens
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Creates an API token for the current user.
+  //
+  //  id* (string) - The current user's id.
+  //  name* (string) - A name to identify the token by, e.g. the integration that uses it.
+  //  scopes* (array) - The scopes to grant, e.g. ['posts:read', 'posts:write'].
+  //  expires (int) - The number of days until the token expires (default never).
+  //
+  // Returns a JSON response:
+  //
+  //  { apiToken: {}, token: '' }
+  //  { message: '', invalid: [] }
+  //
+  // This is the only time the plain text token is available.
+  //
+  create: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const models = req.app.locals.Database.sequelize.models;
+    let generated = models.apiToken.generateToken();
+    let days = parseInt(req.body.expires) || 0;
+
+    // Tokens act on behalf of the user who created them
+    if(req.User.id !== req.params.id) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return next('Unauthorized');
+    }
+
+    models.apiToken
+      .build({
+        userId: req.User.id,
+        name: req.body.name,
+        tokenHash: generated.tokenHash,
+        prefix: generated.prefix,
+        expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+      })
+      .setScopes(req.body.scopes)
+      .save()
+      .then((apiToken) => {
+        return AuditLog.record(req, { action: 'create', targetType: 'apiToken', target: apiToken, after: apiToken })
+          .then(() => apiToken);
+      })
+      .then((apiToken) => {
+        res.json({
+          apiToken: apiToken,
+          token: generated.token
+        });
+      })
+      .catch((err) => {
+        if(err.name === 'SequelizeValidationError') {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term(err.errors[0].message),
+            invalid: [err.errors[0].path]
+          });
+        }
+
+        next(err);
+      });
+  },
+
+  //
+  // Revokes an API token.
+  //
+  //  id* (string) - A user id.
+  //  tokenId* (string) - The API token's id.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    ManagedUser.fetch(req, res)
+      .then((user) => {
+        return models.apiToken.findOne({
+          where: {
+            id: req.params.tokenId,
+            userId: user.id
+          }
+        });
+      })
+      .then((apiToken) => {
+        if(!apiToken) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('API Token Not Found');
+        }
+
+        return apiToken.destroy()
+          .then(() => AuditLog.record(req, { action: 'delete', targetType: 'apiToken', target: apiToken, before: apiToken }));
+      })
+      .then(() => {
+        res.json({
+          deleted: true
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+// Node modules
+const Moment = require('moment');
+const Promise = require('bluebird');
+
+//
+// Gets the filters for a list of audit log entries from the query string. Dates are interpreted in
+// the website's time zone.
+//
+// Returns an object.
+//
+function getFilters(req) {
+  const Settings = req.app.locals.Settings;
+  let from = Moment.tz(req.query.from || '', 'YYYY-MM-DD', true, Settings.timeZone);
+  let to = Moment.tz(req.query.to || '', 'YYYY-MM-DD', true, Settings.timeZone);
+
+  return {
+    user: req.query.user || null,
+    action: req.query.action || null,
+    targetType: req.query.type || null,
+    targetId: req.query.target || null,
+    from: from.isValid() ? from.toDate() : null,
+    // Include the entire day
+    to: to.isValid() ? to.add(1, 'day').toDate() : null
+  };
+}
+
+//
+// Formats a value for a CSV file. Values that spreadsheets would treat as formulas are escaped.
+//
+// Returns a string.
+//
+function toCsvValue(value) {
+  if(value === null || typeof value === 'undefined') return '';
+  if(typeof value === 'object' && !(value instanceof Date)) value = JSON.stringify(value);
+  if(value instanceof Date) value = value.toISOString();
+
+  value = String(value);
+  if(/^[=+\-@\t\r]/.test(value)) value = '\'' + value;
+
+  return '"' + value.replace(/"/g, '""') + '"';
+}
+
+module.exports = {
+
+  //
+  // Gets a list of audit log entries, newest first.
+  //
+  //  user (string) - Filter entries by user id.
+  //  action (string) - Filter entries by action, e.g. update.
+  //  type (string) - Filter entries by target type, e.g. post.
+  //  target (string) - Filter entries by target id.
+  //  from (string) - Only entries on or after this date (YYYY-MM-DD).
+  //  to (string) - Only entries on or before this date (YYYY-MM-DD).
+  //  count (int) - The number of entries to return (default 100).
+  //  offset (int) - The offset to return entries from (default 0).
+  //  format (string) - Set to 'csv' to download all matching entries as a CSV file. Count and
+  //    offset are ignored.
+  //  render (string) - Set to 'auditLogItems' to return the rendered HTML from
+  //    `admin/partials/audit_log_items.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  { totalItems: 100, entries: [] }
+  //  { totalItems: 100, entries: [], html: '' }
+  //
+  // Returns a CSV file if format is csv.
+  //
+  index: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+    let isCsv = req.query.format === 'csv';
+    let count = parseInt(req.query.count) || 100;
+    let offset = parseInt(req.query.offset) || 0;
+
+    models.auditLog
+      .findAndCountAll({
+        where: models.auditLog.getWhere(getFilters(req)),
+        limit: isCsv ? undefined : count,
+        offset: isCsv ? undefined : offset,
+        order: [['createdAt', 'DESC']]
+      })
+      .then((result) => {
+        // Send the entries as a CSV file
+        if(isCsv) {
+          let filename = 'Postleaf Audit Log (' + Moment.tz('utc').format('YYYY-MM-DD') + ').csv';
+          let columns = [
+            'createdAt', 'userId', 'username', 'ipAddress', 'action', 'targetType', 'targetId',
+            'targetName', 'before', 'after'
+          ];
+          let rows = result.rows.map((entry) => {
+            entry = entry.toJSON();
+            return columns.map((column) => toCsvValue(entry[column])).join(',');
+          });
+
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-disposition', 'attachment; filename="' + filename + '"');
+          res.send([columns.join(',')].concat(rows).join('\r\n') + '\r\n');
+          return null;
+        }
+
+        return new Promise((resolve) => {
+          // Render the entries and return them
+          if(req.query.render === 'auditLogItems') {
+            res.app.render('admin/partials/audit_log_items', {
+              entries: result.rows
+            }, (err, html) => {
+              if(err) throw new Error(err);
+
+              resolve({
+                totalItems: result.count,
+                entries: result.rows,
+                html: html
+              });
+            });
+
+            return;
+          }
+
+          // Just return the entries
+          resolve({
+            totalItems: result.count,
+            entries: result.rows
+          });
+        });
+      })
+      .then((json) => {
+        if(json) res.json(json);
+      })
+      .catch((err) => next(err));
+  }
+
+};
@@ -4,10 +4,120 @@
 const Crypto = require('crypto');
 const Fs = require('fs');
 const HttpCodes = require('http-codes');
+const Jwt = require('jsonwebtoken');
 const Path = require('path');
 
 // Local modules
 const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const LoginGuard = require(Path.join(__basedir, 'source/modules/login_guard.js'));
+const Oidc = require(Path.join(__basedir, 'source/modules/oidc.js'));
+const Slug = require(Path.join(__basedir, 'source/modules/slug.js'));
+
+// Users have this long to log in with the identity provider
+const oidcLoginLifetime = 10 * 60; // seconds
+
+//
+// Starts a session for a user, sets the auth cookie, and sends the auth token.
+//
+//  req* (object) - The request object.
+//  res* (object) - The response object.
+//  user* (object) - The user to authenticate.
+//  data (object) - Additional data to include in the response.
+//
+// Returns a promise.
+//
+function sendAuthToken(req, res, user, data) {
+  return user.startSession(req).then((authToken) => {
+    // Set a cookie for supportive clients
+    res.cookie('authToken', authToken.token, {
+      path: '/',
+      expires: authToken.expires
+    });
+
+    // Send the response
+    res.json(Object.assign({ authToken: authToken }, data));
+  });
+}
+
+//
+// Sends an error response for attempts that were throttled or made on a locked account.
+//
+//  req* (object) - The request object.
+//  res* (object) - The response object.
+//  result* (object) - The result of LoginGuard.check() or LoginGuard.fail().
+//
+function sendThrottled(req, res, result) {
+  const I18n = req.app.locals.I18n;
+
+  if(result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+
+  res.status(HttpCodes.TOO_MANY_REQUESTS).json({
+    message: result.locked ?
+      I18n.term('your_account_has_been_locked_check_your_email') :
+      I18n.term('too_many_attempts_please_wait_[seconds]_seconds', {
+        placeholders: { seconds: result.retryAfter }
+      }),
+    locked: result.locked,
+    retryAfter: result.retryAfter
+  });
+}
+
+//
+// Sends an error response for password requests when password logins are turned off.
+//
+function sendPasswordLoginDisabled(req, res) {
+  const I18n = req.app.locals.I18n;
+
+  res.status(HttpCodes.UNAUTHORIZED).json({
+    message: I18n.term('password_login_is_disabled_please_use_single_sign_on')
+  });
+}
+
+//
+// Creates a user for someone who logged in with the identity provider but doesn't have an account
+// yet. Their username is based on the preferred_username or email claim.
+//
+//  req* (object) - The request object.
+//  claims* (object) - The ID token's claims.
+//
+// Returns a promise that resolves with the new user.
+//
+function provisionUser(req, claims) {
+  const models = req.app.locals.Database.sequelize.models;
+  const Permissions = req.app.locals.Permissions;
+  let role = process.env.OIDC_DEFAULT_ROLE || 'contributor';
+  let username = Slug(claims.preferred_username || claims.email.split('@')[0]);
+
+  // Usernames have to start with a letter
+  if(!/^[a-z]/.test(username)) username = 'user-' + username;
+  username = username.replace(/-$/, '');
+
+  // The owner role can't be duplicated
+  if(!Permissions.isRole(role) || role === 'owner') role = 'contributor';
+
+  return models.user
+    .findAll({
+      attributes: ['username'],
+      where: {
+        username: { $like: username + '%' }
+      }
+    })
+    .then((users) => {
+      let usernames = users.map((user) => user.username);
+      let unique = username;
+
+      for(let i = 2; usernames.includes(unique); i++) unique = username + '-' + i;
+
+      return models.user.create({
+        name: claims.name || unique,
+        email: claims.email,
+        username: unique,
+        // Users who sign in with the identity provider don't have a password until they reset it
+        password: models.user.hashPassword(Crypto.randomBytes(32).toString('hex')),
+        role: role
+      });
+    });
+}
 
 module.exports = {
 
@@ -17,15 +127,26 @@ module.exports = {
   //  username* (string) - The username of the user to authenticate.
   //  password* (string) - The user's password.
   //
+  // If the user has two-factor authentication enabled, a short-lived two-factor token is returned
+  // instead of an auth token. Exchange it for an auth token with POST /api/auth/two-factor.
+  //
+  // Repeated failures from the same IP address or on the same account are delayed, and the account
+  // is locked after too many. Throttled requests get a 429 response with a Retry-After header.
+  //
   // Returns a JSON response:
   //
   //  { authToken: '<token>' }
+  //  { twoFactorRequired: true, twoFactorToken: '<token>' }
   //  { message: '', invalid: [] }
+  //  { message: '', locked: false, retryAfter: 0 }
   //
   authenticate: (req, res, next) => {
     const I18n = req.app.locals.I18n;
     const models = req.app.locals.Database.sequelize.models;
     const sequelize = req.app.locals.Database.sequelize;
+    let user;
+
+    if(Oidc.isPasswordLoginDisabled()) return sendPasswordLoginDisabled(req, res);
 
     // Fetch the user
     models.user
@@ -45,54 +166,291 @@ module.exports = {
           ]
         }
       })
-      .then((user) => {
+      .then((result) => {
+        user = result;
+
+        return LoginGuard.check(req, { action: 'login', user: user });
+      })
+      .then((throttled) => {
+        if(throttled) return sendThrottled(req, res, throttled);
+
         // User not found
         if(!user) {
-          return res.status(HttpCodes.BAD_REQUEST).json({
-            message: I18n.term('invalid_username_or_email_address'),
-            invalid: ['username']
-          });
+          return LoginGuard
+            .fail(req, { action: 'login', reason: 'unknown_user', username: req.body.username })
+            .then(() => {
+              res.status(HttpCodes.BAD_REQUEST).json({
+                message: I18n.term('invalid_username_or_email_address'),
+                invalid: ['username']
+              });
+            });
         }
 
         // Verify password
         if(!user.verifyPassword(req.body.password)) {
-          return res.status(HttpCodes.BAD_REQUEST).json({
-            message: I18n.term('your_password_is_incorrect'),
-            invalid: ['password']
+          return LoginGuard
+            .fail(req, { action: 'login', reason: 'invalid_password', user: user, username: req.body.username })
+            .then((result) => {
+              if(result.locked) return sendThrottled(req, res, result);
+
+              res.status(HttpCodes.BAD_REQUEST).json({
+                message: I18n.term('your_password_is_incorrect'),
+                invalid: ['password']
+              });
+            });
+        }
+
+        // Ask for a code before authenticating
+        if(user.twoFactorEnabled) {
+          return res.json({
+            twoFactorRequired: true,
+            twoFactorToken: user.generateTwoFactorToken()
           });
         }
 
-        // Generate an auth token
-        let authToken = user.generateAuthToken();
+        return LoginGuard
+          .succeed(req, { action: 'login', user: user })
+          .then(() => sendAuthToken(req, res, user));
+      })
+      .catch((err) => next(err));
+  },
 
-        // Set a cookie for supportive clients
-        res.cookie('authToken', authToken.token, {
-          path: '/',
-          expires: authToken.expires
+  //
+  // Completes authentication for users with two-factor authentication enabled.
+  //
+  //  two-factor-token* (string) - The two-factor token returned by POST /api/auth.
+  //  code* (string) - A code from the user's authenticator app or a recovery code.
+  //
+  // Returns a JSON response:
+  //
+  //  { authToken: '<token>', recoveryCodesRemaining: 0 }
+  //  { message: '', invalid: [] }
+  //  { message: '', expired: true }
+  //  { message: '', locked: false, retryAfter: 0 }
+  //
+  verifyTwoFactor: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const models = req.app.locals.Database.sequelize.models;
+    let user;
+
+    models.user
+      .decodeTwoFactorToken(req.body['two-factor-token'])
+      .catch(() => null)
+      .then((result) => {
+        user = result;
+
+        // Expired or invalid token, so the user will have to enter their password again
+        if(!user) {
+          return res.status(HttpCodes.UNAUTHORIZED).json({
+            message: I18n.term('your_login_has_expired_please_try_again'),
+            expired: true
+          });
+        }
+
+        return LoginGuard.check(req, { action: 'two-factor', user: user }).then((throttled) => {
+          if(throttled) return sendThrottled(req, res, throttled);
+
+          // Accept a code from the authenticator app or a recovery code
+          if(!user.verifyTwoFactorCode(req.body.code) && !user.useRecoveryCode(req.body.code)) {
+            return LoginGuard
+              .fail(req, { action: 'two-factor', reason: 'invalid_code', user: user })
+              .then((result) => {
+                if(result.locked) return sendThrottled(req, res, result);
+
+                res.status(HttpCodes.BAD_REQUEST).json({
+                  message: I18n.term('this_code_is_invalid'),
+                  invalid: ['code']
+                });
+              });
+          }
+
+          // Save the used code so it can't be used again
+          return user.save()
+            .then(() => LoginGuard.succeed(req, { action: 'two-factor', user: user }))
+            .then(() => {
+              return sendAuthToken(req, res, user, {
+                recoveryCodesRemaining: user.getRecoveryCodeCount()
+              });
+            });
         });
+      })
+      .catch((err) => next(err));
+  },
 
-        // Send the response
-        res.json({
-          authToken: authToken
+  //
+  // Sends the user to the identity provider to log in with single sign-on.
+  //
+  //  redirect (string) - A path to return to after logging in (default the admin panel).
+  //
+  // Redirects to the identity provider's authorization endpoint. The state, nonce, and PKCE code
+  // verifier are kept in a short-lived, signed cookie until the provider sends the user back.
+  //
+  oidc: (req, res, next) => {
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+    let redirect = String(req.query.redirect || '');
+
+    if(!Oidc.isEnabled()) {
+      res.status(HttpCodes.NOT_FOUND);
+      return next('Page Not Found');
+    }
+
+    // Only allow local paths so the login can't be used to send users to another website
+    if(!/^\/(?![\/\\])/.test(redirect)) redirect = MakeUrl.admin();
+
+    Oidc.getAuthorizationUrl(MakeUrl.api('auth/oidc/callback', { absolute: true }))
+      .then((result) => {
+        let oidcLogin = Jwt.sign({
+          state: result.state,
+          nonce: result.nonce,
+          verifier: result.verifier,
+          redirect: redirect
+        }, process.env.AUTH_SECRET, { expiresIn: oidcLoginLifetime });
+
+        res.cookie('oidcLogin', oidcLogin, {
+          path: '/',
+          httpOnly: true,
+          maxAge: oidcLoginLifetime * 1000
         });
+
+        res.redirect(result.url);
       })
       .catch((err) => next(err));
   },
 
   //
-  // Generates a reset token and sends a password recovery email.
+  // Handles the identity provider's response after logging in with single sign-on. The email claim
+  // is matched to an existing user. If there's no matching user and OIDC_AUTO_PROVISION is enabled,
+  // a new user is created with the OIDC_DEFAULT_ROLE role. Users with two-factor authentication
+  // enabled are sent back to the login page to enter a code, just like a password login.
+  //
+  //  code* (string) - The authorization code.
+  //  state* (string) - The state sent to the identity provider.
+  //
+  // Redirects to the page the user was trying to reach, or back to the login page with an error.
+  //
+  oidcCallback: (req, res, next) => {
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+    const models = req.app.locals.Database.sequelize.models;
+    const sequelize = req.app.locals.Database.sequelize;
+    let oidcLogin;
+
+    // Sends the user back to the login page with an error
+    let sendError = (error) => res.redirect(MakeUrl.admin('login', { query: { error: error } }));
+
+    if(!Oidc.isEnabled()) {
+      res.status(HttpCodes.NOT_FOUND);
+      return next('Page Not Found');
+    }
+
+    // The login can only be completed once
+    res.cookie('oidcLogin', '', { path: '/', expires: new Date() });
+
+    try {
+      oidcLogin = Jwt.verify(req.cookies.oidcLogin || '', process.env.AUTH_SECRET);
+    } catch(err) {
+      return sendError('sso_expired');
+    }
+
+    // The state prevents other websites from completing a login on the user's behalf
+    if(!req.query.state || req.query.state !== oidcLogin.state) return sendError('sso_expired');
+
+    // The user canceled or the provider refused
+    if(req.query.error || !req.query.code) return sendError('sso_failed');
+
+    Oidc
+      .getClaims(req.query.code, MakeUrl.api('auth/oidc/callback', { absolute: true }), {
+        nonce: oidcLogin.nonce,
+        verifier: oidcLogin.verifier
+      })
+      .then((claims) => {
+        // Only trust email addresses the provider says it has verified
+        if(!claims.email || claims.email_verified !== true) {
+          return LoginGuard
+            .fail(req, { action: 'oidc', reason: 'unverified_email', username: claims.email || claims.sub })
+            .then(() => sendError('sso_no_email'));
+        }
+
+        return models.user
+          .findOne({
+            where: sequelize.where(
+              sequelize.fn('lower', sequelize.col('email')),
+              sequelize.fn('lower', claims.email)
+            )
+          })
+          .then((user) => {
+            if(user) return user;
+
+            if((process.env.OIDC_AUTO_PROVISION || '').toLowerCase() === 'true') {
+              return provisionUser(req, claims).then((user) => {
+                return models.user.buildSearchIndex().then(() => user);
+              });
+            }
+
+            return LoginGuard
+              .fail(req, { action: 'oidc', reason: 'unknown_user', username: claims.email })
+              .then(() => null);
+          })
+          .then((user) => {
+            if(!user) return sendError('sso_no_account');
+
+            // Locked accounts stay locked until they're unlocked from the email that was sent
+            if(user.isLocked()) return sendError('sso_locked');
+
+            // Ask for a code before authenticating. The login page picks up the two-factor token from
+            // a short-lived cookie so it stays out of the URL.
+            if(user.twoFactorEnabled) {
+              res.cookie('twoFactorToken', user.generateTwoFactorToken(), {
+                path: MakeUrl.admin('login'),
+                httpOnly: true,
+                maxAge: oidcLoginLifetime * 1000
+              });
+
+              return res.redirect(MakeUrl.admin('login', {
+                query: { redirect: oidcLogin.redirect || MakeUrl.admin() }
+              }));
+            }
+
+            return LoginGuard.succeed(req, { action: 'oidc', user: user })
+              .then(() => user.startSession(req))
+              .then((authToken) => {
+                let twoFactorRoles = (req.app.locals.Settings.twoFactorRoles || '').split(',');
+
+                res.cookie('authToken', authToken.token, {
+                  path: '/',
+                  expires: authToken.expires
+                });
+
+                // Users whose role requires two-factor authentication have to set it up first
+                if(twoFactorRoles.includes(user.role)) {
+                  return res.redirect(MakeUrl.admin('users/edit/' + user.id, { hash: 'security' }));
+                }
+
+                res.redirect(oidcLogin.redirect || MakeUrl.admin());
+              });
+          });
+      })
+      .catch(() => sendError('sso_failed'));
+  },
+
+  //
+  // Generates a reset token and sends a password recovery email. Reset links expire after an hour
+  // and only a few can be sent per account in a short period.
   //
   //  username* (string) - A valid username.
   //
   // Returns a JSON response:
   //
   //  { message: '' }
+  //  { message: '', locked: false, retryAfter: 0 }
   //
   recoverPassword: (req, res, next) => {
     const I18n = req.app.locals.I18n;
     const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
     const models = req.app.locals.Database.sequelize.models;
     const sequelize = req.app.locals.Database.sequelize;
+    let user;
+
+    if(Oidc.isPasswordLoginDisabled()) return sendPasswordLoginDisabled(req, res);
 
     // Fetch the user
     models.user
@@ -112,17 +470,28 @@ module.exports = {
           ]
         }
       })
-      .then((user) => {
+      .then((result) => {
+        user = result;
+
+        return LoginGuard.check(req, { action: 'recover', user: user });
+      })
+      .then((throttled) => {
+        if(throttled) return sendThrottled(req, res, throttled);
+
         // User not found
         if(!user) {
-          return res.status(HttpCodes.BAD_REQUEST).json({
-            invalid: ['username']
-          });
+          return LoginGuard
+            .fail(req, { action: 'recover', reason: 'unknown_user', username: req.body.username })
+            .then(() => {
+              res.status(HttpCodes.BAD_REQUEST).json({
+                invalid: ['username']
+              });
+            });
         }
 
         // Generate reset token and URL
         let message = Fs.readFileSync(Path.join(__basedir, 'source/emails/password_reset.txt'), { encoding: 'utf8' });
-        let resetToken = Crypto.randomBytes(32).toString('hex');
+        let resetToken = user.generateResetToken();
         let resetUrl = MakeUrl.admin('login/reset', {
           absolute: true,
           query: {
@@ -131,72 +500,90 @@ module.exports = {
           }
         });
 
-        // Set the user's reset token
-        user.resetToken = resetToken;
-        user.save();
-
-        // Send email
-        Email.send({
-          to: {
-            name: user.name,
-            email: user.email
-          },
-          subject: I18n.term('postleaf_account_recovery_message'),
-          message: { text: message },
-          placeholders: {
-            name: user.name,
-            forgotYourPassword: I18n.term('forgot_your_password_it_happens_sometimes'),
-            followThisLink: I18n.term('just_follow_this_link_and_youll_be_publishing_again'),
-            resetUrl: resetUrl,
-            websiteUrl: MakeUrl.raw('', { absolute: true }),
-            websiteTitle: req.app.locals.Settings.title
-          }
-        })
+        // Save the user's reset token
+        return user.save()
+          .then(() => LoginGuard.succeed(req, { action: 'recover', user: user }))
           .then(() => {
-            // Send the response
-            res.json({
-              message: I18n.term('please_check_your_email_for_further_instructions')
-            });
-          })
-          .catch(() => {
-            res.status(HttpCodes.INTERNAL_SERVER_ERROR).json({
-              message: I18n.term('sorry_but_i_cant_seem_to_send_an_email_at_the_moment')
-            });
+            // Send email
+            return Email.send({
+              to: {
+                name: user.name,
+                email: user.email
+              },
+              subject: I18n.term('postleaf_account_recovery_message'),
+              message: { text: message },
+              placeholders: {
+                name: user.name,
+                forgotYourPassword: I18n.term('forgot_your_password_it_happens_sometimes'),
+                followThisLink: I18n.term('just_follow_this_link_and_youll_be_publishing_again'),
+                resetUrl: resetUrl,
+                websiteUrl: MakeUrl.raw('', { absolute: true }),
+                websiteTitle: req.app.locals.Settings.title
+              }
+            })
+              .then(() => {
+                // Send the response
+                res.json({
+                  message: I18n.term('please_check_your_email_for_further_instructions')
+                });
+              })
+              .catch(() => {
+                res.status(HttpCodes.INTERNAL_SERVER_ERROR).json({
+                  message: I18n.term('sorry_but_i_cant_seem_to_send_an_email_at_the_moment')
+                });
+              });
           });
       })
       .catch((err) => next(err));
   },
 
   //
-  // Resets a user's password.
+  // Resets a user's password. Reset tokens can only be used once, and resetting the password also
+  // unlocks the account.
   //
-  //  resetToken* (string) - A valid reset token.
+  //  id* (string) - The id of the user to reset.
+  //  token* (string) - A valid reset token.
   //  password* (string) - The new password.
   //
   // Returns a JSON response:
   //
   //  { message: '' }
   //  { message: '', invalid: [] }
+  //  { message: '', locked: false, retryAfter: 0 }
   //
   resetPassword: (req, res, next) => {
     const I18n = req.app.locals.I18n;
     const models = req.app.locals.Database.sequelize.models;
     let password = req.body.password || '';
+    let user;
+
+    if(Oidc.isPasswordLoginDisabled()) return sendPasswordLoginDisabled(req, res);
 
     // Fetch the user
     models.user
       .findOne({
         where: {
-          id: req.body.id,
-          resetToken: req.body.token
+          id: req.body.id
         }
       })
-      .then((user) => {
-        // User not found or invalid reset token
-        if(!user) {
-          return res.status(HttpCodes.BAD_REQUEST).json({
-            message: I18n.term('the_link_you_followed_is_no_longer_valid')
-          });
+      .then((result) => {
+        user = result;
+
+        // Reset tokens are random, so only the IP address needs to be throttled
+        return LoginGuard.check(req, { action: 'reset' });
+      })
+      .then((throttled) => {
+        if(throttled) return sendThrottled(req, res, throttled);
+
+        // User not found, invalid reset token, or expired reset token
+        if(!user || !user.verifyResetToken(req.body.token)) {
+          return LoginGuard
+            .fail(req, { action: 'reset', reason: 'invalid_token', user: user })
+            .then(() => {
+              res.status(HttpCodes.BAD_REQUEST).json({
+                message: I18n.term('the_link_you_followed_is_no_longer_valid')
+              });
+            });
         }
 
         // Check password length
@@ -207,14 +594,77 @@ module.exports = {
           });
         }
 
-        // Reset the password
+        // Reset the password and sign out everywhere, in case someone else had access
         user.setPassword(password);
         user.resetToken = null;
-        user.save();
+        user.resetTokenExpiresAt = null;
+        user.lockedUntil = null;
+        user.unlockToken = null;
 
-        return res.json({
-          message: I18n.term('your_password_has_been_reset')
-        });
+        return user.save()
+          .then(() => models.session.revokeAll(user.id))
+          .then(() => LoginGuard.succeed(req, { action: 'reset', user: user }))
+          .then(() => {
+            res.json({
+              message: I18n.term('your_password_has_been_reset')
+            });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Unlocks an account that was locked after too many failed attempts.
+  //
+  //  id* (string) - The id of the user to unlock.
+  //  token* (string) - The unlock token from the email sent when the account was locked.
+  //
+  // Returns a JSON response:
+  //
+  //  { message: '' }
+  //  { message: '', locked: false, retryAfter: 0 }
+  //
+  unlock: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const models = req.app.locals.Database.sequelize.models;
+    let user;
+
+    // Fetch the user
+    models.user
+      .findOne({
+        where: {
+          id: req.body.id
+        }
+      })
+      .then((result) => {
+        user = result;
+
+        return LoginGuard.check(req, { action: 'unlock' });
+      })
+      .then((throttled) => {
+        if(throttled) return sendThrottled(req, res, throttled);
+
+        // User not found or invalid unlock token
+        if(!user || !user.verifyUnlockToken(req.body.token)) {
+          return LoginGuard
+            .fail(req, { action: 'unlock', reason: 'invalid_token', user: user })
+            .then(() => {
+              res.status(HttpCodes.BAD_REQUEST).json({
+                message: I18n.term('the_link_you_followed_is_no_longer_valid')
+              });
+            });
+        }
+
+        user.lockedUntil = null;
+        user.unlockToken = null;
+
+        return user.save()
+          .then(() => LoginGuard.succeed(req, { action: 'unlock', user: user }))
+          .then(() => {
+            res.json({
+              message: I18n.term('your_account_has_been_unlocked')
+            });
+          });
       })
       .catch((err) => next(err));
   }
@@ -0,0 +1,171 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+
+//
+// Fetches a post, making sure the current user can edit it.
+//
+//  req* (object) - The request.
+//  res* (object) - The response.
+//
+// Returns a promise that resolves with the post. The promise is rejected if the post doesn't exist
+// or the current user can't edit it.
+//
+function fetchPost(req, res) {
+  const User = req.User;
+  const models = req.app.locals.Database.sequelize.models;
+
+  return models.post
+    .findOne({
+      where: {
+        id: req.params.id
+      }
+    })
+    .then((post) => {
+      // Not found
+      if(!post) {
+        res.status(HttpCodes.NOT_FOUND);
+        throw new Error('Post Not Found');
+      }
+
+      // All posts for users who can edit others' posts, only yours for everyone else
+      if(!User.can('post.edit_others') && post.userId !== User.id) {
+        res.status(HttpCodes.UNAUTHORIZED);
+        throw new Error('Unauthorized');
+      }
+
+      return post;
+    });
+}
+
+//
+// Tells if a post has been saved since a given time.
+//
+//  post* (object) - The post.
+//  since (string|Date) - The time the post was loaded.
+//
+// Returns a boolean.
+//
+function hasChanged(post, since) {
+  return !!since && new Date(post.updatedAt).getTime() > new Date(since).getTime();
+}
+
+module.exports = {
+
+  //
+  // Gets the current user's autosave for a post.
+  //
+  // Returns a JSON response:
+  //
+  //  { autosave: {}, conflict: false }
+  //  { autosave: null, conflict: false }
+  //
+  // Conflict is true when the post has been saved since the changes were autosaved.
+  //
+  read: function(req, res, next) {
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+    let post;
+
+    fetchPost(req, res)
+      .then((result) => {
+        post = result;
+
+        return models.autosave.findOne({
+          where: {
+            postId: post.id,
+            userId: User.id
+          }
+        });
+      })
+      .then((autosave) => {
+        res.json({
+          autosave: autosave,
+          conflict: !!autosave && hasChanged(post, autosave.baseUpdatedAt)
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Creates or updates the current user's autosave for a post. Autosaves are kept separate from
+  // the post and its revisions until the post is saved.
+  //
+  //  post* (string) - A JSON string of the editor's post data.
+  //  updated-at (string) - When the post was last saved before the editor loaded it.
+  //
+  // Returns a JSON response:
+  //
+  //  { autosave: {}, conflict: false }
+  //
+  // Conflict is true when the post has been saved elsewhere since the editor loaded it.
+  //
+  update: function(req, res, next) {
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+    let baseUpdatedAt = req.body['updated-at'] ? new Date(req.body['updated-at']) : null;
+    let data;
+    let post;
+
+    // Parse post data
+    try {
+      data = JSON.parse(req.body.post);
+    } catch(err) {
+      res.status(HttpCodes.BAD_REQUEST);
+      return next('Invalid JSON string for post parameter.');
+    }
+
+    if(baseUpdatedAt && isNaN(baseUpdatedAt.getTime())) baseUpdatedAt = null;
+
+    fetchPost(req, res)
+      .then((result) => {
+        post = result;
+
+        return models.autosave.findOne({
+          where: {
+            postId: post.id,
+            userId: User.id
+          }
+        });
+      })
+      .then((autosave) => {
+        if(!autosave) {
+          autosave = models.autosave.build({
+            postId: post.id,
+            userId: User.id
+          });
+        }
+
+        autosave.data = data;
+        autosave.baseUpdatedAt = baseUpdatedAt;
+
+        return autosave.save();
+      })
+      .then((autosave) => {
+        res.json({
+          autosave: autosave,
+          conflict: hasChanged(post, baseUpdatedAt)
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Discards the current user's autosave for a post.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: function(req, res, next) {
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+
+    fetchPost(req, res)
+      .then((post) => models.autosave.discard(post.id, User.id))
+      .then(() => res.json({ deleted: true }))
+      .catch((err) => next(err));
+  }
+
+};
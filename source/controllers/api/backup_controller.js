@@ -1,185 +1,97 @@
 'use strict';
 
 // Node modules
-const Del = require('del');
 const Fs = require('fs');
 const HttpCodes = require('http-codes');
-const JSZip = require('jszip');
-const Mkdirp = require('mkdirp');
 const Moment = require('moment');
 const Path = require('path');
 const Promise = require('bluebird');
-const RecursiveReaddir = require('recursive-readdir');
 const Tmp = require('tmp');
 
 // Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
 const UploadMiddleware = require(Path.join(__basedir, 'source/middleware/upload_middleware.js'));
 
-//
-// Adds an entire folder to a zip file.
-//
-//  folder* (string) - The full path of the folder to add.
-//  zip* (object) - A zip object.
-//
-// Returns a promise.
-//
-function addFolderToZip(folder, zip) {
-  return new Promise((resolve, reject) => {
-    RecursiveReaddir(folder, (err, files) => {
-      if(err) {
-        return reject(new Error('Unable to read folder: ' + folder));
-      }
-
-      // Add each file to the zip
-      files.forEach((file) => {
-        let folder = Path.dirname(Path.relative(__basedir, file));
-        let filename = Path.basename(file);
-        zip
-          .folder(folder)
-          .file(filename, Fs.readFileSync(file));
-      });
-
-      resolve();
-    });
-  });
-}
-
-//
-// Restores data from a backup if a restore file is found in the zip.
-//
-//  model* (object) - The model to restore.
-//  zip* (object) - A zip object containing the data file.
-//
-// Returns a promise that resolve with a zip object.
-//
-function restoreData(model, zip) {
-  return new Promise((resolve, reject) => {
-    let filename = 'data/' + model.name + '.json';
-    let queue = [];
-
-    // No restore file, skip it
-    if(!zip.files[filename]) {
-      return resolve(zip);
-    }
-
-    // Read the restore file
-    zip.files[filename].async('string')
-      .then((data) => {
-        // Parse the restore file
-        try {
-          data = JSON.parse(data);
-        } catch(err) {
-          return reject(new Error('Unable to parse JSON file: ' + filename));
-        }
-
-        if(data && data.length) {
-          // Empty the table
-          return model.destroy({ truncate: true })
-            .then(() => {
-              // Restore all rows
-              data.forEach((row) => queue.push(model.create(row)));
+module.exports = {
 
-              // Wait for all rows to populate before proceeding
-              return Promise.all(queue).then(() => resolve(zip));
-            });
-        } else {
-          return resolve(zip);
-        }
+  //
+  // Gets a list of automatic backups, newest first.
+  //
+  // Returns a JSON response:
+  //
+  //  { archives: [{ filename, size, createdAt }] }
+  //
+  archives: (req, res, next) => {
+    req.app.locals.BackupScheduler.list()
+      .then((archives) => {
+        res.json({
+          archives: archives
+        });
       })
-      .catch((err) => reject(err));
-  });
-}
-
-//
-// Restores data from a backup if a restore file is found in the zip.
-//
-//  sourceFolder* (string) - The path to the folder in the zip file.
-//  destinationFolder* (string) - The path to restore the folder to.
-//  zip* (object) - A zip object containing the data file.
-//
-// Returns a promise that resolve with a zip object.
-//
-function restoreFolderFromZip(sourceFolder, targetFolder, zip) {
-  return new Promise((resolve, reject) => {
-    // Folder name must end in a trailing slash
-    sourceFolder = sourceFolder.replace(/\/$/, '') + '/';
-
-    // No restore files, skip it
-    if(!zip.files[sourceFolder]) {
-      return resolve(zip);
-    }
-
-    // Delete target
-    Del(targetFolder)
-      .then(() => {
-        let queue = [];
-        let files = Object.keys(zip.files);
-
-        // Move files from zip to target
-        if(files && files.length) {
-          files.forEach((file) => {
-            // Skip folders and files that aren't in the source folder
-            if(zip.files[file].dir || file.indexOf(sourceFolder) !== 0) return;
-
-            let pathname = Path.join(targetFolder, Path.relative(sourceFolder, file));
-            let dirname = Path.dirname(pathname);
-
-            // Queue restoration
-            queue.push(
-              // Read the file's content
-              zip.files[file].async('nodebuffer')
-                .then((buffer) => {
-                  // Create the directory if it doesn't exist
-                  Mkdirp(Path.dirname(pathname), (err) => {
-                    if(err) {
-                      return reject(new Error('Unable to create directory: ' + dirname));
-                    }
+      .catch((err) => next(err));
+  },
 
-                    // Create the file
-                    Fs.writeFile(pathname, buffer, (err) => {
-                      if(err) {
-                        return reject(new Error('Unable to create file: ' + pathname));
-                      }
-                    });
-                  });
-                })
-                .catch((err) => reject(err))
-            );
-          });
+  //
+  // Makes an automatic backup now. Old backups are removed according to the backup settings.
+  //
+  // Returns a JSON response:
+  //
+  //  { message: '', archive: { filename, size, createdAt } }
+  //
+  createArchive: (req, res, next) => {
+    const BackupScheduler = req.app.locals.BackupScheduler;
+    const I18n = req.app.locals.I18n;
 
-          // Wait for all files to be written before proceeding
-          return Promise.all(queue).then(() => resolve(zip));
-        } else {
-          // No files, continue restoring
-          resolve(zip);
-        }
+    BackupScheduler.run()
+      .then((filename) => BackupScheduler.list().then((archives) => {
+        return archives.find((archive) => archive.filename === filename);
+      }))
+      .then((archive) => {
+        return AuditLog.record(req, { action: 'create', targetType: 'backup', target: archive, after: archive })
+          .then(() => archive);
+      })
+      .then((archive) => {
+        res.json({
+          message: I18n.term('your_backup_has_been_created'),
+          archive: archive
+        });
       })
-      .catch((err) => reject(err));
-  });
-}
+      .catch((err) => {
+        res.status(HttpCodes.INTERNAL_SERVER_ERROR);
+        next(err);
+      });
+  },
 
-//
-// Checks the backup file for postleaf.json to see if it's a valid zip file. We current do this by
-// checking for postleaf.json, but this could become a more elaborate check in the future.
-//
-//  zip* (object) - A zip object containing the data file.
-//
-// Returns a promise that resolve with a zip object.
-//
-function verifyBackup(zip) {
-  return new Promise((resolve, reject) => {
-    if(zip.files['postleaf.json']) {
-      resolve(zip);
-    } else {
-      reject(new Error('Invalid backup file.'));
-    }
-  });
-}
+  //
+  // Downloads an automatic backup.
+  //
+  //  filename* (string) - The backup's filename.
+  //
+  // Returns a zip file response.
+  //
+  downloadArchive: (req, res, next) => {
+    let file = req.app.locals.BackupScheduler.getPath(req.params.filename);
+
+    Promise.resolve()
+      .then(() => file ? Promise.promisify(Fs.stat)(file) : null)
+      .catch(() => null)
+      .then((stat) => {
+        if(!stat) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('Backup Not Found');
+        }
 
-module.exports = {
+        // Send zip as a download
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Length', stat.size);
+        res.setHeader('Content-disposition', 'attachment; filename="' + req.params.filename + '"');
+        Fs.createReadStream(file).pipe(res);
+      })
+      .catch((err) => next(err));
+  },
 
   //
-  // Creates a backup.
+  // Creates a backup. The zip file is streamed to the client as it's generated.
   //
   //  data (string) - Whether or not to export data (default 'true').
   //  themes (string) - Whether or not to export themes.
@@ -188,74 +100,45 @@ module.exports = {
   // Returns a zip file response.
   //
   create: (req, res, next) => {
-    const models = req.app.locals.Database.sequelize.models;
-
-    let zip = new JSZip();
-    let queue = [];
-
-    // Add a meta file
-    zip.file('postleaf.json', JSON.stringify({
-      createdAt: Moment().tz('utc').format('YYYY-MM-DD HH:mm:ss')
-    }, null, 2));
-
-    // Export data
-    if(typeof req.query.data === 'undefined' || req.query.data === 'true') {
-      // Convert all database models to JSON strings
-      for(let model in models) {
-        // Export each model
-        queue.push(
-          models[model].findAll()
-            .then((rows) => {
-              let data = [];
-
-              if(rows.length) {
-                rows.forEach((row) => data.push(row.toJSON()));
-              }
-
-              // Write data to zip file
-              zip.folder('data').file(model + '.json', JSON.stringify(data, null, 2));
-            })
-            .catch((err) => next(err))
-        );
-      }
-    }
-
-    // Export themes
-    if(req.query.themes === 'true') {
-      queue.push(addFolderToZip(req.app.locals.Themes.themePath, zip));
-    }
-
-    // Export uploads
-    if(req.query.uploads === 'true') {
-      queue.push(addFolderToZip(req.app.locals.uploadPath, zip));
-    }
+    const Backup = req.app.locals.Backup;
+    let filename = 'Postleaf Backup (' + Moment.tz('utc').format('YYYY-MM-DD') + ').zip';
+    let archive = Backup.create({
+      data: typeof req.query.data === 'undefined' || req.query.data === 'true',
+      themes: req.query.themes === 'true',
+      uploads: req.query.uploads === 'true'
+    });
 
-    // Wait for all queue to resolve
-    Promise.all(queue)
-      .then(() => zip.generateAsync({ type: 'nodebuffer' }))
-      .then((buffer) => {
-        let filename = 'Postleaf Backup (' + Moment.tz('utc').format('YYYY-MM-DD') + ').zip';
+    archive.on('error', (err) => {
+      // Headers can't be changed once streaming has started, so all we can do is abort
+      if(res.headersSent) return res.destroy(err);
+      next(err);
+    });
 
-        // Send zip as a download
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-disposition', 'attachment; filename="' + filename + '"');
-        res.end(buffer);
-      })
-      .catch((err) => next(err));
+    // Send zip as a download
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-disposition', 'attachment; filename="' + filename + '"');
+    archive.pipe(res);
   },
 
   //
-  // Restores from a backup.
+  // Restores from a backup. The backup is verified before anything is changed, and data is
+  // restored in a single transaction that rolls back if anything goes wrong. Uploads and themes are
+  // staged first and only replace the current ones once the data has been restored.
   //
   //  file* (file) - A zipped backup file.
+  //  dryRun (string) - Set to 'true' to verify the backup without restoring it.
   //
-  // Returns a JSON response.
+  // Returns a JSON response:
+  //
+  //  { message: '', backup: { version, createdAt, data, tables, uploads, themes } }
+  //  { message: '', errors: [] }
   //
   restore: (req, res, next) => {
+    const Backup = req.app.locals.Backup;
     const I18n = req.app.locals.I18n;
     const models = req.app.locals.Database.sequelize.models;
-
-    let tempDir = Tmp.dirSync();
+    let isDryRun = req.query.dryRun === 'true';
+    let tempDir = Tmp.dirSync({ unsafeCleanup: true });
 
     // Create a multer instance to receive the zip file
     const upload = UploadMiddleware.getMulter({
@@ -266,56 +149,81 @@ module.exports = {
     // Call the upload middleware
     upload(req, res, (err) => {
       if(err) {
+        tempDir.removeCallback();
         res.status(HttpCodes.BAD_REQUEST);
         return next(err);
       }
 
       // Was a file uploaded?
       if(!req.file) {
+        tempDir.removeCallback();
         return res.status(HttpCodes.BAD_REQUEST).json({
           message: I18n.term('nothing_was_uploaded')
         });
       }
 
-      // Extract zip contents
-      Fs.readFile(req.file.path, (err, data) => {
-        if(err) {
-          res.status(HttpCodes.BAD_REQUEST).json({
-            message: 'Unable to read from the temp file.'
-          });
-        }
-
-        JSZip.loadAsync(data)
-          .then((zip) => verifyBackup(zip))
-          // Restore uploads
-          .then((zip) => restoreFolderFromZip('uploads', req.app.locals.uploadPath, zip))
-          // // Restore Themes
-          .then((zip) => restoreFolderFromZip('themes', req.app.locals.Themes.themePath, zip))
-          // Restore data in a specific order to prevent foreign key constraint errors
-          .then((zip) => restoreData(models.user, zip))
-          .then((zip) => restoreData(models.post, zip))
-          .then((zip) => restoreData(models.tag, zip))
-          .then((zip) => restoreData(models.postTags, zip))
-          .then((zip) => restoreData(models.navigation, zip))
-          .then((zip) => restoreData(models.revision, zip))
-          .then((zip) => restoreData(models.setting, zip))
-          .then((zip) => restoreData(models.upload, zip))
-          // Reload settings
-          .then(() => models.setting.getObject().then((settings) => req.app.locals.Settings = settings))
-          // Reload navigation
-          .then(() => models.navigation.getArray().then((navigation) => req.app.locals.Navigation = navigation))
-          .then(() => {
+      // Verify only
+      if(isDryRun) {
+        return Backup.verify(req.file.path)
+          .then((backup) => {
             res.json({
-              message: I18n.term('your_backup_has_been_restored')
+              message: I18n.term('this_backup_is_valid'),
+              backup: backup
             });
           })
-          .catch(() => {
-            res.status(HttpCodes.INTERNAL_SERVER_ERROR);
-            return next(I18n.term('your_backup_could_not_be_restored_from_this_file'));
+          .catch((err) => {
+            res.status(HttpCodes.BAD_REQUEST).json({
+              message: I18n.term('your_backup_could_not_be_restored_from_this_file'),
+              errors: err.errors || [err.message]
+            });
+          })
+          .finally(() => tempDir.removeCallback());
+      }
+
+      Backup.restore(req.file.path, { sessionId: req.Session ? req.Session.id : null })
+        .then((backup) => {
+          return Promise.resolve()
+            // Reload settings
+            .then(() => req.app.locals.Database.loadSettings().then((settings) => req.app.locals.Settings = settings))
+            // Reload navigation
+            .then(() => models.navigation.getArray().then((navigation) => req.app.locals.Navigation = navigation))
+            // Reload custom roles
+            .then(() => req.app.locals.Permissions.load(models))
+            // Rebuild search indexes
+            .then(() => Promise.all([
+              models.post.buildSearchIndex(),
+              models.user.buildSearchIndex(),
+              models.tag.buildSearchIndex()
+            ]))
+            // Reload the publishing queue
+            .then(() => req.app.locals.Scheduler.refresh())
+            // Reschedule automatic backups
+            .then(() => req.app.locals.BackupScheduler.refresh())
+            // Everything may have changed
+            .then(() => req.app.locals.PageCache.clear())
+            .then(() => {
+              return AuditLog.record(req, {
+                action: 'restore',
+                targetType: 'backup',
+                target: { name: req.file.originalname },
+                after: backup
+              });
+            })
+            .then(() => {
+              res.json({
+                message: I18n.term('your_backup_has_been_restored'),
+                backup: backup
+              });
+            });
+        })
+        .catch((err) => {
+          res.status(err.errors ? HttpCodes.BAD_REQUEST : HttpCodes.INTERNAL_SERVER_ERROR).json({
+            message: I18n.term('your_backup_could_not_be_restored_from_this_file'),
+            errors: err.errors || [err.message]
           });
-      });
+        })
+        .finally(() => tempDir.removeCallback());
     });
-
   }
 
 };
@@ -0,0 +1,42 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Moment = require('moment');
+
+module.exports = {
+
+  //
+  // Exports all posts and pages. The zip file is streamed to the client as it's generated.
+  //
+  //  format (string) - The export format. Only 'markdown' is supported (default 'markdown').
+  //
+  // Returns a zip file response.
+  //
+  export: (req, res, next) => {
+    const Exporter = req.app.locals.Exporter;
+    const I18n = req.app.locals.I18n;
+    let format = req.query.format || 'markdown';
+    let filename = 'Postleaf Export (' + Moment.tz('utc').format('YYYY-MM-DD') + ').zip';
+    let archive;
+
+    if(format !== 'markdown') {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term('this_export_format_is_not_supported')
+      });
+    }
+
+    archive = Exporter.create({ format: format });
+    archive.on('error', (err) => {
+      // Headers can't be changed once streaming has started, so all we can do is abort
+      if(res.headersSent) return res.destroy(err);
+      next(err);
+    });
+
+    // Send zip as a download
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-disposition', 'attachment; filename="' + filename + '"');
+    archive.pipe(res);
+  }
+
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const UploadMiddleware = require(Path.join(__basedir, 'source/middleware/upload_middleware.js'));
+
+// Exports are parsed from memory, so their size is limited. Set IMPORT_MAX_SIZE in .env to change
+// it (in megabytes).
+const maxFileSize = (parseInt(process.env.IMPORT_MAX_SIZE) || 50) * 1024 * 1024;
+
+module.exports = {
+
+  //
+  // Imports posts, pages, tags, authors, and uploads from a WordPress WXR or Ghost JSON export.
+  //
+  //  file* (file) - The export file.
+  //  site-url (string) - The original website's URL. Used to resolve relative links and images.
+  //  create-users (string) - Set to 'false' to assign all posts to the current user instead of
+  //    creating users for authors that don't exist (default 'true').
+  //  download-uploads (string) - Set to 'false' to leave images and files on the original website
+  //    (default 'true').
+  //  dry-run (string) - Set to 'true' to report what would be imported without importing it.
+  //  render (string) - Set to 'importReport' to return the rendered HTML from
+  //    `admin/partials/import_report.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  { message: '', report: { format, posts, tags, users, uploads, conflicts } }
+  //  { message: '', report: { format, posts, tags, users, uploads, conflicts }, html: '' }
+  //  { message: '' }
+  //
+  import: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const Importer = req.app.locals.Importer;
+    const models = req.app.locals.Database.sequelize.models;
+
+    // Exports are parsed from memory, so the file type is checked by the importer
+    const upload = UploadMiddleware.getMulter({
+      allowedTypes: null,
+      maxFileSize: maxFileSize
+    }).single('file');
+
+    // Call the upload middleware
+    upload(req, res, (err) => {
+      if(err && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(HttpCodes.BAD_REQUEST).json({
+          message: I18n.term('files_cant_be_larger_than_[size]_mb', {
+            placeholders: { size: maxFileSize / 1024 / 1024 }
+          })
+        });
+      }
+      if(err) {
+        res.status(HttpCodes.BAD_REQUEST);
+        return next(err);
+      }
+
+      // Was a file uploaded?
+      if(!req.file) {
+        return res.status(HttpCodes.BAD_REQUEST).json({
+          message: I18n.term('nothing_was_uploaded')
+        });
+      }
+
+      let isDryRun = req.body['dry-run'] === 'true';
+
+      Importer
+        .import(req.file.buffer, {
+          userId: req.User.id,
+          siteUrl: req.body['site-url'] || null,
+          createUsers: req.body['create-users'] !== 'false',
+          downloadUploads: req.body['download-uploads'] !== 'false',
+          dryRun: isDryRun
+        })
+        .then((report) => {
+          if(isDryRun) return report;
+
+          return Promise.resolve()
+            // Rebuild search indexes
+            .then(() => Promise.all([
+              models.post.buildSearchIndex(),
+              models.user.buildSearchIndex(),
+              models.tag.buildSearchIndex()
+            ]))
+            // Imported posts may be scheduled
+            .then(() => req.app.locals.Scheduler.refresh())
+            // Imported posts, tags, and authors appear on listing pages
+            .then(() => req.app.locals.PageCache.invalidate(['posts', 'tags', 'users']))
+            .then(() => {
+              return AuditLog.record(req, {
+                action: 'import',
+                targetType: 'website',
+                target: { name: req.file.originalname },
+                after: {
+                  format: report.format,
+                  posts: report.posts,
+                  tags: report.tags,
+                  users: report.users,
+                  uploads: report.uploads
+                }
+              });
+            })
+            .then(() => report);
+        })
+        .then((report) => {
+          return new Promise((resolve) => {
+            let json = {
+              message: I18n.term(isDryRun ? 'this_file_is_ready_to_import' : 'your_content_has_been_imported'),
+              report: report
+            };
+
+            // Render the report
+            if(req.body.render === 'importReport') {
+              res.app.render('admin/partials/import_report', {
+                report: report
+              }, (err, html) => {
+                if(err) throw new Error(err);
+
+                json.html = html;
+                resolve(json);
+              });
+
+              return;
+            }
+
+            resolve(json);
+          });
+        })
+        .then((json) => res.json(json))
+        .catch((err) => {
+          res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('your_content_could_not_be_imported_from_this_file') + ' ' + err.message
+          });
+        });
+    });
+  }
+
+};
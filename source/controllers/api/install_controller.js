@@ -4,6 +4,9 @@
 const HttpCodes = require('http-codes');
 const Path = require('path');
 
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+
 module.exports = {
 
   //
@@ -59,7 +62,10 @@ module.exports = {
         req.app.locals.isInstalled = true;
 
         // Generate an auth token (auto-login)
-        authToken = user.generateAuthToken();
+        return user.startSession(req);
+      })
+      .then((result) => {
+        authToken = result;
 
         // Set a cookie for supportive clients
         res.cookie('authToken', authToken.token, {
@@ -109,7 +115,12 @@ module.exports = {
             isSticky: false
           });
       })
-      .then((post) => models.postTags.upsert({ postId: post.id, tagId: tag.id }))
+      .then((post) => {
+        return models.postAuthor
+          .setAuthors(post.id, [post.userId])
+          .then(() => models.postTags.upsert({ postId: post.id, tagId: tag.id }));
+      })
+      .then(() => AuditLog.record(req, { action: 'install', targetType: 'website', user: owner }))
       // Send a response
       .then(() => {
         res.json({
@@ -2,8 +2,12 @@
 
 // Node modules
 const HttpCodes = require('http-codes');
+const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+
 module.exports = {
 
   //
@@ -44,8 +48,18 @@ module.exports = {
           });
         });
       })
+      .then(() => {
+        return AuditLog.record(req, {
+          action: 'update',
+          targetType: 'navigation',
+          before: req.app.locals.Navigation,
+          after: navigation.map((item) => ({ label: item.label, link: item.link }))
+        });
+      })
       // Update locals
       .then(() => req.app.locals.Navigation = navigation)
+      // Navigation appears on every page
+      .then(() => req.app.locals.PageCache.clear())
       // Send a response
       .then(() => {
         res.json({
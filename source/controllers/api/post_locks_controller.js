@@ -0,0 +1,130 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+
+//
+// Fetches a post, making sure the current user can edit it.
+//
+//  req* (object) - The request.
+//  res* (object) - The response.
+//
+// Returns a promise that resolves with the post. The promise is rejected if the post doesn't exist
+// or the current user can't edit it.
+//
+function fetchPost(req, res) {
+  const User = req.User;
+  const models = req.app.locals.Database.sequelize.models;
+
+  return models.post
+    .findOne({
+      where: {
+        id: req.params.id
+      }
+    })
+    .then((post) => {
+      // Not found
+      if(!post) {
+        res.status(HttpCodes.NOT_FOUND);
+        throw new Error('Post Not Found');
+      }
+
+      // All posts for users who can edit others' posts, only yours for everyone else
+      if(!User.can('post.edit_others') && post.userId !== User.id) {
+        res.status(HttpCodes.UNAUTHORIZED);
+        throw new Error('Unauthorized');
+      }
+
+      return post;
+    });
+}
+
+module.exports = {
+
+  //
+  // Gets a post's edit lock.
+  //
+  // Returns a JSON response:
+  //
+  //  { lock: {} }
+  //  { lock: null }
+  //
+  read: function(req, res, next) {
+    const models = req.app.locals.Database.sequelize.models;
+
+    fetchPost(req, res)
+      .then((post) => models.postLock.getActive(post.id))
+      .then((lock) => {
+        res.json({
+          lock: lock
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Locks a post for the current user. Editors call this periodically to keep the lock alive. Locks
+  // expire a few minutes after the last call.
+  //
+  //  take-over (string) - Set to 'true' to take the lock from another user.
+  //
+  // Returns a JSON response:
+  //
+  //  { lock: {} }
+  //  { message: '', lock: {} }
+  //
+  // A Conflict response is returned if another user is editing the post.
+  //
+  update: function(req, res, next) {
+    const I18n = req.app.locals.I18n;
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+    let post;
+
+    fetchPost(req, res)
+      .then((result) => {
+        post = result;
+
+        return models.postLock.getActive(post.id);
+      })
+      .then((lock) => {
+        // Someone else is editing the post
+        if(lock && lock.userId !== User.id && req.body['take-over'] !== 'true') {
+          return res.status(HttpCodes.CONFLICT).json({
+            message: I18n.term('[name]_is_editing_this_post', {
+              placeholders: { name: lock.user ? lock.user.name : '' }
+            }),
+            lock: lock
+          });
+        }
+
+        return models.postLock
+          .acquire(post.id, User.id)
+          .then(() => models.postLock.getActive(post.id))
+          .then((lock) => {
+            res.json({
+              lock: lock
+            });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Unlocks a post. Only the user who holds the lock can unlock it.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: function(req, res, next) {
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+
+    fetchPost(req, res)
+      .then((post) => models.postLock.release(post.id, User.id))
+      .then(() => res.json({ deleted: true }))
+      .catch((err) => next(err));
+  }
+
+};
@@ -7,12 +7,138 @@ const HttpCodes = require('http-codes');
 const Moment = require('moment');
 const Path = require('path');
 const Promise = require('bluebird');
+const Sequelize = require('sequelize');
 const Striptags = require('striptags');
 
 // Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
 const AutoEmbed = require(Path.join(__basedir, 'source/modules/auto_embed.js'));
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 const DynamicImages = require(Path.join(__basedir, 'source/modules/dynamic_images.js'));
 const Markdown = require(Path.join(__basedir, 'source/modules/markdown.js'));
+const PostDiff = require(Path.join(__basedir, 'source/modules/post_diff.js'));
+const PostReview = require(Path.join(__basedir, 'source/modules/post_review.js'));
+
+//
+// Gets the ids of a post's authors from the request body, without duplicates. The first author is
+// the primary author.
+//
+//  body* (object) - The request body.
+//
+// Returns an array of ids, or null if the request doesn't set authors.
+//
+function getAuthorIds(body) {
+  if(!Array.isArray(body['author-ids'])) return null;
+
+  return body['author-ids']
+    .map(String)
+    .filter((id, index, ids) => id && ids.indexOf(id) === index);
+}
+
+//
+// Makes sure a user can be assigned to review posts. Only users who can publish can review.
+//
+//  req* (object) - The current request.
+//  id (string) - The user's id. An empty value means no one is assigned.
+//
+// Returns a promise that resolves with the user's id or null. Rejects with a validation error if
+// the user can't review posts.
+//
+function getReviewerId(req, id) {
+  const models = req.app.locals.Database.sequelize.models;
+
+  if(!id) return Promise.resolve(null);
+
+  return models.user
+    .findOne({
+      where: { id: id }
+    })
+    .then((user) => {
+      if(!user || !user.can('post.publish')) {
+        throw new Sequelize.ValidationError(null, [
+          new Sequelize.ValidationErrorItem('invalid_reviewer', 'invalid reviewer', 'reviewer-id', id)
+        ]);
+      }
+
+      return user.id;
+    });
+}
+
+//
+// Builds the error for a save that's based on an outdated copy of a post. The error includes a
+// comparison of the saved post and the changes that were rejected.
+//
+//  req* (object) - The current request.
+//  res* (object) - The current response.
+//  post* (object) - The post as it's currently saved.
+//
+// Returns a promise that resolves with the error.
+//
+function getConflictError(req, res, post) {
+  const models = req.app.locals.Database.sequelize.models;
+  let err = new Error('Conflict');
+  err.name = 'PostConflictError';
+  err.post = post;
+
+  return Promise
+    .all([
+      models.revision.getMetadata(post),
+      // The latest revision tells who saved the post last
+      models.revision.findOne({
+        where: { postId: post.id },
+        include: [{
+          model: models.user,
+          as: 'author',
+          attributes: { exclude: ['password', 'resetToken'] }
+        }],
+        order: [['createdAt', 'DESC']]
+      })
+    ])
+    .spread((metadata, revision) => {
+      let body = req.body;
+      let pick = (key, value) => typeof body[key] !== 'undefined' ? body[key] : value;
+
+      return PostDiff
+        .compare(req, {
+          title: post.title,
+          content: post.content,
+          metadata: metadata
+        }, {
+          title: pick('title', post.title),
+          content: pick('content', post.content),
+          metadata: Object.assign({}, metadata, {
+            image: pick('image', metadata.image),
+            metaTitle: pick('meta-title', metadata.metaTitle),
+            metaDescription: pick('meta-description', metadata.metaDescription),
+            template: pick('template', metadata.template),
+            tags: Array.isArray(body.tags) ? body.tags : metadata.tags
+          })
+        })
+        .then((diff) => {
+          err.diff = Object.assign({
+            before: { id: null, createdAt: post.updatedAt, author: revision ? revision.author : null, isCurrent: true },
+            after: { id: null, createdAt: new Date(), author: { id: req.User.id, name: req.User.name }, isUnsaved: true }
+          }, diff);
+        });
+    })
+    .then(() => {
+      return new Promise((resolve) => {
+        // Render the comparison
+        if(req.query.render === 'revisionComparison') {
+          res.app.render('admin/partials/revision_comparison', err.diff, (renderErr, html) => {
+            if(renderErr) throw new Error(renderErr);
+
+            err.html = html;
+            resolve(err);
+          });
+
+          return;
+        }
+
+        resolve(err);
+      });
+    });
+}
 
 //
 // Handles the validation error response for create and update
@@ -20,6 +146,16 @@ const Markdown = require(Path.join(__basedir, 'source/modules/markdown.js'));
 function handleErrorResponse(req, res, err) {
   const I18n = req.app.locals.I18n;
 
+  // The post has been saved since the changes were made
+  if(err.name === 'PostConflictError') {
+    return res.status(HttpCodes.CONFLICT).json({
+      message: I18n.term('someone_saved_this_post_while_you_were_editing_it'),
+      post: err.post,
+      diff: err.diff,
+      html: err.html
+    });
+  }
+
   // Foreign key constraint error
   if(err.name === 'SequelizeForeignKeyConstraintError') {
     return res.status(HttpCodes.BAD_REQUEST).json({
@@ -30,16 +166,18 @@ function handleErrorResponse(req, res, err) {
 
   // Unique constraint error
   if(err.name === 'SequelizeUniqueConstraintError') {
-    let message = I18n.term('this_field_is_invalid');
+    return req.app.locals.Trash.findConflict('post', err).then((trashed) => {
+      let message = I18n.term('this_field_is_invalid');
 
-    // Custom message based on field
-    if(err.fields.includes('slug')) {
-      message = I18n.term('this_slug_is_already_in_use');
-    }
+      // Custom message based on field
+      if(err.fields.includes('slug')) {
+        message = I18n.term(trashed ? 'this_slug_belongs_to_an_item_in_the_trash' : 'this_slug_is_already_in_use');
+      }
 
-    return res.status(HttpCodes.BAD_REQUEST).json({
-      message: message,
-      invalid: err.fields
+      res.status(HttpCodes.BAD_REQUEST).json({
+        message: message,
+        invalid: err.fields
+      });
     });
   }
 
@@ -66,7 +204,10 @@ module.exports = {
   //
   //  search (string) - Filter posts by search (default null).
   //  status (string) - Optional CSV of statuses to filter by (default null). Ex: 'draft,published'
+  //    Use 'scheduled' to include published posts that are waiting to go live.
   //  flag (string) - Optional CSV of flags to filter by (default null). Ex: 'isFeatured,isSticky'
+  //  needs-review (string) - Set to 'true' to only return pending posts that are assigned to you or
+  //    to no one.
   //  count (int) - The number of posts to return (default 100).
   //  offset (int) - The offset to return posts from (default 0).
   //  render (string) - Set to 'postItems' to return the rendered HTML from `partials/post_items.dust`.
@@ -87,13 +228,22 @@ module.exports = {
     let flag = typeof req.query.flag === 'string' ? req.query.flag.split(',') : null;
     let fetch;
 
-    // All posts for owners/admins/editors, only yours for contributors
-    if(!['owner', 'admin', 'editor'].includes(User.role)) {
+    // All posts for users who can edit others' posts, only yours for everyone else
+    if(!User.can('post.edit_others')) {
       where.userId = User.id;
     }
 
-    // Filter by status
-    if(status && status.length) where.status = { $in: status };
+    // Filter by status. Scheduled posts are published posts that are waiting to go live.
+    if(status && status.length) {
+      if(status.includes('scheduled') && !status.includes('published')) {
+        where.$or = [
+          { status: { $in: status } },
+          { status: 'published', isScheduled: true }
+        ];
+      } else {
+        where.status = { $in: status };
+      }
+    }
 
     // Filter by flag
     if(flag && flag.length) {
@@ -102,6 +252,14 @@ module.exports = {
       if(flag.includes('isSticky')) where.isSticky = 1;
     }
 
+    // Only posts waiting for your review
+    if(req.query['needs-review'] === 'true') {
+      where.$and = [
+        { status: 'pending' },
+        { $or: [{ reviewerId: User.id }, { reviewerId: null }] }
+      ];
+    }
+
     if(req.query.search) {
       // Search
       fetch = models.post.search(req.query.search, {
@@ -113,6 +271,11 @@ module.exports = {
             as: 'author',
             attributes: { exclude: ['password', 'resetToken'] }
           },
+          {
+            model: models.user,
+            as: 'reviewer',
+            attributes: ['id', 'name', 'username']
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -134,6 +297,11 @@ module.exports = {
               as: 'author',
               attributes: { exclude: ['password', 'resetToken'] }
             },
+            {
+              model: models.user,
+              as: 'reviewer',
+              attributes: ['id', 'name', 'username']
+            },
             {
               model: models.tag,
               through: { attributes: [] }, // exclude postTags
@@ -182,11 +350,97 @@ module.exports = {
       .catch((err) => next(err));
   },
 
+  //
+  // Gets a list of scheduled posts. A post is scheduled when it's published with a future publish
+  // date, and stays scheduled until the scheduler takes it live. Posts are ordered by the date
+  // they'll go live.
+  //
+  //  count (int) - The number of posts to return (default 100).
+  //  offset (int) - The offset to return posts from (default 0).
+  //  render (string) - Set to 'postItems' to return the rendered HTML from `partials/post_items.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  { totalItems: 100, posts: [] }
+  //  { totalItems: 100, posts: [], html: '' }
+  //
+  scheduled: function(req, res, next) {
+    const User = req.User;
+    const sequelize = req.app.locals.Database.sequelize;
+    const models = sequelize.models;
+    let count = parseInt(req.query.count) || 100;
+    let offset = parseInt(req.query.offset) || 0;
+    let where = {
+      status: 'published',
+      isScheduled: true
+    };
+
+    // All posts for users who can edit others' posts, only yours for everyone else
+    if(!User.can('post.edit_others')) {
+      where.userId = User.id;
+    }
+
+    models.post
+      .findAndCountAll({
+        distinct: true,
+        where: where,
+        include: [
+          {
+            model: models.user,
+            as: 'author',
+            attributes: { exclude: ['password', 'resetToken'] }
+          },
+          {
+            model: models.tag,
+            through: { attributes: [] }, // exclude postTags
+            where: null // also return posts that don't have tags
+          }
+        ],
+        limit: count,
+        offset: offset,
+        order: [
+          ['publishedAt', 'ASC'],
+          sequelize.fn('lower', sequelize.col('tags.name'))
+        ]
+      })
+      .then((result) => {
+        return new Promise((resolve) => {
+          // Render the post items and return the posts
+          if(req.query.render === 'postItems') {
+            // Render the partial
+            res.app.render('admin/partials/post_items', {
+              posts: result.rows
+            }, (err, html) => {
+              if(err) throw new Error(err);
+
+              resolve({
+                totalItems: result.count,
+                posts: result.rows,
+                html: html
+              });
+            });
+
+            return;
+          }
+
+          // Just return the posts
+          resolve({
+            totalItems: result.count,
+            posts: result.rows
+          });
+        });
+      })
+      .then((json) => res.json(json))
+      .catch((err) => next(err));
+  },
+
   //
   // Creates a post.
   //
   //  slug* (string) - The post's slug.
   //  user-id* (string) - The post author's id
+  //  author-ids (array) - The ids of all the post's authors in the order they should be listed.
+  //    The first one is the primary author and replaces user-id.
   //  published-at* (string) - The publish date in YYYY-MM-DD HH:mm:ss format
   //  title* (string) - The post's title.
   //  content* (string) - The post's content as HTML.
@@ -198,10 +452,14 @@ module.exports = {
   //  meta-description (string) - The post's meta description.
   //  template (string) - The name of the template the post should use (default null).
   //  status* (string) - The post status. Either 'draft', 'published', 'pending', or 'rejected'.
+  //  reviewer-id (string) - The id of the user who should review the post. Only users who can
+  //    publish can assign reviewers.
   //  is-page (int) - Set to true if the post is a page, false if not (default false).
   //  is-featured (int) - Set to true if the post is featured, false if not (default false).
   //  is-sticky (int) - Set to true if the post is sticky, false if not (default false).
   //  tags (array) - One or more tags to assign to the post.
+  //  fields (object) - Values for the custom fields the theme declares, e.g. { subtitle: '' }.
+  //    Fields that don't apply to the post's template are ignored.
   //
   // Returns a JSON response:
   //
@@ -212,24 +470,40 @@ module.exports = {
     const User = req.User;
     const Settings = req.app.locals.Settings;
     const models = req.app.locals.Database.sequelize.models;
+    let authorIds = getAuthorIds(req.body);
+    let fields;
     let post;
+    let reviewerId;
+
+    // The first author is the primary author
+    if(authorIds && authorIds.length) req.body['user-id'] = authorIds[0];
 
-    // All posts for owners/admins/editors, only yours for contributors
-    if(!['owner', 'admin', 'editor'].includes(User.role) && req.body['user-id'] !== User.id) {
+    // Only users who can edit others' posts can create posts for someone else
+    if(!User.can('post.edit_others') && req.body['user-id'] !== User.id) {
       res.status(HttpCodes.UNAUTHORIZED);
       return next('Unauthorized');
     }
 
-    // Contributors can't publish or reject posts
+    // Only users who can publish can publish or reject posts
     if(
-      !['owner', 'admin', 'editor'].includes(User.role) &&
+      !User.can('post.publish') &&
       ['published', 'rejected'].includes(req.body.status)
     ) {
       res.status(HttpCodes.UNAUTHORIZED);
       return next('Unauthorized');
     }
 
+    // Only users who can publish can assign reviewers
+    if(!User.can('post.publish') && req.body['reviewer-id']) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return next('Unauthorized');
+    }
+
     Promise.resolve()
+      .then(() => getReviewerId(req, req.body['reviewer-id']))
+      .then((result) => reviewerId = result)
+      .then(() => CustomFields.parse(req, 'post', req.body.fields, { template: req.body.template }))
+      .then((result) => fields = result)
       // Process content
       .then(() => {
         // Convert markdown to HTML and auto-embed text URLs
@@ -252,25 +526,14 @@ module.exports = {
           metaDescription: req.body['meta-description'],
           template: req.body.template,
           status: req.body.status || 'published',
+          reviewerId: reviewerId,
+          fields: fields,
           isPage: req.body['is-page'] === 'true',
           isFeatured: req.body['is-featured'] === 'true',
           isSticky: req.body['is-sticky'] === 'true'
         });
       })
-      // Create an initial revision
-      .then((result) => {
-        post = result;
-
-        return models.revision
-          .create({
-            postId: post.id,
-            userId: req.User.id,
-            revisionDate: Moment().format('YYYY-MM-DD HH:mm:ss'),
-            title: post.title,
-            content: post.content
-          })
-          .then(() => post);
-      })
+      .then((result) => post = result)
       // Assign tags to the post
       .then(() => {
         if(Array.isArray(req.body.tags)) {
@@ -283,8 +546,20 @@ module.exports = {
           return Promise.all(queue);
         }
       })
+      // Create an initial revision
+      .then(() => models.revision.createFromPost(post, req.User.id))
+      // Assign authors to the post
+      .then(() => models.postAuthor.setAuthors(post.id, authorIds && authorIds.length ? authorIds : [post.userId]))
+      .then(() => AuditLog.record(req, { action: 'create', targetType: 'post', target: post, after: post }))
+      // Start a review if the post was submitted
+      .then(() => {
+        let step = PostReview.getStep(undefined, post.status);
+        if(step) return PostReview.add(req, { post: post, type: step, message: req.body['review-message'] });
+      })
       // Send a response
       .then(() => {
+        req.app.locals.PageCache.invalidate(['posts', 'post:' + post.id]);
+
         res.json({
           post: post
         });
@@ -315,6 +590,12 @@ module.exports = {
             as: 'author',
             attributes: { exclude: ['password', 'resetToken'] }
           },
+          {
+            model: models.user,
+            as: 'authors',
+            attributes: { exclude: ['password', 'resetToken'] },
+            through: { attributes: ['sortOrder'] }
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -332,8 +613,8 @@ module.exports = {
           throw new Error('Post Not Found');
         }
 
-        // All posts for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && post.userId !== User.id) {
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!User.can('post.edit_others') && post.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
@@ -349,7 +630,9 @@ module.exports = {
   // Updates a post.
   //
   //  slug (string) - The post's slug.
-  //  user-id (string) - The post author's id
+  //  user-id (string) - The post author's id. Co-authors are kept.
+  //  author-ids (array) - The ids of all the post's authors in the order they should be listed.
+  //    The first one is the primary author and replaces user-id.
   //  published-at (string) - The publish date in YYYY-MM-DD HH:mm:ss format
   //  title (string) - The post's title.
   //  content (string) - The post's content as HTML.
@@ -358,21 +641,39 @@ module.exports = {
   //  meta-description (string) - The post's meta description.
   //  template (string) - The name of the template the post should use.
   //  status (string) - The post status. Either 'draft', 'published', 'pending', or 'rejected'.
+  //  review-message (string) - A note for the review thread when the status changes, e.g. the
+  //    reason for a rejection.
+  //  reviewer-id (string) - The id of the user who should review the post, or an empty string to
+  //    unassign. Only users who can publish can assign reviewers.
   //  is-page (int) - Set to true if the post is a page, false if not.
   //  is-featured (int) - Set to true if the post is featured, false if not.
   //  is-sticky (int) - Set to true if the post is sticky, false if not.
   //  tags (array) - One or more tags to assign to the post.
+  //  fields (object) - Values for the custom fields the theme declares, e.g. { subtitle: '' }.
+  //    Fields that don't apply to the post's template are ignored.
+  //  updated-at (string) - When the post was last saved before the changes were made. If the post
+  //    has been saved since, nothing is changed and a Conflict response is returned.
+  //  render (string) - Set to 'revisionComparison' to include the rendered HTML from
+  //    `admin/partials/revision_comparison.dust` in Conflict responses. This is a query parameter.
   //
   // Returns a JSON response:
   //
   //  { post: {} }
   //  { message: '', invalid: [] }
+  //  { message: '', post: {}, diff: {}, html: '' }
   //
-  update: function(req, res, next) {
+  update: function(req, res) {
     const User = req.User;
     const Settings = req.app.locals.Settings;
     const models = req.app.locals.Database.sequelize.models;
+    let authorIds = getAuthorIds(req.body);
+    let updatedAt = req.body['updated-at'] ? new Date(req.body['updated-at']) : null;
     let post;
+    let before;
+    let reviewerId;
+
+    // The first author is the primary author
+    if(authorIds && authorIds.length) req.body['user-id'] = authorIds[0];
 
     // Fetch the post
     models.post
@@ -382,7 +683,17 @@ module.exports = {
         }
       })
       .then((result) => {
+        // Only users who can publish can assign reviewers
+        if(!User.can('post.publish') && typeof req.body['reviewer-id'] !== 'undefined') {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        return getReviewerId(req, req.body['reviewer-id']).then((id) => [result, id]);
+      })
+      .spread((result, id) => {
         post = result;
+        reviewerId = id;
 
         // Not found
         if(!post) {
@@ -390,16 +701,23 @@ module.exports = {
           throw new Error('Post Not Found');
         }
 
-        // All posts for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && post.userId !== User.id) {
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!User.can('post.edit_others') && post.userId !== User.id) {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        // Users who can't edit others' posts must stay the primary author
+        if(!User.can('post.edit_others') && authorIds && authorIds.length && authorIds[0] !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
 
-        // Contributors can't publish or reject posts unless the post is already published/rejected
+        // Users who can't publish can't publish or reject posts unless the post is already
+        // published/rejected
         if(
-          // Not an owner/admin/editor
-          !['owner', 'admin', 'editor'].includes(User.role) &&
+          // Can't publish
+          !User.can('post.publish') &&
           // A status is set
           typeof req.body.status !== 'undefined' &&
           // The new status is rejected or published and doesn't match the old status
@@ -409,6 +727,16 @@ module.exports = {
           throw new Error('Unauthorized');
         }
 
+        // Reject changes made to an outdated copy of the post
+        if(updatedAt && new Date(post.updatedAt).getTime() > updatedAt.getTime()) {
+          return getConflictError(req, res, post).then((err) => {
+            throw err;
+          });
+        }
+      })
+      .then(() => {
+        before = AuditLog.snapshot(post);
+
         // Set fields
         if(typeof req.body.slug !== 'undefined') post.slug = req.body.slug;
         if(typeof req.body['user-id'] !== 'undefined') post.userId = req.body['user-id'];
@@ -422,22 +750,22 @@ module.exports = {
         if(typeof req.body['meta-description'] !== 'undefined') post.metaDescription = req.body['meta-description'];
         if(typeof req.body.template !== 'undefined') post.template = req.body.template;
         if(typeof req.body.status !== 'undefined') post.status = req.body.status;
+        if(typeof req.body['reviewer-id'] !== 'undefined') post.reviewerId = reviewerId;
         if(typeof req.body['is-page'] !== 'undefined') post.isPage = req.body['is-page'] === 'true';
         if(typeof req.body['is-featured'] !== 'undefined') post.isFeatured = req.body['is-featured'] === 'true';
         if(typeof req.body['is-sticky'] !== 'undefined') post.isSticky = req.body['is-sticky'] === 'true';
 
-        // Update the post
-        return post.save();
-      })
-      // Create a revision
-      .then(() => {
-        return models.revision.create({
-          postId: post.id,
-          userId: req.User.id,
-          revisionDate: Moment().format('YYYY-MM-DD HH:mm:ss'),
-          title: post.title,
-          content: post.content
-        });
+        // Custom fields depend on the post's template, so they're set last
+        if(typeof req.body.fields === 'undefined') return post.save();
+
+        return CustomFields
+          .parse(req, 'post', req.body.fields, { current: post.fields, template: post.template })
+          .then((fields) => {
+            post.fields = fields;
+
+            // Update the post
+            return post.save();
+          });
       })
       // Update tags
       .then(() => {
@@ -458,17 +786,59 @@ module.exports = {
             });
         }
       })
+      // Create a revision
+      .then(() => models.revision.createFromPost(post, req.User.id))
+      // The saved post replaces the user's autosave
+      .then(() => models.autosave.discard(post.id, req.User.id))
+      // Update authors
+      .then(() => {
+        if(authorIds && authorIds.length) {
+          return models.postAuthor.setAuthors(post.id, authorIds);
+        }
+
+        // Keep co-authors when only the primary author changes
+        if(typeof req.body['user-id'] !== 'undefined') {
+          return models.postAuthor
+            .findAll({
+              where: { postId: post.id },
+              order: [['sortOrder', 'ASC']]
+            })
+            .then((postAuthors) => {
+              // The previous primary author is replaced, not kept as a co-author
+              let coauthorIds = postAuthors
+                .map((postAuthor) => postAuthor.userId)
+                .filter((id) => id !== post.userId && id !== before.userId);
+
+              return models.postAuthor.setAuthors(post.id, [post.userId].concat(coauthorIds));
+            });
+        }
+      })
+      .then(() => AuditLog.record(req, { action: 'update', targetType: 'post', target: post, before: before, after: post }))
+      // Add status changes to the review thread and notify a newly assigned reviewer
+      .then(() => {
+        let step = PostReview.getStep(before.status, post.status);
+
+        if(step) {
+          return PostReview.add(req, { post: post, type: step, message: req.body['review-message'] });
+        }
+
+        if(post.status === 'pending' && post.reviewerId && post.reviewerId !== before.reviewerId) {
+          return PostReview.notify(req, post, { type: 'submit' });
+        }
+      })
       // Send a response
       .then(() => {
+        req.app.locals.PageCache.invalidate(['posts', 'post:' + post.id]);
+
         res.json({
           post: post
         });
       })
-      .catch(() => handleErrorResponse(req, res, next));
+      .catch((err) => handleErrorResponse(req, res, err));
   },
 
   //
-  // Deletes a post
+  // Moves a post to the trash
   //
   // Returns a JSON response:
   //
@@ -494,16 +864,20 @@ module.exports = {
           }
         }
 
-        // All posts for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && post.userId !== User.id) {
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!User.can('post.edit_others') && post.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
 
-        // Delete the post
-        return post.destroy();
+        // Move the post to the trash
+        return req.app.locals.Trash.add('post', post)
+          .then(() => AuditLog.record(req, { action: 'trash', targetType: 'post', target: post }));
+      })
+      .then(() => {
+        req.app.locals.PageCache.invalidate(['posts', 'post:' + req.params.id]);
+        res.json({ deleted: true });
       })
-      .then(() => res.json({ deleted: true }))
       .catch((err) => next(err.message));
   },
 
@@ -605,8 +979,8 @@ module.exports = {
           }
         }
 
-        // All posts for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && post.userId !== User.id) {
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!User.can('post.edit_others') && post.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
@@ -629,6 +1003,25 @@ module.exports = {
           if(typeof customPostData['is-featured'] !== 'undefined') post.isFeatured = customPostData['is-featured'] === true;
           if(typeof customPostData['is-sticky'] !== 'undefined') post.isSticky = customPostData['is-sticky'] === true;
 
+          // Preview custom fields without validating them
+          if(typeof customPostData.fields === 'object') {
+            queue.push(
+              CustomFields.getDefinitions(req, 'post').then((definitions) => {
+                let values = post.fields;
+
+                definitions.forEach((field) => {
+                  try {
+                    values = CustomFields.merge([field], values, customPostData.fields);
+                  } catch(err) {
+                    // Skip invalid values
+                  }
+                });
+
+                post.fields = values;
+              })
+            );
+          }
+
           // Override author
           if(typeof customPostData['user-id'] !== 'undefined') {
             queue.push(
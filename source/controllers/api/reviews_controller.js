@@ -0,0 +1,142 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const PostReview = require(Path.join(__basedir, 'source/modules/post_review.js'));
+
+module.exports = {
+
+  //
+  // Gets a post's review thread, oldest first.
+  //
+  //  postId* (string) - The post's id.
+  //  render (string) - Set to 'reviewThread' to return the rendered HTML from
+  //    `admin/partials/review_thread.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  { totalItems: 100, reviews: [] }
+  //  { totalItems: 100, reviews: [], html: '' }
+  //
+  index: function(req, res, next) {
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+
+    // Fetch reviews
+    models.review
+      .findAndCountAll({
+        distinct: true,
+        where: {
+          postId: req.query.postId || null
+        },
+        include: [
+          {
+            model: models.post,
+            attributes: ['id', 'userId'],
+            // All reviews for users who can edit others' posts, only reviews of your posts for
+            // everyone else
+            where: User.can('post.edit_others') ? undefined : { userId: User.id }
+          },
+          {
+            model: models.user,
+            as: 'author',
+            attributes: { exclude: ['password', 'resetToken'] }
+          }
+        ],
+        order: [
+          ['createdAt', 'ASC']
+        ]
+      })
+      .then((result) => {
+        return new Promise((resolve) => {
+          // Render the review thread and return the reviews
+          if(req.query.render === 'reviewThread') {
+            // Render the partial
+            res.app.render('admin/partials/review_thread', {
+              reviews: result.rows
+            }, (err, html) => {
+              if(err) throw new Error(err);
+
+              resolve({
+                totalItems: result.count,
+                reviews: result.rows,
+                html: html
+              });
+            });
+
+            return;
+          }
+
+          // Just return the reviews
+          resolve({
+            totalItems: result.count,
+            reviews: result.rows
+          });
+        });
+      })
+      .then((json) => res.json(json))
+      .catch((err) => next(err));
+  },
+
+  //
+  // Adds a comment to a post's review thread.
+  //
+  //  post-id* (string) - The post's id.
+  //  message* (string) - The comment.
+  //
+  // Returns a JSON response:
+  //
+  //  { review: {} }
+  //  { message: '', invalid: [] }
+  //
+  create: function(req, res, next) {
+    const I18n = req.app.locals.I18n;
+    const User = req.User;
+    const models = req.app.locals.Database.sequelize.models;
+
+    if(typeof req.body.message !== 'string' || !req.body.message.trim()) {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term('this_field_cannot_be_empty'),
+        invalid: ['message']
+      });
+    }
+
+    // Fetch the post
+    models.post
+      .findOne({
+        where: {
+          id: req.body['post-id']
+        }
+      })
+      .then((post) => {
+        // Not found
+        if(!post) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('Post Not Found');
+        }
+
+        // All posts for users who can edit others' posts, only yours for everyone else
+        if(!User.can('post.edit_others') && post.userId !== User.id) {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        return PostReview.add(req, {
+          post: post,
+          type: 'comment',
+          message: req.body.message
+        });
+      })
+      .then((review) => {
+        res.json({
+          review: review
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
@@ -5,6 +5,61 @@ const HttpCodes = require('http-codes');
 const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const PostDiff = require(Path.join(__basedir, 'source/modules/post_diff.js'));
+
+//
+// Fetches a revision and its post.
+//
+//  req* (object) - The request.
+//  res* (object) - The response.
+//  id* (string) - The revision's id.
+//
+// Returns a promise that resolves with the revision. The promise is rejected if the revision
+// doesn't exist or the current user can't access it.
+//
+function fetchRevision(req, res, id) {
+  const User = req.User;
+  const models = req.app.locals.Database.sequelize.models;
+
+  return models.revision
+    .findOne({
+      where: {
+        id: id
+      },
+      include: [
+        {
+          model: models.post
+        },
+        {
+          model: models.user,
+          as: 'author',
+          attributes: { exclude: ['password', 'resetToken'] }
+        }
+      ]
+    })
+    .then((revision) => {
+      // Not found
+      if(!revision) {
+        res.status(HttpCodes.NOT_FOUND);
+        throw new Error('Revision Not Found');
+      }
+
+      // All revisions for users who can edit others' posts, only revisions to your posts for
+      // everyone else
+      if(
+        !User.can('post.edit_others') &&
+        revision.post.userId !== User.id
+      ) {
+        res.status(HttpCodes.UNAUTHORIZED);
+        throw new Error('Unauthorized');
+      }
+
+      return revision;
+    });
+}
+
 module.exports = {
 
   //
@@ -43,10 +98,9 @@ module.exports = {
         include: [
           {
             model: models.post,
-            // All revisions for owners/admins/editors, only revisions to your posts for
-            // contributors
-            where: ['owner', 'admin', 'editor']
-              .includes(User.role) ? undefined : { userId: User.id }
+            // All revisions for users who can edit others' posts, only revisions to your posts for
+            // everyone else
+            where: User.can('post.edit_others') ? undefined : { userId: User.id }
           },
           {
             model: models.user,
@@ -136,9 +190,10 @@ module.exports = {
           throw new Error('Revision Not Found');
         }
 
-        // All revisions for owners/admins/editors, only revisions to your posts for contributors
+        // All revisions for users who can edit others' posts, only revisions to your posts for
+        // everyone else
         if(
-          !['owner', 'admin', 'editor'].includes(User.role) &&
+          !User.can('post.edit_others') &&
           revision.post.userId !== User.id
         ) {
           res.status(HttpCodes.UNAUTHORIZED);
@@ -191,9 +246,10 @@ module.exports = {
           throw new Error('Revision Not Found');
         }
 
-        // All revisions for owners/admins/editors, only revisions to your posts for contributors
+        // All revisions for users who can edit others' posts, only revisions to your posts for
+        // everyone else
         if(
-          !['owner', 'admin', 'editor'].includes(User.role) &&
+          !User.can('post.edit_others') &&
           revision.post.userId !== User.id
         ) {
           res.status(HttpCodes.UNAUTHORIZED);
@@ -201,12 +257,209 @@ module.exports = {
         }
 
         // Delete it
-        return revision.destroy();
+        return revision.destroy().then(() => {
+          return AuditLog.record(req, {
+            action: 'delete',
+            targetType: 'revision',
+            target: revision,
+            before: {
+              postId: revision.postId,
+              revisionDate: revision.revisionDate,
+              title: revision.title
+            }
+          });
+        });
       })
       .then(() => res.json({ deleted: true }))
       .catch((err) => next(err.message));
   },
 
+  //
+  // Compares a revision to another revision of the same post or to the post as it is now. The older
+  // version is always shown first.
+  //
+  //  against (string) - The id of the revision to compare to. If omitted, the revision is compared
+  //    to the current post.
+  //  render (string) - Set to 'revisionComparison' to return the rendered HTML from
+  //    `admin/partials/revision_comparison.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  {
+  //    before: { id: '', createdAt: '', author: {}, isCurrent: false },
+  //    after: { id: null, createdAt: '', author: null, isCurrent: true },
+  //    title: { before: '', after: '', changed: true },
+  //    content: { before: '', after: '', changed: true },
+  //    metadata: [{ key: '', label: '', before: '', after: '' }]
+  //  }
+  //  { ..., html: '' }
+  //
+  // Title and content are returned as HTML. Removed words are wrapped in <del> and added words are
+  // wrapped in <ins>.
+  //
+  diff: function(req, res, next) {
+    const models = req.app.locals.Database.sequelize.models;
+    let revision;
+
+    fetchRevision(req, res, req.params.id)
+      .then((result) => {
+        revision = result;
+
+        // Compare to another revision
+        if(req.query.against) {
+          return fetchRevision(req, res, req.query.against).then((other) => {
+            if(other.postId !== revision.postId) {
+              res.status(HttpCodes.BAD_REQUEST);
+              throw new Error('Revisions must belong to the same post.');
+            }
+
+            return other;
+          });
+        }
+
+        // Compare to the current post
+        return models.revision.getMetadata(revision.post).then((metadata) => {
+          return {
+            id: null,
+            createdAt: revision.post.updatedAt,
+            author: null,
+            title: revision.post.title,
+            content: revision.post.content,
+            metadata: metadata,
+            isCurrent: true
+          };
+        });
+      })
+      .then((other) => {
+        let versions = [revision, other];
+
+        // Show the older version first
+        if(!other.isCurrent && new Date(other.createdAt) < new Date(revision.createdAt)) {
+          versions.reverse();
+        }
+
+        let before = versions[0];
+        let after = versions[1];
+
+        return PostDiff.compare(req, before, after).then((diff) => {
+          let describe = (version) => {
+            return {
+              id: version.id,
+              createdAt: version.createdAt,
+              author: version.author,
+              isCurrent: !!version.isCurrent
+            };
+          };
+
+          return Object.assign({
+            before: describe(before),
+            after: describe(after)
+          }, diff);
+        });
+      })
+      .then((json) => {
+        return new Promise((resolve) => {
+          // Render the comparison
+          if(req.query.render === 'revisionComparison') {
+            res.app.render('admin/partials/revision_comparison', json, (err, html) => {
+              if(err) throw new Error(err);
+
+              resolve(Object.assign(json, { html: html }));
+            });
+
+            return;
+          }
+
+          resolve(json);
+        });
+      })
+      .then((json) => res.json(json))
+      .catch((err) => next(err));
+  },
+
+  //
+  // Restores a post to a revision. History is kept intact: the restored version is saved as a new
+  // revision. Revisions made before post settings were captured only restore the title and content.
+  //
+  // Returns a JSON response:
+  //
+  //  { post: {}, revision: {} }
+  //
+  restore: function(req, res, next) {
+    const models = req.app.locals.Database.sequelize.models;
+    let revision;
+    let post;
+    let before;
+
+    fetchRevision(req, res, req.params.id)
+      .then((result) => {
+        revision = result;
+        post = revision.post;
+        before = AuditLog.snapshot(post);
+
+        let metadata = revision.metadata;
+
+        post.title = revision.title;
+        post.content = revision.content;
+
+        if(metadata) {
+          post.image = metadata.image;
+          post.metaTitle = metadata.metaTitle;
+          post.metaDescription = metadata.metaDescription;
+          post.template = metadata.template;
+          post.fields = metadata.fields;
+        }
+
+        return post.save();
+      })
+      // Restore tags
+      .then(() => {
+        let metadata = revision.metadata;
+
+        if(metadata && Array.isArray(metadata.tags)) {
+          return models.tag
+            // Skip tags that have been deleted since
+            .findAll({
+              where: { id: metadata.tags },
+              attributes: ['id']
+            })
+            .then((tags) => {
+              return models.postTags
+                .destroy({
+                  where: { postId: post.id }
+                })
+                .then(() => Promise.mapSeries(tags, (tag) => {
+                  return models.postTags.create({ postId: post.id, tagId: tag.id });
+                }));
+            });
+        }
+      })
+      // Save the restored version as a new revision
+      .then(() => models.revision.createFromPost(post, req.User.id))
+      // The restored post replaces the user's autosave
+      .then((result) => models.autosave.discard(post.id, req.User.id).then(() => result))
+      .then((result) => {
+        return AuditLog
+          .record(req, {
+            action: 'restore',
+            targetType: 'post',
+            target: post,
+            before: before,
+            after: post
+          })
+          .then(() => result);
+      })
+      .then((result) => {
+        req.app.locals.PageCache.invalidate(['posts', 'post:' + post.id]);
+
+        res.json({
+          post: post,
+          revision: result
+        });
+      })
+      .catch((err) => next(err));
+  },
+
   //
   // Renders a revision preview. Previews are rendered without any session context.
   //
@@ -232,9 +485,10 @@ module.exports = {
       })
       // Render the preview
       .then((revision) => {
-        // All revisions for owners/admins/editors, only revisions to your posts for contributors
+        // All revisions for users who can edit others' posts, only revisions to your posts for
+        // everyone else
         if(
-          !['owner', 'admin', 'editor'].includes(User.role) &&
+          !User.can('post.edit_others') &&
           revision.post.userId !== User.id
         ) {
           res.status(HttpCodes.UNAUTHORIZED);
@@ -243,10 +497,21 @@ module.exports = {
 
         // Hand the request off to the post preview controller
         req.params = { id: revision.postId };
-        req.body.post = JSON.stringify({
-          title: revision.title,
-          content: revision.content
-        });
+        req.body.post = JSON.stringify(Object.assign(
+          {
+            title: revision.title,
+            content: revision.content
+          },
+          // Include the post's settings if the revision captured them
+          revision.metadata ? {
+            image: revision.metadata.image,
+            'meta-title': revision.metadata.metaTitle,
+            'meta-description': revision.metadata.metaDescription,
+            template: revision.metadata.template,
+            tags: revision.metadata.tags,
+            fields: revision.metadata.fields
+          } : {}
+        ));
 
         return PostsController.preview(req, res, next);
       })
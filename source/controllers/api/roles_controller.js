@@ -0,0 +1,196 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const Slug = require(Path.join(__basedir, 'source/modules/slug.js'));
+
+//
+// Handles the validation error response for create and update.
+//
+function handleErrorResponse(req, res, next, err) {
+  const I18n = req.app.locals.I18n;
+
+  if(err.name === 'SequelizeValidationError') {
+    return res.status(HttpCodes.BAD_REQUEST).json({
+      message: I18n.term(err.errors[0].message),
+      invalid: [err.errors[0].path]
+    });
+  }
+
+  next(err);
+}
+
+//
+// Fetches a custom role. Built-in roles can't be changed, so they're treated as unauthorized.
+//
+// Returns a promise that resolves with the role from the :id request param.
+//
+function getRole(req, res) {
+  const models = req.app.locals.Database.sequelize.models;
+  const Permissions = req.app.locals.Permissions;
+
+  return models.role
+    .findOne({
+      where: {
+        id: req.params.id
+      }
+    })
+    .then((role) => {
+      if(!role) {
+        let isBuiltIn = Permissions.isRole(req.params.id);
+
+        res.status(isBuiltIn ? HttpCodes.UNAUTHORIZED : HttpCodes.NOT_FOUND);
+        throw new Error(isBuiltIn ? 'Unauthorized' : 'Role Not Found');
+      }
+
+      return role;
+    });
+}
+
+module.exports = {
+
+  //
+  // Gets all roles and the capabilities that can be granted to custom roles.
+  //
+  // Returns a JSON response:
+  //
+  //  { roles: [], capabilities: [] }
+  //
+  index: (req, res) => {
+    const I18n = req.app.locals.I18n;
+    const Permissions = req.app.locals.Permissions;
+
+    res.json({
+      roles: Permissions.getRoles(I18n),
+      capabilities: Permissions.getCapabilities()
+    });
+  },
+
+  //
+  // Creates a custom role. The role's id is generated from its name.
+  //
+  //  name* (string) - The role's name.
+  //  capabilities (array) - The capabilities to grant, e.g. ['post.publish', 'tag.manage'].
+  //
+  // Returns a JSON response:
+  //
+  //  { role: {} }
+  //  { message: '', invalid: [] }
+  //
+  create: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const models = req.app.locals.Database.sequelize.models;
+    const Permissions = req.app.locals.Permissions;
+    let id = Slug(req.body.name);
+
+    // The name must contain something to generate an id from
+    if(!id) {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term(req.body.name ? 'this_field_is_invalid' : 'this_field_cannot_be_empty'),
+        invalid: ['name']
+      });
+    }
+
+    // Names must be unique, including the built-in roles
+    if(Permissions.isRole(id)) {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term('a_role_with_this_name_already_exists'),
+        invalid: ['name']
+      });
+    }
+
+    models.role
+      .build({
+        id: id,
+        name: req.body.name
+      })
+      .setCapabilities(req.body.capabilities)
+      .save()
+      .then((role) => {
+        return AuditLog.record(req, { action: 'create', targetType: 'role', target: role, after: role }).then(() => role);
+      })
+      .then((role) => {
+        return Permissions.load(models).then(() => {
+          res.json({
+            role: role
+          });
+        });
+      })
+      .catch((err) => handleErrorResponse(req, res, next, err));
+  },
+
+  //
+  // Updates a custom role.
+  //
+  //  id* (string) - The role's id.
+  //  name (string) - The role's name.
+  //  capabilities (array) - The capabilities to grant. Capabilities that aren't included are revoked.
+  //
+  // Returns a JSON response:
+  //
+  //  { role: {} }
+  //  { message: '', invalid: [] }
+  //
+  update: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+    const Permissions = req.app.locals.Permissions;
+    let before;
+
+    getRole(req, res)
+      .then((role) => {
+        before = AuditLog.snapshot(role);
+
+        if(typeof req.body.name !== 'undefined') role.name = req.body.name;
+        if(typeof req.body.capabilities !== 'undefined') role.setCapabilities(req.body.capabilities);
+
+        return role.save();
+      })
+      .then((role) => {
+        return AuditLog.record(req, { action: 'update', targetType: 'role', target: role, before: before, after: role })
+          .then(() => role);
+      })
+      .then((role) => {
+        return Permissions.load(models).then(() => {
+          res.json({
+            role: role
+          });
+        });
+      })
+      .catch((err) => handleErrorResponse(req, res, next, err));
+  },
+
+  //
+  // Deletes a custom role. Users who had the role become contributors, including those in the trash.
+  //
+  //  id* (string) - The role's id.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+    const Permissions = req.app.locals.Permissions;
+
+    getRole(req, res)
+      .then((role) => {
+        return models.user
+          // Users in the trash would otherwise keep a role that no longer exists
+          .update({ role: 'contributor' }, { where: { role: role.id }, paranoid: false })
+          .then(() => role.destroy())
+          .then(() => AuditLog.record(req, { action: 'delete', targetType: 'role', target: role, before: role }));
+      })
+      .then(() => Permissions.load(models))
+      .then(() => {
+        res.json({
+          deleted: true
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
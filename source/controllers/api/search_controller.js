@@ -79,7 +79,7 @@ module.exports = {
     });
 
     // Search users
-    if(['owner', 'admin'].includes(User.role)) {
+    if(User.can('user.manage')) {
       queue.push(
         models.user.search(req.query.search, { limit: maxResults })
           .then((users) => {
@@ -101,7 +101,7 @@ module.exports = {
     }
 
     // Search tags
-    if(['owner', 'admin', 'editor'].includes(User.role)) {
+    if(User.can('tag.manage')) {
       queue.push(
         models.tag.search(req.query.search, { limit: maxResults })
           .then((tags) => {
@@ -126,8 +126,8 @@ module.exports = {
     queue.push(
       models.post.search(req.query.search, {
         where: {
-          // Show all posts for owners/admins/editors, only yours for contributors
-          userId: ['owner', 'admin', 'editor'].includes(User.role) ? undefined : User.id
+          // Show all posts for users who can edit others' posts, only yours for everyone else
+          userId: User.can('post.edit_others') ? undefined : User.id
         },
         limit: maxResults
       })
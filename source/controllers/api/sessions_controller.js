@@ -0,0 +1,124 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const ManagedUser = require(Path.join(__basedir, 'source/modules/managed_user.js'));
+
+module.exports = {
+
+  //
+  // Gets a user's active sessions, most recently used first.
+  //
+  //  id* (string) - A user id.
+  //
+  // Returns a JSON response:
+  //
+  //  { sessions: [] }
+  //
+  // Each session has a `current` property that's true for the session making the request.
+  //
+  index: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    ManagedUser.fetch(req, res)
+      .then((user) => {
+        return models.session.findAll({
+          where: {
+            userId: user.id,
+            expiresAt: { $gt: new Date() }
+          },
+          order: [['lastSeenAt', 'DESC']]
+        });
+      })
+      .then((sessions) => {
+        res.json({
+          sessions: sessions.map((session) => {
+            return Object.assign(session.toJSON(), {
+              current: !!req.Session && req.Session.id === session.id
+            });
+          })
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Signs a user out everywhere by revoking all of their sessions.
+  //
+  //  id* (string) - A user id.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  // If the current session is revoked, the authToken cookie will be removed in supportive clients.
+  //
+  deleteAll: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    ManagedUser.fetch(req, res)
+      .then((user) => models.session.revokeAll(user.id).then(() => user))
+      .then((user) => {
+        return AuditLog.record(req, { action: 'revoke_sessions', targetType: 'user', target: user }).then(() => user);
+      })
+      .then((user) => {
+        // The current session was revoked too
+        if(user.id === req.User.id) {
+          res.cookie('authToken', '', { expires: new Date() });
+        }
+
+        res.json({
+          deleted: true
+        });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Revokes one of a user's sessions.
+  //
+  //  id* (string) - A user id.
+  //  sessionId* (string) - The session's id.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: (req, res, next) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    ManagedUser.fetch(req, res)
+      .then((user) => {
+        return models.session.findOne({
+          where: {
+            id: req.params.sessionId,
+            userId: user.id
+          }
+        });
+      })
+      .then((session) => {
+        if(!session) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('Session Not Found');
+        }
+
+        return session.destroy()
+          .then(() => AuditLog.record(req, { action: 'delete', targetType: 'session', target: session, before: session }));
+      })
+      .then(() => {
+        if(req.Session && req.Session.id === req.params.sessionId) {
+          res.cookie('authToken', '', { expires: new Date() });
+        }
+
+        res.json({
+          deleted: true
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
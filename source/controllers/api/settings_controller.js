@@ -6,6 +6,9 @@ const HttpCodes = require('http-codes');
 const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+
 module.exports = {
 
   //
@@ -38,10 +41,19 @@ module.exports = {
   //  default-post-content (string) - The default content to use for posts.
   //  head-code (string) - Code to inject into {@head/}.
   //  foot-code (string) - Code to inject into {@foot/}.
+  //  backup-frequency (string) - How often to make automatic backups: never, hourly, daily, or weekly.
+  //  backup-path (string) - The folder to store automatic backups in, relative to the Postleaf root.
+  //    It must be inside the data folder.
+  //  backup-copies (int) - The number of automatic backups to keep.
+  //  trash-retention (int) - The number of days to keep items in the trash. Use 0 to keep them until
+  //    they're deleted by hand.
+  //  two-factor-roles (array) - Roles that must use two-factor authentication. Requires the
+  //    security.manage capability, which only the owner has.
   //
   // Returns a JSON response:
   //
   //  { settings: {} }
+  //  { message: '', invalid: [] }
   //
   update: (req, res, next) => {
     const I18n = req.app.locals.I18n;
@@ -78,6 +90,43 @@ module.exports = {
     if(typeof req.body['head-code'] !== 'undefined') settings.headCode = req.body['head-code'];
     if(typeof req.body['foot-code'] !== 'undefined') settings.footCode = req.body['foot-code'];
 
+    // Backups
+    if(typeof req.body['backup-frequency'] !== 'undefined') {
+      settings.backupFrequency = req.body['backup-frequency'];
+    }
+    if(typeof req.body['backup-path'] !== 'undefined') {
+      settings.backupPath = req.body['backup-path'] || 'data/backups';
+
+      // Backups contain secrets, so they can't be stored where they might be served publicly
+      if(!req.app.locals.BackupScheduler.resolvePath(settings.backupPath)) {
+        return res.status(HttpCodes.BAD_REQUEST).json({
+          message: I18n.term('backups_must_be_stored_in_the_data_folder'),
+          invalid: ['backup-path']
+        });
+      }
+    }
+    if(typeof req.body['backup-copies'] !== 'undefined') {
+      settings.backupCopies = Math.max(1, parseInt(req.body['backup-copies']) || 7);
+    }
+
+    // Trash
+    if(typeof req.body['trash-retention'] !== 'undefined') {
+      let days = parseInt(req.body['trash-retention']);
+      settings.trashRetention = isNaN(days) ? 30 : Math.max(0, days);
+    }
+
+    // Security
+    if(typeof req.body['two-factor-roles'] !== 'undefined') {
+      if(!req.User.can('security.manage')) {
+        res.status(HttpCodes.UNAUTHORIZED);
+        return next('Unauthorized');
+      }
+
+      settings.twoFactorRoles = [].concat(req.body['two-factor-roles'])
+        .filter((role) => req.app.locals.Permissions.isRole(role))
+        .join(',');
+    }
+
     // Update the database
     let queue = [];
     for(let key in settings) {
@@ -86,6 +135,14 @@ module.exports = {
 
     // Wait for all rows to update
     Promise.all(queue)
+      .then(() => {
+        return AuditLog.record(req, {
+          action: 'update',
+          targetType: 'settings',
+          before: req.app.locals.Settings,
+          after: settings
+        });
+      })
       // Update locals
       .then(() => req.app.locals.Settings = settings)
       // Update view folders
@@ -97,6 +154,10 @@ module.exports = {
       })
       // Reload i18n
       .then(() => I18n.load(settings.language))
+      // Reschedule automatic backups
+      .then(() => req.app.locals.BackupScheduler.refresh())
+      // Settings affect every page
+      .then(() => req.app.locals.PageCache.clear())
       // Send the response
       .then(() => {
         res.json({
@@ -0,0 +1,54 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+
+module.exports = {
+
+  //
+  // Generates a static copy of the website.
+  //
+  //  post-ids (string|array) - Only regenerate pages affected by these posts. Omit to generate the
+  //    entire website.
+  //
+  // Returns a JSON response:
+  //
+  //  { message: '', report: { pages, images, files, removed } }
+  //  { message: '' }
+  //
+  generate: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const StaticSite = req.app.locals.StaticSite;
+    let postIds = req.body['post-ids'] || [];
+
+    if(!Array.isArray(postIds)) postIds = String(postIds).split(',');
+    postIds = postIds.map((id) => String(id).trim()).filter((id) => id.length);
+
+    if(StaticSite.isGenerating) {
+      return res.status(HttpCodes.CONFLICT).json({
+        message: I18n.term('the_website_is_already_being_generated')
+      });
+    }
+
+    StaticSite.generate({ postIds: postIds })
+      .then((report) => {
+        return AuditLog.record(req, {
+          action: 'generate',
+          targetType: 'website',
+          after: postIds.length ? { postIds: postIds } : null
+        }).then(() => report);
+      })
+      .then((report) => {
+        res.json({
+          message: I18n.term('the_static_website_has_been_generated'),
+          report: report
+        });
+      })
+      .catch((err) => next(err));
+  }
+
+};
@@ -2,8 +2,13 @@
 
 // Node modules
 const HttpCodes = require('http-codes');
+const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+
 //
 // Handles the validation error response for create and update
 //
@@ -12,16 +17,18 @@ function handleErrorResponse(req, res, err) {
 
   // Unique constraint error
   if(err.name === 'SequelizeUniqueConstraintError') {
-    let message = I18n.term('this_field_is_invalid');
+    return req.app.locals.Trash.findConflict('tag', err).then((trashed) => {
+      let message = I18n.term('this_field_is_invalid');
 
-    // Custom message based on field
-    if(err.fields.includes('slug')) {
-      message = I18n.term('this_slug_is_already_in_use');
-    }
+      // Custom message based on field
+      if(err.fields.includes('slug')) {
+        message = I18n.term(trashed ? 'this_slug_belongs_to_an_item_in_the_trash' : 'this_slug_is_already_in_use');
+      }
 
-    return res.status(HttpCodes.BAD_REQUEST).json({
-      message: message,
-      invalid: err.fields
+      res.status(HttpCodes.BAD_REQUEST).json({
+        message: message,
+        invalid: err.fields
+      });
     });
   }
 
@@ -124,6 +131,7 @@ module.exports = {
   //  image (string) - The tag's cover image URL.
   //  meta-title (string) - The tag's meta title.
   //  meta-description (string) - The tag's meta description.
+  //  fields (object) - Values for the custom fields the theme declares.
   //
   // Returns a JSON response:
   //
@@ -133,17 +141,23 @@ module.exports = {
   create: function(req, res) {
     const models = req.app.locals.Database.sequelize.models;
 
-    // Create the tag
-    models.tag
-      .create({
+    CustomFields.parse(req, 'tag', req.body.fields)
+      // Create the tag
+      .then((fields) => models.tag.create({
         name: req.body.name,
         slug: req.body.slug,
         description: req.body.description,
         image: req.body.image,
         metaTitle: req.body['meta-title'],
-        metaDescription: req.body['meta-description']
+        metaDescription: req.body['meta-description'],
+        fields: fields
+      }))
+      .then((tag) => {
+        return AuditLog.record(req, { action: 'create', targetType: 'tag', target: tag, after: tag }).then(() => tag);
       })
       .then((tag) => {
+        req.app.locals.PageCache.invalidate('tags');
+
         res.json({
           tag: tag
         });
@@ -190,6 +204,7 @@ module.exports = {
   //  image (string) - The tag's cover image URL.
   //  meta-title (string) - The tag's meta title.
   //  meta-description (string) - The tag's meta description.
+  //  fields (object) - Values for the custom fields the theme declares.
   //
   // Returns a JSON response:
   //
@@ -198,6 +213,7 @@ module.exports = {
   //
   update: function(req, res) {
     const models = req.app.locals.Database.sequelize.models;
+    let before;
 
     // Fetch the tag
     models.tag
@@ -213,6 +229,8 @@ module.exports = {
           throw new Error('Tag Not Found');
         }
 
+        before = AuditLog.snapshot(tag);
+
         // Set fields
         if(typeof req.body.name !== 'undefined') tag.name = req.body.name;
         if(typeof req.body.slug !== 'undefined') tag.slug = req.body.slug;
@@ -222,9 +240,21 @@ module.exports = {
         if(typeof req.body['meta-description'] !== 'undefined') tag.metaDescription = req.body['meta-description'];
 
         // Update the database
-        return tag.save();
+        if(typeof req.body.fields === 'undefined') return tag.save();
+
+        return CustomFields
+          .parse(req, 'tag', req.body.fields, { current: tag.fields })
+          .then((fields) => {
+            tag.fields = fields;
+            return tag.save();
+          });
       })
       .then((tag) => {
+        return AuditLog.record(req, { action: 'update', targetType: 'tag', target: tag, before: before, after: tag }).then(() => tag);
+      })
+      .then((tag) => {
+        req.app.locals.PageCache.invalidate(['tags', 'tag:' + tag.id]);
+
         res.json({
           tag: tag
         });
@@ -233,7 +263,7 @@ module.exports = {
   },
 
   //
-  // Deletes a tag
+  // Moves a tag to the trash
   //
   // Returns a JSON response:
   //
@@ -258,10 +288,14 @@ module.exports = {
           }
         }
 
-        // Delete the tag
-        return tag.destroy();
+        // Move the tag to the trash
+        return req.app.locals.Trash.add('tag', tag)
+          .then(() => AuditLog.record(req, { action: 'trash', targetType: 'tag', target: tag }));
+      })
+      .then(() => {
+        req.app.locals.PageCache.invalidate(['tags', 'tag:' + req.params.id]);
+        res.json({ deleted: true });
       })
-      .then(() => res.json({ deleted: true }))
       .catch((err) => next(err.message));
   }
 
@@ -0,0 +1,220 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+
+// Users can manage their own posts and uploads in the trash, and everything else their role lets
+// them delete. Each function returns a where clause, or null if the user can't manage the type.
+const scopes = {
+  post: (User) => User.can('post.edit_others') ? {} : { userId: User.id },
+  tag: (User) => User.can('tag.manage') ? {} : null,
+  upload: (User) => User.can('upload.delete_others') ? {} : { userId: User.id },
+  user: (User) => User.can('user.manage') ? {} : null
+};
+
+//
+// Gets the page cache keys that are affected when an item is restored.
+//
+//  type* (string) - The type of item.
+//  id* (string) - The item's id.
+//
+// Returns an array.
+//
+function getCacheKeys(type, id) {
+  if(type === 'post') return ['posts', 'post:' + id];
+  if(type === 'tag') return ['tags', 'tag:' + id];
+  if(type === 'upload') return ['uploads'];
+
+  // Listed posts show their author, so those pages are affected too
+  return ['posts', 'users', 'user:' + id];
+}
+
+//
+// Fetches an item from the trash, making sure the current user can manage it.
+//
+//  req* (object) - The request.
+//  res* (object) - The response.
+//
+// Returns a promise that resolves with the item. The promise is rejected if the item isn't in the
+// trash or the current user can't manage it.
+//
+function fetchItem(req, res) {
+  const Trash = req.app.locals.Trash;
+  const User = req.User;
+  let type = req.params.type;
+
+  return Promise.resolve()
+    .then(() => {
+      // Unknown type
+      if(!scopes[type]) {
+        res.status(HttpCodes.NOT_FOUND);
+        throw new Error('Not Found');
+      }
+
+      // Not allowed to manage this type
+      let scope = scopes[type](User);
+      if(!scope) {
+        res.status(HttpCodes.UNAUTHORIZED);
+        throw new Error('Unauthorized');
+      }
+
+      return Trash.find(type, req.params.id).then((item) => {
+        // Not found
+        if(!item) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('Item Not Found');
+        }
+
+        // Only your own items for users who can't manage others' items
+        if(scope.userId && item.userId !== scope.userId) {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        return item;
+      });
+    });
+}
+
+module.exports = {
+
+  //
+  // Gets a list of items in the trash, most recently deleted first.
+  //
+  //  type* (string) - The type of item: post, tag, upload, or user.
+  //  count (int) - The number of items to return (default 100).
+  //  offset (int) - The offset to return items from (default 0).
+  //  render (string) - Set to 'trashItems' to return the rendered HTML from
+  //    `admin/partials/trash_items.dust`.
+  //
+  // Returns a JSON response:
+  //
+  //  { totalItems: 100, items: [] }
+  //  { totalItems: 100, items: [], html: '' }
+  //
+  index: (req, res, next) => {
+    const Trash = req.app.locals.Trash;
+    const User = req.User;
+    let type = req.query.type;
+    let count = parseInt(req.query.count) || 100;
+    let offset = parseInt(req.query.offset) || 0;
+
+    // Unknown type
+    if(!scopes[type]) {
+      res.status(HttpCodes.BAD_REQUEST);
+      return next('Invalid type.');
+    }
+
+    // Not allowed to manage this type
+    let scope = scopes[type](User);
+    if(!scope) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return next('Unauthorized');
+    }
+
+    Trash
+      .list(type, {
+        where: scope,
+        limit: count,
+        offset: offset
+      })
+      .then((result) => {
+        return new Promise((resolve) => {
+          // Render the items and return them
+          if(req.query.render === 'trashItems') {
+            res.app.render('admin/partials/trash_items', {
+              trashType: type,
+              items: result.rows
+            }, (err, html) => {
+              if(err) throw new Error(err);
+
+              resolve({
+                totalItems: result.count,
+                items: result.rows,
+                html: html
+              });
+            });
+
+            return;
+          }
+
+          // Just return the items
+          resolve({
+            totalItems: result.count,
+            items: result.rows
+          });
+        });
+      })
+      .then((json) => res.json(json))
+      .catch((err) => next(err));
+  },
+
+  //
+  // Restores an item from the trash. Restoring a user also restores the posts and uploads that were
+  // trashed along with them. Posts and uploads can't be restored while their author is in the trash.
+  //
+  // Returns a JSON response:
+  //
+  //  { restored: true }
+  //  { message: '' }
+  //
+  restore: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const Trash = req.app.locals.Trash;
+    const models = req.app.locals.Database.sequelize.models;
+    let type = req.params.type;
+    let item;
+
+    fetchItem(req, res)
+      .then((result) => {
+        item = result;
+
+        if(type === 'post' || type === 'upload') {
+          return models.user.findOne({ where: { id: item.userId } });
+        }
+      })
+      .then((author) => {
+        // The author is in the trash
+        if(author === null) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('restore_the_author_of_this_item_first')
+          });
+        }
+
+        return Trash.restore(type, item)
+          .then(() => AuditLog.record(req, { action: 'restore', targetType: type, target: item }))
+          .then(() => {
+            req.app.locals.PageCache.invalidate(getCacheKeys(type, item.id));
+            res.json({ restored: true });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Permanently deletes an item from the trash. Deleting an upload or a user also deletes their
+  // files.
+  //
+  // Returns a JSON response:
+  //
+  //  { deleted: true }
+  //
+  delete: (req, res, next) => {
+    const Trash = req.app.locals.Trash;
+    let type = req.params.type;
+
+    fetchItem(req, res)
+      .then((item) => {
+        return Trash.destroy(type, item)
+          .then(() => AuditLog.record(req, { action: 'delete', targetType: type, target: item, before: item }));
+      })
+      .then(() => res.json({ deleted: true }))
+      .catch((err) => next(err));
+  }
+
+};
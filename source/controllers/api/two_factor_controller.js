@@ -0,0 +1,236 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const QRCode = require('qrcode');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const Totp = require(Path.join(__basedir, 'source/modules/totp.js'));
+
+//
+// Fetches the user from the :id request param.
+//
+// Returns a promise that resolves with a user. Rejects with a Not Found error if the user doesn't
+// exist.
+//
+function getUser(req, res) {
+  const models = req.app.locals.Database.sequelize.models;
+
+  return models.user
+    .findOne({
+      where: {
+        id: req.params.id
+      }
+    })
+    .then((user) => {
+      if(!user) {
+        res.status(HttpCodes.NOT_FOUND);
+        throw new Error('User Not Found');
+      }
+
+      return user;
+    });
+}
+
+//
+// Users can only set up two-factor authentication for themselves, since they need to scan the code
+// with their own device.
+//
+// Returns true if the request is allowed. Otherwise, sends an error response and returns false.
+//
+function requireSelf(req, res, next) {
+  if(req.User.id !== req.params.id) {
+    res.status(HttpCodes.UNAUTHORIZED);
+    next('Unauthorized');
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+
+  //
+  // Starts setting up two-factor authentication by generating a new secret. Two-factor
+  // authentication isn't enabled until a code has been verified with POST
+  // /api/users/:id/two-factor/enable.
+  //
+  //  id* (string) - The current user's id.
+  //
+  // Returns a JSON response:
+  //
+  //  { secret: '', uri: '', qrCode: '<svg>' }
+  //  { message: '' }
+  //
+  setup: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const Settings = req.app.locals.Settings;
+    let secret = Totp.generateSecret();
+    let uri;
+
+    if(!requireSelf(req, res, next)) return;
+
+    getUser(req, res)
+      .then((user) => {
+        // Don't replace an existing secret, otherwise the user's authenticator app will stop working
+        if(user.twoFactorEnabled) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('two_factor_authentication_is_already_enabled')
+          });
+        }
+
+        uri = Totp.getUri(secret, {
+          issuer: Settings.title,
+          account: user.email
+        });
+
+        return user.setTwoFactorSecret(secret).save()
+          .then(() => QRCode.toString(uri, { type: 'svg', margin: 0 }))
+          .then((qrCode) => {
+            res.json({
+              secret: secret,
+              uri: uri,
+              qrCode: qrCode
+            });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Enables two-factor authentication after verifying a code from the user's authenticator app.
+  //
+  //  id* (string) - The current user's id.
+  //  code* (string) - A code from the user's authenticator app.
+  //
+  // Returns a JSON response:
+  //
+  //  { recoveryCodes: [] }
+  //  { message: '', invalid: [] }
+  //
+  enable: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+
+    if(!requireSelf(req, res, next)) return;
+
+    getUser(req, res)
+      .then((user) => {
+        if(!user.twoFactorSecret || user.twoFactorEnabled) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('please_start_setting_up_two_factor_authentication_again')
+          });
+        }
+
+        if(!user.verifyTwoFactorCode(req.body.code)) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('this_code_is_invalid'),
+            invalid: ['code']
+          });
+        }
+
+        let recoveryCodes = user.generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+
+        return user.save()
+          .then(() => AuditLog.record(req, { action: 'enable_two_factor', targetType: 'user', target: user }))
+          .then(() => {
+            res.json({
+              recoveryCodes: recoveryCodes
+            });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Replaces the current user's recovery codes with new ones.
+  //
+  //  id* (string) - The current user's id.
+  //  code* (string) - A code from the user's authenticator app.
+  //
+  // Returns a JSON response:
+  //
+  //  { recoveryCodes: [] }
+  //  { message: '', invalid: [] }
+  //
+  regenerateRecoveryCodes: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+
+    if(!requireSelf(req, res, next)) return;
+
+    getUser(req, res)
+      .then((user) => {
+        if(!user.twoFactorEnabled || !user.verifyTwoFactorCode(req.body.code)) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('this_code_is_invalid'),
+            invalid: ['code']
+          });
+        }
+
+        let recoveryCodes = user.generateRecoveryCodes();
+
+        return user.save()
+          .then(() => AuditLog.record(req, { action: 'regenerate_recovery_codes', targetType: 'user', target: user }))
+          .then(() => {
+            res.json({
+              recoveryCodes: recoveryCodes
+            });
+          });
+      })
+      .catch((err) => next(err));
+  },
+
+  //
+  // Disables two-factor authentication. Users disabling it for themselves must provide a code.
+  // Owners and admins can disable it for other users without one, e.g. when they lose their device
+  // and recovery codes. Only the owner can disable it for the owner.
+  //
+  //  id* (string) - A user id.
+  //  code (string) - A code from the user's authenticator app or a recovery code.
+  //
+  // Returns a JSON response:
+  //
+  //  { disabled: true }
+  //  { message: '', invalid: [] }
+  //
+  disable: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
+    const User = req.User;
+    let isSelf = User.id === req.params.id;
+
+    if(!isSelf && !User.can('user.manage')) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return next('Unauthorized');
+    }
+
+    getUser(req, res)
+      .then((user) => {
+        if(!isSelf && user.role === 'owner') {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        if(
+          isSelf && user.twoFactorEnabled &&
+          !user.verifyTwoFactorCode(req.body.code) && !user.useRecoveryCode(req.body.code)
+        ) {
+          return res.status(HttpCodes.BAD_REQUEST).json({
+            message: I18n.term('this_code_is_invalid'),
+            invalid: ['code']
+          });
+        }
+
+        return user.setTwoFactorSecret(null).save()
+          .then(() => AuditLog.record(req, { action: 'disable_two_factor', targetType: 'user', target: user }))
+          .then(() => {
+            res.json({
+              disabled: true
+            });
+          });
+      })
+      .catch((err) => next(err));
+  }
+
+};
@@ -1,18 +1,54 @@
 'use strict';
 
 // Node modules
-const Crypto = require('crypto');
-const Del = require('del');
-const Fs = require('fs');
 const Gm = require('gm');
 const HttpCodes = require('http-codes');
 const Moment = require('moment');
 const Path = require('path');
 const Promise = require('bluebird');
+const SanitizeFilename = require('sanitize-filename');
 
 // Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
 const UploadMiddleware = require(Path.join(__basedir, 'source/middleware/upload_middleware.js'));
 
+// Uploads are kept in memory until they're saved to storage, so their size is limited. Set
+// UPLOAD_MAX_SIZE in .env to change it (in megabytes).
+const maxFileSize = (parseInt(process.env.UPLOAD_MAX_SIZE) || 25) * 1024 * 1024;
+
+//
+// Adjusts an image's orientation, strips exif data, and determines its dimensions.
+//
+//  buffer* (buffer) - The image data.
+//  filename* (string) - The image's filename. Used to determine the format.
+//
+// Returns a promise that resolves with { buffer, width, height }.
+//
+function processImage(buffer, filename) {
+  return new Promise((resolve, reject) => {
+    // Load the image
+    Gm(buffer, filename)
+      // Adjust orientation
+      .autoOrient()
+      // Strip exif data
+      .noProfile()
+      .toBuffer((err, buffer) => {
+        if(err) return reject(err);
+
+        // Get the image's dimensions
+        Gm(buffer, filename).size((err, info) => {
+          if(err) return reject(err);
+
+          resolve({
+            buffer: buffer,
+            width: info.width,
+            height: info.height
+          });
+        });
+      });
+  });
+}
+
 const self = {
 
   //
@@ -39,8 +75,8 @@ const self = {
     let where = {};
     let fetch;
 
-    // All uploads for owners/admins/editors, only yours for contributors
-    if(!['owner', 'admin', 'editor'].includes(User.role)) {
+    // All uploads for users who can view others' uploads, only yours for everyone else
+    if(!User.can('upload.view_others')) {
       where.userId = User.id;
     }
 
@@ -128,9 +164,8 @@ const self = {
   //
   create: (req, res, next) => {
     const I18n = req.app.locals.I18n;
+    const Storage = req.app.locals.Storage;
     const User = req.User;
-    const uploadPath = req.app.locals.uploadPath;
-    const uploadRoot = Path.join(uploadPath, '..');
     const models = req.app.locals.Database.sequelize.models;
     const upload = UploadMiddleware.getMulter({
       allowedTypes: [
@@ -152,19 +187,18 @@ const self = {
         'image/png',
         'image/svg+xml'
       ],
-      destination: function() {
-        let month = Moment().format('MM');
-        let year = Moment().format('YYYY');
-        return Path.join(uploadPath, year, month);
-      },
-      overwrite: false
+      maxFileSize: maxFileSize
     }).single('file');
 
     // Call the upload middleware
     upload(req, res, (err) => {
       if(err) {
         return res.status(HttpCodes.BAD_REQUEST).json({
-          message: err.message
+          message: err.code === 'LIMIT_FILE_SIZE' ?
+            I18n.term('files_cant_be_larger_than_[size]_mb', {
+              placeholders: { size: maxFileSize / 1024 / 1024 }
+            }) :
+            err.message
         });
       }
 
@@ -175,68 +209,71 @@ const self = {
         });
       }
 
+      let month = Moment().format('MM');
+      let year = Moment().format('YYYY');
       let file = {
         userId: User.id,
-        filename: req.file.filename,
-        // Extension should be lowercase and without a dot
-        extension: Path.extname(req.file.filename).toLowerCase().replace(/^\./, ''),
-        // Path should be relative to the parent of the uploads dir. Example: /uploads/2017/01/image.png
-        path: req.file.path.substring(uploadRoot.length),
         mimeType: req.file.mimetype,
         size: req.file.size,
         width: null,
         height: null
       };
-
-      // Process images (all but SVG)
-      if(['image/gif', 'image/jpeg', 'image/png'].includes(req.file.mimetype)) {
-        // Load the image
-        Gm(req.file.path)
-          // Adjust orientation
-          .autoOrient()
-          // Strip exif data
-          .noProfile()
-          // Save to file
-          .write(req.file.path, (err) => {
-            if(err) {
-              res.status(HttpCodes.BAD_REQUEST);
-              return next(I18n.term('sorry_but_i_cant_seem_to_process_this_image'));
-            }
-
-            // Get the image's dimensions
-            Gm(req.file.path).size((err, info) => {
-              if(err) {
+      let buffer = req.file.buffer;
+
+      // If a file with this name already exists, append a counter to the filename
+      Storage.uniqueKey(Path.posix.join(year, month, SanitizeFilename(req.file.originalname)))
+        .then((key) => {
+          file.filename = Path.posix.basename(key);
+          // Extension should be lowercase and without a dot
+          file.extension = Path.extname(file.filename).toLowerCase().replace(/^\./, '');
+          // Path should be relative to the website root. Example: /uploads/2017/01/image.png
+          file.path = Storage.pathFromKey(key);
+
+          // Process images (all but SVG)
+          if(['image/gif', 'image/jpeg', 'image/png'].includes(req.file.mimetype)) {
+            return processImage(buffer, file.filename)
+              .catch(() => {
                 res.status(HttpCodes.BAD_REQUEST);
-                return next(I18n.term('sorry_but_i_cant_seem_to_process_this_image'));
-              }
-
-              // Set dimensions
-              file.width = info.width;
-              file.height = info.height;
-
-              // Get updated file size since stripping exif data likely changed it
-              file.size = Fs.statSync(req.file.path).size;
-
-              // Add it to the database and send a response
-              models.upload
-                .create(file)
-                .then((upload) => res.json({ upload: upload }))
-                .catch(() => {
-                  res.status(HttpCodes.BAD_REQUEST);
-                  return next(I18n.term('sorry_but_i_cant_seem_to_process_this_image'));
-                });
-            });
-          });
-      } else {
-        // Nope, add it to the database and send a response
-        models.upload
-          .create(file)
-          .then((upload) => res.json({ upload: upload }))
-          .catch(() => {
-            res.status(HttpCodes.BAD_REQUEST);
-            next(I18n.term('sorry_but_i_cant_seem_to_process_this_image'));
+                throw new Error(I18n.term('sorry_but_i_cant_seem_to_process_this_image'));
+              })
+              .then((image) => {
+                buffer = image.buffer;
+
+                // Set dimensions
+                file.width = image.width;
+                file.height = image.height;
+
+                // Get updated file size since stripping exif data likely changed it
+                file.size = buffer.length;
+              })
+              .then(() => key);
+          }
+
+          return key;
+        })
+        // Save the file
+        .then((key) => {
+          return Storage.put(key, buffer, { mimeType: file.mimeType }).catch(() => {
+            res.status(HttpCodes.INTERNAL_SERVER_ERROR);
+            throw new Error(I18n.term('sorry_but_i_cant_save_this_file_right_now'));
           });
-      }
+        })
+        // Add it to the database and send a response
+        .then(() => models.upload.create(file))
+        .then((upload) => {
+          return AuditLog.record(req, { action: 'create', targetType: 'upload', target: upload, after: upload })
+            .then(() => upload);
+        })
+        .then((upload) => {
+          req.app.locals.PageCache.invalidate('uploads');
+          res.json({ upload: upload });
+        })
+        .catch((err) => {
+          // Image processing and storage errors have their own messages
+          if(res.statusCode === HttpCodes.OK) return next(err);
+
+          res.json({ message: err.message });
+        });
     });
   },
 
@@ -247,8 +284,8 @@ const self = {
   //
   download: function(req, res, next) {
     const User = req.User;
+    const Storage = req.app.locals.Storage;
     const models = req.app.locals.Database.sequelize.models;
-    const uploadRoot = Path.join(req.app.locals.uploadPath, '..');
     let where = { id: req.params.id };
 
     models.upload
@@ -262,8 +299,8 @@ const self = {
           throw new Error('Upload Not Found');
         }
 
-        // All uploads for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && upload.userId !== User.id) {
+        // All uploads for users who can view others' uploads, only yours for everyone else
+        if(!User.can('upload.view_others') && upload.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
@@ -273,8 +310,9 @@ const self = {
         res.setHeader('Content-type', upload.mimeType);
 
         // Stream the download
-        let stream = Fs.createReadStream(Path.join(uploadRoot, upload.path));
-        stream.pipe(res);
+        Storage.stream(Storage.keyFromPath(upload.path))
+          .on('error', (err) => next(err))
+          .pipe(res);
       })
       .catch((err) => next(err));
   },
@@ -303,8 +341,8 @@ const self = {
           throw new Error('Upload Not Found');
         }
 
-        // All uploads for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && upload.userId !== User.id) {
+        // All uploads for users who can view others' uploads, only yours for everyone else
+        if(!User.can('upload.view_others') && upload.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
@@ -330,7 +368,7 @@ const self = {
   },
 
   //
-  // Deletes an upload.
+  // Moves an upload to the trash. The file is kept until the upload is permanently deleted.
   //
   //  id* (string) - An upload id.
   //
@@ -341,7 +379,6 @@ const self = {
   delete: function(req, res, next) {
     const User = req.User;
     const models = req.app.locals.Database.sequelize.models;
-    const uploadRoot = Path.join(req.app.locals.uploadPath, '..');
 
     // Fetch the upload
     models.upload
@@ -359,25 +396,22 @@ const self = {
           }
         }
 
-        // All uploads for owners/admins/editors, only yours for contributors
-        if(!['owner', 'admin', 'editor'].includes(User.role) && upload.userId !== User.id) {
+        // All uploads for users who can delete others' uploads, only yours for everyone else
+        if(!User.can('upload.delete_others') && upload.userId !== User.id) {
           res.status(HttpCodes.UNAUTHORIZED);
           throw new Error('Unauthorized');
         }
 
-        // Delete related cache files which are prefixed by SHA256(path)
-        let pathHash = Crypto.createHash('sha256').update(upload.path).digest('hex').substring(0, 10);
-        Del(Path.join(__basedir, 'cache/images/' + pathHash + '.*'));
+        // Move the upload to the trash
+        return req.app.locals.Trash.add('upload', upload)
+          .then(() => AuditLog.record(req, { action: 'trash', targetType: 'upload', target: upload }))
+          .then(() => {
+            req.app.locals.PageCache.invalidate('uploads');
 
-        // Delete the file
-        Fs.unlink(Path.join(uploadRoot, upload.path), () => {
-          // Remove it from the database
-          upload.destroy().then(() => {
             res.json({
               deleted: true
             });
           });
-        });
       })
       .catch((err) => next(err.message));
   }
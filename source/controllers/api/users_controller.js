@@ -8,6 +8,8 @@ const Path = require('path');
 const Promise = require('bluebird');
 
 // Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 const Email = require(Path.join(__basedir, 'source/modules/email.js'));
 
 //
@@ -18,18 +20,20 @@ function handleErrorResponse(req, res, err) {
 
   // Unique constraint error
   if(err.name === 'SequelizeUniqueConstraintError') {
-    let message = I18n.term('this_field_is_invalid');
-
-    // Custom message based on field
-    if(err.fields.includes('username')) {
-      message = I18n.term('this_username_is_already_in_use');
-    } else if(err.fields.includes('email')) {
-      message = I18n.term('this_email_address_is_already_in_use');
-    }
-
-    return res.status(HttpCodes.BAD_REQUEST).json({
-      message: message,
-      invalid: err.fields
+    return req.app.locals.Trash.findConflict('user', err).then((trashed) => {
+      let message = I18n.term('this_field_is_invalid');
+
+      // Custom message based on field
+      if(err.fields.includes('username')) {
+        message = I18n.term(trashed ? 'this_username_belongs_to_a_user_in_the_trash' : 'this_username_is_already_in_use');
+      } else if(err.fields.includes('email')) {
+        message = I18n.term(trashed ? 'this_email_address_belongs_to_a_user_in_the_trash' : 'this_email_address_is_already_in_use');
+      }
+
+      res.status(HttpCodes.BAD_REQUEST).json({
+        message: message,
+        invalid: err.fields
+      });
     });
   }
 
@@ -130,12 +134,13 @@ module.exports = {
   //  email* (string) - The user's email.
   //  username* (string) - The user's username.
   //  password (string) - The user's password. If omitted, a random password will be generated.
-  //  role (string) - The user's role. Either 'admin', 'editor', or 'contributor'.
+  //  role (string) - The user's role. Either 'admin', 'editor', 'contributor', or a custom role's id.
   //  website (string) - The user's website.
   //  location (string) - The user's location.
   //  bio (string) - The user's bio.
   //  avatar (string) - The user's avatar URL.
   //  image (string) - The user's cover image URL.
+  //  fields (object) - Values for the custom fields the theme declares.
   //
   // Note: don't set a password for this method. When a new user is created, a random password is
   //   set and an invitation email will be sent to the user with a secure link to login.
@@ -156,6 +161,20 @@ module.exports = {
       return next('Unauthorized');
     }
 
+    // Verify the role
+    if(typeof req.body.role !== 'undefined' && !req.app.locals.Permissions.isRole(req.body.role)) {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term('this_field_is_invalid'),
+        invalid: ['role']
+      });
+    }
+
+    // Users can't assign a role with capabilities they don't have
+    if(typeof req.body.role !== 'undefined' && !req.app.locals.Permissions.canAssign(req.User.role, req.body.role)) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return next('Unauthorized');
+    }
+
     // Generate a password if one wasn't set
     if(typeof req.body.password === 'undefined') {
       req.body.password = Crypto.randomBytes(8).toString('hex');
@@ -169,9 +188,9 @@ module.exports = {
       });
     }
 
-    // Create the user
-    models.user
-      .create({
+    CustomFields.parse(req, 'user', req.body.fields)
+      // Create the user
+      .then((fields) => models.user.create({
         name: req.body.name,
         email: req.body.email,
         username: req.body.username,
@@ -181,13 +200,19 @@ module.exports = {
         location: req.body.location,
         bio: req.body.bio,
         avatar: req.body.avatar,
-        image: req.body.image
+        image: req.body.image,
+        fields: fields
+      }))
+      .then((user) => {
+        return AuditLog.record(req, { action: 'create', targetType: 'user', target: user, after: user }).then(() => user);
       })
       // Send an invitation email
       .then((user) => {
         let message = Fs.readFileSync(Path.join(__basedir, 'source/emails/invitation.txt'), { encoding: 'utf8' });
         let adminUrl = MakeUrl.admin('users/edit/' + user.id, { absolute: true });
 
+        req.app.locals.PageCache.invalidate('users');
+
         return Email
           .send({
             to: {
@@ -264,20 +289,42 @@ module.exports = {
   //  bio (string) - The user's bio.
   //  avatar (string) - The user's avatar URL.
   //  image (string) - The user's cover image URL.
+  //  fields (object) - Values for the custom fields the theme declares.
   //
   // Returns a JSON response:
   //
   //  { user: {} }
   //  { message: '', invalid: [] }
   //
-  // If the current user is updating their own password, the X-Auth-Token header will contain a new
-  // auth token since the old one will no longer work. In supportive clients, the authToken cookie
-  // will be set.
+  // Changing a user's password or role signs them out everywhere. If the current user is updating
+  // their own password, the X-Auth-Token header will contain a new auth token since the old one will
+  // no longer work. In supportive clients, the authToken cookie will be set.
+  //
+  // Users can't change their own role, and they can only assign roles whose capabilities they have.
   //
   update: function(req, res) {
     const I18n = req.app.locals.I18n;
     const User = req.User;
     const models = req.app.locals.Database.sequelize.models;
+    const Permissions = req.app.locals.Permissions;
+    let revokeSessions = false;
+    let before;
+
+    // Passwords can only be changed by signed in users
+    if(req.ApiToken && typeof req.body.password !== 'undefined' && req.body.password !== '') {
+      return res.status(HttpCodes.UNAUTHORIZED).json({
+        message: I18n.term('api_tokens_cant_be_used_for_this_request'),
+        invalid: ['password']
+      });
+    }
+
+    // Verify the role
+    if(typeof req.body.role !== 'undefined' && !req.app.locals.Permissions.isRole(req.body.role)) {
+      return res.status(HttpCodes.BAD_REQUEST).json({
+        message: I18n.term('this_field_is_invalid'),
+        invalid: ['role']
+      });
+    }
 
     models.user
       // Fetch the user
@@ -300,6 +347,22 @@ module.exports = {
           throw new Error('Unauthorized');
         }
 
+        // Only users who manage users can change roles. Users can't change their own role, and they
+        // can't move a user from or to a role with capabilities they don't have.
+        if(
+          typeof req.body.role !== 'undefined' &&
+          req.body.role !== user.role &&
+          (
+            !User.can('user.manage') ||
+            user.id === User.id ||
+            !Permissions.canAssign(User.role, user.role) ||
+            !Permissions.canAssign(User.role, req.body.role)
+          )
+        ) {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
         // Is the target user the owner?
         if(user.role === 'owner') {
           // The owner role can't be revoked
@@ -309,6 +372,8 @@ module.exports = {
           }
         }
 
+        before = AuditLog.snapshot(user);
+
         // Set fields
         if(typeof req.body.name !== 'undefined') user.name = req.body.name;
         if(typeof req.body.email !== 'undefined') user.email = req.body.email;
@@ -323,32 +388,58 @@ module.exports = {
 
           // Change the password
           user.setPassword(req.body.password);
-
-          // Update auth token since the hash will change
-          if(User.id === req.params.id) {
-            let authToken = user.generateAuthToken();
-
-            // Set a header with the new auth token
-            res.set('X-Auth-Token', authToken);
-
-            // Set a cookie for supportive clients
-            res.cookie('authToken', authToken.token, {
-              path: '/',
-              expires: authToken.expires
-            });
-          }
+          revokeSessions = true;
+        }
+        if(typeof req.body.role !== 'undefined' && req.body.role !== user.role) {
+          user.role = req.body.role;
+          revokeSessions = true;
         }
-        if(typeof req.body.role !== 'undefined') user.role = req.body.role;
         if(typeof req.body.website !== 'undefined') user.website = req.body.website;
         if(typeof req.body.location !== 'undefined') user.location = req.body.location;
         if(typeof req.body.bio !== 'undefined') user.bio = req.body.bio;
         if(typeof req.body.avatar !== 'undefined') user.avatar = req.body.avatar;
         if(typeof req.body.image !== 'undefined') user.image = req.body.image;
 
-        return user.save();
+        return Promise.resolve()
+          .then(() => {
+            if(typeof req.body.fields === 'undefined') return;
+
+            return CustomFields
+              .parse(req, 'user', req.body.fields, { current: user.fields })
+              .then((fields) => user.fields = fields);
+          })
+          .then(() => user.save())
+          .then((user) => {
+            return AuditLog.record(req, { action: 'update', targetType: 'user', target: user, before: before, after: user })
+              .then(() => user);
+          });
+      })
+      // Sign the user out everywhere if their password or role changed
+      .then((user) => {
+        if(!revokeSessions) return user;
+
+        return models.session.revokeAll(user.id)
+          .then(() => {
+            // Start a new session for the current user, since their old one was revoked
+            if(User.id !== req.params.id) return;
+
+            return user.startSession(req).then((authToken) => {
+              // Set a header with the new auth token
+              res.set('X-Auth-Token', authToken.token);
+
+              // Set a cookie for supportive clients
+              res.cookie('authToken', authToken.token, {
+                path: '/',
+                expires: authToken.expires
+              });
+            });
+          })
+          .then(() => user);
       })
       // Send the response
       .then((user) => {
+        req.app.locals.PageCache.invalidate(['users', 'user:' + user.id]);
+
         res.json({
           user: user
         });
@@ -357,7 +448,7 @@ module.exports = {
   },
 
   //
-  // Deletes a user
+  // Moves a user to the trash along with their posts and uploads
   //
   //  id* (srting) - A user id.
   //
@@ -390,10 +481,16 @@ module.exports = {
           throw new Error('Unauthorized');
         }
 
-        // Delete the user
-        return user.destroy();
+        // Sign the user out everywhere and move them to the trash
+        return models.session.revokeAll(user.id)
+          .then(() => req.app.locals.Trash.add('user', user))
+          .then(() => AuditLog.record(req, { action: 'trash', targetType: 'user', target: user }));
+      })
+      .then(() => {
+        // Listed posts show their author, so those pages are affected too
+        req.app.locals.PageCache.invalidate(['posts', 'users', 'user:' + req.params.id]);
+        res.json({ deleted: true });
       })
-      .then(() => res.json({ deleted: true }))
       .catch((err) => next(err.message));
   }
 
@@ -39,11 +39,15 @@ module.exports = {
           throw new Error('Page Not Found');
         }
       })
-      // Get posts by this author
-      .then(() => models.post.findAndCountAll({
+      // Get posts by this author, including co-authored posts
+      .then(() => models.postAuthor.findAll({
+        attributes: ['postId'],
+        where: { userId: author.id }
+      }))
+      .then((postAuthors) => models.post.findAndCountAll({
         distinct: true,
         where: {
-          userId: author.id,
+          id: { $in: postAuthors.map((postAuthor) => postAuthor.postId) },
           status: 'published',
           isPage: 0,
           publishedAt: { $lt: Moment().utc().toDate() }
@@ -54,6 +58,12 @@ module.exports = {
             as: 'author',
             attributes: { exclude: ['password', 'resetToken'] }
           },
+          {
+            model: models.user,
+            as: 'authors',
+            attributes: { exclude: ['password', 'resetToken'] },
+            through: { attributes: ['sortOrder'] }
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -84,6 +94,9 @@ module.exports = {
         let metaTitle = author.name;
         let metaDescription = Markdown.toText(author.bio);
 
+        // Listed posts show their author and tags, so changes to any of them affect this page
+        req.app.locals.PageCache.tag(res.locals, ['posts', 'tags', 'users']);
+
         // Render the template
         res.render('author', {
           author: author,
@@ -65,6 +65,9 @@ module.exports = {
         let websiteImage = Settings.cover ? MakeUrl.raw(Settings.cover, { absolute: true }) : null;
         let websiteUrl = MakeUrl.raw({ absolute: true });
 
+        // Listed posts show their author and tags, so changes to any of them affect this page
+        req.app.locals.PageCache.tag(res.locals, ['posts', 'tags', 'users']);
+
         // Render the template
         res.render('blog', {
           posts: posts.rows,
@@ -43,6 +43,12 @@ module.exports = {
               }
             } : null
           },
+          {
+            model: models.user,
+            as: 'authors',
+            attributes: { exclude: ['password', 'resetToken'] },
+            through: { attributes: ['sortOrder'] }
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -79,11 +85,13 @@ module.exports = {
       .then((posts) => {
         let favicon = MakeUrl.raw(Settings.favicon, { absolute: true });
 
+        req.app.locals.PageCache.tag(res.locals, ['posts', 'tags', 'users']);
+
         switch(format) {
         // JSON feed
         case 'json':
           res.json({
-            version: 'https://jsonfeed.org/version/1',
+            version: 'https://jsonfeed.org/version/1.1',
             title: Settings.title,
             home_page_url: MakeUrl.raw({ absolute: true }),
             feed_url: MakeUrl.feed({ format: 'json', absolute: true }),
@@ -91,6 +99,14 @@ module.exports = {
             icon: DynamicImages.generateUrl(favicon, { thumbnail: 512 }),
             favicon: DynamicImages.generateUrl(favicon, { thumbnail: 128 }),
             items: posts.map((post) => {
+              let authors = post.listAuthors().map((author) => {
+                return {
+                  name: author.name,
+                  url: MakeUrl.author(author.username, { absolute: true }),
+                  avatar: author.avatar ? MakeUrl.raw(author.avatar, { absolute: true }) : undefined
+                };
+              });
+
               return {
                 id: post.id,
                 url: MakeUrl.post(post.slug, { absolute: true }),
@@ -99,11 +115,9 @@ module.exports = {
                 image: post.image ? MakeUrl.raw(post.image, { absolute: true }) : undefined,
                 date_published: Moment(post.publishedAt).tz(Settings.timeZone).format('YYYY-MM-DDTHH:mm:ssZ'),
                 date_modified: Moment(post.updatedAt).tz(Settings.timeZone).format('YYYY-MM-DDTHH:mm:ssZ'),
-                author: {
-                  name: post.author.name,
-                  url: MakeUrl.author(post.author.username, { absolute: true }),
-                  avatar: post.author.avatar ? MakeUrl.raw(post.author.avatar, { absolute: true }) : undefined
-                },
+                // Version 1.1 lists every author. Version 1 readers only see the first one.
+                authors: authors,
+                author: authors[0],
                 tags: post.tags.map((tag) => tag.name)
               };
             })
@@ -41,7 +41,7 @@ const self = module.exports = {
     where.status = 'published';
     where.publishedAt = { $lt: Moment().utc().toDate() };
 
-    // Fetch the post, the post's author, and all related tags
+    // Fetch the post, the post's authors, and all related tags
     models.post
       .findOne({
         where: where,
@@ -51,6 +51,12 @@ const self = module.exports = {
             as: 'author',
             attributes: { exclude: ['password', 'resetToken'] }
           },
+          {
+            model: models.user,
+            as: 'authors',
+            attributes: { exclude: ['password', 'resetToken'] },
+            through: { attributes: ['sortOrder'] }
+          },
           {
             model: models.tag,
             through: { attributes: [] }, // exclude postTags
@@ -86,8 +92,16 @@ const self = module.exports = {
         let metaTitle = post.metaTitle || post.title;
         let metaDescription = Striptags(post.metaDescription || post.content).split(' ', 50).join(' ');
         let tags = (post.tags || []).map((val) => { return val.name; }).join(', ');
-        let authorBio = Markdown.toText(post.author.bio);
-        let authorImage = post.author.avatar ? MakeUrl.raw(post.author.avatar, { absolute: true }) : null;
+        let authors = post.listAuthors().map((author) => {
+          return {
+            '@type': 'Person',
+            'name': author.name,
+            'description': Markdown.toText(author.bio),
+            'image': author.avatar ? MakeUrl.raw(author.avatar, { absolute: true }) : null,
+            'sameAs': author.website
+          };
+        });
+        let authorNames = post.listAuthors().map((author) => author.name).join(', ');
         let viewData = {
           post: post,
           meta: {
@@ -102,13 +116,7 @@ const self = module.exports = {
                 'name': Settings.title,
                 'logo': logo
               },
-              'author': {
-                '@type': 'Person',
-                'name': post.author.name,
-                'description': authorBio,
-                'image': authorImage,
-                'sameAs': post.author.website
-              },
+              'author': authors.length === 1 ? authors[0] : authors,
               'url': MakeUrl.post(post.slug),
               'headline': metaTitle,
               'description': metaDescription,
@@ -138,7 +146,7 @@ const self = module.exports = {
               'twitter:url': postUrl,
               'twitter:image': postImage,
               'twitter:label1': post.isPage ? 'Written by' : null,
-              'twitter:data1': post.isPage ? post.author.name : null,
+              'twitter:data1': post.isPage ? authorNames : null,
               'twitter:label2': tags.length ? 'Tagged with' : null,
               'twitter:data2': tags.length ? tags : null
             }
@@ -153,6 +161,15 @@ const self = module.exports = {
         let templatePath = Path.join(req.app.locals.Themes.themePath, themeName, 'templates', template);
         if(template !== 'post' && !Fs.existsSync(templatePath)) template = 'post';
 
+        // Invalidate the cached page when the post, its authors, its tags, or uploads change.
+        // Uploads affect the srcset attributes of dynamic images.
+        req.app.locals.PageCache.tag(res.locals, [
+          'post:' + post.id,
+          'uploads'
+        ]
+          .concat(post.listAuthors().map((author) => 'user:' + author.id))
+          .concat((post.tags || []).map((tag) => 'tag:' + tag.id)));
+
         // Render the template
         res.render(template, viewData);
       })
@@ -73,6 +73,8 @@ module.exports = {
       ])
       // Send the response
       .then((result) => {
+        req.app.locals.PageCache.tag(res.locals, ['posts', 'tags', 'users']);
+
         res.header('Content-Type', 'text/xml').render('sitemap', {
           homepage: result[0],
           posts: result[1],
@@ -100,6 +100,9 @@ module.exports = {
         let metaTitle = tag.metaTitle || tag.name;
         let metaDescription = tag.metaDescription || Markdown.toText(tag.description);
 
+        // Listed posts show their author and tags, so changes to any of them affect this page
+        req.app.locals.PageCache.tag(res.locals, ['posts', 'tags', 'users']);
+
         // Render the template
         res.render('tag', {
           tag: tag,
@@ -4,20 +4,130 @@
 const HttpCodes = require('http-codes');
 const Path = require('path');
 
+// API resources that can be accessed with an API token, keyed by the first segment of the route
+const apiTokenResources = {
+  audit: 'audit',
+  backup: 'backups',
+  embed: 'posts',
+  export: 'backups',
+  import: 'import',
+  navigation: 'navigation',
+  posts: 'posts',
+  reviews: 'posts',
+  revisions: 'posts',
+  search: 'posts',
+  settings: 'settings',
+  static: 'static',
+  tags: 'tags',
+  trash: 'trash',
+  uploads: 'uploads',
+  users: 'users'
+};
+
+//
+// Determines the scope an API token needs for the current request, e.g. posts:read for GET
+// /api/posts/:id. Admin pages and endpoints that manage credentials can't be accessed with an API
+// token, so they don't have a scope.
+//
+// Returns a string or null if the request can't be made with an API token.
+//
+function getRequiredScope(req) {
+  if(req.baseUrl !== '/' + process.env.APP_API_SLUG || !req.route) return null;
+
+  let segments = req.route.path.split('/');
+  let resource = apiTokenResources[segments[1]];
+  if(!resource || ['two-factor', 'tokens', 'sessions'].some((name) => segments.includes(name))) {
+    return null;
+  }
+
+  // Previews render unsaved changes without storing them
+  let isRead = ['GET', 'HEAD'].includes(req.method) || segments[segments.length - 1] === 'preview';
+
+  return resource + ':' + (isRead ? 'read' : 'write');
+}
+
+//
+// Checks whether the request is allowed by the current API token's scopes. Requests authenticated
+// with an auth token are always allowed.
+//
+// Returns a boolean.
+//
+function isAllowedByScope(req) {
+  if(!req.ApiToken) return true;
+
+  let scope = getRequiredScope(req);
+
+  return scope !== null && req.ApiToken.hasScope(scope);
+}
+
+//
+// Sends an error response for requests made with an API token that doesn't have the required scope.
+//
+function sendScopeError(req, res) {
+  const I18n = req.app.locals.I18n;
+  let scope = getRequiredScope(req);
+
+  res.status(HttpCodes.UNAUTHORIZED).json({
+    message: scope ?
+      I18n.term('this_api_token_requires_the_[scope]_scope', { placeholders: { scope: scope } }) :
+      I18n.term('api_tokens_cant_be_used_for_this_request')
+  });
+}
+
+//
+// Checks whether the current user's role requires two-factor authentication and they haven't set it
+// up yet.
+//
+// Returns a boolean.
+//
+function isTwoFactorSetupRequired(req) {
+  let roles = (req.app.locals.Settings.twoFactorRoles || '').split(',');
+
+  return roles.includes(req.User.role) && !req.User.twoFactorEnabled;
+}
+
+//
+// Checks whether a request is needed to set up two-factor authentication, i.e. the user's own edit
+// page and API endpoints.
+//
+// Returns a boolean.
+//
+function isTwoFactorSetupRequest(req) {
+  const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+  let path = req.originalUrl.split('?')[0];
+  let userApi = MakeUrl.api('users/' + req.User.id);
+
+  return path === MakeUrl.admin('users/edit/' + req.User.id) ||
+    path === userApi ||
+    path.indexOf(userApi + '/') === 0;
+}
+
 module.exports = {
 
   //
   // Looks for an auth header or cookie and sets req.User and res.locals.User if the token is valid.
+  // The token's session is available in req.Session. API tokens can be sent in an `Authorization:
+  // Bearer <token>` or X-Auth-Token header, in which case the token is available in req.ApiToken.
   //
   attachUser: (req, res, next) => {
     const models = req.app.locals.Database.sequelize.models;
+    let bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
 
     // Check for an auth token in headers or cookies and set req.user if the token is valid
-    let authToken = req.get('X-Auth-Token') || req.cookies.authToken;
+    let authToken = (bearer && bearer[1]) || req.get('X-Auth-Token') || req.cookies.authToken;
+    let decode = models.apiToken.isApiToken(authToken) ?
+      models.apiToken.authenticate(authToken).then((apiToken) => {
+        req.ApiToken = apiToken;
+        return apiToken.user;
+      }) :
+      models.user.decodeAuthToken(authToken).then((user) => {
+        req.Session = user.session;
+        req.Session.touch(req).catch(() => null);
+        return user;
+      });
 
     // Decode the token
-    models.user
-      .decodeAuthToken(authToken)
+    decode
       .then((user) => {
         // Attach the user to req and res.locals
         req.User = user;
@@ -46,15 +156,34 @@ module.exports = {
   },
 
   //
-  // Requires an authorized user before allowing the request to complete.
+  // Requires an authorized user before allowing the request to complete. Users whose role requires
+  // two-factor authentication can only edit their own profile until they've set it up. Requests
+  // made with an API token must have the scope for the endpoint.
   //
   requireAuth: (req, res, next) => {
+    const I18n = req.app.locals.I18n;
     const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
 
+    if(req.User && !isAllowedByScope(req)) {
+      return sendScopeError(req, res);
+    }
+
+    if(req.User && isTwoFactorSetupRequired(req) && !isTwoFactorSetupRequest(req)) {
+      // XHR and API token requests
+      if(req.xhr || req.ApiToken) {
+        return res.status(HttpCodes.UNAUTHORIZED).json({
+          message: I18n.term('you_need_to_set_up_two_factor_authentication_to_continue')
+        });
+      }
+
+      // Send everyone else to their profile
+      return res.redirect(MakeUrl.admin('users/edit/' + req.User.id, { hash: 'security' }));
+    }
+
     if(req.User) return next();
 
-    // XHR requests
-    if(req.xhr) {
+    // XHR requests and integrations that sent an invalid API token
+    if(req.xhr || req.get('Authorization')) {
       res.status(HttpCodes.UNAUTHORIZED);
       return next('Unauthorized');
     }
@@ -68,15 +197,19 @@ module.exports = {
   },
 
   //
-  // Requires the authorized user to have a certain role before allowing the request to complete.
+  // Requires the authorized user's role to have a capability before allowing the request to
+  // complete. An API token never grants more than its owner's role, and must also have the scope for
+  // the endpoint.
   //
-  //  role* (string|array) - The role(s) to require.
+  //  capability* (string) - The capability to require, e.g. settings.manage.
   //
-  requireRole: (role) => {
+  requireCapability: (capability) => {
     return (req, res, next) => {
-      if(!Array.isArray(role)) role = [role];
+      if(!isAllowedByScope(req)) {
+        return sendScopeError(req, res);
+      }
 
-      if(!role.includes(req.User.role)) {
+      if(!req.User.can(capability)) {
         res.status(HttpCodes.UNAUTHORIZED);
         return next('Unauthorized');
       }
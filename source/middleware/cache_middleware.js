@@ -0,0 +1,84 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+
+module.exports = {
+
+  //
+  // Serves pages from the page cache and stores pages as they're rendered. Logged in users always
+  // get a fresh page, since they see things visitors don't, e.g. the theme toolbar.
+  //
+  // Cached pages are sent with an ETag and a Last-Modified header so browsers can revalidate them
+  // with a 304 response.
+  //
+  cachePage: (req, res, next) => {
+    const PageCache = req.app.locals.PageCache;
+    let key;
+
+    if(!PageCache.isEnabled || req.User || !['GET', 'HEAD'].includes(req.method)) {
+      return next();
+    }
+
+    // The page is already being cached by an earlier route
+    if(res.locals.CacheTags) return next();
+
+    key = PageCache.getKey(req.originalUrl);
+    PageCache.get(key)
+      .then((page) => {
+        // Serve the cached page. res.send() responds with a 304 if the browser's copy is current.
+        if(page) {
+          res.set({
+            'Content-Type': page.contentType,
+            'ETag': page.etag,
+            'Last-Modified': page.lastModified.toUTCString(),
+            'X-Page-Cache': 'HIT'
+          });
+          return res.send(page.body);
+        }
+
+        // Controllers and helpers add tags to this as they fetch data
+        let startedAt = PageCache.generation;
+        let send = res.send;
+        res.locals.CacheTags = [];
+
+        // Capture the page when it's sent. Objects are ignored since res.json() converts them to a
+        // string and calls res.send() again.
+        res.send = function(body) {
+          if(typeof body !== 'string' && !Buffer.isBuffer(body)) return send.apply(res, arguments);
+          res.send = send;
+
+          // Only successful pages are cached
+          if(res.statusCode !== 200) return send.call(res, body);
+
+          let buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+          let etag = '"' + Crypto.createHash('sha1').update(buffer).digest('base64').replace(/=+$/, '') + '"';
+          let lastModified = new Date();
+
+          res.set({
+            'ETag': etag,
+            'Last-Modified': lastModified.toUTCString(),
+            'X-Page-Cache': 'MISS'
+          });
+          send.call(res, body);
+
+          PageCache
+            .set(key, {
+              body: buffer,
+              contentType: res.get('Content-Type'),
+              etag: etag,
+              lastModified: lastModified,
+              tags: res.locals.CacheTags
+            }, startedAt)
+            // Failing to cache a page shouldn't affect the response
+            .catch(() => {});
+
+          return res;
+        };
+
+        next();
+      })
+      .catch((err) => next(err));
+  }
+
+};
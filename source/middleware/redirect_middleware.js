@@ -0,0 +1,53 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Url = require('url');
+
+module.exports = {
+
+  //
+  // Redirects old post slugs, tag slugs, and usernames to the item's current URL. This is an error
+  // handler, so it only runs when a route responds with Not Found. Add it after the route's
+  // controller.
+  //
+  //  type* (string) - The type of item the route serves: post, tag, or user.
+  //
+  redirectOldSlugs: (type) => {
+    return (err, req, res, next) => {
+      const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+      const models = req.app.locals.Database.sequelize.models;
+      let slug = type === 'user' ? req.params.username : req.params.slug;
+      let page = parseInt(req.params.page) || 1;
+
+      // Only Not Found errors are redirected. Routes ending in /page/1 are never valid.
+      if(res.statusCode !== HttpCodes.NOT_FOUND || !slug || (req.params.page && page <= 1)) {
+        return next(err);
+      }
+
+      models.slugHistory
+        .resolve(type, slug)
+        .then((targetId) => targetId ? models[type].findById(targetId) : null)
+        .then((item) => {
+          // Not an old slug, or the item is in the trash
+          if(!item) return next(err);
+
+          // Don't reveal the new slug of a post that isn't public
+          if(type === 'post' && !item.isPublic()) return next(err);
+
+          let url;
+          if(type === 'post') url = MakeUrl.post(item.slug);
+          if(type === 'tag') url = MakeUrl.tag(item.slug, { page: page });
+          if(type === 'user') url = MakeUrl.author(item.username, { page: page });
+
+          // Keep the query string
+          url += Url.parse(req.originalUrl).search || '';
+
+          res.redirect(HttpCodes.MOVED_PERMANENTLY, url);
+        })
+        .catch(() => next(err));
+    };
+  }
+
+};
@@ -13,11 +13,15 @@ module.exports = {
   // Middleware that returns a Multer instance with custom fileFilter and storage options.
   //
   //  options* (object)
-  //    - destination* (function|string) - The folder where files should be uploaded to.
+  //    - destination (function|string) - The folder where files should be uploaded to. If omitted,
+  //      files are kept in memory and made available as `req.file.buffer` so they can be passed
+  //      on to a storage backend.
   //    - allowedTypes (array|null) - Array of acceptable mime types or null to allow all files
   //      (default null).
   //    - overwrite (boolean) - Whether or not to overwrite files of the same name (default false).
   //      If false, conflicting images will be renamed with an incremental suffix: image_1.png
+  //    - maxFileSize (int) - The largest file to accept in bytes (default unlimited). Larger files
+  //      fail with a LIMIT_FILE_SIZE error.
   //
   getMulter: (options) => {
     return Multer({
@@ -33,8 +37,11 @@ module.exports = {
         cb(null, true);
       },
 
-      // Store uploads to disk
-      storage: Multer.diskStorage({
+      // Limit file size
+      limits: options.maxFileSize ? { fileSize: options.maxFileSize } : {},
+
+      // Store uploads to disk or keep them in memory
+      storage: options.destination ? Multer.diskStorage({
         destination: (req, file, cb) => {
           let destination = typeof options.destination === 'function' ? options.destination() : options.destination;
 
@@ -64,7 +71,7 @@ module.exports = {
         filename: function(req, file, cb) {
           cb(null, file.targetName);
         }
-      })
+      }) : Multer.memoryStorage()
 
     });
   }
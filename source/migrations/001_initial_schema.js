@@ -0,0 +1,259 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Creates the tables that shipped with Postleaf 1.0. Installs that predate migrations already have
+// these tables, so each one is only created if it doesn't exist.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('users', Object.assign({
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          email: {
+            type: Sequelize.STRING,
+            unique: true,
+            allowNull: false
+          },
+          username: {
+            type: Sequelize.STRING,
+            unique: true,
+            allowNull: false
+          },
+          password: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          resetToken: Sequelize.STRING,
+          role: Sequelize.ENUM('owner', 'admin', 'editor', 'contributor'),
+          avatar: Sequelize.STRING,
+          image: Sequelize.STRING,
+          location: Sequelize.STRING,
+          bio: Sequelize.TEXT,
+          website: Sequelize.STRING
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('posts', Object.assign({
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          slug: {
+            type: Sequelize.STRING,
+            unique: true,
+            allowNull: false
+          },
+          userId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          publishedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          title: {
+            type: Sequelize.TEXT,
+            allowNull: false
+          },
+          content: Sequelize.TEXT,
+          image: Sequelize.TEXT,
+          metaTitle: Sequelize.TEXT,
+          metaDescription: Sequelize.TEXT,
+          template: Sequelize.STRING,
+          status: Sequelize.ENUM('draft', 'pending', 'rejected', 'published'),
+          isPage: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false
+          },
+          isFeatured: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false
+          },
+          isSticky: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false
+          }
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('tags', Object.assign({
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          slug: {
+            type: Sequelize.STRING,
+            unique: true,
+            allowNull: false
+          },
+          name: {
+            type: Sequelize.TEXT,
+            allowNull: false
+          },
+          description: Sequelize.TEXT,
+          image: Sequelize.STRING,
+          metaTitle: Sequelize.TEXT,
+          metaDescription: Sequelize.TEXT
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('postTags', Object.assign({
+          postId: {
+            type: Sequelize.UUID,
+            primaryKey: true,
+            references: {
+              model: 'posts',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          tagId: {
+            type: Sequelize.UUID,
+            primaryKey: true,
+            references: {
+              model: 'tags',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          }
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('revisions', Object.assign({
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          postId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+              model: 'posts',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          userId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          title: Sequelize.TEXT,
+          content: Sequelize.TEXT
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('uploads', Object.assign({
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          userId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          filename: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          extension: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          path: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          mimeType: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          size: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+          },
+          width: Sequelize.INTEGER,
+          height: Sequelize.INTEGER
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('navigation', Object.assign({
+          label: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          link: {
+            type: Sequelize.STRING,
+            allowNull: false
+          }
+        }, timestamps));
+      })
+      .then(() => {
+        return queryInterface.createTable('settings', Object.assign({
+          key: {
+            type: Sequelize.STRING,
+            unique: true,
+            allowNull: false
+          },
+          value: Sequelize.TEXT
+        }, timestamps));
+      });
+  },
+
+  down: (queryInterface) => {
+    // Drop tables in reverse order to satisfy foreign key constraints
+    return Promise.resolve()
+      .then(() => queryInterface.dropTable('settings'))
+      .then(() => queryInterface.dropTable('navigation'))
+      .then(() => queryInterface.dropTable('uploads'))
+      .then(() => queryInterface.dropTable('revisions'))
+      .then(() => queryInterface.dropTable('postTags'))
+      .then(() => queryInterface.dropTable('tags'))
+      .then(() => queryInterface.dropTable('posts'))
+      .then(() => queryInterface.dropTable('users'));
+  }
+
+};
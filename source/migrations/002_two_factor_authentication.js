@@ -0,0 +1,31 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds two-factor authentication to users.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => queryInterface.addColumn('users', 'twoFactorSecret', Sequelize.STRING))
+      .then(() => queryInterface.addColumn('users', 'twoFactorEnabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }))
+      .then(() => queryInterface.addColumn('users', 'twoFactorCounter', Sequelize.INTEGER))
+      .then(() => queryInterface.addColumn('users', 'recoveryCodes', Sequelize.TEXT));
+  },
+
+  down: (queryInterface) => {
+    return Promise.resolve()
+      .then(() => queryInterface.removeColumn('users', 'recoveryCodes'))
+      .then(() => queryInterface.removeColumn('users', 'twoFactorCounter'))
+      .then(() => queryInterface.removeColumn('users', 'twoFactorEnabled'))
+      .then(() => queryInterface.removeColumn('users', 'twoFactorSecret'));
+  }
+
+};
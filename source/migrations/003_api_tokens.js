@@ -0,0 +1,58 @@
+'use strict';
+
+//
+// Adds personal API tokens for integrations.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('apiTokens', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      prefix: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      lastUsedAt: Sequelize.DATE,
+      expiresAt: Sequelize.DATE,
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('apiTokens');
+  }
+
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+//
+// Adds a sessions table so auth tokens can be listed and revoked.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      userAgent: Sequelize.TEXT,
+      ipAddress: Sequelize.STRING,
+      lastSeenAt: Sequelize.DATE,
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('sessions');
+  }
+
+};
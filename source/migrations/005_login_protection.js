@@ -0,0 +1,67 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds login attempt tracking, account lockouts, and expiring password reset tokens.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('loginAttempts', {
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          userId: {
+            type: Sequelize.UUID,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          username: Sequelize.STRING,
+          ipAddress: Sequelize.STRING,
+          action: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          success: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+          },
+          reason: Sequelize.STRING,
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => queryInterface.addIndex('loginAttempts', ['ipAddress', 'createdAt']))
+      .then(() => queryInterface.addIndex('loginAttempts', ['userId', 'createdAt']))
+      .then(() => queryInterface.addColumn('users', 'resetTokenExpiresAt', Sequelize.DATE))
+      .then(() => queryInterface.addColumn('users', 'lockedUntil', Sequelize.DATE))
+      .then(() => queryInterface.addColumn('users', 'unlockToken', Sequelize.STRING))
+      // Reset tokens are hashed now, so outstanding ones won't work anymore
+      .then(() => queryInterface.bulkUpdate('users', { resetToken: null }, {}));
+  },
+
+  down: (queryInterface) => {
+    return Promise.resolve()
+      .then(() => queryInterface.removeColumn('users', 'unlockToken'))
+      .then(() => queryInterface.removeColumn('users', 'lockedUntil'))
+      .then(() => queryInterface.removeColumn('users', 'resetTokenExpiresAt'))
+      .then(() => queryInterface.dropTable('loginAttempts'));
+  }
+
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds custom roles. A user's role can now be a custom role's id, so it's no longer an enum.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('roles', {
+          id: {
+            type: Sequelize.STRING,
+            primaryKey: true
+          },
+          name: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          capabilities: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+            defaultValue: ''
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => {
+        // SQLite stores enums as text already. Changing a column there rebuilds the table, which
+        // would cascade to every table that references users.
+        if(queryInterface.sequelize.getDialect() === 'sqlite') return;
+
+        return queryInterface.changeColumn('users', 'role', Sequelize.STRING);
+      });
+  },
+
+  down: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      // Users with custom roles become contributors
+      .then(() => {
+        return queryInterface.bulkUpdate('users', { role: 'contributor' }, {
+          role: { $notIn: ['owner', 'admin', 'editor', 'contributor'] }
+        });
+      })
+      .then(() => {
+        if(queryInterface.sequelize.getDialect() === 'sqlite') return;
+
+        return queryInterface.changeColumn('users', 'role', Sequelize.ENUM('owner', 'admin', 'editor', 'contributor'));
+      })
+      .then(() => queryInterface.dropTable('roles'));
+  }
+
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds the audit log.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('auditLogs', {
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          userId: Sequelize.UUID,
+          username: Sequelize.STRING,
+          ipAddress: Sequelize.STRING,
+          action: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          targetType: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          targetId: Sequelize.STRING,
+          targetName: Sequelize.STRING,
+          before: Sequelize.TEXT,
+          after: Sequelize.TEXT,
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => queryInterface.addIndex('auditLogs', ['createdAt']))
+      .then(() => queryInterface.addIndex('auditLogs', ['userId', 'createdAt']))
+      .then(() => queryInterface.addIndex('auditLogs', ['targetType', 'targetId']));
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('auditLogs');
+  }
+
+};
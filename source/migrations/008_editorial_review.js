@@ -0,0 +1,71 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds review threads to posts and lets editors assign a reviewer.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => queryInterface.addColumn('posts', 'reviewerId', {
+        type: Sequelize.UUID,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      }))
+      .then(() => {
+        return queryInterface.createTable('reviews', {
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          postId: {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+              model: 'posts',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          userId: {
+            type: Sequelize.UUID,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'SET NULL',
+            onUpdate: 'CASCADE'
+          },
+          type: {
+            type: Sequelize.ENUM('comment', 'submit', 'approve', 'reject'),
+            allowNull: false
+          },
+          message: Sequelize.TEXT,
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => queryInterface.addIndex('reviews', ['postId', 'createdAt']));
+  },
+
+  down: (queryInterface) => {
+    return Promise.resolve()
+      .then(() => queryInterface.dropTable('reviews'))
+      .then(() => queryInterface.removeColumn('posts', 'reviewerId'));
+  }
+
+};
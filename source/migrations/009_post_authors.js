@@ -0,0 +1,67 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds multiple authors to posts. Each post's current author becomes its first author.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    let quote = (name) => queryInterface.quoteIdentifier(name);
+
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('postAuthors', {
+          postId: {
+            type: Sequelize.UUID,
+            primaryKey: true,
+            references: {
+              model: 'posts',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          userId: {
+            type: Sequelize.UUID,
+            primaryKey: true,
+            references: {
+              model: 'users',
+              key: 'id'
+            },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE'
+          },
+          sortOrder: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => queryInterface.addIndex('postAuthors', ['userId']))
+      .then(() => {
+        return queryInterface.sequelize.query(
+          'INSERT INTO ' + queryInterface.quoteTable('postAuthors') +
+          ' (' + ['postId', 'userId', 'sortOrder', 'createdAt', 'updatedAt'].map(quote).join(', ') + ')' +
+          ' SELECT ' + [quote('id'), quote('userId'), '0', quote('createdAt'), quote('updatedAt')].join(', ') +
+          ' FROM ' + queryInterface.quoteTable('posts')
+        );
+      });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('postAuthors');
+  }
+
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Adds custom fields to posts, tags, and users. Values are stored as JSON since each theme declares
+// its own fields.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.each(['posts', 'tags', 'users'], (table) => {
+      return queryInterface.addColumn(table, 'fields', Sequelize.TEXT);
+    });
+  },
+
+  down: (queryInterface) => {
+    return Promise.each(['posts', 'tags', 'users'], (table) => {
+      return queryInterface.removeColumn(table, 'fields');
+    });
+  }
+
+};
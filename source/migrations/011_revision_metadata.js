@@ -0,0 +1,17 @@
+'use strict';
+
+//
+// Lets revisions capture a post's settings (tags, image, meta fields, template, and custom fields)
+// along with its title and content.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.addColumn('revisions', 'metadata', Sequelize.TEXT);
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.removeColumn('revisions', 'metadata');
+  }
+
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+//
+// Adds autosaves, which keep each user's unsaved changes to a post so they can be recovered if the
+// editor is closed before saving.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('autosaves', {
+      postId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      data: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      baseUpdatedAt: Sequelize.DATE,
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('autosaves');
+  }
+
+};
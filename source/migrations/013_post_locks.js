@@ -0,0 +1,49 @@
+'use strict';
+
+//
+// Adds edit locks so two users can't edit the same post at the same time without knowing it.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('postLocks', {
+      postId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      heartbeatAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('postLocks');
+  }
+
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+// Tables whose rows are moved to the trash instead of being deleted right away
+const tables = ['posts', 'tags', 'uploads', 'users'];
+
+//
+// Adds a trash for posts, tags, uploads, and users. Deleted rows are kept with a deletion date so
+// they can be restored until they're purged.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.each(tables, (table) => {
+      return queryInterface.addColumn(table, 'deletedAt', Sequelize.DATE)
+        .then(() => queryInterface.addIndex(table, ['deletedAt']));
+    });
+  },
+
+  // Items in the trash become visible again when this is reverted
+  down: (queryInterface) => {
+    return Promise.each(tables, (table) => {
+      return queryInterface.removeIndex(table, ['deletedAt'])
+        .then(() => queryInterface.removeColumn(table, 'deletedAt'));
+    });
+  }
+
+};
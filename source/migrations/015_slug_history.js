@@ -0,0 +1,49 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+//
+// Remembers old post slugs, tag slugs, and usernames so their URLs can redirect to the new ones.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return Promise.resolve()
+      .then(() => {
+        return queryInterface.createTable('slugHistories', {
+          id: {
+            type: Sequelize.UUID,
+            primaryKey: true
+          },
+          type: {
+            type: Sequelize.ENUM('post', 'tag', 'user'),
+            allowNull: false
+          },
+          slug: {
+            type: Sequelize.STRING,
+            allowNull: false
+          },
+          targetId: {
+            type: Sequelize.UUID,
+            allowNull: false
+          },
+          createdAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          },
+          updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      })
+      .then(() => queryInterface.addIndex('slugHistories', ['type', 'slug'], { indicesType: 'UNIQUE' }))
+      .then(() => queryInterface.addIndex('slugHistories', ['type', 'targetId']));
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.dropTable('slugHistories');
+  }
+
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+//
+// Marks posts that are waiting to go live. The flag is cleared once the scheduler has published the
+// post, so posts that came due while the app wasn't running are still published when it starts.
+//
+module.exports = {
+
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.addColumn('posts', 'isScheduled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: (queryInterface) => {
+    return queryInterface.removeColumn('posts', 'isScheduled');
+  }
+
+};
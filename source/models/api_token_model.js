@@ -0,0 +1,227 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+const Promise = require('bluebird');
+
+// Tokens start with this so they're easy to recognize in headers and config files
+const tokenPrefix = 'pl_';
+
+// Scopes that can be granted to a token. Each one maps to a group of API endpoints.
+const availableScopes = [
+  'posts:read',
+  'posts:write',
+  'tags:read',
+  'tags:write',
+  'trash:read',
+  'trash:write',
+  'uploads:read',
+  'uploads:write',
+  'users:read',
+  'users:write',
+  'navigation:read',
+  'navigation:write',
+  'settings:read',
+  'settings:write',
+  'backups:read',
+  'backups:write',
+  'import:write',
+  'static:write',
+  'audit:read'
+];
+
+// How often to record when a token was last used
+const lastUsedInterval = 60 * 1000; // milliseconds
+
+//
+// Hashes a token. Tokens are long and random, so a fast hash is enough and lets us look them up
+// directly.
+//
+// Returns a string.
+//
+function hashToken(token) {
+  return Crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = (sequelize, DataTypes) => {
+
+  const apiToken = sequelize.define('apiToken', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          args: true,
+          msg: 'this_field_cannot_be_empty' // i18n
+        }
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false
+    },
+    prefix: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    scopes: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          args: true,
+          msg: 'please_select_at_least_one_scope' // i18n
+        }
+      }
+    },
+    lastUsedAt: DataTypes.DATE,
+    expiresAt: DataTypes.DATE
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Looks up an API token and the user it belongs to. Expired tokens are rejected.
+      //
+      //  token* (string) - The plain text token.
+      //
+      // Returns a promise resolving with the respective API token object. The user is available in
+      // apiToken.user.
+      //
+      authenticate: (token) => {
+        if(typeof token !== 'string' || token.indexOf(tokenPrefix) !== 0) {
+          return Promise.reject(new Error('Invalid API token.'));
+        }
+
+        return apiToken
+          .findOne({
+            where: {
+              tokenHash: hashToken(token)
+            },
+            include: [
+              {
+                model: sequelize.models.user,
+                attributes: { exclude: ['password', 'resetToken'] }
+              }
+            ]
+          })
+          .then((token) => {
+            if(!token || !token.user) {
+              throw new Error('Invalid API token.');
+            }
+
+            if(token.expiresAt && new Date(token.expiresAt) < new Date()) {
+              throw new Error('This API token has expired.');
+            }
+
+            // Record usage without holding up the request
+            if(!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt) > lastUsedInterval) {
+              token.lastUsedAt = new Date();
+              token.save({ fields: ['lastUsedAt'] }).catch(() => null);
+            }
+
+            return token;
+          });
+      },
+
+      //
+      // Generates a new plain text token. Only its hash should be stored.
+      //
+      // Returns an object: { token, tokenHash, prefix }
+      //
+      generateToken: () => {
+        let token = tokenPrefix + Crypto.randomBytes(20).toString('hex');
+
+        return {
+          token: token,
+          tokenHash: hashToken(token),
+          prefix: token.substr(0, tokenPrefix.length + 6)
+        };
+      },
+
+      //
+      // Gets the scopes that can be granted to a token.
+      //
+      // Returns an array.
+      //
+      getAvailableScopes: () => availableScopes.slice(),
+
+      //
+      // Checks whether a string looks like an API token, as opposed to an auth token.
+      //
+      // Returns a boolean.
+      //
+      isApiToken: (token) => typeof token === 'string' && token.indexOf(tokenPrefix) === 0
+    },
+
+    // Instance methods
+    instanceMethods: {
+      //
+      // Gets the token's scopes.
+      //
+      // Returns an array.
+      //
+      getScopes: function() {
+        return (this.scopes || '').split(',').filter((scope) => scope.length);
+      },
+
+      //
+      // Checks whether the token has been granted a scope.
+      //
+      //  scope* (string) - The scope to check, e.g. posts:read.
+      //
+      // Returns a boolean.
+      //
+      hasScope: function(scope) {
+        return this.getScopes().includes(scope);
+      },
+
+      //
+      // Sets the token's scopes. Unknown scopes are ignored.
+      //
+      //  scopes* (array) - The scopes to grant.
+      //
+      // Returns the API token object.
+      //
+      setScopes: function(scopes) {
+        this.scopes = [].concat(scopes || [])
+          .filter((scope) => availableScopes.includes(scope))
+          .filter((scope, index, array) => array.indexOf(scope) === index)
+          .join(',');
+
+        return this;
+      },
+
+      //
+      // Removes the token hash so the token can be sent to the client.
+      //
+      // Returns an object.
+      //
+      toJSON: function() {
+        let values = Object.assign({}, this.get({ plain: true }));
+        delete values.tokenHash;
+        delete values.user;
+        values.scopes = this.getScopes();
+
+        return values;
+      }
+    }
+  });
+
+  return apiToken;
+
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+
+  const auditLog = sequelize.define('auditLog', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    // Not a foreign key, so entries outlive the users who made them
+    userId: DataTypes.UUID,
+    username: DataTypes.STRING,
+    ipAddress: DataTypes.STRING,
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    targetType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    targetId: DataTypes.STRING,
+    targetName: DataTypes.STRING,
+    before: DataTypes.TEXT,
+    after: DataTypes.TEXT
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Builds the where clause for a filtered list of entries.
+      //
+      //  filters (object)
+      //    - user (string) - A user id.
+      //    - action (string) - An action, e.g. update.
+      //    - targetType (string) - A target type, e.g. post.
+      //    - targetId (string) - A target id.
+      //    - from (date) - Only entries on or after this date.
+      //    - to (date) - Only entries before this date.
+      //
+      // Returns an object.
+      //
+      getWhere: (filters) => {
+        let where = {};
+        filters = filters || {};
+
+        if(filters.user) where.userId = filters.user;
+        if(filters.action) where.action = filters.action;
+        if(filters.targetType) where.targetType = filters.targetType;
+        if(filters.targetId) where.targetId = filters.targetId;
+        if(filters.from || filters.to) {
+          where.createdAt = {};
+          if(filters.from) where.createdAt.$gte = filters.from;
+          if(filters.to) where.createdAt.$lt = filters.to;
+        }
+
+        return where;
+      }
+    },
+
+    // Instance methods
+    instanceMethods: {
+      //
+      // Returns before and after values as objects.
+      //
+      // Returns an object.
+      //
+      toJSON: function() {
+        let parse = (value) => {
+          try {
+            return value ? JSON.parse(value) : null;
+          } catch(err) {
+            return null;
+          }
+        };
+
+        return Object.assign({}, this.get({ plain: true }), {
+          before: parse(this.before),
+          after: parse(this.after)
+        });
+      }
+    }
+  });
+
+  return auditLog;
+
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+
+  const autosave = sequelize.define('autosave', {
+    // Schema
+    postId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: sequelize.models.post,
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    // The editor's post data, stored as JSON
+    data: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      get: function() {
+        try {
+          return JSON.parse(this.getDataValue('data'));
+        } catch(err) {
+          return {};
+        }
+      },
+      set: function(value) {
+        this.setDataValue('data', typeof value === 'string' ? value : JSON.stringify(value || {}));
+      }
+    },
+    // When the post was last saved before the editor loaded it. Used to detect changes made
+    // elsewhere in the meantime.
+    baseUpdatedAt: DataTypes.DATE
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Removes a user's autosave for a post. Call this after the post is saved.
+      //
+      //  postId* (string) - The post's id.
+      //  userId* (string) - The user's id.
+      //
+      // Returns a promise.
+      //
+      discard: (postId, userId) => {
+        return autosave.destroy({
+          where: {
+            postId: postId,
+            userId: userId
+          }
+        });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: { }
+  });
+
+  return autosave;
+
+};
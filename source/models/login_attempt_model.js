@@ -0,0 +1,110 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+// How long to keep login attempts
+const retentionPeriod = 30 * 24 * 60 * 60 * 1000; // milliseconds
+
+module.exports = (sequelize, DataTypes) => {
+
+  const loginAttempt = sequelize.define('loginAttempt', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    userId: {
+      type: DataTypes.UUID,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    username: DataTypes.STRING,
+    ipAddress: DataTypes.STRING,
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    reason: DataTypes.STRING
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Counts attempts since a given time.
+      //
+      //  where* (object) - Conditions to match, e.g. { ipAddress: '127.0.0.1', success: false }.
+      //  since* (date) - Only count attempts made after this time.
+      //
+      // Returns a promise resolving with an object: { count, last }. Last is the date of the most
+      // recent attempt or null if there weren't any.
+      //
+      countSince: (where, since) => {
+        where = Object.assign({ createdAt: { $gt: since } }, where);
+
+        return Promise.all([
+          loginAttempt.count({ where: where }),
+          loginAttempt.findOne({
+            attributes: ['createdAt'],
+            where: where,
+            order: [['createdAt', 'DESC']]
+          })
+        ]).then((result) => {
+          return {
+            count: result[0],
+            last: result[1] ? new Date(result[1].createdAt) : null
+          };
+        });
+      },
+
+      //
+      // Gets the time of a user's last successful login, password reset, or unlock. Recovery emails
+      // don't count, since anyone can request one.
+      //
+      //  userId* (string) - The user's id.
+      //
+      // Returns a promise resolving with a date or null.
+      //
+      lastSuccess: (userId) => {
+        return loginAttempt
+          .findOne({
+            attributes: ['createdAt'],
+            where: {
+              userId: userId,
+              action: { $in: ['login', 'two-factor', 'oidc', 'reset', 'unlock'] },
+              success: true
+            },
+            order: [['createdAt', 'DESC']]
+          })
+          .then((attempt) => attempt ? new Date(attempt.createdAt) : null);
+      },
+
+      //
+      // Records an attempt and removes ones that are older than the retention period.
+      //
+      //  values* (object) - The attempt's values.
+      //
+      // Returns a promise resolving with the login attempt object.
+      //
+      record: (values) => {
+        return loginAttempt
+          .destroy({
+            where: {
+              createdAt: { $lt: new Date(Date.now() - retentionPeriod) }
+            }
+          })
+          .then(() => loginAttempt.create(values));
+      }
+    }
+  });
+
+  return loginAttempt;
+
+};
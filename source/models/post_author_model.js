@@ -0,0 +1,83 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+module.exports = (sequelize, DataTypes) => {
+
+  const postAuthor = sequelize.define('postAuthor', {
+    // Schema
+    postId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: sequelize.models.post,
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    // Authors are listed in ascending order. The first one is the post's primary author.
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Replaces a post's authors.
+      //
+      //  postId* (string) - The post's id.
+      //  userIds* (array) - The authors' ids in the order they should be listed.
+      //  options (object) - Options to pass to Sequelize, e.g. a transaction.
+      //
+      // Returns a promise.
+      //
+      setAuthors: (postId, userIds, options) => {
+        options = options || {};
+
+        return postAuthor
+          .destroy(Object.assign({}, options, { where: { postId: postId } }))
+          .then(() => Promise.mapSeries(userIds, (userId, index) => {
+            return postAuthor.create({
+              postId: postId,
+              userId: userId,
+              sortOrder: index
+            }, options);
+          }));
+      },
+
+      //
+      // Sorts the authors of one or more posts. Sequelize doesn't order included associations, so
+      // this runs after posts are fetched with their authors.
+      //
+      //  posts (object) - A post or an array of posts.
+      //
+      // No return value.
+      //
+      sortAuthors: (posts) => {
+        [].concat(posts || []).forEach((post) => {
+          if(!post || !Array.isArray(post.authors)) return;
+
+          post.authors.sort((a, b) => {
+            return (a.postAuthor ? a.postAuthor.sortOrder : 0) - (b.postAuthor ? b.postAuthor.sortOrder : 0);
+          });
+        });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: { }
+  });
+
+  return postAuthor;
+
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+// Locks expire when the editor holding them stops sending heartbeats for this long
+const lockTimeout = 2 * 60 * 1000; // milliseconds
+
+module.exports = (sequelize, DataTypes) => {
+
+  const postLock = sequelize.define('postLock', {
+    // Schema
+    postId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: sequelize.models.post,
+        key: 'id'
+      }
+    },
+    // The user who is editing the post
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    heartbeatAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Gets a post's lock if it hasn't expired.
+      //
+      //  postId* (string) - The post's id.
+      //
+      // Returns a promise that resolves with the lock, including the user who holds it, or null.
+      //
+      getActive: (postId) => {
+        return postLock
+          .findOne({
+            where: {
+              postId: postId,
+              heartbeatAt: { $gte: new Date(Date.now() - lockTimeout) }
+            },
+            include: [{
+              model: sequelize.models.user,
+              as: 'user',
+              attributes: ['id', 'name', 'username', 'avatar']
+            }]
+          });
+      },
+
+      //
+      // Gives a user the lock on a post or keeps their existing lock alive.
+      //
+      //  postId* (string) - The post's id.
+      //  userId* (string) - The user's id.
+      //
+      // Returns a promise that resolves with the lock.
+      //
+      acquire: (postId, userId) => {
+        return postLock
+          .findOne({
+            where: { postId: postId }
+          })
+          .then((lock) => {
+            if(!lock) lock = postLock.build({ postId: postId });
+
+            lock.userId = userId;
+            lock.heartbeatAt = new Date();
+
+            return lock.save();
+          });
+      },
+
+      //
+      // Removes a user's lock on a post. Locks held by other users are left alone.
+      //
+      //  postId* (string) - The post's id.
+      //  userId* (string) - The user's id.
+      //
+      // Returns a promise.
+      //
+      release: (postId, userId) => {
+        return postLock.destroy({
+          where: {
+            postId: postId,
+            userId: userId
+          }
+        });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: { }
+  });
+
+  return postLock;
+
+};
@@ -3,9 +3,13 @@
 // Node modules
 const Extend = require('extend');
 const Moment = require('moment');
+const Path = require('path');
 const Lunr = require('lunr');
 const Striptags = require('striptags');
 
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+
 //
 // Converts a model object to a Lunr search index object.
 //
@@ -23,6 +27,16 @@ function getSearchIndexObject(postObject) {
   };
 }
 
+//
+// Flags published posts with a future publish date as scheduled. The scheduler clears the flag when
+// the post goes live.
+//
+function flagScheduled(item) {
+  if(item.status === 'published' && Moment(item.publishedAt).isAfter(Moment.utc())) {
+    item.isScheduled = true;
+  }
+}
+
 module.exports = (sequelize, DataTypes) => {
 
   const post = sequelize.define('post', {
@@ -77,6 +91,24 @@ module.exports = (sequelize, DataTypes) => {
     metaDescription: DataTypes.TEXT,
     template: DataTypes.STRING,
     status: DataTypes.ENUM('draft', 'pending', 'rejected', 'published'),
+    // Custom field values, keyed by the fields the theme declares
+    fields: {
+      type: DataTypes.TEXT,
+      get: function() {
+        return CustomFields.decode(this.getDataValue('fields'));
+      },
+      set: function(value) {
+        this.setDataValue('fields', CustomFields.encode(value));
+      }
+    },
+    // The user who should review the post when it's pending
+    reviewerId: {
+      type: DataTypes.UUID,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
     isPage: {
       type: DataTypes.BOOLEAN,
       allowNull: false
@@ -88,8 +120,17 @@ module.exports = (sequelize, DataTypes) => {
     isSticky: {
       type: DataTypes.BOOLEAN,
       allowNull: false
+    },
+    // Published posts that are waiting for the scheduler to take them live
+    isScheduled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
     }
   }, {
+    // Deleted posts are kept in the trash until they're purged
+    paranoid: true,
+
     // Class methods
     classMethods: {
       //
@@ -120,10 +161,18 @@ module.exports = (sequelize, DataTypes) => {
           });
       },
 
+      //
+      // Updates a post in the search index. Use this when a post changes without being saved, e.g.
+      // when a scheduled post goes live.
+      //
+      //  item* (object) - The post.
+      //
+      reindex: (item) => post.searchIndex.update(getSearchIndexObject(item)),
+
       //
       // Returns the number of posts based on the specified options.
       //
-      //  author (string) - A username.
+      //  author (string) - A username. Posts the user co-authored are included.
       //  tag (string) - A tag slug.
       //
       // Returns a promise that resolve with an integer post count.
@@ -139,12 +188,13 @@ module.exports = (sequelize, DataTypes) => {
         let include = [];
         let where = {};
 
-        // Count by author
+        // Count by author, including co-authors
         if(author) {
           include.push({
             model: sequelize.models.user,
-            as: 'author',
-            attributes: { exclude: ['password', 'resetToken'] },
+            as: 'authors',
+            attributes: [],
+            through: { attributes: [] },
             where: { username: author }
           });
         }
@@ -177,6 +227,7 @@ module.exports = (sequelize, DataTypes) => {
 
         // Get the count
         return post.count({
+          distinct: true,
           where: where,
           include: include
         });
@@ -203,8 +254,9 @@ module.exports = (sequelize, DataTypes) => {
         // Perform the search
         let matches = post.searchIndex.search(query);
         let ids = matches.map((val) => val.ref);
+        let column = sequelize.getQueryInterface().quoteIdentifiers('post.id');
         let order = ids.map((val) => {
-          return '`post`.`id` = ' + sequelize.escape(val) + ' DESC';
+          return column + ' = ' + sequelize.escape(val) + ' DESC';
         });
         order = order.join(', ');
 
@@ -236,6 +288,18 @@ module.exports = (sequelize, DataTypes) => {
 
     // Instance methods
     instanceMethods: {
+      //
+      // Gets the post's authors in the order they were assigned. The authors association must be
+      // included, otherwise only the primary author is returned.
+      //
+      // Returns an array of users.
+      //
+      listAuthors: function() {
+        if(Array.isArray(this.authors) && this.authors.length) return this.authors;
+
+        return this.author ? [this.author] : [];
+      },
+
       //
       // Returns the next public post.
       //
@@ -364,10 +428,22 @@ module.exports = (sequelize, DataTypes) => {
     // Hooks
     hooks: {
       //
-      // Update the search index when posts are added, deleted, and updated
+      // Keep authors in the order they were assigned
+      //
+      afterFind: (result) => sequelize.models.postAuthor.sortAuthors(result),
+
+      //
+      // Posts with a future publish date wait for the scheduler
+      //
+      beforeCreate: (item) => flagScheduled(item),
+      beforeUpdate: (item) => flagScheduled(item),
+
+      //
+      // Update the search index when posts are added, deleted, restored, and updated
       //
       afterCreate: (item) => post.searchIndex.add(getSearchIndexObject(item)),
       afterDelete: (item) => post.searchIndex.remove({ id: item.id }),
+      afterRestore: (item) => post.searchIndex.add(getSearchIndexObject(item)),
       afterUpdate: (item) => post.searchIndex.update(getSearchIndexObject(item))
     }
   });
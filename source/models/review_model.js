@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+
+  const review = sequelize.define('review', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    postId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: sequelize.models.post,
+        key: 'id'
+      }
+    },
+    // Null when the user who wrote it has been deleted
+    userId: {
+      type: DataTypes.UUID,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    // A comment, or the status change that started the entry
+    type: {
+      type: DataTypes.ENUM('comment', 'submit', 'approve', 'reject'),
+      allowNull: false
+    },
+    message: DataTypes.TEXT
+  }, {
+
+    // Class methods
+    classMethods: {
+      //
+      // Gets the most recent rejection of a post.
+      //
+      //  postId* (string) - The post's id.
+      //
+      // Returns a promise that resolves with a review or null.
+      //
+      getRejection: (postId) => {
+        return review.findOne({
+          where: {
+            postId: postId,
+            type: 'reject'
+          },
+          include: [{
+            model: sequelize.models.user,
+            as: 'author',
+            attributes: { exclude: ['password', 'resetToken'] }
+          }],
+          order: [
+            ['createdAt', 'DESC']
+          ]
+        });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: { }
+
+  });
+
+  return review;
+
+};
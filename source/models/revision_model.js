@@ -26,11 +26,79 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     title: DataTypes.TEXT,
-    content: DataTypes.TEXT
+    content: DataTypes.TEXT,
+    // The post's settings when the revision was made, stored as JSON. Older revisions don't have
+    // this, in which case it's null.
+    metadata: {
+      type: DataTypes.TEXT,
+      get: function() {
+        let metadata = this.getDataValue('metadata');
+
+        try {
+          return metadata ? JSON.parse(metadata) : null;
+        } catch(err) {
+          return null;
+        }
+      },
+      set: function(value) {
+        if(value && typeof value === 'object') value = JSON.stringify(value);
+        this.setDataValue('metadata', value || null);
+      }
+    }
   }, {
 
     // Class methods
-    classMethods: { },
+    classMethods: {
+      //
+      // Gets the settings a revision captures from a post.
+      //
+      //  post* (object) - The post.
+      //  options (object) - Options to pass to Sequelize, e.g. a transaction.
+      //
+      // Returns a promise that resolves with an object: { image, metaTitle, metaDescription,
+      // template, tags, fields }
+      //
+      getMetadata: (post, options) => {
+        return sequelize.models.postTags
+          .findAll(Object.assign({}, options, {
+            where: { postId: post.id },
+            order: [['createdAt', 'ASC']]
+          }))
+          .then((postTags) => {
+            return {
+              image: post.image || null,
+              metaTitle: post.metaTitle || null,
+              metaDescription: post.metaDescription || null,
+              template: post.template || null,
+              tags: postTags.map((postTag) => postTag.tagId),
+              fields: post.fields || {}
+            };
+          });
+      },
+
+      //
+      // Creates a revision from a post's current state. Call this after the post's tags are saved.
+      //
+      //  post* (object) - The post.
+      //  userId* (string) - The id of the user who made the changes.
+      //  options (object) - Options to pass to Sequelize, e.g. a transaction.
+      //
+      // Returns a promise that resolves with the revision.
+      //
+      createFromPost: (post, userId, options) => {
+        options = options || {};
+
+        return revision.getMetadata(post, options).then((metadata) => {
+          return revision.create({
+            postId: post.id,
+            userId: userId,
+            title: post.title,
+            content: post.content,
+            metadata: metadata
+          }, options);
+        });
+      }
+    },
 
     // Instance methods
     instanceMethods: { }
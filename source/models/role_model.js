@@ -0,0 +1,87 @@
+'use strict';
+
+// Node modules
+const Path = require('path');
+
+// Local modules
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+
+module.exports = (sequelize, DataTypes) => {
+
+  const role = sequelize.define('role', {
+    // Schema
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      validate: {
+        is: {
+          args: /^[a-z](?:-?[a-z0-9]+)*$/,
+          msg: 'slugs_must_start_with_a_letter_and_can_only_contain' // i18n
+        }
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          args: true,
+          msg: 'this_field_cannot_be_empty' // i18n
+        }
+      }
+    },
+    capabilities: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    }
+  }, {
+    // Class methods
+    classMethods: { },
+
+    // Instance methods
+    instanceMethods: {
+      //
+      // Gets the role's capabilities.
+      //
+      // Returns an array.
+      //
+      getCapabilities: function() {
+        return (this.capabilities || '').split(',').filter((capability) => capability.length);
+      },
+
+      //
+      // Sets the role's capabilities. Unknown capabilities and ones that only the owner can have are
+      // ignored.
+      //
+      //  capabilities* (array) - The capabilities to grant.
+      //
+      // Returns the role object.
+      //
+      setCapabilities: function(capabilities) {
+        let available = Permissions.getCapabilities();
+
+        this.capabilities = [].concat(capabilities || [])
+          .filter((capability) => available.includes(capability))
+          .filter((capability, index, array) => array.indexOf(capability) === index)
+          .join(',');
+
+        return this;
+      },
+
+      //
+      // Returns capabilities as an array.
+      //
+      // Returns an object.
+      //
+      toJSON: function() {
+        return Object.assign({}, this.get({ plain: true }), {
+          capabilities: this.getCapabilities()
+        });
+      }
+    }
+  });
+
+  return role;
+
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+// How often to record when a session was last seen
+const lastSeenInterval = 60 * 1000; // milliseconds
+
+// Browsers and operating systems to recognize in user agents, most specific first
+const browsers = [
+  ['Edge', /Edge?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//],
+  ['Firefox', /Firefox\//],
+  ['Internet Explorer', /MSIE |Trident\//]
+];
+const platforms = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+module.exports = (sequelize, DataTypes) => {
+
+  const session = sequelize.define('session', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: sequelize.models.user,
+        key: 'id'
+      }
+    },
+    userAgent: DataTypes.TEXT,
+    ipAddress: DataTypes.STRING,
+    lastSeenAt: DataTypes.DATE,
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Starts a new session for a user. Expired sessions are removed at the same time.
+      //
+      //  userId* (string) - The user's id.
+      //  req (object) - The request that's starting the session, used to record the device.
+      //
+      // Returns a promise resolving with the session object.
+      //
+      start: (userId, req) => {
+        let days = process.env.AUTH_LIFETIME;
+
+        return session
+          .destroy({
+            where: {
+              userId: userId,
+              expiresAt: { $lt: new Date() }
+            }
+          })
+          .then(() => {
+            return session.create({
+              userId: userId,
+              userAgent: req ? req.get('User-Agent') : null,
+              ipAddress: req ? req.ip : null,
+              lastSeenAt: new Date(),
+              expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+            });
+          });
+      },
+
+      //
+      // Ends all of a user's sessions, signing them out everywhere.
+      //
+      //  userId* (string) - The user's id.
+      //  options (object)
+      //    - except (string) - A session id to keep, e.g. the current one.
+      //
+      // Returns a promise.
+      //
+      revokeAll: (userId, options) => {
+        let where = { userId: userId };
+        options = options || {};
+
+        if(options.except) where.id = { $ne: options.except };
+
+        return session.destroy({ where: where });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: {
+      //
+      // Gets a short description of the session's browser and operating system.
+      //
+      // Returns a string, e.g. Chrome on macOS. Returns null if the device isn't recognized.
+      //
+      getDevice: function() {
+        let userAgent = this.userAgent || '';
+        let browser = browsers.find((browser) => browser[1].test(userAgent));
+        let platform = platforms.find((platform) => platform[1].test(userAgent));
+
+        if(browser && platform) return browser[0] + ' on ' + platform[0];
+        if(browser) return browser[0];
+        if(platform) return platform[0];
+
+        return null;
+      },
+
+      //
+      // Checks whether the session has expired.
+      //
+      // Returns a boolean.
+      //
+      isExpired: function() {
+        return new Date(this.expiresAt) < new Date();
+      },
+
+      //
+      // Records that the session was used. To avoid a write on every request, this only happens
+      // once a minute.
+      //
+      //  req* (object) - The current request.
+      //
+      // Returns a promise.
+      //
+      touch: function(req) {
+        if(this.lastSeenAt && Date.now() - new Date(this.lastSeenAt) < lastSeenInterval) {
+          return Promise.resolve(this);
+        }
+
+        this.lastSeenAt = new Date();
+        this.ipAddress = req.ip;
+
+        return this.save({ fields: ['lastSeenAt', 'ipAddress'] });
+      },
+
+      //
+      // Adds the device description to the session's values.
+      //
+      // Returns an object.
+      //
+      toJSON: function() {
+        return Object.assign({}, this.get({ plain: true }), {
+          device: this.getDevice()
+        });
+      }
+    }
+  });
+
+  return session;
+
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+
+  const slugHistory = sequelize.define('slugHistory', {
+    // Schema
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    // The type of item the slug belonged to
+    type: {
+      type: DataTypes.ENUM('post', 'tag', 'user'),
+      allowNull: false
+    },
+    // A slug (or username) the item used to have
+    slug: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The item's id. Old slugs always point to the item rather than the slug that replaced them, so
+    // chains of renames resolve to the current slug in one step.
+    targetId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    // Class methods
+    classMethods: {
+      //
+      // Records a slug change.
+      //
+      //  type* (string) - The type of item: post, tag, or user.
+      //  targetId* (string) - The item's id.
+      //  oldSlug* (string) - The slug the item used to have.
+      //  newSlug* (string) - The slug the item has now.
+      //  options (object)
+      //    - transaction (object) - The transaction to run the queries in.
+      //
+      // Returns a promise.
+      //
+      record: (type, targetId, oldSlug, newSlug, options) => {
+        options = { transaction: (options || {}).transaction };
+
+        return slugHistory
+          // The new slug is live again, so it can't redirect anywhere
+          .release(type, newSlug, options)
+          .then(() => {
+            return slugHistory.findOne(Object.assign({
+              where: {
+                type: type,
+                slug: oldSlug
+              }
+            }, options));
+          })
+          .then((history) => {
+            if(history) {
+              return history.update({ targetId: targetId }, options);
+            }
+
+            return slugHistory.create({
+              type: type,
+              slug: oldSlug,
+              targetId: targetId
+            }, options);
+          });
+      },
+
+      //
+      // Forgets an old slug. Call this when an item claims the slug so it's no longer redirected.
+      //
+      //  type* (string) - The type of item: post, tag, or user.
+      //  slug* (string) - The slug to forget.
+      //  options (object)
+      //    - transaction (object) - The transaction to run the query in.
+      //
+      // Returns a promise.
+      //
+      release: (type, slug, options) => {
+        return slugHistory.destroy({
+          where: {
+            type: type,
+            slug: slug
+          },
+          transaction: (options || {}).transaction
+        });
+      },
+
+      //
+      // Looks up the item an old slug belonged to.
+      //
+      //  type* (string) - The type of item: post, tag, or user.
+      //  slug* (string) - The old slug.
+      //
+      // Returns a promise that resolves with the item's id, or null if the slug isn't in the history.
+      //
+      resolve: (type, slug) => {
+        return slugHistory
+          .findOne({
+            where: {
+              type: type,
+              slug: slug
+            }
+          })
+          .then((history) => history ? history.targetId : null);
+      },
+
+      //
+      // Attaches hooks to a model so its slug changes are recorded automatically. Changes are recorded
+      // in the same transaction as the change itself.
+      //
+      //  model* (object) - The model to track.
+      //  type* (string) - The type of item: post, tag, or user.
+      //  field* (string) - The field that holds the item's slug.
+      //
+      track: (model, type, field) => {
+        model.addHook('afterCreate', 'slugHistory', (item, options) => {
+          return slugHistory.release(type, item[field], options);
+        });
+        model.addHook('afterUpdate', 'slugHistory', (item, options) => {
+          if(!item.changed(field) || !item.previous(field)) return;
+
+          return slugHistory.record(type, item.id, item.previous(field), item[field], options);
+        });
+      }
+    },
+
+    // Instance methods
+    instanceMethods: { }
+  });
+
+  return slugHistory;
+
+};
@@ -3,6 +3,10 @@
 // Node modules
 const Extend = require('extend');
 const Lunr = require('lunr');
+const Path = require('path');
+
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 
 //
 // Converts a model object to a Lunr search index object.
@@ -54,8 +58,21 @@ module.exports = (sequelize, DataTypes) => {
     description: DataTypes.TEXT,
     image: DataTypes.STRING,
     metaTitle: DataTypes.TEXT,
-    metaDescription: DataTypes.TEXT
+    metaDescription: DataTypes.TEXT,
+    // Custom field values, keyed by the fields the theme declares
+    fields: {
+      type: DataTypes.TEXT,
+      get: function() {
+        return CustomFields.decode(this.getDataValue('fields'));
+      },
+      set: function(value) {
+        this.setDataValue('fields', CustomFields.encode(value));
+      }
+    }
   }, {
+    // Deleted tags are kept in the trash until they're purged
+    paranoid: true,
+
     // Class methods
     classMethods: {
       //
@@ -107,8 +124,9 @@ module.exports = (sequelize, DataTypes) => {
         // Perform the search
         let matches = tag.searchIndex.search(query);
         let ids = matches.map((val) => val.ref);
+        let column = sequelize.getQueryInterface().quoteIdentifiers('tag.id');
         let order = ids.map((val) => {
-          return '`tag`.`id` = ' + sequelize.escape(val) + ' DESC';
+          return column + ' = ' + sequelize.escape(val) + ' DESC';
         });
         order = order.join(', ');
 
@@ -128,10 +146,11 @@ module.exports = (sequelize, DataTypes) => {
     // Hooks
     hooks: {
       //
-      // Update the search index when tags are added, deleted, and updated
+      // Update the search index when tags are added, deleted, restored, and updated
       //
       afterCreate: (item) => tag.searchIndex.add(getSearchIndexObject(item)),
       afterDelete: (item) => tag.searchIndex.remove({ id: item.id }),
+      afterRestore: (item) => tag.searchIndex.add(getSearchIndexObject(item)),
       afterUpdate: (item) => tag.searchIndex.update(getSearchIndexObject(item))
     }
   });
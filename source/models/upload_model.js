@@ -47,6 +47,9 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER
     }
   }, {
+    // Deleted uploads are kept in the trash until they're purged
+    paranoid: true,
+
     // Class methods
     classMethods: {
       //
@@ -67,10 +70,13 @@ module.exports = (sequelize, DataTypes) => {
           offset: 0
         }, options);
 
+        // LIKE is case-sensitive in Postgres, so use ILIKE there to match the other dialects
+        let like = sequelize.getDialect() === 'postgres' ? '$iLike' : '$like';
+
         // Perform the search
         return upload.findAndCountAll({
           where: Extend(true, options.where, {
-            filename: { $like: '%' + query.replace(/(%)/g, '\\$1') + '%' }
+            filename: { [like]: '%' + query.replace(/(%)/g, '\\$1') + '%' }
           }),
           limit: options.limit,
           offset: options.offset,
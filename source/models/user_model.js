@@ -6,8 +6,78 @@ const Crypto = require('crypto');
 const Extend = require('extend');
 const Jwt = require('jsonwebtoken');
 const Lunr = require('lunr');
+const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+const Totp = require(Path.join(__basedir, 'source/modules/totp.js'));
+
+// Users have this long to enter a code after entering their password
+const twoFactorTokenLifetime = 5 * 60; // seconds
+
+// The number of recovery codes to generate
+const recoveryCodeCount = 10;
+
+// How long password reset links work for
+const resetTokenLifetime = 60 * 60 * 1000; // milliseconds
+
+// Fields that are never sent to the client
+const secretFields = ['password', 'recoveryCodes', 'resetToken', 'twoFactorSecret', 'unlockToken'];
+
+//
+// Gets the key used to encrypt two-factor secrets. Secrets have to be readable to verify codes, so
+// they're encrypted instead of hashed. Changing AUTH_SECRET will invalidate them.
+//
+// Returns a buffer.
+//
+function getEncryptionKey() {
+  return Crypto.createHash('sha256').update(process.env.AUTH_SECRET + ':two-factor').digest();
+}
+
+//
+// Gets the secret used to sign two-factor tokens. It's different from the one used for auth tokens
+// so a two-factor token can never be used to authenticate.
+//
+// Returns a string.
+//
+function getTwoFactorTokenSecret() {
+  return process.env.AUTH_SECRET + ':two-factor';
+}
+
+//
+// Hashes a password reset or unlock token. The tokens are long and random, so a fast hash is enough.
+//
+// Returns a string.
+//
+function hashToken(token) {
+  return Crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+//
+// Compares a token to a stored hash in constant time.
+//
+// Returns a boolean.
+//
+function verifyToken(token, hash) {
+  if(!token || !hash) return false;
+
+  let a = Buffer.from(hashToken(token));
+  let b = Buffer.from(hash);
+
+  return a.length === b.length && Crypto.timingSafeEqual(a, b);
+}
+
+//
+// Normalizes a recovery code so dashes, spaces, and case don't matter.
+//
+// Returns a string.
+//
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
 //
 // Converts a model object to a Lunr search index object.
 //
@@ -88,13 +158,37 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     resetToken: DataTypes.STRING,
-    role: DataTypes.ENUM('owner', 'admin', 'editor', 'contributor'),
+    resetTokenExpiresAt: DataTypes.DATE,
+    lockedUntil: DataTypes.DATE,
+    unlockToken: DataTypes.STRING,
+    role: DataTypes.STRING,
     avatar: DataTypes.STRING,
     image: DataTypes.STRING,
     location: DataTypes.STRING,
     bio: DataTypes.TEXT,
-    website: DataTypes.STRING
+    website: DataTypes.STRING,
+    // Custom field values, keyed by the fields the theme declares
+    fields: {
+      type: DataTypes.TEXT,
+      get: function() {
+        return CustomFields.decode(this.getDataValue('fields'));
+      },
+      set: function(value) {
+        this.setDataValue('fields', CustomFields.encode(value));
+      }
+    },
+    twoFactorSecret: DataTypes.STRING,
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    twoFactorCounter: DataTypes.INTEGER,
+    recoveryCodes: DataTypes.TEXT
   }, {
+    // Deleted users are kept in the trash until they're purged
+    paranoid: true,
+
     // Class methods
     classMethods: {
       //
@@ -126,11 +220,13 @@ module.exports = (sequelize, DataTypes) => {
       },
 
       //
-      // Attempts to decode an auth token.
+      // Attempts to decode an auth token. The token's session must still exist, so revoked tokens
+      // are rejected.
       //
       //  token* (string) - The auth token to decode.
       //
-      // Returns a promise resolving with the respective user object.
+      // Returns a promise resolving with the respective user object. The session is available in
+      // user.session.
       //
       decodeAuthToken(token) {
         return new Promise((resolve, reject) => {
@@ -138,19 +234,34 @@ module.exports = (sequelize, DataTypes) => {
             // Decode it
             let decoded = Jwt.verify(token, process.env.AUTH_SECRET);
 
-            // Fetch the user
-            user
-              .findOne({
-                attributes: { exclude: ['resetToken'] },
-                where: {
-                  id: decoded.data.id
-                }
-              })
-              .then((user) => {
+            // Fetch the user and the session
+            Promise
+              .all([
+                user.findOne({
+                  attributes: { exclude: ['resetToken'] },
+                  where: {
+                    id: decoded.data.id
+                  }
+                }),
+                sequelize.models.session.findOne({
+                  where: {
+                    id: decoded.data.session || null,
+                    userId: decoded.data.id
+                  }
+                })
+              ])
+              .then((result) => {
+                let user = result[0];
+                let session = result[1];
+
                 if(!user) {
                   return reject(new Error('User not found.'));
                 }
 
+                if(!session || session.isExpired()) {
+                  return reject(new Error('This session has been revoked.'));
+                }
+
                 // Verify token hash
                 let hash = Crypto
                   .createHash('sha256')
@@ -159,11 +270,12 @@ module.exports = (sequelize, DataTypes) => {
                   .substring(0, 10);
 
                 if(hash !== decoded.data.hash) {
-                  reject(new Error('Invalid auth token.'));
+                  return reject(new Error('Invalid auth token.'));
                 }
 
                 // Remove password
                 user.password = undefined;
+                user.session = session;
 
                 return resolve(user);
               })
@@ -174,6 +286,51 @@ module.exports = (sequelize, DataTypes) => {
         });
       },
 
+      //
+      // Attempts to decode a two-factor token.
+      //
+      //  token* (string) - The two-factor token to decode.
+      //
+      // Returns a promise resolving with the respective user object.
+      //
+      decodeTwoFactorToken(token) {
+        return new Promise((resolve, reject) => {
+          let decoded;
+
+          try {
+            decoded = Jwt.verify(token, getTwoFactorTokenSecret());
+          } catch(err) {
+            return reject(new Error('Invalid two-factor token.'));
+          }
+
+          user
+            .findOne({
+              where: {
+                id: decoded.data.id
+              }
+            })
+            .then((user) => {
+              if(!user || !user.twoFactorEnabled) {
+                return reject(new Error('Invalid two-factor token.'));
+              }
+
+              // Changing the password revokes pending logins too
+              let hash = Crypto
+                .createHash('sha256')
+                .update(process.env.AUTH_SECRET + user.password)
+                .digest('hex')
+                .substring(0, 10);
+
+              if(hash !== decoded.data.hash) {
+                return reject(new Error('Invalid two-factor token.'));
+              }
+
+              resolve(user);
+            })
+            .catch(() => reject(new Error('Error fetching user from the database.')));
+        });
+      },
+
       //
       // Generates a password hash.
       //
@@ -204,8 +361,9 @@ module.exports = (sequelize, DataTypes) => {
         // Perform the search
         let matches = user.searchIndex.search(query);
         let ids = matches.map((val) => val.ref);
+        let column = sequelize.getQueryInterface().quoteIdentifiers('user.id');
         let order = ids.map((val) => {
-          return '`user`.`id` = ' + sequelize.escape(val) + ' DESC';
+          return column + ' = ' + sequelize.escape(val) + ' DESC';
         });
         order = order.join(', ');
 
@@ -221,15 +379,41 @@ module.exports = (sequelize, DataTypes) => {
 
     // Instance methods
     instanceMethods: {
+      //
+      // Removes secrets so the user can be sent to the client. This applies wherever the user
+      // appears, including as the author of a post, review, or revision.
+      //
+      // Returns an object.
+      //
+      toJSON: function() {
+        let values = Object.assign({}, this.get());
+        secretFields.forEach((field) => delete values[field]);
+
+        return values;
+      },
+
+      //
+      // Checks whether the user's role has a capability.
+      //
+      //  capability* (string) - The capability to check for, e.g. post.publish.
+      //
+      // Returns a boolean.
+      //
+      can: function(capability) {
+        return Permissions.can(this.role, capability);
+      },
+
       //
       // Generates an auth token for the user.
       //
+      //  session* (object) - The session the token belongs to. Deleting the session revokes the
+      //    token.
+      //
       // Returns an object: { token, expires }
       //
-      generateAuthToken: function() {
-        let days = process.env.AUTH_LIFETIME;
-        let seconds = days * 24 * 60 * 60;
-        let expires = new Date(Date.now() + seconds * 1000); // milliseconds
+      generateAuthToken: function(session) {
+        let expires = new Date(session.expiresAt);
+        let seconds = Math.max(1, Math.floor((expires - Date.now()) / 1000));
 
         // Create a hash of the auth secret + password so changing passwords will revoke auth tokens
         let hash = Crypto
@@ -241,7 +425,8 @@ module.exports = (sequelize, DataTypes) => {
         let token = Jwt.sign({
           data: {
             id: this.id,
-            hash: hash
+            hash: hash,
+            session: session.id
           }
         }, process.env.AUTH_SECRET, { expiresIn: seconds });
 
@@ -251,6 +436,193 @@ module.exports = (sequelize, DataTypes) => {
         };
       },
 
+      //
+      // Starts a new session and generates an auth token for it.
+      //
+      //  req (object) - The request that's signing in, used to record the device.
+      //
+      // Returns a promise resolving with an object: { token, expires }
+      //
+      startSession: function(req) {
+        return sequelize.models.session
+          .start(this.id, req)
+          .then((session) => this.generateAuthToken(session));
+      },
+
+      //
+      // Generates a short-lived token that proves the user entered the correct password. The token
+      // can be exchanged for an auth token by providing a valid two-factor code.
+      //
+      // Returns a string.
+      //
+      generateTwoFactorToken: function() {
+        let hash = Crypto
+          .createHash('sha256')
+          .update(process.env.AUTH_SECRET + this.password)
+          .digest('hex')
+          .substring(0, 10);
+
+        return Jwt.sign({
+          data: {
+            id: this.id,
+            hash: hash
+          }
+        }, getTwoFactorTokenSecret(), { expiresIn: twoFactorTokenLifetime });
+      },
+
+      //
+      // Generates a new set of recovery codes and stores their hashes. Existing codes stop working.
+      //
+      // Returns an array of recovery codes. This is the only time the codes are available.
+      //
+      generateRecoveryCodes: function() {
+        let codes = [];
+
+        for(let i = 0; i < recoveryCodeCount; i++) {
+          let code = Crypto.randomBytes(5).toString('hex');
+          codes.push(code.substr(0, 5) + '-' + code.substr(5));
+        }
+
+        this.recoveryCodes = JSON.stringify(codes.map((code) => {
+          return Bcrypt.hashSync(normalizeRecoveryCode(code), 10);
+        }));
+
+        return codes;
+      },
+
+      //
+      // Generates a password reset token and stores its hash. The token expires after an hour and
+      // replaces any previous one.
+      //
+      // Returns a string. This is the only time the token is available.
+      //
+      generateResetToken: function() {
+        let token = Crypto.randomBytes(32).toString('hex');
+
+        this.resetToken = hashToken(token);
+        this.resetTokenExpiresAt = new Date(Date.now() + resetTokenLifetime);
+
+        return token;
+      },
+
+      //
+      // Generates a token for unlocking the account and stores its hash.
+      //
+      // Returns a string. This is the only time the token is available.
+      //
+      generateUnlockToken: function() {
+        let token = Crypto.randomBytes(32).toString('hex');
+
+        this.unlockToken = hashToken(token);
+
+        return token;
+      },
+
+      //
+      // Gets the number of unused recovery codes.
+      //
+      // Returns an integer.
+      //
+      getRecoveryCodeCount: function() {
+        try {
+          return JSON.parse(this.recoveryCodes || '[]').length;
+        } catch(err) {
+          return 0;
+        }
+      },
+
+      //
+      // Decrypts the user's two-factor secret.
+      //
+      // Returns a base32 string or null if the user doesn't have a secret.
+      //
+      getTwoFactorSecret: function() {
+        if(!this.twoFactorSecret) return null;
+
+        try {
+          let parts = this.twoFactorSecret.split(':').map((part) => Buffer.from(part, 'hex'));
+          let decipher = Crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), parts[0]);
+          decipher.setAuthTag(parts[1]);
+
+          return decipher.update(parts[2], null, 'utf8') + decipher.final('utf8');
+        } catch(err) {
+          return null;
+        }
+      },
+
+      //
+      // Encrypts and sets a new two-factor secret. Two-factor authentication is disabled until a
+      // code has been verified with enableTwoFactor().
+      //
+      //  secret* (string|null) - A base32 secret or null to remove it.
+      //
+      // Returns the user instance.
+      //
+      setTwoFactorSecret: function(secret) {
+        this.twoFactorEnabled = false;
+        this.twoFactorCounter = null;
+        this.recoveryCodes = null;
+        this.twoFactorSecret = null;
+
+        if(secret) {
+          let iv = Crypto.randomBytes(12);
+          let cipher = Crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+          let encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+          this.twoFactorSecret = [iv, cipher.getAuthTag(), encrypted]
+            .map((part) => part.toString('hex'))
+            .join(':');
+        }
+
+        return this;
+      },
+
+      //
+      // Uses a recovery code. Each code only works once.
+      //
+      //  code* (string) - The recovery code.
+      //
+      // Returns true if the code was valid, false otherwise.
+      //
+      useRecoveryCode: function(code) {
+        let hashes;
+        let index;
+
+        code = normalizeRecoveryCode(code);
+        if(!code) return false;
+
+        try {
+          hashes = JSON.parse(this.recoveryCodes || '[]');
+        } catch(err) {
+          return false;
+        }
+
+        index = hashes.findIndex((hash) => Bcrypt.compareSync(code, hash));
+        if(index === -1) return false;
+
+        hashes.splice(index, 1);
+        this.recoveryCodes = JSON.stringify(hashes);
+
+        return true;
+      },
+
+      //
+      // Verifies a code from the user's authenticator app. Each code only works once.
+      //
+      //  code* (string) - The code to verify.
+      //
+      // Returns true if the code is valid, false otherwise.
+      //
+      verifyTwoFactorCode: function(code) {
+        let secret = this.getTwoFactorSecret();
+        let counter = secret ? Totp.verify(secret, code, this.twoFactorCounter) : null;
+
+        if(counter === null) return false;
+
+        this.twoFactorCounter = counter;
+        return true;
+      },
+
       //
       // Hashes and sets the user's password.
       //
@@ -268,16 +640,49 @@ module.exports = (sequelize, DataTypes) => {
       //
       verifyPassword: function(password) {
         return Bcrypt.compareSync(password, this.password);
+      },
+
+      //
+      // Checks whether the account is temporarily locked.
+      //
+      // Returns a boolean.
+      //
+      isLocked: function() {
+        return !!this.lockedUntil && new Date(this.lockedUntil) > new Date();
+      },
+
+      //
+      // Checks whether a password reset token is valid and hasn't expired.
+      //
+      //  token* (string) - The token from the password reset link.
+      //
+      // Returns a boolean.
+      //
+      verifyResetToken: function(token) {
+        return verifyToken(token, this.resetToken) &&
+          !!this.resetTokenExpiresAt && new Date(this.resetTokenExpiresAt) > new Date();
+      },
+
+      //
+      // Checks whether an unlock token is valid.
+      //
+      //  token* (string) - The token from the unlock link.
+      //
+      // Returns a boolean.
+      //
+      verifyUnlockToken: function(token) {
+        return verifyToken(token, this.unlockToken);
       }
     },
 
     // Hooks
     hooks: {
       //
-      // Update the search index when users are added, deleted, and updated
+      // Update the search index when users are added, deleted, restored, and updated
       //
       afterCreate: (item) => user.searchIndex.add(getSearchIndexObject(item)),
       afterDelete: (item) => user.searchIndex.remove({ id: item.id }),
+      afterRestore: (item) => user.searchIndex.add(getSearchIndexObject(item)),
       afterUpdate: (item) => user.searchIndex.update(getSearchIndexObject(item))
     }
   });
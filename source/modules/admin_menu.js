@@ -23,7 +23,7 @@ const self = {
     });
 
     // Tags
-    if(['owner', 'admin', 'editor'].includes(User.role)) {
+    if(User.can('tag.manage')) {
       primary.push({
         label: I18n.term('tags'),
         link: MakeUrl.admin('tags'),
@@ -32,7 +32,7 @@ const self = {
     }
 
     // Navigation
-    if(['owner', 'admin'].includes(User.role)) {
+    if(User.can('navigation.manage')) {
       primary.push({
         label: I18n.term('navigation'),
         link: MakeUrl.admin('navigation'),
@@ -41,7 +41,7 @@ const self = {
     }
 
     // Users
-    if(['owner', 'admin'].includes(User.role)) {
+    if(User.can('user.manage')) {
       primary.push({
         label: I18n.term('users'),
         link: MakeUrl.admin('users'),
@@ -50,7 +50,7 @@ const self = {
     }
 
     // Settings
-    if(['owner', 'admin'].includes(User.role)) {
+    if(User.can('settings.manage')) {
       primary.push({
         label: I18n.term('settings'),
         link: MakeUrl.admin('settings'),
@@ -58,6 +58,22 @@ const self = {
       });
     }
 
+    // Audit log
+    if(User.can('audit.view')) {
+      primary.push({
+        label: I18n.term('audit_log'),
+        link: MakeUrl.admin('audit'),
+        icon: 'fa fa-history'
+      });
+    }
+
+    // Trash
+    primary.push({
+      label: I18n.term('trash'),
+      link: MakeUrl.admin('trash'),
+      icon: 'fa fa-trash'
+    });
+
     // New
     secondary.push({
       label: I18n.term('new_post'),
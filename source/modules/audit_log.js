@@ -0,0 +1,122 @@
+'use strict';
+
+// Node modules
+const Promise = require('bluebird');
+
+// Fields that are never written to the audit log. Changes to them are still recorded, but their
+// values are masked.
+const secretFields = [
+  'password',
+  'recoveryCodes',
+  'resetToken',
+  'tokenHash',
+  'twoFactorSecret',
+  'unlockToken'
+];
+
+// Fields that change on every save and would only add noise
+const ignoredFields = ['createdAt', 'updatedAt'];
+
+//
+// Converts a model instance, array, or object to a plain object that can be stored as JSON. Included
+// models are left as they are so their toJSON() methods remove secrets when they're serialized.
+//
+// Returns an object, array, or null.
+//
+function toPlain(value) {
+  if(value === null || typeof value === 'undefined') return null;
+  if(Array.isArray(value)) return value.map(toPlain);
+  if(typeof value.get === 'function') return Object.assign({}, value.get());
+  if(typeof value.toJSON === 'function') return value.toJSON();
+
+  return value;
+}
+
+//
+// Masks secret fields in an object.
+//
+// Returns an object.
+//
+function mask(values) {
+  if(!values || typeof values !== 'object' || Array.isArray(values)) return values;
+
+  let masked = Object.assign({}, values);
+  secretFields.forEach((key) => {
+    if(key in masked) masked[key] = masked[key] ? '********' : masked[key];
+  });
+
+  return masked;
+}
+
+const self = {
+
+  //
+  // Takes a snapshot of an item's values. Call this before changing an item so the old values can
+  // be passed to record().
+  //
+  //  value* (object) - A model instance, an array of them, or a plain object.
+  //
+  // Returns a plain object or array.
+  //
+  snapshot: (value) => JSON.parse(JSON.stringify(toPlain(value))),
+
+  //
+  // Records a change in the audit log. The user and IP address are taken from the request. When
+  // both before and after are objects, only the fields that changed are kept.
+  //
+  //  req* (object) - The request that made the change.
+  //  options* (object)
+  //    - action* (string) - What was done, e.g. create, update, delete, or restore.
+  //    - targetType* (string) - The kind of item that was changed, e.g. post, tag, or settings.
+  //    - target (object) - The item that was changed. Its id and name are recorded so entries are
+  //      still readable after the item is deleted.
+  //    - before (object) - The values before the change.
+  //    - after (object) - The values after the change.
+  //
+  // Returns a promise that resolves with the audit log entry, or null if nothing changed.
+  //
+  record: (req, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+    let target = options.target || {};
+    let user = options.user || req.User;
+    let before = typeof options.before === 'undefined' ? null : self.snapshot(options.before);
+    let after = typeof options.after === 'undefined' ? null : self.snapshot(options.after);
+
+    if(before && !Array.isArray(before)) ignoredFields.forEach((key) => delete before[key]);
+    if(after && !Array.isArray(after)) ignoredFields.forEach((key) => delete after[key]);
+
+    // Only keep fields that changed
+    if(
+      before && after &&
+      typeof before === 'object' && typeof after === 'object' &&
+      !Array.isArray(before) && !Array.isArray(after)
+    ) {
+      Object.keys(Object.assign({}, before, after)).forEach((key) => {
+        if(JSON.stringify(before[key]) === JSON.stringify(after[key])) {
+          delete before[key];
+          delete after[key];
+        }
+      });
+
+      if(!Object.keys(before).length && !Object.keys(after).length) return Promise.resolve(null);
+    }
+
+    // Nothing changed
+    if(before && after && JSON.stringify(before) === JSON.stringify(after)) return Promise.resolve(null);
+
+    return models.auditLog.create({
+      userId: user ? user.id : null,
+      username: user ? user.username : null,
+      ipAddress: req.ip,
+      action: options.action,
+      targetType: options.targetType,
+      targetId: typeof target.id !== 'undefined' && target.id !== null ? String(target.id) : null,
+      targetName: target.title || target.name || target.username || target.filename || target.slug || null,
+      before: before === null ? null : JSON.stringify(mask(before)),
+      after: after === null ? null : JSON.stringify(mask(after))
+    });
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,719 @@
+'use strict';
+
+// Node modules
+const Archiver = require('archiver');
+const Crypto = require('crypto');
+const Del = require('del');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+const Readline = require('readline');
+const RecursiveReaddir = require('recursive-readdir');
+const Stream = require('stream');
+const Tmp = require('tmp');
+const Yauzl = require('yauzl');
+
+// The number of rows to read from or write to the database at a time
+const batchSize = 500;
+
+// Bump this when the structure of backup files changes
+const formatVersion = 2;
+
+// Models that hold temporary state: who's signed in, who's editing what, and recent login
+// attempts. They're left out of backups and cleared when one is restored, since they point to users
+// and posts that are being replaced.
+const transientModels = ['autosave', 'loginAttempt', 'postLock', 'session'];
+
+//
+// Creates a transform stream that calculates the size and SHA256 checksum of everything that
+// passes through it.
+//
+//  callback* (function) - Called with { size, sha256 } when the stream ends.
+//
+// Returns a transform stream.
+//
+function createChecksumStream(callback) {
+  let hash = Crypto.createHash('sha256');
+  let size = 0;
+
+  return new Stream.Transform({
+    transform: (chunk, encoding, cb) => {
+      hash.update(chunk);
+      size += chunk.length;
+      cb(null, chunk);
+    },
+    flush: (cb) => {
+      callback({ size: size, sha256: hash.digest('hex') });
+      cb();
+    }
+  });
+}
+
+//
+// Creates a readable stream that pages through a table and outputs one JSON row per line.
+//
+//  model* (object) - The model to export.
+//
+// Returns a readable stream.
+//
+function createDataStream(model) {
+  let keys = model.primaryKeyAttributes.filter((key) => model.rawAttributes[key]);
+  let order = (keys.length ? keys : ['createdAt']).map((key) => [key, 'ASC']);
+  let offset = 0;
+  let isFetching = false;
+
+  return new Stream.Readable({
+    read: function() {
+      if(isFetching) return;
+      isFetching = true;
+
+      // Items in the trash are backed up too
+      model.findAll({ order: order, limit: batchSize, offset: offset, paranoid: false })
+        .then((rows) => {
+          isFetching = false;
+          offset += rows.length;
+
+          rows.forEach((row) => this.push(JSON.stringify(row.get({ plain: true })) + '\n'));
+          if(rows.length < batchSize) this.push(null);
+        })
+        .catch((err) => this.emit('error', err));
+    }
+  });
+}
+
+//
+// Gets all files in a folder.
+//
+//  folder* (string) - The full path of the folder.
+//
+// Returns a promise that resolves with an array of full paths. Missing folders resolve with an
+// empty array.
+//
+function listFolder(folder) {
+  return new Promise((resolve, reject) => {
+    RecursiveReaddir(folder, (err, files) => {
+      if(err && err.code === 'ENOENT') return resolve([]);
+      if(err) return reject(new Error('Unable to read folder: ' + folder));
+      resolve(files);
+    });
+  });
+}
+
+//
+// Adds an entry to an archive and waits for it to be written. Entries are added one at a time so
+// source streams aren't opened until they're needed.
+//
+//  archive* (object) - An archiver instance.
+//  manifest* (object) - The manifest to add the entry's checksum to.
+//  name* (string) - The entry's name in the archive.
+//  source* (stream) - The entry's contents.
+//
+// Returns a promise.
+//
+function addEntry(archive, manifest, name, source) {
+  return new Promise((resolve, reject) => {
+    let checksum = createChecksumStream((info) => manifest.files[name] = info);
+
+    source.on('error', reject);
+    archive.once('entry', () => resolve());
+    archive.append(source.pipe(checksum), { name: name });
+  });
+}
+
+//
+// Opens a zip file and reads its table of contents. Entry contents aren't read until requested.
+//
+//  file* (string) - The full path of the zip file.
+//
+// Returns a promise that resolves with { zipFile, entries }, where entries is an object of entries
+// keyed by name. Folders are omitted.
+//
+function openZip(file) {
+  return new Promise((resolve, reject) => {
+    Yauzl.open(file, { lazyEntries: true, autoClose: false }, (err, zipFile) => {
+      if(err) return reject(new Error('Unable to open zip file.'));
+
+      let entries = {};
+
+      zipFile.on('entry', (entry) => {
+        if(!/\/$/.test(entry.fileName)) entries[entry.fileName] = entry;
+        zipFile.readEntry();
+      });
+      zipFile.on('end', () => resolve({ zipFile: zipFile, entries: entries }));
+      zipFile.on('error', () => reject(new Error('Unable to read zip file.')));
+      zipFile.readEntry();
+    });
+  });
+}
+
+//
+// Opens a stream to an entry in a zip file.
+//
+// Returns a promise that resolves with a readable stream.
+//
+function readEntry(zip, name) {
+  return new Promise((resolve, reject) => {
+    zip.zipFile.openReadStream(zip.entries[name], (err, stream) => {
+      if(err) return reject(new Error('Unable to read ' + name + ' from zip file.'));
+      resolve(stream);
+    });
+  });
+}
+
+//
+// Reads an entry in a zip file into a buffer.
+//
+// Returns a promise that resolves with a buffer.
+//
+function readEntryToBuffer(zip, name) {
+  return readEntry(zip, name).then((stream) => {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  });
+}
+
+//
+// Reads the rows from a data file in batches. Data files contain one JSON row per line. Backups
+// created by older versions of Postleaf store a single JSON array instead, which is still
+// supported.
+//
+//  zip* (object) - A zip object from openZip().
+//  name* (string) - The data file's name.
+//  callback* (function) - Called with an array of rows for each batch. May return a promise, in
+//    which case the next batch won't be read until it resolves.
+//
+// Returns a promise that resolves with the number of rows that were read.
+//
+function readRows(zip, name, callback) {
+  // Legacy format
+  if(/\.json$/.test(name)) {
+    return readEntryToBuffer(zip, name).then((buffer) => {
+      let rows;
+
+      try {
+        rows = JSON.parse(buffer.toString());
+      } catch(err) {
+        throw new Error('Unable to parse JSON file: ' + name);
+      }
+
+      if(!Array.isArray(rows)) throw new Error('Unable to parse JSON file: ' + name);
+
+      let batches = [];
+      for(let i = 0; i < rows.length; i += batchSize) batches.push(rows.slice(i, i + batchSize));
+
+      return Promise.each(batches, (batch) => callback(batch)).then(() => rows.length);
+    });
+  }
+
+  return readEntry(zip, name).then((stream) => {
+    return new Promise((resolve, reject) => {
+      let lines = Readline.createInterface({ input: stream });
+      let queue = Promise.resolve();
+      let batch = [];
+      let count = 0;
+      let failed = false;
+
+      function fail(err) {
+        if(failed) return;
+        failed = true;
+        lines.close();
+        stream.destroy();
+        reject(err);
+      }
+
+      function flush() {
+        let rows = batch;
+        batch = [];
+
+        // Pause reading while the batch is being processed
+        lines.pause();
+        queue = queue
+          .then(() => callback(rows))
+          .then(() => lines.resume())
+          .catch(fail);
+      }
+
+      lines.on('line', (line) => {
+        if(failed || !line.trim()) return;
+
+        try {
+          batch.push(JSON.parse(line));
+        } catch(err) {
+          return fail(new Error('Unable to parse line ' + (count + 1) + ' of ' + name));
+        }
+
+        count++;
+        if(batch.length >= batchSize) flush();
+      });
+      lines.on('close', () => {
+        if(failed) return;
+        if(batch.length) flush();
+        queue.then(() => { if(!failed) resolve(count); });
+      });
+      stream.on('error', fail);
+    });
+  });
+}
+
+//
+// Streams an entry through a checksum stream and compares the result to the manifest.
+//
+// Returns a promise that resolves with an error message or null if the checksum matches.
+//
+function verifyEntry(zip, name, expected) {
+  return readEntry(zip, name).then((stream) => {
+    return new Promise((resolve, reject) => {
+      let checksum = createChecksumStream((actual) => {
+        if(actual.size !== expected.size || actual.sha256 !== expected.sha256) {
+          resolve('Checksum mismatch: ' + name);
+        } else {
+          resolve(null);
+        }
+      });
+
+      stream.on('error', reject);
+      stream.pipe(checksum).resume();
+    });
+  });
+}
+
+//
+// Creates and restores backups. A backup is a zip file with the following structure:
+//
+//  postleaf.json - The manifest, which contains the Postleaf version, the migrations the database
+//    had run, what the backup contains, and the size and SHA256 checksum of every other file.
+//  data/{model}.ndjson - The rows of each table, one JSON object per line.
+//  uploads/ - Uploaded files, relative to the storage root.
+//  themes/ - Theme files, relative to the theme path.
+//
+//  Database* (object) - The database.
+//  Storage* (object) - The upload storage backend.
+//  Themes* (object) - The themes module.
+//
+module.exports = function(Database, Storage, Themes) {
+  const sequelize = Database.sequelize;
+
+  //
+  // Gets all models in the order they need to be restored to satisfy foreign key constraints. The
+  // audit log is left out so restoring a backup can't rewrite its history, and temporary state is
+  // left out since it's meaningless on another install.
+  //
+  // Returns an array of models.
+  //
+  function getModels() {
+    let models = [];
+    sequelize.modelManager.forEachModel((model) => {
+      if(model.name !== 'auditLog' && !transientModels.includes(model.name)) models.push(model);
+    });
+    return models;
+  }
+
+  //
+  // Finds the data file for a model in a zip file.
+  //
+  // Returns a filename or null if the zip doesn't contain data for the model.
+  //
+  function getDataFile(zip, model) {
+    let name = 'data/' + model.name;
+    if(zip.entries[name + '.ndjson']) return name + '.ndjson';
+    if(zip.entries[name + '.json']) return name + '.json';
+    return null;
+  }
+
+  //
+  // Opens a backup and makes sure it's complete and compatible with this version of Postleaf.
+  //
+  //  zip* (object) - A zip object from openZip().
+  //
+  // Returns a promise that resolves with a summary of the backup. Rejects with an error that has an
+  // `errors` property listing each problem if the backup is invalid.
+  //
+  function verify(zip) {
+    let errors = [];
+    let manifest;
+
+    return Promise.resolve()
+      // Read the manifest
+      .then(() => {
+        if(!zip.entries['postleaf.json']) throw new Error('Invalid backup file.');
+
+        return readEntryToBuffer(zip, 'postleaf.json').then((buffer) => {
+          try {
+            manifest = JSON.parse(buffer.toString());
+          } catch(err) {
+            throw new Error('Invalid backup file.');
+          }
+        });
+      })
+      // Backups from newer versions may contain columns this version doesn't know about
+      .then(() => Database.migrator.status())
+      .then((status) => {
+        let known = status.executed.concat(status.pending);
+
+        (manifest.migrations || []).forEach((name) => {
+          if(!known.includes(name)) {
+            errors.push('This backup requires a newer version of Postleaf (unknown migration ' + name + ').');
+          }
+        });
+      })
+      // Make sure files can't be extracted outside of their folders
+      .then(() => {
+        Object.keys(zip.entries).forEach((name) => {
+          if(name.split(/[\\/]/).includes('..')) errors.push('Invalid file name: ' + name);
+        });
+      })
+      // Verify checksums
+      .then(() => {
+        let files = manifest.files || {};
+
+        return Promise.each(Object.keys(files), (name) => {
+          if(!zip.entries[name]) {
+            errors.push('Missing file: ' + name);
+            return;
+          }
+
+          return verifyEntry(zip, name, files[name]).then((err) => { if(err) errors.push(err); });
+        });
+      })
+      // Make sure data files can be parsed and count the rows
+      .then(() => {
+        let tables = {};
+
+        return Promise
+          .each(getModels(), (model) => {
+            let name = getDataFile(zip, model);
+            if(!name) return;
+
+            return readRows(zip, name, () => null)
+              .then((count) => tables[model.name] = count)
+              .catch((err) => errors.push(err.message));
+          })
+          .then(() => tables);
+      })
+      .then((tables) => {
+        let names = Object.keys(zip.entries);
+
+        if(errors.length) {
+          let err = new Error('Invalid backup file.');
+          err.errors = errors;
+          throw err;
+        }
+
+        return {
+          version: manifest.version || null,
+          createdAt: manifest.createdAt || null,
+          data: Object.keys(tables).length > 0,
+          tables: tables,
+          uploads: names.filter((name) => name.indexOf('uploads/') === 0).length,
+          themes: names.filter((name) => name.indexOf('themes/') === 0).length
+        };
+      });
+  }
+
+  //
+  // Replaces all data with the data in the backup. Everything happens in a single transaction, so
+  // the database is left untouched if anything goes wrong.
+  //
+  //  zip* (object) - The backup.
+  //  sessionId (string) - A session to keep, so the user restoring the backup stays signed in. It's
+  //    only kept if the backup has the same user.
+  //
+  // Returns a promise.
+  //
+  function restoreData(zip, sessionId) {
+    let models = getModels();
+    let session;
+
+    return sequelize.transaction((transaction) => {
+      return Promise.resolve()
+        // Remember the session to keep
+        .then(() => {
+          if(!sessionId) return null;
+
+          return sequelize.models.session.findOne({ where: { id: sessionId }, transaction: transaction });
+        })
+        .then((result) => session = result)
+        // Clear temporary state
+        .then(() => {
+          return Promise.each(transientModels, (name) => {
+            return sequelize.models[name].destroy({ where: {}, transaction: transaction });
+          });
+        })
+        // Empty tables, dependents first
+        .then(() => {
+          return Promise.each(models.slice().reverse(), (model) => {
+            // Force skips the trash so restored rows don't collide with trashed ones
+            return model.destroy({ where: {}, force: true, transaction: transaction });
+          });
+        })
+        // Restore rows, dependencies first
+        .then(() => {
+          return Promise.each(models, (model) => {
+            let name = getDataFile(zip, model);
+            if(!name) return;
+
+            return readRows(zip, name, (rows) => model.bulkCreate(rows, { transaction: transaction }));
+          });
+        })
+        // Backups made before posts could have multiple authors don't have post authors, so each
+        // post's author becomes its only author
+        .then(() => {
+          if(getDataFile(zip, sequelize.models.postAuthor)) return;
+
+          return sequelize.models.post
+            .findAll({ attributes: ['id', 'userId'], paranoid: false, transaction: transaction })
+            .then((posts) => {
+              return sequelize.models.postAuthor.bulkCreate(posts.map((post) => {
+                return { postId: post.id, userId: post.userId, sortOrder: 0 };
+              }), { transaction: transaction });
+            });
+        })
+        // Put the session back if its user is still around
+        .then(() => {
+          if(!session) return;
+
+          return sequelize.models.user
+            .findOne({ where: { id: session.userId }, transaction: transaction })
+            .then((user) => {
+              if(user) return sequelize.models.session.create(session.get({ plain: true }), { transaction: transaction });
+            });
+        });
+    });
+  }
+
+  //
+  // Extracts files from the backup into a folder.
+  //
+  //  zip* (object) - The backup.
+  //  folder* (string) - The name of the folder in the backup, e.g. uploads.
+  //  target* (string) - The full path of the folder to extract to.
+  //
+  // Returns a promise that resolves with an array of extracted files, relative to the target.
+  //
+  function extractFolder(zip, folder, target) {
+    let names = Object.keys(zip.entries).filter((name) => name.indexOf(folder + '/') === 0);
+
+    return Promise
+      .each(names, (name) => {
+        let file = Path.join(target, name.substring(folder.length + 1));
+
+        return readEntry(zip, name).then((stream) => {
+          return new Promise((resolve, reject) => {
+            Mkdirp(Path.dirname(file), (err) => {
+              if(err) return reject(new Error('Unable to create directory: ' + Path.dirname(file)));
+
+              stream
+                .pipe(Fs.createWriteStream(file))
+                .on('finish', resolve)
+                .on('error', () => reject(new Error('Unable to create file: ' + file)));
+            });
+          });
+        });
+      })
+      .then(() => names.map((name) => name.substring(folder.length + 1)));
+  }
+
+  //
+  // Replaces uploads with the ones extracted from the backup. New files are written before stale
+  // ones are removed so an interrupted restore never loses files.
+  //
+  //  folder* (string) - The folder the uploads were extracted to.
+  //  keys* (array) - The keys of the extracted uploads.
+  //
+  // Returns a promise.
+  //
+  function restoreUploads(folder, keys) {
+    return Promise
+      .each(keys, (key) => {
+        return Promise.promisify(Fs.readFile)(Path.join(folder, key)).then((buffer) => Storage.put(key, buffer));
+      })
+      .then(() => Storage.list())
+      .then((existing) => {
+        return Promise.each(existing.filter((key) => !keys.includes(key)), (key) => Storage.delete(key));
+      });
+  }
+
+  //
+  // Replaces the theme folder with the one extracted from the backup. The folders are swapped with
+  // renames, so themes are never left half restored.
+  //
+  //  folder* (string) - The folder the themes were extracted to. It must be on the same disk as the
+  //    theme folder.
+  //
+  // Returns a promise.
+  //
+  function restoreThemes(folder) {
+    let oldPath = Themes.themePath + '.old';
+    let rename = Promise.promisify(Fs.rename);
+
+    return Del(oldPath, { force: true })
+      .then(() => rename(Themes.themePath, oldPath).catch((err) => {
+        if(err.code !== 'ENOENT') throw err;
+      }))
+      .then(() => rename(folder, Themes.themePath))
+      .then(() => Del(oldPath, { force: true }));
+  }
+
+  //
+  // Opens a backup, runs a callback, and closes the backup.
+  //
+  // Returns a promise.
+  //
+  function withZip(file, callback) {
+    return openZip(file).then((zip) => {
+      return Promise.resolve()
+        .then(() => callback(zip))
+        .finally(() => zip.zipFile.close());
+    });
+  }
+
+  const self = {
+
+    //
+    // Creates a backup. The zip file is streamed, so nothing is held in memory.
+    //
+    //  options (object)
+    //    - data (boolean) - Whether or not to include data (default true).
+    //    - uploads (boolean) - Whether or not to include uploads (default false).
+    //    - themes (boolean) - Whether or not to include themes (default false).
+    //
+    // Returns a readable stream of the zip file. Errors are emitted on the stream.
+    //
+    create: (options) => {
+      options = options || {};
+      let archive = Archiver('zip');
+      let manifest = {
+        version: __version,
+        format: formatVersion,
+        createdAt: Moment().tz('utc').format('YYYY-MM-DD HH:mm:ss'),
+        contents: {
+          data: options.data !== false,
+          uploads: !!options.uploads,
+          themes: !!options.themes
+        },
+        migrations: [],
+        files: {}
+      };
+
+      Promise.resolve()
+        // Export data
+        .then(() => {
+          if(!manifest.contents.data) return;
+
+          return Promise.each(getModels(), (model) => {
+            return addEntry(archive, manifest, 'data/' + model.name + '.ndjson', createDataStream(model));
+          });
+        })
+        // Export uploads
+        .then(() => {
+          if(!manifest.contents.uploads) return;
+
+          return Storage.list().then((keys) => {
+            return Promise.each(keys, (key) => {
+              return addEntry(archive, manifest, 'uploads/' + key, Storage.stream(key));
+            });
+          });
+        })
+        // Export themes
+        .then(() => {
+          if(!manifest.contents.themes) return;
+
+          return listFolder(Themes.themePath).then((files) => {
+            return Promise.each(files, (file) => {
+              let name = 'themes/' + Path.relative(Themes.themePath, file).split(Path.sep).join('/');
+              return addEntry(archive, manifest, name, Fs.createReadStream(file));
+            });
+          });
+        })
+        // Note the schema version so the backup won't be restored to an older version
+        .then(() => Database.migrator.status())
+        .then((status) => manifest.migrations = status.executed)
+        // The manifest goes last since it contains checksums for everything else
+        .then(() => {
+          let source = new Stream.PassThrough();
+          source.end(JSON.stringify(manifest, null, 2));
+
+          archive.append(source, { name: 'postleaf.json' });
+          archive.finalize();
+        })
+        .catch((err) => archive.emit('error', err));
+
+      return archive;
+    },
+
+    //
+    // Checks a backup without restoring it.
+    //
+    //  file* (string) - The full path to a backup file.
+    //
+    // Returns a promise that resolves with a summary of the backup:
+    //
+    //  { version, createdAt, data, tables: { post: 10, ... }, uploads: 10, themes: 10 }
+    //
+    // Rejects with an error that has an `errors` property listing each problem if the backup is
+    // invalid.
+    //
+    verify: (file) => {
+      return withZip(file, (zip) => verify(zip));
+    },
+
+    //
+    // Restores a backup. The backup is verified first and nothing is changed if it's invalid.
+    // Everyone is signed out except for the given session.
+    //
+    // Uploads and themes are extracted to temporary folders before anything is changed, and only
+    // replace the current ones after the data has been committed. If restoring the data fails, the
+    // transaction is rolled back and files are left alone.
+    //
+    //  file* (string) - The full path to a backup file.
+    //  options (object)
+    //    - sessionId (string) - The session of the user restoring the backup. It's kept if the backup
+    //      has the same user.
+    //
+    // Returns a promise that resolves with a summary of the backup.
+    //
+    restore: (file, options) => {
+      options = options || {};
+      let uploadsDir = Tmp.dirSync({ unsafeCleanup: true });
+      let themesDir = Themes.themePath + '.restore';
+      let uploads;
+
+      return withZip(file, (zip) => {
+        return verify(zip).then((summary) => {
+          return Promise.resolve()
+            // Stage files
+            .then(() => {
+              if(!summary.uploads) return;
+
+              return extractFolder(zip, 'uploads', uploadsDir.name).then((keys) => uploads = keys);
+            })
+            .then(() => {
+              if(!summary.themes) return;
+
+              return Del(themesDir, { force: true }).then(() => extractFolder(zip, 'themes', themesDir));
+            })
+            // Restore data
+            .then(() => summary.data ? restoreData(zip, options.sessionId) : null)
+            // Swap files in
+            .then(() => summary.uploads ? restoreUploads(uploadsDir.name, uploads) : null)
+            .then(() => summary.themes ? restoreThemes(themesDir) : null)
+            .then(() => summary);
+        });
+      })
+        .finally(() => {
+          uploadsDir.removeCallback();
+          return Del(themesDir, { force: true });
+        });
+    }
+
+  };
+
+  return self;
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+// Node modules
+const EventEmitter = require('events');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// How often backups can be made
+const frequencies = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Timers can't be set more than ~24.8 days out, so far-off backups are rechecked at this interval
+const maxDelay = 24 * 60 * 60 * 1000;
+
+// Automatic backups are named like this so they sort by date: postleaf-backup-20170101-120000.zip
+const filenamePattern = /^postleaf-backup-\d{8}-\d{6}\.zip$/;
+
+// Backups contain password hashes and other secrets, so they're only stored in the data folder,
+// which is never served publicly
+const defaultPath = 'data/backups';
+
+module.exports = function(Backup, getSettings) {
+  const emitter = new EventEmitter();
+  let isRunning = false;
+  let isBackingUp = false;
+  let timer = null;
+
+  //
+  // Gets the automatic backup settings.
+  //
+  // Returns an object with frequency, interval, path, and copies properties.
+  //
+  function getOptions() {
+    let settings = getSettings() || {};
+    let frequency = frequencies[settings.backupFrequency] ? settings.backupFrequency : 'never';
+
+    return {
+      frequency: frequency,
+      interval: frequencies[frequency] || null,
+      path: self.resolvePath(settings.backupPath) || self.resolvePath(defaultPath),
+      copies: Math.max(1, parseInt(settings.backupCopies) || 7)
+    };
+  }
+
+  //
+  // Sets a timer that fires when the next backup is due.
+  //
+  // Returns a promise.
+  //
+  function setTimer() {
+    clearTimeout(timer);
+    timer = null;
+
+    let options = getOptions();
+    if(!isRunning || !options.interval) return Promise.resolve();
+
+    return self.list()
+      .then((backups) => {
+        // The next backup is due one interval after the last one, or now if there isn't one
+        let last = backups.length ? backups[0].createdAt : null;
+        let delay = last ? Moment(last).add(options.interval, 'ms').diff(Moment()) : 0;
+
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          // A timer may have been capped at maxDelay, so make sure the backup is actually due
+          if(delay > maxDelay) return setTimer();
+
+          self.run()
+            .catch((err) => emitter.emit('error', err))
+            .finally(() => setTimer());
+        }, Math.max(0, Math.min(delay, maxDelay)));
+      })
+      .catch((err) => emitter.emit('error', err));
+  }
+
+  //
+  // Removes the oldest backups so only the configured number of copies remain.
+  //
+  // Returns a promise.
+  //
+  function prune() {
+    let options = getOptions();
+
+    return self.list().then((backups) => {
+      return Promise.each(backups.slice(options.copies), (backup) => {
+        return Promise.promisify(Fs.unlink)(Path.join(options.path, backup.filename));
+      });
+    });
+  }
+
+  const self = {
+
+    //
+    // Starts making backups based on the current settings.
+    //
+    // Returns a promise.
+    //
+    start: () => {
+      isRunning = true;
+      return setTimer();
+    },
+
+    //
+    // Stops making backups.
+    //
+    stop: () => {
+      isRunning = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    //
+    // Reschedules the next backup. Call this after backup settings change.
+    //
+    // Returns a promise.
+    //
+    refresh: () => {
+      return setTimer();
+    },
+
+    //
+    // Makes a backup of data, themes, and uploads now and removes old copies. The archive is written
+    // to a temporary file first so partial backups are never listed.
+    //
+    // Returns a promise that resolves with the new backup's filename.
+    //
+    run: () => {
+      let options = getOptions();
+      let filename = 'postleaf-backup-' + Moment().utc().format('YYYYMMDD-HHmmss') + '.zip';
+      let target = Path.join(options.path, filename);
+      let temp = target + '.tmp';
+
+      if(isBackingUp) return Promise.reject(new Error('A backup is already in progress.'));
+      isBackingUp = true;
+
+      return Promise.promisify(Mkdirp)(options.path)
+        .then(() => {
+          return new Promise((resolve, reject) => {
+            let archive = Backup.create({ data: true, themes: true, uploads: true });
+            let file = Fs.createWriteStream(temp);
+
+            archive.on('error', reject);
+            file.on('error', reject);
+            file.on('finish', resolve);
+            archive.pipe(file);
+          });
+        })
+        .then(() => Promise.promisify(Fs.rename)(temp, target))
+        .then(() => prune())
+        .then(() => {
+          emitter.emit('backup', filename);
+          return filename;
+        })
+        .catch((err) => {
+          // Clean up the partial backup
+          Fs.unlink(temp, () => {});
+          throw err;
+        })
+        .finally(() => isBackingUp = false);
+    },
+
+    //
+    // Gets automatic backups, newest first.
+    //
+    // Returns a promise that resolves with an array of { filename, size, createdAt } objects.
+    //
+    list: () => {
+      let options = getOptions();
+
+      return new Promise((resolve, reject) => {
+        Fs.readdir(options.path, (err, files) => {
+          // No folder means no backups yet
+          if(err && err.code === 'ENOENT') return resolve([]);
+          if(err) return reject(new Error('Unable to read folder: ' + options.path));
+
+          resolve(files.filter((file) => filenamePattern.test(file)));
+        });
+      })
+        .map((filename) => {
+          return Promise.promisify(Fs.stat)(Path.join(options.path, filename)).then((stat) => {
+            return {
+              filename: filename,
+              size: stat.size,
+              // The filename holds the time the backup started
+              createdAt: Moment.utc(filename.replace(/^postleaf-backup-|\.zip$/g, ''), 'YYYYMMDD-HHmmss').toDate()
+            };
+          });
+        })
+        .then((backups) => backups.sort((a, b) => b.filename.localeCompare(a.filename)));
+    },
+
+    //
+    // Resolves a backup folder relative to the Postleaf root.
+    //
+    //  path (string) - The folder (default data/backups).
+    //
+    // Returns the absolute path, or null if the folder isn't inside the data folder.
+    //
+    resolvePath: (path) => {
+      let dataPath = Path.join(__basedir, 'data');
+      let resolved = Path.resolve(__basedir, path || defaultPath);
+
+      return resolved === dataPath || resolved.indexOf(dataPath + Path.sep) === 0 ? resolved : null;
+    },
+
+    //
+    // Gets the full path to an automatic backup.
+    //
+    //  filename* (string) - The backup's filename.
+    //
+    // Returns a string or null if the filename isn't a valid backup filename.
+    //
+    getPath: (filename) => {
+      if(!filenamePattern.test(filename)) return null;
+      return Path.join(getOptions().path, filename);
+    },
+
+    //
+    // Adds an event listener. The backup scheduler emits the following events:
+    //
+    //  backup - A backup was made. The listener receives the backup's filename.
+    //  error - An automatic backup failed. The listener receives the error.
+    //
+    on: (event, listener) => {
+      emitter.on(event, listener);
+      return self;
+    },
+
+    //
+    // Removes an event listener.
+    //
+    off: (event, listener) => {
+      emitter.removeListener(event, listener);
+      return self;
+    }
+
+  };
+
+  return self;
+};
@@ -0,0 +1,319 @@
+'use strict';
+
+// Node modules
+const Moment = require('moment');
+const Promise = require('bluebird');
+const Sequelize = require('sequelize');
+
+// The types of fields a theme can declare
+const types = ['text', 'number', 'boolean', 'date', 'image', 'post'];
+
+//
+// Creates a validation error for a field. The path matches the field's input name so the admin can
+// highlight it.
+//
+//  key* (string) - The field's key.
+//  message* (string) - An i18n term.
+//  value (mixed) - The invalid value.
+//
+// Returns a Sequelize.ValidationError.
+//
+function validationError(key, message, value) {
+  return new Sequelize.ValidationError(null, [
+    new Sequelize.ValidationErrorItem(message, 'custom field', 'fields[' + key + ']', value)
+  ]);
+}
+
+const self = {
+
+  types: types,
+
+  //
+  // Cleans up field definitions from theme.json. Definitions without a valid key or type are
+  // skipped.
+  //
+  //  definitions (array) - An array of definitions: { key, label, type, description, templates }
+  //
+  // Returns an array of definitions.
+  //
+  normalize: (definitions) => {
+    if(!Array.isArray(definitions)) return [];
+
+    return definitions
+      .filter((field) => {
+        return field &&
+          typeof field.key === 'string' &&
+          field.key.match(/^[a-z][a-z0-9_]*$/i) &&
+          types.includes(field.type);
+      })
+      .map((field) => {
+        return {
+          key: field.key,
+          label: typeof field.label === 'string' ? field.label : field.key,
+          type: field.type,
+          description: typeof field.description === 'string' ? field.description : null,
+          // Post fields can be limited to certain custom post templates
+          templates: Array.isArray(field.templates) ? field.templates.map(String) : null
+        };
+      })
+      // Skip duplicate keys
+      .filter((field, index, fields) => fields.findIndex((other) => other.key === field.key) === index);
+  },
+
+  //
+  // Determines if a field applies to a post template.
+  //
+  //  field* (object) - A field definition.
+  //  template (string) - The post's template. Empty for the default template.
+  //
+  // Returns a boolean.
+  //
+  appliesTo: (field, template) => {
+    return !field.templates || field.templates.includes(template || '');
+  },
+
+  //
+  // Gets the fields the current theme declares for a type of item. Themes without custom fields or
+  // with a broken theme.json have none.
+  //
+  //  req* (object) - The current request.
+  //  type* (string) - The type of item: post, tag, or user.
+  //
+  // Returns a promise that resolves with an array of field definitions.
+  //
+  getDefinitions: (req, type) => {
+    const Settings = req.app.locals.Settings;
+    const Themes = req.app.locals.Themes;
+
+    return Themes.getCustomFields(Settings.theme, type).catch(() => []);
+  },
+
+  //
+  // Decodes custom field values from the database.
+  //
+  //  json (string) - The stored JSON.
+  //
+  // Returns an object.
+  //
+  decode: (json) => {
+    let values;
+
+    if(!json) return {};
+
+    try {
+      values = JSON.parse(json);
+    } catch(err) {
+      return {};
+    }
+
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  },
+
+  //
+  // Encodes custom field values for the database.
+  //
+  //  values (object) - The values.
+  //
+  // Returns a string or null if there aren't any values.
+  //
+  encode: (values) => {
+    if(typeof values === 'string') values = self.decode(values);
+    if(!values || typeof values !== 'object' || !Object.keys(values).length) return null;
+
+    return JSON.stringify(values);
+  },
+
+  //
+  // Converts a submitted value to the field's type.
+  //
+  //  field* (object) - A field definition.
+  //  value (mixed) - The submitted value.
+  //
+  // Returns the converted value or undefined if the field should be cleared. Throws a validation
+  // error if the value is invalid.
+  //
+  cast: (field, value) => {
+    // Checkboxes that are submitted with a hidden fallback arrive as an array
+    if(Array.isArray(value)) value = value[value.length - 1];
+    if(value === null || typeof value === 'undefined') value = '';
+
+    switch(field.type) {
+    case 'boolean':
+      return [true, 1, 'true', '1', 'on'].includes(value);
+
+    case 'number':
+      if(String(value).trim() === '') return undefined;
+      if(!isFinite(Number(value))) throw validationError(field.key, 'this_field_must_be_a_number', value);
+      return Number(value);
+
+    case 'date':
+      if(String(value).trim() === '') return undefined;
+      if(!Moment(String(value).trim(), 'YYYY-MM-DD', true).isValid()) {
+        throw validationError(field.key, 'this_field_is_invalid', value);
+      }
+      return String(value).trim();
+
+    case 'image':
+    case 'post':
+      return String(value).trim() || undefined;
+
+    default:
+      return String(value) || undefined;
+    }
+  },
+
+  //
+  // Merges submitted values into an item's current values. Only fields the theme declares are
+  // changed, so values for fields from another theme are kept.
+  //
+  //  fields* (array) - The field definitions.
+  //  current (object) - The item's current values.
+  //  values (object) - The submitted values.
+  //
+  // Returns an object. Throws a validation error if a value is invalid.
+  //
+  merge: (fields, current, values) => {
+    let merged = Object.assign({}, current);
+
+    if(!values || typeof values !== 'object') return merged;
+
+    fields.forEach((field) => {
+      if(!Object.prototype.hasOwnProperty.call(values, field.key)) return;
+
+      let value = self.cast(field, values[field.key]);
+      if(typeof value === 'undefined') {
+        delete merged[field.key];
+      } else {
+        merged[field.key] = value;
+      }
+    });
+
+    return merged;
+  },
+
+  //
+  // Validates submitted values and merges them into an item's current values.
+  //
+  //  req* (object) - The current request.
+  //  type* (string) - The type of item: post, tag, or user.
+  //  values (object) - The submitted values, e.g. req.body.fields.
+  //  options (object)
+  //    - current (object) - The item's current values.
+  //    - template (string) - The post's template. Fields that don't apply to it are left alone.
+  //
+  // Returns a promise that resolves with the new values. Rejects with a validation error if a value
+  // is invalid.
+  //
+  parse: (req, type, values, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+    options = options || {};
+    let merged;
+
+    return self.getDefinitions(req, type)
+      .then((fields) => {
+        if(type === 'post') fields = fields.filter((field) => self.appliesTo(field, options.template));
+
+        merged = self.merge(fields, options.current, values);
+
+        // Make sure referenced posts exist
+        return Promise.each(fields.filter((field) => field.type === 'post'), (field) => {
+          if(!values || typeof values[field.key] === 'undefined' || typeof merged[field.key] === 'undefined') return;
+
+          return models.post
+            .findOne({
+              attributes: ['id'],
+              where: { id: merged[field.key] }
+            })
+            .then((post) => {
+              if(!post) throw validationError(field.key, 'this_field_is_invalid', merged[field.key]);
+            });
+        });
+      })
+      .then(() => merged);
+  },
+
+  //
+  // Prepares fields for the admin's settings forms.
+  //
+  //  req* (object) - The current request.
+  //  type* (string) - The type of item: post, tag, or user.
+  //  values (object) - The item's current values.
+  //
+  // Returns a promise that resolves with an array of field definitions, each with its current
+  // value. Post fields also get a list of posts to choose from.
+  //
+  getFormFields: (req, type, values) => {
+    const sequelize = req.app.locals.Database.sequelize;
+    const models = sequelize.models;
+    let fields;
+
+    values = values || {};
+
+    return self.getDefinitions(req, type)
+      .then((result) => {
+        fields = result;
+        if(!fields.some((field) => field.type === 'post')) return [];
+
+        return models.post.findAll({
+          attributes: ['id', 'title'],
+          order: [
+            sequelize.fn('lower', sequelize.col('title'))
+          ]
+        });
+      })
+      .then((posts) => {
+        return fields.map((field) => {
+          return Object.assign({}, field, {
+            value: values[field.key],
+            posts: field.type === 'post' ? posts : undefined
+          });
+        });
+      });
+  },
+
+  //
+  // Compares two values for sorting. Numbers are compared numerically and everything else as
+  // strings. Empty values go last in either order.
+  //
+  //  a (mixed) - The first value.
+  //  b (mixed) - The second value.
+  //  descending (boolean) - Set to true to sort in descending order.
+  //
+  // Returns a negative number, zero, or a positive number.
+  //
+  compare: (a, b, descending) => {
+    let aEmpty = typeof a === 'undefined' || a === null || a === '';
+    let bEmpty = typeof b === 'undefined' || b === null || b === '';
+    let result;
+
+    if(aEmpty || bEmpty) return aEmpty - bEmpty;
+
+    if(typeof a === 'number' && typeof b === 'number') {
+      result = a - b;
+    } else {
+      result = String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+    }
+
+    return descending ? -result : result;
+  },
+
+  //
+  // Determines if a value matches a filter. Without an expected value, any value other than an
+  // empty one or false matches.
+  //
+  //  value (mixed) - The stored value.
+  //  expected (string) - The value to match.
+  //
+  // Returns a boolean.
+  //
+  matches: (value, expected) => {
+    if(typeof expected === 'undefined' || expected === null) {
+      return typeof value !== 'undefined' && value !== null && value !== '' && value !== false;
+    }
+
+    return String(value) === String(expected);
+  }
+
+};
+
+module.exports = self;
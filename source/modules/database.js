@@ -6,73 +6,143 @@ const Path = require('path');
 const Promise = require('bluebird');
 const Sequelize = require('sequelize');
 
+// Local modules
+const Migrator = require(Path.join(__basedir, 'source/modules/migrator.js'));
+
+//
+// Creates the database connection. The dialect and credentials can be passed in as options or set
+// in .env:
+//
+//  options (object)
+//    - databaseDialect (string) - One of 'sqlite', 'postgres', 'mysql', or 'mariadb' (default
+//      DB_DIALECT or 'sqlite').
+//    - databasePath (string) - The database file for SQLite (default data/database.sq3).
+//    - databaseHost (string) - The database server (default DB_HOST or 'localhost').
+//    - databasePort (int) - The database server's port (default DB_PORT or the dialect's default).
+//    - databaseName (string) - The database name (default DB_NAME or 'postleaf').
+//    - databaseUsername (string) - The database user (default DB_USERNAME).
+//    - databasePassword (string) - The database user's password (default DB_PASSWORD).
+//
 module.exports = function(options) {
   options = options || {};
+  let dialect = options.databaseDialect || process.env.DB_DIALECT || 'sqlite';
   let databasePath = options.databasePath || Path.join(__basedir, 'data/database.sq3');
 
-  const sequelize = new Sequelize(null, null, null, {
-    dialect: 'sqlite',
-    benchmark: false,
-    logging: false, // console.log
-    storage: databasePath
-  });
+  if(!['sqlite', 'postgres', 'mysql', 'mariadb'].includes(dialect)) {
+    throw new Error('Unsupported database dialect: ' + dialect);
+  }
+
+  // Models are serialized without converting their includes to plain objects first, so each
+  // included model's own toJSON() decides what's sent to the client
+  const define = {
+    instanceMethods: {
+      toJSON: function() {
+        return Object.assign({}, this.get());
+      }
+    }
+  };
+
+  const sequelize = dialect === 'sqlite' ?
+    new Sequelize(null, null, null, {
+      dialect: 'sqlite',
+      benchmark: false,
+      define: define,
+      logging: false, // console.log
+      storage: databasePath
+    }) :
+    new Sequelize(
+      options.databaseName || process.env.DB_NAME || 'postleaf',
+      options.databaseUsername || process.env.DB_USERNAME || null,
+      options.databasePassword || process.env.DB_PASSWORD || null,
+      {
+        dialect: dialect,
+        host: options.databaseHost || process.env.DB_HOST || 'localhost',
+        port: options.databasePort || process.env.DB_PORT || undefined,
+        benchmark: false,
+        define: define,
+        logging: false // console.log
+      }
+    );
 
   // Models
   const navigation = sequelize.import(Path.join(__basedir, 'source/models/navigation_model.js'));
   const post = sequelize.import(Path.join(__basedir, 'source/models/post_model.js'));
   const tag = sequelize.import(Path.join(__basedir, 'source/models/tag_model.js'));
   const user = sequelize.import(Path.join(__basedir, 'source/models/user_model.js'));
+  const postAuthor = sequelize.import(Path.join(__basedir, 'source/models/post_author_model.js'));
   const revision = sequelize.import(Path.join(__basedir, 'source/models/revision_model.js'));
+  const review = sequelize.import(Path.join(__basedir, 'source/models/review_model.js'));
+  const autosave = sequelize.import(Path.join(__basedir, 'source/models/autosave_model.js'));
+  const postLock = sequelize.import(Path.join(__basedir, 'source/models/post_lock_model.js'));
   const setting = sequelize.import(Path.join(__basedir, 'source/models/setting_model.js'));
   const upload = sequelize.import(Path.join(__basedir, 'source/models/upload_model.js'));
+  const apiToken = sequelize.import(Path.join(__basedir, 'source/models/api_token_model.js'));
+  const session = sequelize.import(Path.join(__basedir, 'source/models/session_model.js'));
+  const loginAttempt = sequelize.import(Path.join(__basedir, 'source/models/login_attempt_model.js'));
+  const slugHistory = sequelize.import(Path.join(__basedir, 'source/models/slug_history_model.js'));
+  sequelize.import(Path.join(__basedir, 'source/models/role_model.js'));
+  sequelize.import(Path.join(__basedir, 'source/models/audit_log_model.js'));
+
+  // Migrations
+  const migrator = Migrator(sequelize);
 
   //
-  // Creates missing database tables.
+  // Creates missing database tables and brings the schema up to date by running pending migrations.
   //
   // Returns a promise.
   //
   function init() {
     // Create the data directory if it doesn't exist
-    let path = Path.dirname(databasePath);
-    Mkdirp.sync(path);
+    if(dialect === 'sqlite') {
+      Mkdirp.sync(Path.dirname(databasePath));
+    }
 
-    // Create missing tables and sync models
-    return sequelize.sync();
+    // Run pending migrations
+    return migrator.up();
   }
 
   //
-  // Loads settings from the settings table. If no settings exist, default settings will be created.
+  // Loads settings from the settings table. Default settings will be created for any settings that
+  // don't exist yet, which is all of them on a new install.
   //
   // Returns a promise that resolves with a settings object.
   //
   function loadSettings() {
+    let defaults = {
+      backupCopies: 7,
+      backupFrequency: 'never',
+      backupPath: 'data/backups',
+      cover: '/assets/images/sample_cover.jpg',
+      defaultPostContent: 'Start writing here…',
+      defaultPostTitle: 'Untitled Post',
+      favicon: '/assets/images/postleaf_logo.svg',
+      footCode: '',
+      headCode: '',
+      homepage: '',
+      language: 'en-us',
+      logo: '/assets/images/postleaf_wordmark.svg',
+      postsPerPage: 5,
+      tagline: 'Go forth and create!',
+      theme: 'empower-theme',
+      timeZone: 'UTC',
+      title: 'A Postleaf Website',
+      trashRetention: 30,
+      twoFactorRoles: ''
+    };
+
     // Load settings
     return setting.getObject().then((settings) => {
-      // If settings exist, assume the app has already been initialized
-      if(Object.keys(settings).length) {
+      let missing = Object.keys(defaults).filter((key) => typeof settings[key] === 'undefined');
+
+      // If all settings exist, there's nothing else to do
+      if(!missing.length) {
         return settings;
       }
 
-      // Otherwise, write default settings and return them
+      // Otherwise, write missing settings and return them
       return Promise
-        .all([
-          setting.create({ key: 'cover', value: '/assets/images/sample_cover.jpg' }),
-          setting.create({ key: 'defaultPostContent', value: 'Start writing here…' }),
-          setting.create({ key: 'defaultPostTitle', value: 'Untitled Post' }),
-          setting.create({ key: 'favicon', value: '/assets/images/postleaf_logo.svg' }),
-          setting.create({ key: 'footCode', value: '' }),
-          setting.create({ key: 'headCode', value: '' }),
-          setting.create({ key: 'homepage', value: '' }),
-          setting.create({ key: 'language', value: 'en-us' }),
-          setting.create({ key: 'logo', value: '/assets/images/postleaf_wordmark.svg' }),
-          setting.create({ key: 'postsPerPage', value: 5 }),
-          setting.create({ key: 'tagline', value: 'Go forth and create!' }),
-          setting.create({ key: 'theme', value: 'empower-theme' }),
-          setting.create({ key: 'timeZone', value: 'UTC' }),
-          setting.create({ key: 'title', value: 'A Postleaf Website' })
-        ])
-        .then(() => setting.getObject())
-        .then((settings) => settings);
+        .all(missing.map((key) => setting.create({ key: key, value: defaults[key] })))
+        .then(() => setting.getObject());
     });
   }
 
@@ -84,6 +154,29 @@ module.exports = function(options) {
     as: 'author'
   });
 
+  // Associate posts with all of their authors, including co-authors
+  post.belongsToMany(user, {
+    through: postAuthor,
+    foreignKey: 'postId',
+    otherKey: 'userId',
+    as: 'authors'
+  });
+  user.belongsToMany(post, {
+    through: postAuthor,
+    foreignKey: 'userId',
+    otherKey: 'postId',
+    as: 'authoredPosts'
+  });
+  postAuthor.belongsTo(post);
+  postAuthor.belongsTo(user);
+
+  // Associate posts with their reviewers
+  post.belongsTo(user, {
+    foreignKey: 'reviewerId',
+    targetKey: 'id',
+    as: 'reviewer'
+  });
+
   // Associate uploads with users
   user.hasMany(upload);
   upload.belongsTo(user, {
@@ -105,6 +198,56 @@ module.exports = function(options) {
     as: 'author'
   });
 
+  // Associate reviews with posts
+  post.hasMany(review);
+  review.belongsTo(post, {
+    foreignKey: 'postId',
+    targetKey: 'id'
+  });
+  user.hasMany(review);
+  review.belongsTo(user, {
+    foreignKey: 'userId',
+    targetKey: 'id',
+    as: 'author'
+  });
+
+  // Associate autosaves with posts and users
+  post.hasMany(autosave);
+  autosave.belongsTo(post);
+  user.hasMany(autosave);
+  autosave.belongsTo(user);
+
+  // Associate edit locks with posts and the users who hold them
+  post.hasOne(postLock);
+  postLock.belongsTo(post);
+  user.hasMany(postLock);
+  postLock.belongsTo(user, {
+    foreignKey: 'userId',
+    targetKey: 'id',
+    as: 'user'
+  });
+
+  // Associate API tokens with users
+  user.hasMany(apiToken);
+  apiToken.belongsTo(user, {
+    foreignKey: 'userId',
+    targetKey: 'id'
+  });
+
+  // Associate sessions with users
+  user.hasMany(session);
+  session.belongsTo(user, {
+    foreignKey: 'userId',
+    targetKey: 'id'
+  });
+
+  // Associate login attempts with users
+  user.hasMany(loginAttempt);
+  loginAttempt.belongsTo(user, {
+    foreignKey: 'userId',
+    targetKey: 'id'
+  });
+
   // Associate tags with posts
   post.belongsToMany(tag, { through: 'postTags' });
   tag.belongsToMany(post, { through: 'postTags' });
@@ -113,6 +256,11 @@ module.exports = function(options) {
   sequelize.models.postTags.belongsTo(post);
   sequelize.models.postTags.belongsTo(tag);
 
+  // Remember old slugs and usernames so their URLs can redirect
+  slugHistory.track(post, 'post', 'slug');
+  slugHistory.track(tag, 'tag', 'slug');
+  slugHistory.track(user, 'user', 'username');
+
   // Remove primary keys from navigation and setting
   navigation.removeAttribute('id');
   setting.removeAttribute('id');
@@ -121,6 +269,7 @@ module.exports = function(options) {
   return {
     init,
     loadSettings,
+    migrator,
     sequelize
   };
 };
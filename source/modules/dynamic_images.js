@@ -131,8 +131,10 @@ const self = {
     // Ignore requests where no query params exist
     if(typeof req.query !== 'object' || Object.keys(req.query).length === 0) return next();
 
+    const Storage = req.app.locals.Storage;
+
     // Decode the path and get the mime type
-    let targetFile = Path.join(__basedir, decodeURI(req.path));
+    let targetFile = decodeURI(req.path);
     let mimeType = Mime.lookup(targetFile);
 
     // Ignore all files that aren't supported raster images
@@ -169,11 +171,12 @@ const self = {
       }
 
       // Nothing in cache. Does the target file exist?
-      Fs.stat(targetFile, (err) => {
-        if(err) return next();
+      Storage.stat(Storage.keyFromPath(targetFile)).then((stat) => {
+        if(!stat) return next();
 
         // Process the image
-        Promise.resolve(Gm(targetFile))
+        Storage.get(Storage.keyFromPath(targetFile))
+          .then((buffer) => Gm(buffer, Path.basename(targetFile)))
           // Skip animated images since resize, crop, rotate, etc. produce undesired results. It
           // *is* possible to process animations, but it's very time consuming, memory intensive,
           // and the resulting files are usually much larger than the originals due to the loss of
@@ -380,7 +383,7 @@ const self = {
           })
           // Something went wrong, fallback and serve the static image
           .catch(() => next());
-      });
+      }).catch(() => next());
     });
   }
 
@@ -0,0 +1,204 @@
+'use strict';
+
+// Node modules
+const Archiver = require('archiver');
+const Cheerio = require('cheerio');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+const Stream = require('stream');
+const Url = require('url');
+
+// Local modules
+const Markdown = require(Path.join(__basedir, 'source/modules/markdown.js'));
+
+// Posts are fetched in pages so large websites don't have to fit in memory
+const pageSize = 100;
+
+//
+// Formats a value as YAML. Strings are double-quoted using JSON syntax, which is valid YAML.
+//
+// Returns a string.
+//
+function toYamlValue(value) {
+  if(value === null || typeof value === 'undefined') return 'null';
+  if(value instanceof Date) return Moment(value).utc().toISOString();
+  if(Array.isArray(value)) return '[' + value.map(toYamlValue).join(', ') + ']';
+  if(typeof value === 'boolean' || typeof value === 'number') return String(value);
+
+  return JSON.stringify(String(value));
+}
+
+//
+// Generates a YAML front matter block.
+//
+//  data* (object) - The front matter's keys and values.
+//
+// Returns a string.
+//
+function toFrontMatter(data) {
+  return '---\n' +
+    Object.keys(data).map((key) => key + ': ' + toYamlValue(data[key])).join('\n') +
+    '\n---\n';
+}
+
+//
+// Adds an entry to an archive and waits for it to be written.
+//
+//  archive* (object) - An archiver instance.
+//  name* (string) - The entry's name in the archive.
+//  source* (stream|string) - The entry's contents.
+//
+// Returns a promise.
+//
+function addEntry(archive, name, source) {
+  return new Promise((resolve, reject) => {
+    // Strings are streamed too since archiver writes bad checksums for buffers on newer versions of Node
+    if(typeof source === 'string') {
+      let text = source;
+      source = new Stream.PassThrough();
+      source.end(text);
+    }
+
+    source.on('error', reject);
+    archive.once('entry', () => resolve());
+    archive.append(source, { name: name });
+  });
+}
+
+module.exports = function(Database, Storage) {
+  const models = Database.sequelize.models;
+
+  //
+  // Finds uploads that a post refers to.
+  //
+  //  post* (object) - A post.
+  //
+  // Returns an array of storage keys.
+  //
+  function getUploadKeys(post) {
+    let $ = Cheerio.load(post.content || '');
+    let paths = [post.image];
+
+    $('img[src]').each((index, el) => paths.push($(el).attr('src')));
+    $('a[href]').each((index, el) => paths.push($(el).attr('href')));
+
+    return paths
+      // Ignore query strings, e.g. dynamic images
+      .map((path) => path ? Url.parse(path).pathname : null)
+      .filter((path) => path && /^\/uploads\//.test(path))
+      .map((path) => {
+        try {
+          return Storage.keyFromPath(decodeURI(path));
+        } catch(err) {
+          return Storage.keyFromPath(path);
+        }
+      });
+  }
+
+  //
+  // Converts a post to a Markdown file with front matter.
+  //
+  //  post* (object) - A post, including its author and tags.
+  //
+  // Returns a string.
+  //
+  function toMarkdownFile(post) {
+    return toFrontMatter({
+      title: post.title,
+      slug: post.slug,
+      author: post.author ? post.author.username : null,
+      tags: (post.tags || []).map((tag) => tag.name),
+      status: post.status,
+      publishedAt: post.publishedAt,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt,
+      isPage: !!post.isPage,
+      isFeatured: !!post.isFeatured,
+      isSticky: !!post.isSticky,
+      image: post.image || null,
+      template: post.template || null,
+      metaTitle: post.metaTitle || null,
+      metaDescription: post.metaDescription || null
+    }) + '\n' + Markdown.fromHtml(post.content);
+  }
+
+  const self = {
+
+    //
+    // Exports all posts and pages. The zip file is streamed, so nothing is held in memory.
+    //
+    // The markdown format contains one file per post in posts/ and pages/, named after its slug,
+    // with YAML front matter followed by the post's content as markdown. Uploads that posts refer
+    // to are included in uploads/ using the same paths as the website.
+    //
+    //  options (object)
+    //    - format (string) - The export format. Only 'markdown' is supported (default 'markdown').
+    //
+    // Returns a readable stream of the zip file. Errors are emitted on the stream.
+    //
+    create: (options) => {
+      options = options || {};
+      let archive = Archiver('zip');
+      let uploads = [];
+
+      if((options.format || 'markdown') !== 'markdown') {
+        throw new Error('Unsupported export format: ' + options.format);
+      }
+
+      //
+      // Exports a page of posts. Resolves when all posts have been exported.
+      //
+      let exportPosts = (offset) => {
+        return models.post
+          .findAll({
+            include: [
+              {
+                model: models.user,
+                as: 'author',
+                attributes: ['username']
+              },
+              {
+                model: models.tag,
+                through: { attributes: [] }, // exclude postTags
+                attributes: ['name'],
+                where: null // also return posts that don't have tags
+              }
+            ],
+            order: [['publishedAt', 'ASC'], ['id', 'ASC']],
+            limit: pageSize,
+            offset: offset
+          })
+          .then((posts) => {
+            return Promise.each(posts, (post) => {
+              getUploadKeys(post).forEach((key) => {
+                if(!uploads.includes(key)) uploads.push(key);
+              });
+
+              return addEntry(archive, (post.isPage ? 'pages/' : 'posts/') + post.slug + '.md', toMarkdownFile(post));
+            })
+              .then(() => posts.length === pageSize ? exportPosts(offset + pageSize) : null);
+          });
+      };
+
+      Promise.resolve()
+        // Export posts and pages
+        .then(() => exportPosts(0))
+        // Export uploads that still exist
+        .then(() => {
+          return Promise.each(uploads, (key) => {
+            return Storage.stat(key).then((info) => {
+              if(info) return addEntry(archive, 'uploads/' + key, Storage.stream(key));
+            });
+          });
+        })
+        .then(() => archive.finalize())
+        .catch((err) => archive.emit('error', err));
+
+      return archive;
+    }
+
+  };
+
+  return self;
+};
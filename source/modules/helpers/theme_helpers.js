@@ -11,6 +11,7 @@ const TruncateHtml = require('truncate-html');
 
 // Local modules
 const AdminMenu = require(Path.join(__basedir, 'source/modules/admin_menu.js'));
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
 const DynamicImages = require(Path.join(__basedir, 'source/modules/dynamic_images.js'));
 const Slug = require(Path.join(__basedir, 'source/modules/slug.js'));
 
@@ -259,6 +260,9 @@ module.exports = (dust) => {
       let count = context.resolve(params.count);
       let offset = context.resolve(params.offset);
 
+      // Cached pages that use this helper depend on authors
+      locals.PageCache.tag(locals, 'users');
+
       // Resolve all params
       for(let key in params) {
         params[key] = context.resolve(params[key]);
@@ -371,6 +375,9 @@ module.exports = (dust) => {
       let previous = context.resolve(params.previous) === 'true';
       let id = post ? post.id : context.get('id');
 
+      // Cached pages that use this helper depend on posts
+      locals.PageCache.tag(locals, 'posts');
+
       // Fetch the target post
       models.post
         .findOne({
@@ -393,6 +400,59 @@ module.exports = (dust) => {
     });
   };
 
+  //
+  // Gets all of a post's authors in the order they were assigned. If no post is specified, the
+  // current post context will be used.
+  //
+  // Attributes:
+  //
+  //  - post - the target post object.
+  //
+  // Examples:
+  //
+  //  {@getPostAuthors}
+  //    {#authors}
+  //      <a href="{@url type="author" username=username/}">{name}</a>{@sep}, {/sep}
+  //    {/authors}
+  //  {/getPostAuthors}
+  //
+  //  {@getPostAuthors post=post} ... {/getPostAuthors}
+  //
+  dust.helpers.getPostAuthors = (chunk, context, bodies, params) => {
+    // Async wrapper
+    return chunk.map((chunk) => {
+      const locals = context.options.locals;
+      const models = locals.Database.sequelize.models;
+      let post = context.resolve(params.post);
+      let id = post ? post.id : context.get('id');
+
+      // Cached pages that use this helper depend on authors
+      locals.PageCache.tag(locals, 'users');
+
+      // Fetch the post's authors
+      models.postAuthor
+        .findAll({
+          where: { postId: id },
+          include: [{
+            model: models.user,
+            attributes: { exclude: ['password', 'resetToken'] }
+          }],
+          order: [
+            ['sortOrder', 'ASC']
+          ]
+        })
+        .then((postAuthors) => {
+          let authors = postAuthors.map((postAuthor) => postAuthor.user).filter((user) => user);
+
+          // Render the block with the authors context
+          chunk = bodies.block(chunk, context.push({ authors: authors }));
+
+          return chunk.end();
+        })
+        .catch(() => chunk.end());
+    });
+  };
+
   //
   // Gets one or more posts.
   //
@@ -400,7 +460,10 @@ module.exports = (dust) => {
   //
   //  - id - the id of a single post to fetch.
   //  - slug - the slug of a single post to fetch.
-  //  - sortBy - the property to sort results by (id, slug, title, createdAt).
+  //  - field - only return posts that have a value for this custom field.
+  //  - fieldValue - only return posts where the custom field has this value.
+  //  - sortBy - the property to sort results by (id, slug, title, createdAt), or a custom field
+  //    such as fields.price.
   //  - sortOrder - the sort order. Use asc for ascending or desc for descending.
   //  - count - the maximum number of items to return.
   //  - offset - the offset from which to return items.
@@ -415,6 +478,8 @@ module.exports = (dust) => {
   //    {/posts}
   //  {/getPosts}
   //
+  //  {@getPosts field="color" fieldValue="red" sortBy="fields.price"} ... {/getPosts}
+  //
   dust.helpers.getPosts = (chunk, context, bodies, params) => {
     // Async wrapper
     return chunk.map((chunk) => {
@@ -423,10 +488,28 @@ module.exports = (dust) => {
       const models = sequelize.models;
       let id = context.resolve(params.id);
       let slug = context.resolve(params.slug);
+      let field = context.resolve(params.field);
+      let fieldValue = context.resolve(params.fieldValue);
       let sortBy = context.resolve(params.sortBy);
       let sortOrder = context.resolve(params.sortOrder);
-      let count = context.resolve(params.count);
-      let offset = context.resolve(params.offset);
+      let count = parseInt(context.resolve(params.count)) || 10;
+      let offset = parseInt(context.resolve(params.offset)) || 0;
+      let include = [
+        {
+          model: models.user,
+          as: 'author',
+          attributes: { exclude: ['password', 'resetToken'] }
+        },
+        {
+          model: models.tag,
+          through: { attributes: [] }, // exclude postTags
+          where: null // also return posts that don't have tags
+        }
+      ];
+      let fetch;
+
+      // Cached pages that use this helper depend on posts
+      locals.PageCache.tag(locals, 'posts');
 
       // Resolve all params
       for(let key in params) {
@@ -439,31 +522,55 @@ module.exports = (dust) => {
       if(slug) where.slug = { $in: slug.split(',').map(Trim) };
 
       // Sort
+      let sortField = (sortBy || '').match(/^fields\.([a-z][a-z0-9_]*)$/i);
+      sortField = sortField ? sortField[1] : null;
       sortBy = (sortBy || '').match(/^(id|slug|title|createdAt)$/) ? sortBy : 'title';
       sortOrder = (sortOrder || '').match(/^(asc|desc)$/) ? sortOrder.toUpperCase() : 'ASC';
 
-      // Fetch authors
-      models.post
-        .findAll({
-          where: where,
-          include: [
-            {
-              model: models.user,
-              as: 'author',
-              attributes: { exclude: ['password', 'resetToken'] }
-            },
-            {
-              model: models.tag,
-              through: { attributes: [] }, // exclude postTags
-              where: null // also return posts that don't have tags
+      if(field || sortField) {
+        // Custom fields are stored as JSON, so they're filtered and sorted after fetching the
+        // candidates. Only then are the posts on the requested page fetched in full.
+        fetch = models.post
+          .findAll({
+            attributes: ['id', 'fields'],
+            where: where,
+            order: [
+              [sequelize.fn('lower', sequelize.col(sortBy)), sortOrder]
+            ]
+          })
+          .then((posts) => {
+            if(field) {
+              posts = posts.filter((post) => CustomFields.matches(post.fields[field], fieldValue));
             }
-          ],
-          offset: offset || 0,
-          limit: count || 10,
+
+            if(sortField) {
+              posts.sort((a, b) => {
+                return CustomFields.compare(a.fields[sortField], b.fields[sortField], sortOrder === 'DESC');
+              });
+            }
+
+            let ids = posts.slice(offset, offset + count).map((post) => post.id);
+
+            return models.post
+              .findAll({
+                where: { id: { $in: ids } },
+                include: include
+              })
+              .then((posts) => posts.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id)));
+          });
+      } else {
+        fetch = models.post.findAll({
+          where: where,
+          include: include,
+          offset: offset,
+          limit: count,
           order: [
             [sequelize.fn('lower', sequelize.col(sortBy)), sortOrder]
           ]
-        })
+        });
+      }
+
+      fetch
         .then((posts) => {
           // Render the block with the posts context
           chunk = bodies.block(chunk, context.push({ posts: posts }));
@@ -507,6 +614,9 @@ module.exports = (dust) => {
       let post = context.resolve(params.post);
       let id = post ? post.id : context.get('id');
 
+      // Cached pages that use this helper depend on posts
+      locals.PageCache.tag(locals, 'posts');
+
       // Fetch the target post
       models.post
         .findOne({
@@ -577,6 +687,9 @@ module.exports = (dust) => {
       let offset = context.resolve(params.offset);
       let count = context.resolve(params.count);
 
+      // Cached pages that use this helper depend on tags
+      locals.PageCache.tag(locals, 'tags');
+
       // Resolve all params
       for(let key in params) {
         params[key] = context.resolve(params[key]);
@@ -829,6 +942,9 @@ module.exports = (dust) => {
       let isSticky = context.resolve(params.isSticky);
       let isPublic = context.resolve(params.isPublic);
 
+      // Cached pages that use this helper depend on posts
+      locals.PageCache.tag(locals, 'posts');
+
       // Cast options to proper booleans
       if(typeof isFeatured !== 'undefined') isFeatured = (author === 'true');
       if(typeof isPage !== 'undefined') isPage = (isPage === 'true');
@@ -42,6 +42,38 @@ module.exports = (dust) => {
   // Helpers
   //////////////////////////////////////////////////////////////////////////////////////////////////
 
+  //
+  // Checks whether the current user's role has a capability.
+  //
+  // Attributes:
+  //
+  //  - capability - the capability to check for, e.g. post.publish.
+  //
+  // Examples:
+  //
+  //  {@can capability="post.publish"}
+  //    The user can publish posts
+  //  {:else}
+  //    The user can't publish posts
+  //  {/can}
+  //
+  dust.helpers.can = (chunk, context, bodies, params) => {
+    const User = context.options.locals.User;
+    let capability = context.resolve(params.capability);
+
+    // No user or no capability, do else
+    if(!User || !User.can(capability)) {
+      if(bodies['else']) {
+        chunk = chunk.render(bodies['else'], context);
+      }
+      return chunk;
+    }
+
+    chunk = chunk.render(bodies.block, context);
+
+    return chunk;
+  };
+
   //
   // Outputs a date/time in the specified format.
   //
@@ -365,6 +397,30 @@ module.exports = (dust) => {
     return chunk.write(__version);
   };
 
+  //
+  // Outputs the name of a role.
+  //
+  // Attributes:
+  //
+  //  - id - the role's id.
+  //
+  // Examples:
+  //
+  //  {@roleName id=User.role/}
+  //
+  dust.helpers.roleName = (chunk, context, bodies, params) => {
+    const I18n = context.options.locals.I18n;
+    const Permissions = context.options.locals.Permissions;
+    let role = Permissions.getRole(context.resolve(params.id));
+
+    if(!role) return chunk;
+
+    // Built-in roles are translated
+    return chunk.write(
+      He.encode(role.term ? I18n.term(role.term) : role.name, { useNamedReferences: true })
+    );
+  };
+
   //
   // Truncates text after a certain number of characters or words.
   //
@@ -0,0 +1,222 @@
+'use strict';
+
+// Node modules
+const He = require('he');
+
+// Diffs that need more edits than this are shown as a full replacement to keep memory in check
+const maxEdits = 1000;
+
+//
+// Splits HTML into tags, entities, whitespace, words, and single punctuation characters.
+//
+//  html* (string) - The HTML to split.
+//
+// Returns an array of tokens.
+//
+function tokenize(html) {
+  return String(html || '').match(/<[^>]*>|&#?\w+;|\s+|[\w\u00C0-\uFFFF]+|\S/g) || [];
+}
+
+//
+// Tells if a token is an HTML tag.
+//
+// Returns a boolean.
+//
+function isTag(token) {
+  return /^<[^>]*>$/.test(token);
+}
+
+//
+// Finds the shortest edit script between two arrays of tokens using Myers' algorithm.
+//
+//  a* (array) - The old tokens.
+//  b* (array) - The new tokens.
+//
+// Returns an array of operations: [{ type: 'equal|delete|insert', tokens: [] }]
+//
+function getEdits(a, b) {
+  let n = a.length;
+  let m = b.length;
+  let v = { 1: 0 };
+  let trace = [];
+  let ops = [];
+
+  if(!n || !m) {
+    return [
+      { type: 'delete', tokens: a },
+      { type: 'insert', tokens: b }
+    ];
+  }
+
+  // Walk the edit graph until both ends are reached
+  let found = false;
+  for(let d = 0; d <= Math.min(n + m, maxEdits) && !found; d++) {
+    // Remember the furthest points from the last round so the path can be traced back
+    let snapshot = {};
+    for(let k = -d - 1; k <= d + 1; k++) {
+      if(typeof v[k] !== 'undefined') snapshot[k] = v[k];
+    }
+    trace.push(snapshot);
+
+    for(let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+      let y = x - k;
+
+      // Follow the diagonal while tokens match
+      while(x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[k] = x;
+
+      if(x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Too many changes, so treat it as a replacement
+  if(!found) {
+    return [
+      { type: 'delete', tokens: a },
+      { type: 'insert', tokens: b }
+    ];
+  }
+
+  // Trace the path back from the end
+  let x = n;
+  let y = m;
+  for(let d = trace.length - 1; d > 0; d--) {
+    let previous = trace[d];
+    let k = x - y;
+    let prevK = (k === -d || (k !== d && previous[k - 1] < previous[k + 1])) ? k + 1 : k - 1;
+    let prevX = previous[prevK];
+    let prevY = prevX - prevK;
+
+    while(x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[--x] });
+      y--;
+    }
+
+    if(x === prevX) {
+      ops.push({ type: 'insert', token: b[--y] });
+    } else {
+      ops.push({ type: 'delete', token: a[--x] });
+    }
+  }
+
+  while(x > 0 && y > 0) {
+    ops.push({ type: 'equal', token: a[--x] });
+    y--;
+  }
+
+  // Group consecutive operations of the same type
+  return ops.reverse().reduce((edits, op) => {
+    let last = edits[edits.length - 1];
+
+    if(last && last.type === op.type) {
+      last.tokens.push(op.token);
+    } else {
+      edits.push({ type: op.type, tokens: [op.token] });
+    }
+
+    return edits;
+  }, []);
+}
+
+//
+// Wraps the text in a run of tokens with an element. Tags are left alone so the markup stays valid.
+//
+//  tokens* (array) - The tokens to wrap.
+//  tagName* (string) - The element to wrap text with, e.g. ins or del.
+//
+// Returns an HTML string.
+//
+function wrap(tokens, tagName) {
+  let html = '';
+  let text = '';
+
+  let flush = () => {
+    html += text.trim() ? '<' + tagName + '>' + text + '</' + tagName + '>' : text;
+    text = '';
+  };
+
+  tokens.forEach((token) => {
+    if(isTag(token)) {
+      flush();
+      html += token;
+    } else {
+      text += token;
+    }
+  });
+  flush();
+
+  return html;
+}
+
+const self = {
+
+  //
+  // Compares two HTML strings word by word. Each side is returned in full so they can be shown next
+  // to each other: removed words are wrapped in <del> on the old side and added words are wrapped
+  // in <ins> on the new side.
+  //
+  //  before (string) - The old HTML.
+  //  after (string) - The new HTML.
+  //
+  // Returns an object: { before: '', after: '', changed: true }
+  //
+  diff: (before, after) => {
+    let a = tokenize(before);
+    let b = tokenize(after);
+    let start = 0;
+    let endA = a.length;
+    let endB = b.length;
+    let result = { before: '', after: '', changed: false };
+
+    // Skip the unchanged beginning and end
+    while(start < endA && start < endB && a[start] === b[start]) start++;
+    while(endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    let edits = [{ type: 'equal', tokens: a.slice(0, start) }]
+      .concat(getEdits(a.slice(start, endA), b.slice(start, endB)))
+      .concat({ type: 'equal', tokens: a.slice(endA) });
+
+    edits.forEach((edit) => {
+      if(!edit.tokens.length) return;
+
+      if(edit.type === 'equal') {
+        result.before += edit.tokens.join('');
+        result.after += edit.tokens.join('');
+      } else if(edit.type === 'delete') {
+        result.before += wrap(edit.tokens, 'del');
+        result.changed = true;
+      } else {
+        result.after += wrap(edit.tokens, 'ins');
+        result.changed = true;
+      }
+    });
+
+    return result;
+  },
+
+  //
+  // Compares two plain text strings word by word. The text is escaped before comparing.
+  //
+  //  before (string) - The old text.
+  //  after (string) - The new text.
+  //
+  // Returns an object: { before: '', after: '', changed: true }
+  //
+  diffText: (before, after) => {
+    return self.diff(He.escape(String(before || '')), He.escape(String(after || '')));
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,971 @@
+'use strict';
+
+// Node modules
+const Cheerio = require('cheerio');
+const Crypto = require('crypto');
+const Dns = require('dns');
+const Gm = require('gm');
+const Http = require('http');
+const Https = require('https');
+const Mime = require('mime');
+const Moment = require('moment');
+const Net = require('net');
+const Path = require('path');
+const Promise = require('bluebird');
+const SanitizeFilename = require('sanitize-filename');
+const Striptags = require('striptags');
+const Url = require('url');
+
+// Local modules
+const Markdown = require(Path.join(__basedir, 'source/modules/markdown.js'));
+const Slug = require(Path.join(__basedir, 'source/modules/slug.js'));
+
+// Remote files larger than this won't be downloaded
+const maxDownloadSize = 50 * 1024 * 1024;
+
+// Block-level elements that shouldn't be wrapped in paragraphs when converting WordPress content
+const blockElements = 'address|article|aside|blockquote|dd|div|dl|dt|figure|footer|form|h[1-6]|header|hr|li|ol|p|pre|section|table|ul';
+
+//
+// Gets the text of an XML element's child. Namespaced tag names must be escaped, e.g. wp\\:status.
+//
+// Returns a string.
+//
+function childText($, el, name) {
+  return $(el).children(name).first().text().trim();
+}
+
+//
+// Decodes a percent-encoded string. WordPress stores slugs with non-Latin characters this way.
+//
+// Returns a string.
+//
+function decode(string) {
+  try {
+    return decodeURIComponent(string);
+  } catch(err) {
+    return string;
+  }
+}
+
+//
+// Parses a date from an export.
+//
+//  value* (string) - The date to parse.
+//  format (string) - The date's format (default ISO 8601).
+//
+// Returns a Date or null if the date is missing or invalid.
+//
+function parseDate(value, format) {
+  if(!value || /^0000-00-00/.test(value)) return null;
+
+  let date = format ? Moment.utc(value, format, true) : Moment.utc(value);
+  return date.isValid() ? date.toDate() : null;
+}
+
+//
+// Converts a string to a valid slug. Slugs must start with a letter, so a prefix is added when
+// they don't.
+//
+//  string* (string) - The string to convert.
+//  prefix* (string) - The prefix to use if the slug doesn't start with a letter.
+//
+// Returns a string.
+//
+function toSlug(string, prefix) {
+  let slug = Slug(string || '');
+  return /^[a-z]/.test(slug) ? slug : Slug(prefix + '-' + slug);
+}
+
+//
+// Normalizes a URL so URLs that point to the same resource can be compared.
+//
+//  url* (string) - The URL to normalize.
+//  siteUrl (string) - The original website's URL. Relative URLs are resolved against it.
+//
+// Returns a string or null if the URL can't be resolved.
+//
+function normalizeUrl(url, siteUrl) {
+  if(!url) return null;
+
+  // Ghost 4+ uses a placeholder for its own URL
+  url = url.replace(/^__GHOST_URL__/, siteUrl || '');
+
+  let parsed = Url.parse(siteUrl ? Url.resolve(siteUrl, url) : url);
+  if(!parsed.host) return parsed.pathname ? parsed.pathname.replace(/\/$/, '') + (parsed.search || '') : null;
+
+  return parsed.host.toLowerCase().replace(/^www\./, '') +
+    (parsed.pathname || '/').replace(/\/$/, '') +
+    (parsed.search || '');
+}
+
+//
+// Converts WordPress content to HTML. WordPress stores paragraphs as line breaks and captions as
+// shortcodes, so this converts them to markup the way WordPress does when it renders a post.
+//
+//  content* (string) - The content to convert.
+//
+// Returns an HTML string.
+//
+function autop(content) {
+  content = (content || '').replace(/\r\n?/g, '\n');
+
+  // Convert captions to figures
+  content = content.replace(
+    /\[caption[^\]]*\]\s*((?:<a[^>]*>\s*)?<img[^>]*>(?:\s*<\/a>)?)([\s\S]*?)\[\/caption\]/g,
+    (match, image, caption) => '<figure>' + image + '<figcaption>' + caption.trim() + '</figcaption></figure>'
+  );
+
+  // Make sure block-level elements are separated from surrounding text
+  content = content
+    .replace(new RegExp('<(' + blockElements + ')[\\s>/]', 'gi'), '\n\n$&')
+    .replace(new RegExp('</(' + blockElements + ')>', 'gi'), '$&\n\n');
+
+  return content
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter((block) => block.length)
+    .map((block) => {
+      if(new RegExp('^</?(' + blockElements + ')[\\s>/]', 'i').test(block)) return block;
+      return '<p>' + block.replace(/\n/g, '<br>\n') + '</p>';
+    })
+    .join('\n');
+}
+
+//
+// Checks whether an IP address is private, loopback, link-local, or otherwise not on the public
+// internet. Export files come from elsewhere, so their URLs mustn't be able to reach internal
+// services.
+//
+//  address* (string) - An IPv4 or IPv6 address.
+//
+// Returns a boolean.
+//
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses, e.g. ::ffff:127.0.0.1
+  let mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if(mapped) address = mapped[1];
+
+  if(Net.isIPv4(address)) {
+    let octets = address.split('.').map(Number);
+
+    return octets[0] === 0 || // "This" network
+      octets[0] === 10 || // Private
+      octets[0] === 127 || // Loopback
+      (octets[0] === 100 && octets[1] >= 64 && octets[1] <= 127) || // Carrier-grade NAT
+      (octets[0] === 169 && octets[1] === 254) || // Link-local
+      (octets[0] === 172 && octets[1] >= 16 && octets[1] <= 31) || // Private
+      (octets[0] === 192 && octets[1] === 168) || // Private
+      (octets[0] === 198 && (octets[1] === 18 || octets[1] === 19)) || // Benchmarking
+      octets[0] >= 224; // Multicast and reserved
+  }
+
+  address = address.toLowerCase();
+
+  return address === '::' || // Unspecified
+    address === '::1' || // Loopback
+    /^f[cd]/.test(address) || // Unique local
+    /^fe[89ab]/.test(address) || // Link-local
+    /^ff/.test(address); // Multicast
+}
+
+//
+// Resolves a hostname like dns.lookup, but fails if it points to an address that isn't public. This
+// is used as the lookup function for requests, so the address that's checked is the one that's
+// connected to.
+//
+//  hostname* (string) - The hostname to resolve.
+//  options* (object) - Options for dns.lookup.
+//  callback* (function) - Called with (err, address, family).
+//
+function publicLookup(hostname, options, callback) {
+  Dns.lookup(hostname, options, (err, address, family) => {
+    if(err) return callback(err);
+
+    let addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+    if(!addresses.length || addresses.some((item) => isPrivateAddress(item.address))) {
+      return callback(new Error('The host ' + hostname + ' is not allowed.'));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+//
+// Downloads a remote file, following redirects. Only http and https URLs on public hosts can be
+// downloaded, and each redirect is checked again.
+//
+//  url* (string) - The URL of the file.
+//  redirects (int) - The number of redirects to follow (default 5).
+//
+// Returns a promise that resolves with { buffer, mimeType }.
+//
+function download(url, redirects) {
+  redirects = typeof redirects === 'undefined' ? 5 : redirects;
+
+  return new Promise((resolve, reject) => {
+    let parsed = Url.parse(url);
+    if(!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+      return reject(new Error('Only http and https URLs can be downloaded.'));
+    }
+
+    // IP addresses aren't looked up, so check them here
+    let hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if(Net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error('The host ' + hostname + ' is not allowed.'));
+    }
+
+    let client = parsed.protocol === 'https:' ? Https : Http;
+    let request = client.get(Object.assign(parsed, { lookup: publicLookup }), (res) => {
+      let chunks = [];
+      let size = 0;
+
+      // Follow redirects
+      if([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if(redirects < 1) return reject(new Error('Too many redirects.'));
+        return resolve(download(Url.resolve(url, res.headers.location), redirects - 1));
+      }
+
+      if(res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error('The server responded with ' + res.statusCode + '.'));
+      }
+
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if(size > maxDownloadSize) {
+          request.abort();
+          return reject(new Error('The file is too large.'));
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        resolve({
+          buffer: Buffer.concat(chunks),
+          mimeType: (res.headers['content-type'] || '').split(';')[0].trim() || Mime.lookup(url)
+        });
+      });
+      res.on('error', reject);
+    });
+
+    request.setTimeout(30000, () => request.abort());
+    request.on('abort', () => reject(new Error('The request timed out.')));
+    request.on('error', reject);
+  });
+}
+
+//
+// Determines an image's dimensions.
+//
+//  buffer* (buffer) - The image data.
+//  filename* (string) - The image's filename. Used to determine the format.
+//
+// Returns a promise that resolves with { width, height }. Dimensions are null if they can't be
+// determined.
+//
+function getImageSize(buffer, filename) {
+  return new Promise((resolve) => {
+    Gm(buffer, filename).size((err, info) => {
+      resolve(err ? { width: null, height: null } : { width: info.width, height: info.height });
+    });
+  });
+}
+
+//
+// Parses a WordPress WXR export.
+//
+//  xml* (string) - The WXR document.
+//
+// Returns an export object. See parse() for details.
+//
+function parseWordPress(xml) {
+  let $ = Cheerio.load(xml, { xmlMode: true, decodeEntities: true });
+  let channel = $('rss > channel').first();
+  let siteUrl = childText($, channel, 'wp\\:base_blog_url') || childText($, channel, 'link') || null;
+  let result = { format: 'wordpress', siteUrl: siteUrl, users: [], tags: [], posts: [], uploads: [] };
+  let attachments = {};
+  let tagKeys = {};
+
+  // Authors
+  channel.children('wp\\:author').each((index, el) => {
+    let login = childText($, el, 'wp\\:author_login');
+
+    result.users.push({
+      key: login,
+      name: childText($, el, 'wp\\:author_display_name') || login,
+      email: childText($, el, 'wp\\:author_email'),
+      username: login,
+      role: 'contributor'
+    });
+  });
+
+  // Categories and tags are both imported as tags
+  channel.children('wp\\:category, wp\\:tag').each((index, el) => {
+    let isCategory = el.name === 'wp:category';
+    let slug = childText($, el, isCategory ? 'wp\\:category_nicename' : 'wp\\:tag_slug');
+
+    // Skip the default category
+    if(slug === 'uncategorized' || tagKeys[slug]) return;
+    tagKeys[slug] = true;
+
+    result.tags.push({
+      key: slug,
+      name: childText($, el, isCategory ? 'wp\\:cat_name' : 'wp\\:tag_name') || slug,
+      slug: slug,
+      description: childText($, el, isCategory ? 'wp\\:category_description' : 'wp\\:tag_description')
+    });
+  });
+
+  // Attachments are needed to resolve featured images, so find them first
+  channel.children('item').each((index, el) => {
+    if(childText($, el, 'wp\\:post_type') !== 'attachment') return;
+
+    let url = childText($, el, 'wp\\:attachment_url');
+    attachments[childText($, el, 'wp\\:post_id')] = url;
+    result.uploads.push({ url: url });
+  });
+
+  // Posts and pages
+  channel.children('item').each((index, el) => {
+    let type = childText($, el, 'wp\\:post_type');
+    let status = childText($, el, 'wp\\:status');
+    let postTags = [];
+    let thumbnail = null;
+
+    // Skip attachments, menus, revisions, etc.
+    if(!['post', 'page'].includes(type)) return;
+
+    // Skip trashed posts and auto drafts
+    if(['trash', 'auto-draft', 'inherit'].includes(status)) return;
+
+    // Categories and tags
+    $(el).children('category[domain="category"], category[domain="post_tag"]').each((index, category) => {
+      let slug = $(category).attr('nicename');
+
+      if(!slug || slug === 'uncategorized') return;
+      postTags.push(slug);
+
+      // Tags that are only referenced in posts aren't listed at the top of the export
+      if(!tagKeys[slug]) {
+        tagKeys[slug] = true;
+        result.tags.push({ key: slug, name: $(category).text().trim() || slug, slug: slug, description: '' });
+      }
+    });
+
+    // The featured image is stored as a reference to an attachment
+    $(el).children('wp\\:postmeta').each((index, meta) => {
+      if(childText($, meta, 'wp\\:meta_key') === '_thumbnail_id') {
+        thumbnail = attachments[childText($, meta, 'wp\\:meta_value')] || null;
+      }
+    });
+
+    result.posts.push({
+      key: childText($, el, 'wp\\:post_id'),
+      url: childText($, el, 'link'),
+      title: childText($, el, 'title'),
+      slug: decode(childText($, el, 'wp\\:post_name')),
+      content: autop(childText($, el, 'content\\:encoded')),
+      image: thumbnail,
+      metaTitle: null,
+      metaDescription: Striptags(childText($, el, 'excerpt\\:encoded')) || null,
+      // Published and scheduled posts are published, private posts become drafts
+      status: ['publish', 'future'].includes(status) ? 'published' : status === 'pending' ? 'pending' : 'draft',
+      isPage: type === 'page',
+      isFeatured: false,
+      isSticky: childText($, el, 'wp\\:is_sticky') === '1',
+      publishedAt:
+        parseDate(childText($, el, 'wp\\:post_date_gmt'), 'YYYY-MM-DD HH:mm:ss') ||
+        parseDate(childText($, el, 'wp\\:post_date'), 'YYYY-MM-DD HH:mm:ss'),
+      authorKey: childText($, el, 'dc\\:creator'),
+      tagKeys: postTags
+    });
+  });
+
+  return result;
+}
+
+//
+// Parses a Ghost JSON export.
+//
+//  json* (object) - The parsed export.
+//  siteUrl (string) - The original website's URL. Ghost exports don't include it.
+//
+// Returns an export object. See parse() for details.
+//
+function parseGhost(json, siteUrl) {
+  let db = Array.isArray(json.db) ? json.db[0] : json;
+  let data = db.data;
+  let result = { format: 'ghost', siteUrl: siteUrl || null, users: [], tags: [], posts: [], uploads: [] };
+  let roles = {};
+  let userRoles = {};
+  let postTags = {};
+  let postAuthors = {};
+
+  // Ghost's roles mapped to Postleaf's
+  (data.roles || []).forEach((role) => {
+    roles[role.id] = {
+      'Owner': 'owner',
+      'Administrator': 'admin',
+      'Editor': 'editor'
+    }[role.name] || 'contributor';
+  });
+  (data.roles_users || []).forEach((row) => userRoles[row.user_id] = roles[row.role_id]);
+
+  // Users
+  (data.users || []).forEach((user) => {
+    result.users.push({
+      key: String(user.id),
+      name: user.name || user.slug,
+      email: user.email,
+      username: user.slug,
+      // Nobody can be imported as the owner, and users without a role get the fewest privileges
+      role: userRoles[user.id] === 'owner' ? 'admin' : userRoles[user.id] || 'contributor',
+      bio: user.bio || null,
+      location: user.location || null,
+      website: user.website || null
+    });
+  });
+
+  // Tags
+  (data.tags || []).forEach((tag) => {
+    result.tags.push({
+      key: String(tag.id),
+      name: tag.name || tag.slug,
+      slug: tag.slug,
+      description: tag.description || ''
+    });
+  });
+
+  // Post relationships, in the order they appear on the post
+  (data.posts_tags || [])
+    .slice()
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+    .forEach((row) => {
+      postTags[row.post_id] = postTags[row.post_id] || [];
+      postTags[row.post_id].push(String(row.tag_id));
+    });
+  (data.posts_authors || [])
+    .slice()
+    .sort((a, b) => (b.sort_order || 0) - (a.sort_order || 0))
+    .forEach((row) => postAuthors[row.post_id] = String(row.author_id));
+
+  // Posts
+  (data.posts || []).forEach((post) => {
+    let content = post.html;
+
+    // Older exports may only have markdown, newer ones may only have mobiledoc
+    if(!content && post.markdown) content = Markdown.toHtml(post.markdown);
+    if(!content && post.mobiledoc) {
+      try {
+        content = JSON.parse(post.mobiledoc).cards
+          .filter((card) => ['markdown', 'card-markdown'].includes(card[0]))
+          .map((card) => Markdown.toHtml(card[1].markdown || ''))
+          .join('\n');
+      } catch(err) {
+        content = '';
+      }
+    }
+
+    result.posts.push({
+      key: String(post.id),
+      url: '/' + post.slug + '/',
+      title: post.title,
+      slug: post.slug,
+      content: content || '',
+      image: post.feature_image || post.image || null,
+      metaTitle: post.meta_title || null,
+      metaDescription: post.meta_description || post.custom_excerpt || null,
+      status: post.status === 'published' || post.status === 'scheduled' ? 'published' : 'draft',
+      isPage: post.type === 'page' || post.page === true || post.page === 1,
+      isFeatured: !!post.featured,
+      isSticky: false,
+      publishedAt: parseDate(post.published_at) || parseDate(post.created_at),
+      authorKey: postAuthors[post.id] || String(post.author_id),
+      tagKeys: postTags[post.id] || []
+    });
+  });
+
+  return result;
+}
+
+module.exports = function(Database, Storage) {
+  const models = Database.sequelize.models;
+
+  const self = {
+
+    //
+    // Parses a WordPress WXR or Ghost JSON export.
+    //
+    //  data* (buffer|string) - The export file's contents.
+    //  options (object)
+    //    - siteUrl (string) - The original website's URL. Required to resolve relative links and
+    //      images in Ghost exports.
+    //
+    // Returns an export object:
+    //
+    //  {
+    //    format: 'wordpress|ghost',
+    //    siteUrl: '',
+    //    users: [{ key, name, email, username, role }],
+    //    tags: [{ key, name, slug, description }],
+    //    posts: [{ key, url, title, slug, content, status, publishedAt, authorKey, tagKeys, ... }],
+    //    uploads: [{ url }]
+    //  }
+    //
+    // Throws an error if the format isn't recognized.
+    //
+    parse: (data, options) => {
+      options = options || {};
+      let text = data.toString('utf8').replace(/^\uFEFF/, '').trim();
+      let result;
+
+      if(/^</.test(text)) {
+        if(!/xmlns:wp=/.test(text)) throw new Error('This XML file is not a WordPress export.');
+        result = parseWordPress(text);
+      } else {
+        let json;
+
+        try {
+          json = JSON.parse(text);
+        } catch(err) {
+          throw new Error('This file is not a WordPress or Ghost export.');
+        }
+
+        let db = json && Array.isArray(json.db) ? json.db[0] : json;
+        if(!db || !db.data || !Array.isArray(db.data.posts)) {
+          throw new Error('This JSON file is not a Ghost export.');
+        }
+        result = parseGhost(json, options.siteUrl);
+      }
+
+      // An explicit site URL wins over the one in the export
+      if(options.siteUrl) result.siteUrl = options.siteUrl;
+
+      return result;
+    },
+
+    //
+    // Imports a WordPress WXR or Ghost JSON export. Users are matched to existing users by email
+    // address, tags are matched by slug, and posts whose slugs are already in use are skipped.
+    // Images and files from the original website are downloaded to storage, and links to imported
+    // posts and files are rewritten. All rows are created in a single transaction.
+    //
+    //  data* (buffer|string) - The export file's contents.
+    //  options* (object)
+    //    - userId* (string) - The importing user's ID. Posts and uploads that can't be mapped to
+    //      an author are assigned to this user.
+    //    - siteUrl (string) - The original website's URL. Images and files are only downloaded from
+    //      this host.
+    //    - createUsers (boolean) - Whether to create users for authors that don't exist. If false,
+    //      they're mapped to the importing user (default true).
+    //    - downloadUploads (boolean) - Whether to download images and files (default true).
+    //    - dryRun (boolean) - Report what would be imported without changing anything (default
+    //      false).
+    //
+    // Returns a promise that resolves with a report:
+    //
+    //  {
+    //    format: 'wordpress|ghost',
+    //    posts: { created, skipped },
+    //    tags: { created, existing },
+    //    users: { created, existing },
+    //    uploads: { created, failed },
+    //    conflicts: [{ type: 'post|tag|user|upload', name, message }]
+    //  }
+    //
+    import: (data, options) => {
+      options = options || {};
+      let createUsers = options.createUsers !== false;
+      let downloadUploads = options.downloadUploads !== false;
+      let source;
+      let report;
+      let users = {};
+      let tags = {};
+      let posts = [];
+      let files = {};
+      let storedKeys = [];
+
+      return Promise.resolve()
+        .then(() => {
+          source = self.parse(data, options);
+
+          report = {
+            format: source.format,
+            posts: { created: 0, skipped: 0 },
+            tags: { created: 0, existing: 0 },
+            users: { created: 0, existing: 0 },
+            uploads: { created: 0, failed: 0 },
+            conflicts: []
+          };
+        })
+        // Map authors to existing users, or plan new ones. Users in the trash still hold their email
+        // addresses and usernames, so they're included.
+        .then(() => {
+          return models.user
+            .findAll({ attributes: ['id', 'email', 'username'], paranoid: false })
+            .then((existing) => {
+              let usernames = existing.map((user) => user.username);
+
+              source.users.forEach((user) => {
+                let match = existing.find((row) => {
+                  return user.email && row.email.toLowerCase() === user.email.toLowerCase();
+                });
+
+                if(match) {
+                  users[user.key] = { id: match.id };
+                  report.users.existing++;
+                  return;
+                }
+
+                if(!createUsers || !/^\S+@\S+\.\S+$/.test(user.email || '')) {
+                  users[user.key] = { id: options.userId };
+                  if(createUsers) {
+                    report.conflicts.push({
+                      type: 'user',
+                      name: user.name,
+                      message: 'This author has no valid email address, so their posts were assigned to you.'
+                    });
+                  }
+                  return;
+                }
+
+                // Usernames must be unique, so add a counter if it's taken
+                let username = toSlug(user.username || user.name, 'user');
+                let unique = username;
+                for(let i = 2; usernames.includes(unique); i++) unique = username + '-' + i;
+                usernames.push(unique);
+
+                if(unique !== user.username) {
+                  report.conflicts.push({
+                    type: 'user',
+                    name: user.name,
+                    message: 'The username ' + user.username + ' is ' + (username === user.username ? 'already in use' : 'invalid') +
+                      ', so ' + unique + ' was used instead.'
+                  });
+                }
+
+                users[user.key] = {
+                  id: null,
+                  attributes: {
+                    name: user.name || unique,
+                    email: user.email,
+                    username: unique,
+                    // Imported users don't have a password until they reset it
+                    password: models.user.hashPassword(Crypto.randomBytes(32).toString('hex')),
+                    role: user.role || 'contributor',
+                    bio: user.bio || null,
+                    location: user.location || null,
+                    website: user.website || null
+                  }
+                };
+                report.users.created++;
+              });
+            });
+        })
+        // Map tags to existing tags, including ones in the trash, or plan new ones
+        .then(() => {
+          return models.tag
+            .findAll({ attributes: ['id', 'slug'], paranoid: false })
+            .then((existing) => {
+              source.tags.forEach((tag) => {
+                let slug = toSlug(tag.slug || tag.name, 'tag');
+                let match = existing.find((row) => row.slug === slug);
+
+                if(match) {
+                  tags[tag.key] = { id: match.id };
+                  report.tags.existing++;
+                  return;
+                }
+
+                // Tags can appear twice when a category and a tag share a slug
+                let duplicate = Object.keys(tags).find((key) => tags[key].attributes && tags[key].attributes.slug === slug);
+                if(duplicate) {
+                  tags[tag.key] = tags[duplicate];
+                  return;
+                }
+
+                tags[tag.key] = {
+                  id: null,
+                  attributes: {
+                    name: tag.name,
+                    slug: slug,
+                    description: tag.description || null
+                  }
+                };
+                report.tags.created++;
+              });
+            });
+        })
+        // Skip posts whose slugs are already taken, even by posts in the trash
+        .then(() => {
+          return models.post
+            .findAll({ attributes: ['slug'], paranoid: false })
+            .then((existing) => {
+              let slugs = existing.map((post) => post.slug);
+
+              source.posts.forEach((post) => {
+                // Fall back to the title for slugs that can't be converted, e.g. non-Latin ones
+                let slug = toSlug(Slug(post.slug || '') ? post.slug : post.title, post.isPage ? 'page' : 'post');
+
+                if(!post.title) {
+                  report.posts.skipped++;
+                  report.conflicts.push({ type: 'post', name: post.slug, message: 'This post has no title.' });
+                  return;
+                }
+
+                if(slugs.includes(slug)) {
+                  report.posts.skipped++;
+                  report.conflicts.push({
+                    type: 'post',
+                    name: post.title,
+                    message: 'The slug ' + slug + ' is already in use, so this post was skipped.'
+                  });
+                  return;
+                }
+
+                if(slug !== post.slug) {
+                  report.conflicts.push({
+                    type: 'post',
+                    name: post.title,
+                    message: 'The slug ' + post.slug + ' is invalid, so ' + slug + ' was used instead.'
+                  });
+                }
+
+                slugs.push(slug);
+                posts.push(Object.assign({}, post, { slug: slug }));
+                report.posts.created++;
+              });
+            });
+        })
+        // Find images and files that belong to the original website
+        .then(() => {
+          // Files are only downloaded from the original website, so nothing is downloaded when its
+          // URL isn't known
+          let siteHost = source.siteUrl ? Url.parse(source.siteUrl).host : null;
+          let isUpload = (url) => {
+            let resolved = Url.parse(source.siteUrl ? Url.resolve(source.siteUrl, url) : url);
+
+            return !!siteHost && !!resolved.host &&
+              ['http:', 'https:'].includes(resolved.protocol) &&
+              resolved.host.replace(/^www\./, '') === siteHost.replace(/^www\./, '') &&
+              /\/(wp-content\/uploads|content\/images)\//.test(resolved.pathname || '');
+          };
+          let add = (url) => {
+            if(!url) return;
+            url = url.replace(/^__GHOST_URL__/, source.siteUrl || '');
+            if(!isUpload(url)) return;
+
+            let absolute = source.siteUrl ? Url.resolve(source.siteUrl, url) : url;
+            files[normalizeUrl(absolute)] = { url: absolute, path: null };
+          };
+
+          source.uploads.forEach((upload) => add(upload.url));
+          posts.forEach((post) => {
+            let $ = Cheerio.load(post.content);
+
+            add(post.image);
+            $('img[src]').each((index, el) => add($(el).attr('src')));
+            $('a[href]').each((index, el) => add($(el).attr('href')));
+          });
+
+          // Nothing is downloaded or created on a dry run
+          if(options.dryRun) {
+            report.uploads.created = Object.keys(files).length;
+            return;
+          }
+          if(!downloadUploads) return;
+
+          return Promise.map(Object.keys(files), (key) => {
+            let file = files[key];
+            let pathname = decode(Url.parse(file.url).pathname);
+            let date = pathname.match(/\/(\d{4})\/(\d{2})\//);
+            let year = date ? date[1] : Moment().format('YYYY');
+            let month = date ? date[2] : Moment().format('MM');
+
+            return download(file.url)
+              .then((res) => {
+                return Storage.uniqueKey(Path.posix.join(year, month, SanitizeFilename(Path.posix.basename(pathname))))
+                  .then((key) => {
+                    let filename = Path.posix.basename(key);
+
+                    return Promise.resolve()
+                      .then(() => {
+                        if(['image/gif', 'image/jpeg', 'image/png'].includes(res.mimeType)) {
+                          return getImageSize(res.buffer, filename);
+                        }
+                        return { width: null, height: null };
+                      })
+                      .then((size) => {
+                        return Storage.put(key, res.buffer, { mimeType: res.mimeType }).then(() => {
+                          storedKeys.push(key);
+                          file.path = Storage.pathFromKey(key);
+                          file.attributes = {
+                            filename: filename,
+                            extension: Path.extname(filename).toLowerCase().replace(/^\./, ''),
+                            path: file.path,
+                            mimeType: res.mimeType,
+                            size: res.buffer.length,
+                            width: size.width,
+                            height: size.height
+                          };
+                          report.uploads.created++;
+                        });
+                      });
+                  });
+              })
+              .catch((err) => {
+                report.uploads.failed++;
+                report.conflicts.push({
+                  type: 'upload',
+                  name: file.url,
+                  message: 'Unable to download this file: ' + err.message
+                });
+              });
+          }, { concurrency: 3 });
+        })
+        // Rewrite links to imported posts and files
+        .then(() => {
+          let oldUrls = {};
+
+          // Posts can be linked by permalink or by ID, e.g. ?p=123 in WordPress
+          posts.forEach((post) => {
+            let newUrl = '/' + encodeURIComponent(post.slug);
+
+            if(post.url) oldUrls[normalizeUrl(post.url, source.siteUrl)] = newUrl;
+            if(source.siteUrl) {
+              oldUrls[normalizeUrl('/?p=' + post.key, source.siteUrl)] = newUrl;
+              oldUrls[normalizeUrl('/?page_id=' + post.key, source.siteUrl)] = newUrl;
+            }
+          });
+
+          // WordPress links to resized copies of images, e.g. image-300x200.jpg
+          let resolveFile = (url) => {
+            let key = normalizeUrl(url, source.siteUrl);
+            if(files[key] && files[key].path) return files[key].path;
+
+            let original = key ? key.replace(/-\d+x\d+(\.\w+)$/, '$1') : null;
+            return files[original] && files[original].path ? files[original].path : null;
+          };
+
+          posts.forEach((post) => {
+            let $ = Cheerio.load(post.content, { decodeEntities: false });
+
+            $('a[href]').each((index, el) => {
+              let href = $(el).attr('href');
+              let key = normalizeUrl(href, source.siteUrl);
+              let replacement = oldUrls[key] || resolveFile(href);
+
+              if(replacement) $(el).attr('href', replacement);
+            });
+
+            $('img[src]').each((index, el) => {
+              let path = resolveFile($(el).attr('src'));
+
+              if(path) {
+                $(el).attr('src', path);
+                // Responsive images will be generated for the new uploads
+                $(el).removeAttr('srcset').removeAttr('sizes');
+              }
+            });
+
+            post.content = $.html();
+            if(post.image) post.image = resolveFile(post.image) || post.image;
+          });
+        })
+        // Create everything in a single transaction
+        .then(() => {
+          if(options.dryRun) return;
+
+          return Database.sequelize.transaction((transaction) => {
+            return Promise.resolve()
+              // Users
+              .then(() => {
+                return Promise.mapSeries(Object.keys(users), (key) => {
+                  if(users[key].id) return;
+
+                  return models.user
+                    .create(users[key].attributes, { transaction: transaction })
+                    .then((user) => users[key].id = user.id);
+                });
+              })
+              // Tags
+              .then(() => {
+                return Promise.mapSeries(Object.keys(tags), (key) => {
+                  if(tags[key].id) return;
+
+                  return models.tag
+                    .create(tags[key].attributes, { transaction: transaction })
+                    .then((tag) => tags[key].id = tag.id);
+                });
+              })
+              // Uploads
+              .then(() => {
+                return Promise.mapSeries(Object.keys(files), (key) => {
+                  if(!files[key].attributes) return;
+
+                  return models.upload.create(
+                    Object.assign({ userId: options.userId }, files[key].attributes),
+                    { transaction: transaction }
+                  );
+                });
+              })
+              // Posts
+              .then(() => {
+                return Promise.mapSeries(posts, (post) => {
+                  let userId = users[post.authorKey] ? users[post.authorKey].id : options.userId;
+
+                  return models.post
+                    .create({
+                      slug: post.slug,
+                      userId: userId,
+                      publishedAt: post.publishedAt || new Date(),
+                      title: post.title,
+                      content: post.content,
+                      image: post.image,
+                      metaTitle: post.metaTitle,
+                      metaDescription: post.metaDescription,
+                      status: post.status,
+                      isPage: post.isPage,
+                      isFeatured: post.isFeatured,
+                      isSticky: post.isSticky
+                    }, { transaction: transaction })
+                    // Assign the author
+                    .then((created) => {
+                      return models.postAuthor
+                        .setAuthors(created.id, [userId], { transaction: transaction })
+                        .then(() => created);
+                    })
+                    // Assign tags, skipping duplicates
+                    .then((created) => {
+                      let tagIds = post.tagKeys
+                        .filter((key) => tags[key])
+                        .map((key) => tags[key].id)
+                        .filter((id, index, ids) => ids.indexOf(id) === index);
+
+                      return Promise
+                        .mapSeries(tagIds, (tagId) => {
+                          return models.postTags.create({ postId: created.id, tagId: tagId }, { transaction: transaction });
+                        })
+                        .then(() => created);
+                    })
+                    // Create an initial revision
+                    .then((created) => models.revision.createFromPost(created, userId, { transaction: transaction }));
+                });
+              });
+          })
+            .catch((err) => {
+              // Remove files that were stored for the failed import
+              return Promise.each(storedKeys, (key) => Storage.delete(key).catch(() => {}))
+                .then(() => {
+                  throw err;
+                });
+            });
+        })
+        .then(() => report);
+    }
+
+  };
+
+  return self;
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+// Node modules
+const Fs = require('fs');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+
+// Failed attempts are counted over this period
+const attemptWindow = 15 * 60 * 1000; // milliseconds
+
+// The number of failed attempts allowed before delays start. Each failure after that doubles the
+// delay, up to maxDelay.
+const freeAttempts = 3;
+const maxDelay = 60 * 1000; // milliseconds
+
+// The number of failed attempts from one IP address before it's blocked for the rest of the window
+const ipLimit = 50;
+
+// Only these failures count against an account. Reset and unlock links are random tokens, so
+// guessing them is throttled by IP address instead, and can't be used to lock someone out.
+const accountActions = ['login', 'two-factor'];
+
+// The number of failed attempts before an account is locked, and how long it stays locked
+const lockoutThreshold = 10;
+const lockoutDuration = 30 * 60 * 1000; // milliseconds
+
+// The number of password recovery emails that can be sent to one account per window
+const recoveryLimit = 3;
+
+//
+// Gets the delay required after a number of failed attempts.
+//
+// Returns an integer (milliseconds).
+//
+function getDelay(failures) {
+  if(failures < freeAttempts) return 0;
+
+  return Math.min(maxDelay, 1000 * Math.pow(2, failures - freeAttempts));
+}
+
+//
+// Gets the number of seconds to wait after an attempt.
+//
+//  last* (date) - The time of the last attempt.
+//  delay* (int) - The required delay in milliseconds.
+//
+// Returns an integer. Zero means no wait is necessary.
+//
+function getWait(last, delay) {
+  if(!last || !delay) return 0;
+
+  return Math.max(0, Math.ceil((last.getTime() + delay - Date.now()) / 1000));
+}
+
+//
+// Counts a user's failed login and two-factor attempts since their last successful one.
+//
+// Returns a promise resolving with an object: { count, last }
+//
+function countUserFailures(models, user) {
+  return models.loginAttempt
+    .lastSuccess(user.id)
+    .then((lastSuccess) => {
+      let since = new Date(Math.max(Date.now() - attemptWindow, lastSuccess ? lastSuccess.getTime() : 0));
+
+      return models.loginAttempt.countSince({
+        userId: user.id,
+        action: { $in: accountActions },
+        success: false
+      }, since);
+    });
+}
+
+//
+// Locks an account and sends the user an email with a link to unlock it.
+//
+// Returns a promise.
+//
+function lock(req, user) {
+  const I18n = req.app.locals.I18n;
+  const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(req.app.locals.Settings);
+  let unlockToken = user.generateUnlockToken();
+
+  user.lockedUntil = new Date(Date.now() + lockoutDuration);
+
+  return user.save().then(() => {
+    let message = Fs.readFileSync(Path.join(__basedir, 'source/emails/account_locked.txt'), { encoding: 'utf8' });
+
+    // The email is a courtesy, so don't fail if it can't be sent
+    return Email.send({
+      to: {
+        name: user.name,
+        email: user.email
+      },
+      subject: I18n.term('your_postleaf_account_has_been_locked'),
+      message: { text: message },
+      placeholders: {
+        name: user.name,
+        accountLocked: I18n.term('your_account_was_locked_after_too_many_failed_login_attempts'),
+        followThisLink: I18n.term('if_this_was_you_follow_this_link_to_unlock_it'),
+        unlockUrl: MakeUrl.admin('login', {
+          absolute: true,
+          query: {
+            id: user.id,
+            unlock: unlockToken
+          }
+        }),
+        websiteUrl: MakeUrl.raw('', { absolute: true }),
+        websiteTitle: req.app.locals.Settings.title
+      }
+    }).catch(() => null);
+  });
+}
+
+const self = {
+
+  //
+  // Checks whether a login, password recovery, or password reset attempt is allowed. Attempts are
+  // delayed after repeated failures from the same IP address or on the same account, and locked
+  // accounts are rejected until they're unlocked.
+  //
+  //  req* (object) - The current request.
+  //  options (object)
+  //    - action (string) - The type of attempt: login, two-factor, oidc, recover, reset, or unlock.
+  //    - user (object) - The user being logged in to, if known.
+  //
+  // Returns a promise that resolves with null if the attempt is allowed, otherwise an object:
+  // { retryAfter, locked }. retryAfter is the number of seconds to wait.
+  //
+  check: (req, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+    let windowStart = new Date(Date.now() - attemptWindow);
+    let user = (options || {}).user;
+    let action = (options || {}).action;
+    let queue = [];
+
+    // Failures from this IP address
+    queue.push(
+      models.loginAttempt
+        .countSince({ ipAddress: req.ip, success: false }, windowStart)
+        .then((result) => {
+          return getWait(result.last, result.count >= ipLimit ? attemptWindow : getDelay(result.count));
+        })
+    );
+
+    if(user) {
+      // Failures on this account
+      queue.push(
+        countUserFailures(models, user).then((result) => getWait(result.last, getDelay(result.count)))
+      );
+
+      // Recovery emails sent to this account
+      if(action === 'recover') {
+        queue.push(
+          models.loginAttempt
+            .countSince({ userId: user.id, action: 'recover', success: true }, windowStart)
+            .then((result) => result.count >= recoveryLimit ? getWait(result.last, attemptWindow) : 0)
+        );
+      }
+    }
+
+    return Promise.all(queue).then((waits) => {
+      // Locked accounts can still recover their password, which unlocks them
+      if(user && user.isLocked() && action !== 'recover') {
+        return {
+          retryAfter: getWait(new Date(user.lockedUntil), 1),
+          locked: true
+        };
+      }
+
+      let retryAfter = Math.max.apply(null, waits);
+
+      return retryAfter > 0 ? { retryAfter: retryAfter, locked: false } : null;
+    });
+  },
+
+  //
+  // Records a failed attempt. Accounts are locked after too many failed logins or two-factor codes.
+  //
+  //  req* (object) - The current request.
+  //  options* (object)
+  //    - action* (string) - The type of attempt: login, two-factor, oidc, recover, reset, or unlock.
+  //    - reason* (string) - Why the attempt failed, e.g. invalid_password.
+  //    - user (object) - The user being logged in to, if known.
+  //    - username (string) - The username or email address that was entered.
+  //
+  // Returns a promise that resolves with an object: { locked }
+  //
+  fail: (req, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+    let user = options.user;
+
+    return models.loginAttempt
+      .record({
+        userId: user ? user.id : null,
+        username: options.username || (user ? user.username : null),
+        ipAddress: req.ip,
+        action: options.action,
+        success: false,
+        reason: options.reason
+      })
+      .then(() => {
+        if(!user || !accountActions.includes(options.action)) return { locked: false };
+        if(user.isLocked()) return { locked: true };
+
+        return countUserFailures(models, user).then((result) => {
+          if(result.count < lockoutThreshold) return { locked: false };
+
+          return lock(req, user).then(() => ({ locked: true }));
+        });
+      });
+  },
+
+  //
+  // Records a successful attempt. This resets the account's failure count.
+  //
+  //  req* (object) - The current request.
+  //  options* (object)
+  //    - action* (string) - The type of attempt: login, two-factor, oidc, recover, reset, or unlock.
+  //    - user* (object) - The user who logged in.
+  //
+  // Returns a promise.
+  //
+  succeed: (req, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+
+    return models.loginAttempt.record({
+      userId: options.user.id,
+      username: options.user.username,
+      ipAddress: req.ip,
+      action: options.action,
+      success: true
+    });
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,51 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Promise = require('bluebird');
+
+module.exports = {
+
+  //
+  // Fetches the user from the :id request param so their sessions or API tokens can be managed.
+  // Users can manage their own. Owners and admins can also manage other users', but only the owner
+  // can manage the owner's.
+  //
+  //  req* (object) - The current request.
+  //  res* (object) - The response. Its status is set if the user can't be managed.
+  //
+  // Returns a promise that resolves with the user. Rejects with an Unauthorized or User Not Found
+  // error.
+  //
+  fetch: (req, res) => {
+    const models = req.app.locals.Database.sequelize.models;
+    const User = req.User;
+    let isSelf = User.id === req.params.id;
+
+    if(!isSelf && !User.can('user.manage')) {
+      res.status(HttpCodes.UNAUTHORIZED);
+      return Promise.reject(new Error('Unauthorized'));
+    }
+
+    return models.user
+      .findOne({
+        where: {
+          id: req.params.id
+        }
+      })
+      .then((user) => {
+        if(!user) {
+          res.status(HttpCodes.NOT_FOUND);
+          throw new Error('User Not Found');
+        }
+
+        if(!isSelf && user.role === 'owner') {
+          res.status(HttpCodes.UNAUTHORIZED);
+          throw new Error('Unauthorized');
+        }
+
+        return user;
+      });
+  }
+
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 // Node modules
+const Cheerio = require('cheerio');
 const He = require('he');
 const Marked = require('marked');
 const Striptags = require('striptags');
@@ -20,6 +21,152 @@ renderer.code = (code, lang) => {
   return pre;
 };
 
+// Block-level elements, which make surrounding whitespace insignificant
+const blockElements = [
+  'article', 'audio', 'blockquote', 'div', 'dl', 'figcaption', 'figure', 'form', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'hr', 'iframe', 'li', 'object', 'ol', 'p', 'pre', 'section', 'table', 'ul', 'video'
+];
+
+// Elements that have no Markdown equivalent and are kept as HTML
+const htmlBlocks = ['audio', 'dl', 'form', 'iframe', 'object', 'table', 'video'];
+
+//
+// Escapes characters in text that would otherwise be treated as Markdown.
+//
+// Returns a string.
+//
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*_`[\]])/g, '\\$1')
+    .replace(/</g, '&lt;');
+}
+
+//
+// Converts a DOM node and its children to Markdown.
+//
+//  $* (object) - A Cheerio instance.
+//  node* (object) - The node to convert.
+//
+// Returns a string.
+//
+function convertNode($, node) {
+  let children = () => $(node).contents().toArray().map((child) => convertNode($, child)).join('');
+  let block = (text) => '\n\n' + text + '\n\n';
+
+  // Text
+  if(node.type === 'text') {
+    let isBlock = (sibling) => !sibling || blockElements.includes(sibling.name);
+
+    // Whitespace next to block elements is insignificant
+    if(/^\s*$/.test(node.data) && (isBlock(node.prev) || isBlock(node.next))) return '';
+
+    return escapeText(node.data.replace(/\s+/g, ' '));
+  }
+
+  // Comments, directives, etc.
+  if(node.type !== 'tag') return '';
+
+  switch(node.name) {
+  case 'h1':
+  case 'h2':
+  case 'h3':
+  case 'h4':
+  case 'h5':
+  case 'h6':
+    return block('#'.repeat(parseInt(node.name[1])) + ' ' + children().trim());
+
+  case 'p':
+    // Don't let paragraphs start with something that looks like a heading, list, or quote
+    return block(children().trim().replace(/^([#>+-])(\s)/, '\\$1$2').replace(/^(\d+)\.(\s)/, '$1\\.$2'));
+
+  case 'br':
+    return '  \n';
+
+  case 'hr':
+    return block('---');
+
+  case 'b':
+  case 'strong':
+    return '**' + children() + '**';
+
+  case 'em':
+  case 'i':
+    return '_' + children() + '_';
+
+  case 'del':
+  case 's':
+    return '~~' + children() + '~~';
+
+  case 'code': {
+    let code = $(node).text();
+    let fence = code.includes('`') ? '`` ' : '`';
+
+    return fence + code + fence.split('').reverse().join('');
+  }
+
+  case 'pre': {
+    // Code blocks are stored as <pre class="language-js">
+    let lang = ($(node).attr('class') || '').replace(/^.*\blanguage-(\S+).*$|^.*$/, '$1');
+
+    return block('```' + lang + '\n' + $(node).text().replace(/\n$/, '') + '\n```');
+  }
+
+  case 'a': {
+    let href = $(node).attr('href');
+    let title = $(node).attr('title');
+    if(!href) return children();
+
+    return '[' + children() + '](' + href.replace(/ /g, '%20') + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+  }
+
+  case 'img': {
+    let src = ($(node).attr('src') || '').replace(/ /g, '%20');
+    let title = $(node).attr('title');
+
+    return '![' + escapeText($(node).attr('alt') || '') + '](' + src + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+  }
+
+  case 'blockquote':
+    return block(children().trim().replace(/\n{3,}/g, '\n\n').split('\n').map((line) => ('> ' + line).trimRight()).join('\n'));
+
+  case 'ul':
+  case 'ol': {
+    let start = parseInt($(node).attr('start')) || 1;
+
+    return block(
+      $(node).children('li').toArray().map((li, index) => {
+        let marker = node.name === 'ol' ? (start + index) + '. ' : '- ';
+        let indent = ' '.repeat(marker.length);
+        let content = convertNode($, li).trim().replace(/\n{3,}/g, '\n\n');
+
+        // Indent continuation lines so they stay in the list item
+        return marker + content.split('\n').map((line, i) => i && line ? indent + line : line).join('\n');
+      }).join('\n')
+    );
+  }
+
+  case 'figcaption':
+    return block('_' + children().trim() + '_');
+
+  case 'article':
+  case 'div':
+  case 'figure':
+  case 'section':
+    return block(children().trim());
+
+  case 'script':
+  case 'style':
+    return '';
+
+  default:
+    if(htmlBlocks.includes(node.name)) return block($.html(node));
+
+    // Inline elements without a Markdown equivalent are kept as is
+    return node.name === 'li' || node.name === 'span' ? children() : $.html(node);
+  }
+}
+
 const self = {
 
   //
@@ -37,6 +184,25 @@ const self = {
     });
   },
 
+  //
+  // Converts an HTML string to markdown. Elements without a markdown equivalent, such as tables
+  // and embeds, are left as HTML.
+  //
+  //  html* (string) - The HTML string to convert.
+  //
+  // Returns a markdown string.
+  //
+  fromHtml: (html) => {
+    html = typeof html === 'string' ? html : '';
+    let $ = Cheerio.load(html);
+
+    return $.root().contents().toArray()
+      .map((node) => convertNode($, node))
+      .join('')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() + '\n';
+  },
+
   //
   // Converts a markdown string to plain text.
   //
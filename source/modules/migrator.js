@@ -0,0 +1,258 @@
+'use strict';
+
+// Node modules
+const Fs = require('fs');
+const Path = require('path');
+const Promise = require('bluebird');
+const Sequelize = require('sequelize');
+
+//
+// Runs schema migrations. Migrations live in source/migrations and are named with a numeric prefix
+// that determines the order they run in, e.g. 002_add_post_excerpt.js. Each one exports an `up`
+// and a `down` function that receive a query interface and Sequelize, and return a promise.
+//
+// The names of migrations that have run are stored in the migrations table.
+//
+//  sequelize* (object) - A Sequelize instance.
+//  options (object)
+//    - migrationPath (string) - The folder that contains migrations (default source/migrations).
+//
+module.exports = function(sequelize, options) {
+  options = options || {};
+  const queryInterface = sequelize.getQueryInterface();
+  let migrationPath = options.migrationPath || Path.join(__basedir, 'source/migrations');
+
+  //
+  // Creates the migrations table if it doesn't exist.
+  //
+  // Returns a promise.
+  //
+  function createTable() {
+    return queryInterface.createTable('migrations', {
+      name: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false
+      },
+      runAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  }
+
+  //
+  // Gets all available migrations.
+  //
+  // Returns a promise that resolves with an array of migration names, ordered oldest to newest.
+  //
+  function getAll() {
+    return new Promise((resolve, reject) => {
+      Fs.readdir(migrationPath, (err, files) => {
+        if(err) return reject(new Error('Unable to read migrations folder: ' + migrationPath));
+
+        resolve(
+          files
+            .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+            .map((file) => Path.basename(file, '.js'))
+            .sort()
+        );
+      });
+    });
+  }
+
+  //
+  // Gets the migrations that have already run.
+  //
+  // Returns a promise that resolves with an array of migration names, ordered oldest to newest.
+  //
+  function getExecuted() {
+    return createTable()
+      .then(() => {
+        return sequelize.query(
+          'SELECT ' + queryInterface.quoteIdentifier('name') +
+          ' FROM ' + queryInterface.quoteTable('migrations'),
+          { type: sequelize.QueryTypes.SELECT }
+        );
+      })
+      .then((rows) => rows.map((row) => row.name).sort());
+  }
+
+  //
+  // Gets a query interface that runs every query in a transaction.
+  //
+  //  transaction* (object) - The transaction.
+  //
+  // Returns a query interface.
+  //
+  function bindTransaction(transaction) {
+    let boundSequelize = Object.create(sequelize);
+    let boundInterface = Object.create(queryInterface);
+
+    boundSequelize.query = (sql, options) => {
+      options = Object.assign({}, options);
+      if(!options.transaction) options.transaction = transaction;
+
+      return sequelize.query(sql, options);
+    };
+    boundInterface.sequelize = boundSequelize;
+
+    return boundInterface;
+  }
+
+  //
+  // Runs a migration in a transaction so a failed migration leaves the schema untouched. MySQL
+  // commits schema changes as soon as they're made, so only data changes are rolled back there.
+  //
+  // SQLite rebuilds a table to change or remove a column, and dropping the old table would cascade to
+  // every table that references it. Foreign keys are turned off while the migration runs and checked
+  // before it's committed instead. Queries outside a transaction share one connection in SQLite, so
+  // the pragmas and the transaction apply to the migration's queries.
+  //
+  //  callback* (function) - Receives a query interface to run the migration with. Must return a
+  //    promise.
+  //
+  // Returns a promise.
+  //
+  function inTransaction(callback) {
+    if(sequelize.getDialect() !== 'sqlite') {
+      return sequelize.transaction((transaction) => callback(bindTransaction(transaction)));
+    }
+
+    let run = (sql) => sequelize.query(sql, { raw: true });
+
+    return run('PRAGMA foreign_keys = OFF')
+      .then(() => run('BEGIN TRANSACTION'))
+      .then(() => {
+        return Promise.resolve()
+          .then(() => callback(queryInterface))
+          .then(() => sequelize.query('PRAGMA foreign_key_check', { type: sequelize.QueryTypes.SELECT }))
+          .then((violations) => {
+            if(violations.length) {
+              throw new Error('Foreign key constraint failed in ' + violations[0].table + '.');
+            }
+          })
+          .then(
+            () => run('COMMIT'),
+            (err) => run('ROLLBACK').then(() => { throw err; })
+          );
+      })
+      .finally(() => run('PRAGMA foreign_keys = ON'));
+  }
+
+  //
+  // Loads a migration file.
+  //
+  // Returns a migration object.
+  //
+  function load(name) {
+    let migration = require(Path.join(migrationPath, name + '.js'));
+
+    if(typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error('Migration ' + name + ' must export an up and a down function.');
+    }
+
+    return migration;
+  }
+
+  const self = {
+
+    //
+    // Gets the state of all migrations.
+    //
+    // Returns a promise that resolves with { executed: [], pending: [] }.
+    //
+    status: () => {
+      return Promise.all([getAll(), getExecuted()])
+        .then((result) => {
+          let all = result[0];
+          let executed = result[1];
+
+          return {
+            executed: executed,
+            pending: all.filter((name) => !executed.includes(name))
+          };
+        });
+    },
+
+    //
+    // Runs pending migrations in order.
+    //
+    //  options (object)
+    //    - to (string) - Stop after running this migration (default null).
+    //
+    // Returns a promise that resolves with an array of migration names that were run.
+    //
+    up: (options) => {
+      options = options || {};
+
+      return self.status()
+        .then((status) => {
+          let pending = status.pending;
+
+          if(options.to) {
+            if(!pending.includes(options.to)) {
+              throw new Error('Migration ' + options.to + ' is not pending.');
+            }
+            pending = pending.slice(0, pending.indexOf(options.to) + 1);
+          }
+
+          return Promise.mapSeries(pending, (name) => {
+            return inTransaction((boundInterface) => {
+              return Promise.resolve()
+                .then(() => load(name).up(boundInterface, Sequelize))
+                .then(() => boundInterface.bulkInsert('migrations', [{ name: name, runAt: new Date() }]));
+            })
+            .catch((err) => {
+              err.message = 'Migration ' + name + ' failed: ' + err.message;
+              throw err;
+            })
+            .then(() => name);
+          });
+        });
+    },
+
+    //
+    // Reverts migrations, newest first.
+    //
+    //  options (object)
+    //    - step (int) - The number of migrations to revert (default 1).
+    //    - to (string) - Revert all migrations after this one instead. Overrides step.
+    //
+    // Returns a promise that resolves with an array of migration names that were reverted.
+    //
+    down: (options) => {
+      options = options || {};
+
+      return getExecuted()
+        .then((executed) => {
+          let revert = executed.slice().reverse();
+
+          if(options.to) {
+            if(!executed.includes(options.to)) {
+              throw new Error('Migration ' + options.to + ' has not been run.');
+            }
+            revert = revert.slice(0, revert.indexOf(options.to));
+          } else {
+            revert = revert.slice(0, parseInt(options.step) || 1);
+          }
+
+          return Promise.mapSeries(revert, (name) => {
+            return inTransaction((boundInterface) => {
+              return Promise.resolve()
+                .then(() => load(name).down(boundInterface, Sequelize))
+                .then(() => boundInterface.bulkDelete('migrations', { name: name }));
+            })
+            .catch((err) => {
+              err.message = 'Migration ' + name + ' failed: ' + err.message;
+              throw err;
+            })
+            .then(() => name);
+          });
+        });
+    }
+
+  };
+
+  return self;
+};
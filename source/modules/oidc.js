@@ -0,0 +1,373 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+const Http = require('http');
+const Https = require('https');
+const Jwt = require('jsonwebtoken');
+const Promise = require('bluebird');
+const QueryString = require('querystring');
+const Url = require('url');
+
+// How long to cache the provider's configuration and signing keys
+const cacheLifetime = 60 * 60 * 1000; // milliseconds
+
+// How long to wait for the provider to respond
+const requestTimeout = 10 * 1000; // milliseconds
+
+// ID token signature algorithms we can verify
+const algorithms = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+
+// DER encodings of the key types and curves we can verify
+const rsaAlgorithm = '06092a864886f70d0101010500'; // rsaEncryption, NULL
+const ecAlgorithm = '06072a8648ce3d0201'; // id-ecPublicKey
+const curves = {
+  'P-256': { oid: '06082a8648ce3d030107', size: 32 },
+  'P-384': { oid: '06052b81040022', size: 48 },
+  'P-521': { oid: '06052b81040023', size: 66 }
+};
+
+let discovery = null;
+let keys = null;
+
+//
+// Generates a random URL-safe string.
+//
+// Returns a string.
+//
+function randomString() {
+  return Crypto.randomBytes(32).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+//
+// Generates a PKCE code challenge from a code verifier.
+//
+// Returns a string.
+//
+function getCodeChallenge(verifier) {
+  return Crypto.createHash('sha256').update(verifier).digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+//
+// Encodes a DER element.
+//
+//  tag* (int) - The element's tag.
+//  value* (Buffer) - The element's contents.
+//
+// Returns a Buffer.
+//
+function derElement(tag, value) {
+  let length = value.length;
+  let lengthBytes = [];
+
+  // Lengths over 127 bytes are sent as 0x80 plus the number of bytes that follow
+  if(length < 128) {
+    lengthBytes.push(length);
+  } else {
+    while(length > 0) {
+      lengthBytes.unshift(length & 0xff);
+      length = length >> 8;
+    }
+    lengthBytes.unshift(0x80 | lengthBytes.length);
+  }
+
+  return Buffer.concat([Buffer.from([tag].concat(lengthBytes)), value]);
+}
+
+//
+// Decodes a base64url string from a JWK.
+//
+// Returns a Buffer.
+//
+function fromBase64Url(string) {
+  return Buffer.from(String(string || '').replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+//
+// Converts an RSA or EC public key from JWK to PEM, since Crypto can't read JWKs in all the Node
+// versions we support.
+//
+//  jwk* (object) - The public key from the provider's JWKS.
+//
+// Returns a PEM string. Throws if the key type isn't supported.
+//
+function jwkToPem(jwk) {
+  let algorithm;
+  let publicKey;
+
+  if(jwk.kty === 'RSA') {
+    // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+    let integers = [jwk.n, jwk.e].map((value) => {
+      let bytes = fromBase64Url(value);
+      let start = 0;
+
+      // Integers are signed, so strip leading zeros and add one back if the high bit is set
+      while(start < bytes.length - 1 && bytes[start] === 0) start++;
+      bytes = bytes.slice(start);
+      if(bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+
+      return derElement(0x02, bytes);
+    });
+
+    algorithm = Buffer.from(rsaAlgorithm, 'hex');
+    publicKey = derElement(0x30, Buffer.concat(integers));
+  } else if(jwk.kty === 'EC' && curves[jwk.crv]) {
+    // An uncompressed point: 0x04 followed by the X and Y coordinates
+    let curve = curves[jwk.crv];
+    let coordinates = [jwk.x, jwk.y].map((value) => {
+      let bytes = fromBase64Url(value);
+      return Buffer.concat([Buffer.alloc(Math.max(curve.size - bytes.length, 0)), bytes]);
+    });
+
+    algorithm = Buffer.from(ecAlgorithm + curve.oid, 'hex');
+    publicKey = Buffer.concat([Buffer.from([0x04])].concat(coordinates));
+  } else {
+    throw new Error('The ID token was signed with an unsupported key type.');
+  }
+
+  // SubjectPublicKeyInfo ::= SEQUENCE { algorithm AlgorithmIdentifier, subjectPublicKey BIT STRING }
+  let der = derElement(0x30, Buffer.concat([
+    derElement(0x30, algorithm),
+    derElement(0x03, Buffer.concat([Buffer.from([0]), publicKey]))
+  ]));
+
+  return '-----BEGIN PUBLIC KEY-----\n' +
+    der.toString('base64').match(/.{1,64}/g).join('\n') +
+    '\n-----END PUBLIC KEY-----\n';
+}
+
+//
+// Sends a request to the provider and parses the JSON response.
+//
+//  url* (string) - The URL to request.
+//  options (object)
+//    - form (object) - Form data to POST.
+//    - headers (object) - Additional request headers.
+//
+// Returns a promise that resolves with the response body.
+//
+function requestJson(url, options) {
+  options = options || {};
+
+  return new Promise((resolve, reject) => {
+    let client = /^https:/i.test(url) ? Https : Http;
+    let body = options.form ? QueryString.stringify(options.form) : null;
+    let request = client.request(Object.assign(Url.parse(url), {
+      method: body ? 'POST' : 'GET',
+      headers: Object.assign({
+        'Accept': 'application/json'
+      }, body ? {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body)
+      } : {}, options.headers)
+    }), (res) => {
+      let chunks = [];
+
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        let json;
+
+        try {
+          json = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch(err) {
+          return reject(new Error('The identity provider sent an invalid response.'));
+        }
+
+        if(res.statusCode !== 200) {
+          return reject(new Error(
+            'The identity provider responded with ' + res.statusCode +
+            (json.error ? ' (' + json.error + ')' : '') + '.'
+          ));
+        }
+
+        resolve(json);
+      });
+      res.on('error', reject);
+    });
+
+    request.setTimeout(requestTimeout, () => request.abort());
+    request.on('abort', () => reject(new Error('The request timed out.')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+//
+// Fetches the provider's signing keys. Keys are cached, but they're fetched again when a token is
+// signed with a key we haven't seen, since providers rotate them.
+//
+//  kid (string) - The id of the key that's needed.
+//
+// Returns a promise that resolves with an array of JWKs.
+//
+function getKeys(kid) {
+  let isCached = keys && Date.now() - keys.fetchedAt < cacheLifetime;
+  let hasKey = isCached && (!kid || keys.keys.some((key) => key.kid === kid));
+
+  if(hasKey) return Promise.resolve(keys.keys);
+
+  return self.discover()
+    .then((config) => requestJson(config.jwks_uri))
+    .then((jwks) => {
+      keys = { keys: jwks.keys || [], fetchedAt: Date.now() };
+      return keys.keys;
+    });
+}
+
+const self = {
+
+  //
+  // Checks whether single sign-on is configured.
+  //
+  // Returns a boolean.
+  //
+  isEnabled: () => !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+
+  //
+  // Checks whether password logins have been turned off in favor of single sign-on.
+  //
+  // Returns a boolean.
+  //
+  isPasswordLoginDisabled: () => {
+    return self.isEnabled() && (process.env.OIDC_DISABLE_PASSWORD_LOGIN || '').toLowerCase() === 'true';
+  },
+
+  //
+  // Fetches the provider's configuration from its discovery document.
+  //
+  // Returns a promise that resolves with an object.
+  //
+  discover: () => {
+    if(discovery && Date.now() - discovery.fetchedAt < cacheLifetime) {
+      return Promise.resolve(discovery.config);
+    }
+
+    let issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+
+    return requestJson(issuer + '/.well-known/openid-configuration').then((config) => {
+      if(!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+        throw new Error('The identity provider\'s configuration is incomplete.');
+      }
+
+      discovery = { config: config, fetchedAt: Date.now() };
+      return config;
+    });
+  },
+
+  //
+  // Starts an authorization code flow with PKCE.
+  //
+  //  redirectUri* (string) - The absolute URL the provider should send the user back to.
+  //
+  // Returns a promise that resolves with an object: { url, state, nonce, verifier }. Send the user
+  // to url and keep the rest to verify the callback with.
+  //
+  getAuthorizationUrl: (redirectUri) => {
+    let state = randomString();
+    let nonce = randomString();
+    let verifier = randomString();
+
+    return self.discover().then((config) => {
+      let url = Url.parse(config.authorization_endpoint, true);
+      delete url.search;
+
+      url.query = Object.assign(url.query, {
+        response_type: 'code',
+        client_id: process.env.OIDC_CLIENT_ID,
+        redirect_uri: redirectUri,
+        scope: process.env.OIDC_SCOPES || 'openid email profile',
+        state: state,
+        nonce: nonce,
+        code_challenge: getCodeChallenge(verifier),
+        code_challenge_method: 'S256'
+      });
+
+      return {
+        url: Url.format(url),
+        state: state,
+        nonce: nonce,
+        verifier: verifier
+      };
+    });
+  },
+
+  //
+  // Exchanges an authorization code for tokens and verifies the ID token.
+  //
+  //  code* (string) - The authorization code from the callback.
+  //  redirectUri* (string) - The redirect URI used to start the flow.
+  //  options* (object)
+  //    - nonce* (string) - The nonce returned by getAuthorizationUrl().
+  //    - verifier* (string) - The PKCE code verifier returned by getAuthorizationUrl().
+  //
+  // Returns a promise that resolves with the ID token's claims.
+  //
+  getClaims: (code, redirectUri, options) => {
+    let clientId = process.env.OIDC_CLIENT_ID;
+    let clientSecret = process.env.OIDC_CLIENT_SECRET;
+    let config;
+
+    return self.discover()
+      .then((result) => {
+        let form = {
+          grant_type: 'authorization_code',
+          code: code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          code_verifier: options.verifier
+        };
+        let headers = {};
+        let authMethods = result.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        config = result;
+
+        // Confidential clients authenticate with their secret. Basic auth is the default per spec.
+        if(clientSecret) {
+          if(authMethods.includes('client_secret_basic')) {
+            headers.Authorization = 'Basic ' + Buffer.from(
+              encodeURIComponent(clientId) + ':' + encodeURIComponent(clientSecret)
+            ).toString('base64');
+          } else {
+            form.client_secret = clientSecret;
+          }
+        }
+
+        return requestJson(config.token_endpoint, { form: form, headers: headers });
+      })
+      .then((tokens) => {
+        let decoded = Jwt.decode(tokens.id_token || '', { complete: true });
+
+        if(!decoded || !algorithms.includes(decoded.header.alg)) {
+          throw new Error('The identity provider sent an invalid ID token.');
+        }
+
+        return getKeys(decoded.header.kid).then((jwks) => {
+          let jwk = jwks.find((key) => decoded.header.kid ? key.kid === decoded.header.kid : key.use !== 'enc');
+          if(!jwk) throw new Error('The ID token was signed with an unknown key.');
+
+          let publicKey = jwkToPem(jwk);
+
+          // Throws if the signature, issuer, audience, or expiration are invalid
+          let claims = Jwt.verify(tokens.id_token, publicKey, {
+            algorithms: [decoded.header.alg],
+            audience: clientId,
+            issuer: config.issuer
+          });
+
+          if(claims.nonce !== options.nonce) {
+            throw new Error('The ID token\'s nonce doesn\'t match.');
+          }
+
+          return claims;
+        });
+      });
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,208 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+const Del = require('del');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// The maximum number of pages to keep. The least recently used pages are removed first.
+const maxEntries = 1000;
+
+//
+// Caches rendered theme pages so they don't have to be queried and rendered on every request.
+//
+// Each page is stored with a list of tags describing the data it depends on, e.g. 'post:12',
+// 'tag:3', or 'posts' for pages that list posts. When data changes, only pages with matching tags
+// are invalidated. Settings and navigation affect every page, so changing them clears the entire
+// cache by bumping the cache version, which is part of every key.
+//
+//  options (object)
+//    - driver (string) - Where to store pages: 'memory', 'disk', or 'off' (default 'memory').
+//    - cachePath (string) - The folder to store pages in when using the disk driver (default
+//      cache/pages).
+//
+module.exports = function(options) {
+  options = options || {};
+  let driver = options.driver || 'memory';
+  let cachePath = options.cachePath || Path.join(__basedir, 'cache/pages');
+  let entries = new Map();
+  let version = 1;
+  let generation = 0;
+
+  if(!['memory', 'disk', 'off'].includes(driver)) {
+    throw new Error('Invalid page cache driver: ' + driver);
+  }
+
+  // Page metadata only lives in memory, so pages left on disk by a previous process are stale
+  if(driver === 'disk') Del.sync(cachePath, { force: true });
+
+  //
+  // Gets the file a page is stored in when using the disk driver.
+  //
+  // Returns a string.
+  //
+  function getFile(key) {
+    return Path.join(cachePath, Crypto.createHash('sha1').update(key).digest('hex'));
+  }
+
+  //
+  // Removes a page from the cache.
+  //
+  //  key* (string) - The page's cache key.
+  //
+  function remove(key) {
+    let entry = entries.get(key);
+    if(!entry) return;
+
+    entries.delete(key);
+    if(driver === 'disk') Fs.unlink(entry.file, () => {});
+  }
+
+  const self = {
+
+    //
+    // Whether pages are being cached.
+    //
+    get isEnabled() {
+      return driver !== 'off';
+    },
+
+    //
+    // A number that changes every time pages are invalidated. Renders that started before an
+    // invalidation shouldn't be stored since they may contain stale data.
+    //
+    get generation() {
+      return generation;
+    },
+
+    //
+    // Gets the cache key for a URL.
+    //
+    //  url* (string) - The requested URL, including the query string.
+    //
+    // Returns a string.
+    //
+    getKey: (url) => {
+      return version + ':' + url;
+    },
+
+    //
+    // Gets a cached page.
+    //
+    //  key* (string) - The page's cache key.
+    //
+    // Returns a promise that resolves with a page object or null if the page isn't cached:
+    //
+    //  { body, contentType, etag, lastModified }
+    //
+    get: (key) => {
+      let entry = entries.get(key);
+      if(!entry) return Promise.resolve(null);
+
+      // Move the page to the end so it's removed last
+      entries.delete(key);
+      entries.set(key, entry);
+
+      if(driver === 'memory') return Promise.resolve(entry);
+
+      return Promise.promisify(Fs.readFile)(entry.file)
+        .then((body) => {
+          return {
+            body: body,
+            contentType: entry.contentType,
+            etag: entry.etag,
+            lastModified: entry.lastModified
+          };
+        })
+        .catch(() => {
+          // The file was removed, so forget about the page
+          entries.delete(key);
+          return null;
+        });
+    },
+
+    //
+    // Stores a page.
+    //
+    //  key* (string) - The page's cache key.
+    //  page* (object) - The page to store: { body, contentType, etag, lastModified, tags }.
+    //  startedAt* (int) - The cache generation from when the page started rendering.
+    //
+    // Returns a promise.
+    //
+    set: (key, page, startedAt) => {
+      if(!self.isEnabled || startedAt !== generation) return Promise.resolve();
+
+      let entry = {
+        contentType: page.contentType,
+        etag: page.etag,
+        lastModified: page.lastModified,
+        tags: page.tags || []
+      };
+
+      // Make room for the page
+      remove(key);
+      while(entries.size >= maxEntries) remove(entries.keys().next().value);
+
+      if(driver === 'memory') {
+        entry.body = page.body;
+        entries.set(key, entry);
+        return Promise.resolve();
+      }
+
+      entry.file = getFile(key);
+      return Promise.promisify(Mkdirp)(cachePath)
+        .then(() => Promise.promisify(Fs.writeFile)(entry.file, page.body))
+        .then(() => {
+          // Don't store the page if it was invalidated while the file was being written
+          if(startedAt === generation) entries.set(key, entry);
+        });
+    },
+
+    //
+    // Adds tags to the page that's being rendered so it can be invalidated when its data changes.
+    // Does nothing if the page isn't being cached.
+    //
+    //  locals* (object) - The response's locals, i.e. res.locals or context.options.locals.
+    //  tags* (string|array) - One or more tags.
+    //
+    tag: (locals, tags) => {
+      if(!Array.isArray(locals.CacheTags)) return;
+
+      [].concat(tags).forEach((tag) => {
+        if(!locals.CacheTags.includes(tag)) locals.CacheTags.push(tag);
+      });
+    },
+
+    //
+    // Removes pages that depend on the specified data.
+    //
+    //  tags* (string|array) - One or more tags, e.g. ['posts', 'post:12'].
+    //
+    invalidate: (tags) => {
+      tags = [].concat(tags);
+      generation++;
+
+      Array.from(entries.keys()).forEach((key) => {
+        if(entries.get(key).tags.some((tag) => tags.includes(tag))) remove(key);
+      });
+    },
+
+    //
+    // Removes all pages. Call this when settings, navigation, or anything else that appears on every
+    // page changes.
+    //
+    clear: () => {
+      version++;
+      generation++;
+
+      Array.from(entries.keys()).forEach(remove);
+    }
+
+  };
+
+  return self;
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+// Capabilities that can be granted to roles. Contributors don't need any capabilities to write,
+// upload, and manage their own content.
+const capabilities = [
+  'post.edit_others',
+  'post.publish',
+  'upload.view_others',
+  'upload.delete_others',
+  'tag.manage',
+  'navigation.manage',
+  'user.manage',
+  'settings.manage',
+  'backup.manage',
+  'static.generate',
+  'audit.view',
+  'security.manage'
+];
+
+// Capabilities that belong to the owner and can't be granted to other roles. Security settings
+// control who can do what, so handing them out would let other users promote themselves.
+const ownerCapabilities = ['security.manage'];
+
+// Built-in roles. These can't be changed or removed.
+const builtInRoles = [
+  {
+    id: 'owner',
+    term: 'owner',
+    capabilities: capabilities
+  },
+  {
+    id: 'admin',
+    term: 'administrator',
+    capabilities: capabilities.filter((capability) => !ownerCapabilities.includes(capability))
+  },
+  {
+    id: 'editor',
+    term: 'editor',
+    capabilities: [
+      'post.edit_others',
+      'post.publish',
+      'upload.view_others',
+      'upload.delete_others',
+      'tag.manage'
+    ]
+  },
+  {
+    id: 'contributor',
+    term: 'contributor',
+    capabilities: []
+  }
+];
+
+let customRoles = [];
+
+const self = {
+
+  //
+  // Gets all capabilities that can be granted to custom roles.
+  //
+  // Returns an array of capability names.
+  //
+  getCapabilities: () => {
+    return capabilities.filter((capability) => !ownerCapabilities.includes(capability));
+  },
+
+  //
+  // Gets a role by id.
+  //
+  //  id* (string) - The role's id.
+  //
+  // Returns an object: { id, name, term, capabilities, isCustom }. Built-in roles have an i18n term
+  // instead of a name. Returns null if the role doesn't exist.
+  //
+  getRole: (id) => {
+    let role = builtInRoles.find((role) => role.id === id);
+    if(role) return Object.assign({ isCustom: false }, role);
+
+    role = customRoles.find((role) => role.id === id);
+    if(role) return Object.assign({ isCustom: true }, role);
+
+    return null;
+  },
+
+  //
+  // Gets all roles, built-in roles first.
+  //
+  //  I18n (object) - If set, built-in roles will have their names translated.
+  //
+  // Returns an array of role objects.
+  //
+  getRoles: (I18n) => {
+    return builtInRoles.concat(customRoles).map((role) => {
+      role = self.getRole(role.id);
+      if(role.term && I18n) role.name = I18n.term(role.term);
+      return role;
+    });
+  },
+
+  //
+  // Checks whether a role has a capability. Roles that don't exist have no capabilities.
+  //
+  //  role* (string) - The role's id.
+  //  capability* (string) - The capability to check for, e.g. post.publish.
+  //
+  // Returns a boolean.
+  //
+  can: (role, capability) => {
+    role = self.getRole(role);
+
+    return !!role && role.capabilities.includes(capability);
+  },
+
+  //
+  // Checks whether one role can assign another role to users. A role can only hand out capabilities
+  // it has, so users can't grant more access than their own. The owner role can't be assigned.
+  //
+  //  actorRole* (string) - The role of the user assigning the role.
+  //  role* (string) - The role being assigned.
+  //
+  // Returns a boolean.
+  //
+  canAssign: (actorRole, role) => {
+    role = self.getRole(role);
+    if(!role || role.id === 'owner') return false;
+
+    return role.capabilities.every((capability) => self.can(actorRole, capability));
+  },
+
+  //
+  // Checks whether a role exists.
+  //
+  //  id* (string) - The role's id.
+  //
+  // Returns a boolean.
+  //
+  isRole: (id) => !!self.getRole(id),
+
+  //
+  // Loads custom roles from the database. This must be called again when custom roles change.
+  //
+  //  models* (object) - The database models.
+  //
+  // Returns a promise.
+  //
+  load: (models) => {
+    return models.role
+      .findAll({ order: [['name', 'ASC']] })
+      .then((roles) => {
+        customRoles = roles.map((role) => {
+          return {
+            id: role.id,
+            name: role.name,
+            capabilities: role.getCapabilities()
+          };
+        });
+      });
+  }
+
+};
+
+module.exports = self;
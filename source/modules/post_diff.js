@@ -0,0 +1,129 @@
+'use strict';
+
+// Node modules
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+const HtmlDiff = require(Path.join(__basedir, 'source/modules/html_diff.js'));
+
+// Post settings that revisions capture, in the order they're compared
+const metadataKeys = ['image', 'metaTitle', 'metaDescription', 'template', 'tags'];
+
+//
+// Converts a setting's value to a string that can be compared and displayed.
+//
+// Returns a string.
+//
+function format(value) {
+  if(value === null || typeof value === 'undefined') return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+//
+// Lists the post settings that differ between two versions of a post.
+//
+//  req* (object) - The request.
+//  before (object) - The older version's metadata.
+//  after (object) - The newer version's metadata.
+//
+// Returns a promise that resolves with an array: [{ key: '', label: '', before: '', after: '' }]
+//
+function compareMetadata(req, before, after) {
+  const I18n = req.app.locals.I18n;
+  const models = req.app.locals.Database.sequelize.models;
+
+  // Revisions made before metadata was captured can't be compared
+  if(!before || !after) return Promise.resolve([]);
+
+  return Promise
+    .all([
+      models.tag.findAll({
+        where: { id: (before.tags || []).concat(after.tags || []) },
+        attributes: ['id', 'name']
+      }),
+      CustomFields.getDefinitions(req, 'post')
+    ])
+    .spread((tags, definitions) => {
+      let tagNames = {};
+      let changes = [];
+
+      tags.forEach((tag) => tagNames[tag.id] = tag.name);
+
+      metadataKeys.forEach((key) => {
+        let a = before[key];
+        let b = after[key];
+
+        // Show tag names instead of ids
+        if(key === 'tags') {
+          a = (a || []).map((id) => tagNames[id] || id).join(', ');
+          b = (b || []).map((id) => tagNames[id] || id).join(', ');
+        }
+
+        if(format(a) !== format(b)) {
+          changes.push({
+            key: key,
+            label: I18n.term(key.replace(/[A-Z]/g, (letter) => '_' + letter.toLowerCase())),
+            before: format(a),
+            after: format(b)
+          });
+        }
+      });
+
+      // Custom fields
+      let fieldsBefore = before.fields || {};
+      let fieldsAfter = after.fields || {};
+      Object.keys(Object.assign({}, fieldsBefore, fieldsAfter)).forEach((key) => {
+        let field = definitions.find((definition) => definition.key === key);
+
+        if(format(fieldsBefore[key]) !== format(fieldsAfter[key])) {
+          changes.push({
+            key: 'fields.' + key,
+            label: field ? field.label : key,
+            before: format(fieldsBefore[key]),
+            after: format(fieldsAfter[key])
+          });
+        }
+      });
+
+      return changes;
+    });
+}
+
+const self = {
+
+  //
+  // Compares two versions of a post word by word, along with the settings revisions capture.
+  //
+  //  req* (object) - The request.
+  //  before* (object) - The older version: { title: '', content: '', metadata: {} }
+  //  after* (object) - The newer version: { title: '', content: '', metadata: {} }
+  //
+  // Metadata is in the format returned by revision.getMetadata(). Settings aren't compared if
+  // either version doesn't have metadata.
+  //
+  // Returns a promise that resolves with an object:
+  //
+  //  {
+  //    title: { before: '', after: '', changed: true },
+  //    content: { before: '', after: '', changed: true },
+  //    metadata: [{ key: '', label: '', before: '', after: '' }]
+  //  }
+  //
+  // Title and content are returned as HTML. Removed words are wrapped in <del> and added words are
+  // wrapped in <ins>.
+  //
+  compare: (req, before, after) => {
+    return compareMetadata(req, before.metadata, after.metadata).then((metadata) => {
+      return {
+        title: HtmlDiff.diffText(before.title, after.title),
+        content: HtmlDiff.diff(before.content, after.content),
+        metadata: metadata
+      };
+    });
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,163 @@
+'use strict';
+
+// Node modules
+const Fs = require('fs');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+
+//
+// Gets the users who should be notified about a review step. Submissions go to the assigned
+// reviewer or, if there isn't one, everyone who can publish. Approvals and rejections go to the
+// post's author. The user who took the step is never notified.
+//
+//  req* (object) - The current request.
+//  post* (object) - The post.
+//  type* (string) - The review step: submit, approve, or reject.
+//
+// Returns a promise that resolves with an array of users.
+//
+function getRecipients(req, post, type) {
+  const models = req.app.locals.Database.sequelize.models;
+  let where = { id: post.userId };
+
+  if(type === 'submit') {
+    if(post.reviewerId) {
+      where = { id: post.reviewerId };
+    } else {
+      let roles = Permissions.getRoles()
+        .filter((role) => role.capabilities.includes('post.publish'))
+        .map((role) => role.id);
+
+      where = { role: { $in: roles } };
+    }
+  }
+
+  return models.user
+    .findAll({ where: where })
+    .then((users) => users.filter((user) => user.id !== req.User.id && user.email));
+}
+
+const self = {
+
+  //
+  // Determines which review step a status change is.
+  //
+  //  from (string) - The post's old status. Omit this for new posts.
+  //  to* (string) - The post's new status.
+  //
+  // Returns 'submit', 'approve', 'reject', or null if the change isn't part of a review.
+  //
+  getStep: (from, to) => {
+    if(from === to) return null;
+    if(to === 'pending') return 'submit';
+    if(to === 'rejected') return 'reject';
+    if(to === 'published' && ['pending', 'rejected'].includes(from)) return 'approve';
+
+    return null;
+  },
+
+  //
+  // Adds an entry to a post's review thread. Submissions, approvals, and rejections also notify the
+  // people involved.
+  //
+  //  req* (object) - The current request.
+  //  options* (object)
+  //    - post* (object) - The post.
+  //    - type* (string) - The type of entry: comment, submit, approve, or reject.
+  //    - message (string) - A comment or the reason for a rejection.
+  //
+  // Returns a promise that resolves with the review.
+  //
+  add: (req, options) => {
+    const models = req.app.locals.Database.sequelize.models;
+    let message = typeof options.message === 'string' ? options.message.trim() : '';
+
+    return models.review
+      .create({
+        postId: options.post.id,
+        userId: req.User.id,
+        type: options.type,
+        message: message || null
+      })
+      .then((review) => {
+        if(review.type === 'comment') return review;
+
+        return self.notify(req, options.post, review).then(() => review);
+      });
+  },
+
+  //
+  // Emails the people involved in a review step. Notifications are a courtesy, so this never
+  // rejects.
+  //
+  //  req* (object) - The current request.
+  //  post* (object) - The post.
+  //  review* (object) - The review step. Pass { type: 'submit' } to notify a newly assigned reviewer.
+  //
+  // Returns a promise.
+  //
+  notify: (req, post, review) => {
+    const I18n = req.app.locals.I18n;
+    const Settings = req.app.locals.Settings;
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(Settings);
+    const models = req.app.locals.Database.sequelize.models;
+    let templates = {
+      submit: 'review_requested.txt',
+      approve: 'post_approved.txt',
+      reject: 'post_rejected.txt'
+    };
+    let subjects = {
+      submit: 'a_post_is_waiting_for_your_review',
+      approve: 'your_post_has_been_approved',
+      reject: 'your_post_has_been_rejected'
+    };
+
+    if(!templates[review.type]) return Promise.resolve();
+
+    return Promise
+      .all([
+        getRecipients(req, post, review.type),
+        models.user.findOne({ where: { id: post.userId } })
+      ])
+      .then((result) => {
+        let recipients = result[0];
+        let author = result[1];
+        let message = Fs.readFileSync(Path.join(__basedir, 'source/emails', templates[review.type]), { encoding: 'utf8' });
+        let placeholders = {
+          title: post.title,
+          author: author ? author.name : '',
+          name: req.User.name
+        };
+
+        return Promise.map(recipients, (user) => {
+          return Email.send({
+            to: {
+              name: user.name,
+              email: user.email
+            },
+            subject: I18n.term(subjects[review.type]),
+            message: { text: message },
+            placeholders: {
+              name: user.name,
+              waitingForReview: I18n.term('[title]_by_[author]_is_waiting_for_your_review', { placeholders: placeholders }),
+              postApproved: I18n.term('[name]_approved_[title]', { placeholders: placeholders }),
+              postRejected: I18n.term('[name]_rejected_[title]', { placeholders: placeholders }),
+              reason: review.message || I18n.term('no_reason_was_given'),
+              followThisLink: I18n.term('follow_this_link_to_open_the_post'),
+              editUrl: MakeUrl.admin('posts/edit/' + post.id, { absolute: true }),
+              websiteUrl: MakeUrl.raw('', { absolute: true }),
+              websiteTitle: Settings.title
+            }
+          }).catch(() => null);
+        });
+      })
+      .catch(() => null);
+  }
+
+};
+
+module.exports = self;
@@ -0,0 +1,187 @@
+'use strict';
+
+// Node modules
+const EventEmitter = require('events');
+const Moment = require('moment');
+const Promise = require('bluebird');
+
+// Timers can't be set more than ~24.8 days out, so far-off posts are rechecked at this interval
+const maxDelay = 24 * 60 * 60 * 1000;
+
+module.exports = function(Database) {
+  const models = Database.sequelize.models;
+  const emitter = new EventEmitter();
+  let isRunning = false;
+  let queue = [];
+  let timer = null;
+
+  //
+  // Sets a timer that fires when the next post in the queue is due to go live.
+  //
+  function setTimer() {
+    clearTimeout(timer);
+    timer = null;
+
+    if(!isRunning || !queue.length) return;
+
+    let delay = Moment(queue[0].publishedAt).diff(Moment.utc());
+    timer = setTimeout(publishDuePosts, Math.max(0, Math.min(delay, maxDelay)));
+  }
+
+  //
+  // Removes posts whose publish date has passed from the queue and emits a `publish` event for each
+  // one. Each post's scheduled flag is cleared first, so a post is only published once even if the
+  // queue was reloaded in the meantime.
+  //
+  // Returns a promise.
+  //
+  function publishDuePosts() {
+    let now = Moment.utc();
+    let due = queue.filter((item) => !Moment(item.publishedAt).isAfter(now));
+
+    queue = queue.filter((item) => Moment(item.publishedAt).isAfter(now));
+
+    return Promise
+      .each(due, (item) => {
+        return models.post
+          .update({ isScheduled: false }, {
+            where: {
+              id: item.id,
+              status: 'published',
+              publishedAt: { $lte: now.toDate() },
+              isScheduled: true
+            },
+            silent: true
+          })
+          .spread((affectedCount) => {
+            if(!affectedCount) return null;
+
+            return models.post.findOne({
+              where: { id: item.id },
+              include: [
+                {
+                  model: models.user,
+                  as: 'author',
+                  attributes: { exclude: ['password', 'resetToken'] }
+                },
+                {
+                  model: models.tag,
+                  through: { attributes: [] }, // exclude postTags
+                  where: null // also return posts that don't have tags
+                }
+              ]
+            });
+          })
+          .then((post) => {
+            if(post) emitter.emit('publish', post);
+          });
+      })
+      .catch((err) => emitter.emit('error', err))
+      .finally(() => setTimer());
+  }
+
+  const self = {
+
+    //
+    // Starts the scheduler. Post hooks are attached so the queue stays up to date as posts are
+    // created, updated, deleted, and restored.
+    //
+    // Returns a promise that resolves when the queue has been loaded.
+    //
+    start: () => {
+      if(isRunning) return Promise.resolve();
+      isRunning = true;
+
+      models.post.addHook('afterCreate', 'scheduler', () => { self.refresh(); });
+      models.post.addHook('afterUpdate', 'scheduler', () => { self.refresh(); });
+      models.post.addHook('afterDestroy', 'scheduler', () => { self.refresh(); });
+      models.post.addHook('afterRestore', 'scheduler', () => { self.refresh(); });
+
+      return self.refresh();
+    },
+
+    //
+    // Stops the scheduler and detaches post hooks.
+    //
+    stop: () => {
+      isRunning = false;
+      clearTimeout(timer);
+      timer = null;
+
+      models.post.removeHook('afterCreate', 'scheduler');
+      models.post.removeHook('afterUpdate', 'scheduler');
+      models.post.removeHook('afterDestroy', 'scheduler');
+      models.post.removeHook('afterRestore', 'scheduler');
+    },
+
+    //
+    // Reloads the queue from the database. Published posts with a future date are flagged as
+    // scheduled, and every scheduled post stays in the queue until it's been published, including
+    // posts that came due while the app wasn't running. Call this after changing posts without
+    // triggering model hooks, e.g. bulk inserts or restoring a backup.
+    //
+    // Returns a promise that resolves with the queue.
+    //
+    refresh: () => {
+      return models.post
+        .update({ isScheduled: true }, {
+          where: {
+            status: 'published',
+            publishedAt: { $gt: Moment().utc().toDate() },
+            isScheduled: false
+          },
+          silent: true
+        })
+        .then(() => {
+          return models.post.findAll({
+            attributes: ['id', 'slug', 'title', 'userId', 'publishedAt'],
+            where: {
+              status: 'published',
+              isScheduled: true
+            },
+            order: [
+              ['publishedAt', 'ASC']
+            ]
+          });
+        })
+        .then((posts) => {
+          queue = posts.map((post) => post.get({ plain: true }));
+          setTimer();
+
+          return self.getQueue();
+        });
+    },
+
+    //
+    // Gets the posts that are waiting to go live, ordered by publish date.
+    //
+    // Returns an array of { id, slug, title, userId, publishedAt } objects.
+    //
+    getQueue: () => {
+      return queue.slice();
+    },
+
+    //
+    // Adds an event listener. The scheduler emits the following events:
+    //
+    //  publish - A scheduled post just went live. The listener receives the post with its author
+    //    and tags.
+    //  error - Something went wrong while publishing a post. The listener receives the error.
+    //
+    on: (event, listener) => {
+      emitter.on(event, listener);
+      return self;
+    },
+
+    //
+    // Removes an event listener.
+    //
+    off: (event, listener) => {
+      emitter.removeListener(event, listener);
+      return self;
+    }
+
+  };
+
+  return self;
+};
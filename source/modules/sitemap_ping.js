@@ -0,0 +1,57 @@
+'use strict';
+
+// Node modules
+const Http = require('http');
+const Https = require('https');
+const Promise = require('bluebird');
+const Url = require('url');
+
+// Give up on search engines that take longer than this to respond
+const timeout = 10 * 1000;
+
+//
+// Gets the ping endpoints from the SITEMAP_PING_URLS environment variable.
+//
+// Returns an array of URLs.
+//
+function getEndpoints() {
+  return (process.env.SITEMAP_PING_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter((url) => url.length);
+}
+
+module.exports = {
+
+  //
+  // Lets search engines know the sitemap has changed. Nothing is sent unless SITEMAP_PING_URLS is
+  // set.
+  //
+  //  sitemapUrl* (string) - The absolute URL of the sitemap. It's appended to each endpoint as the
+  //    `sitemap` query string parameter.
+  //
+  // Returns a promise that resolves when every endpoint has responded.
+  //
+  ping: (sitemapUrl) => {
+    return Promise.all(getEndpoints().map((endpoint) => {
+      return new Promise((resolve, reject) => {
+        let url = endpoint + (endpoint.indexOf('?') === -1 ? '?' : '&') +
+          'sitemap=' + encodeURIComponent(sitemapUrl);
+        let client = /^https:/i.test(url) ? Https : Http;
+        let request = client.get(Url.parse(url), (res) => {
+          res.resume();
+
+          if(res.statusCode >= 400) {
+            return reject(new Error('Sitemap ping to ' + endpoint + ' failed with status ' + res.statusCode + '.'));
+          }
+
+          resolve();
+        });
+
+        request.setTimeout(timeout, () => request.abort());
+        request.on('error', reject);
+      });
+    }));
+  }
+
+};
@@ -0,0 +1,668 @@
+'use strict';
+
+// Node modules
+const Cheerio = require('cheerio');
+const Crypto = require('crypto');
+const Del = require('del');
+const EventEmitter = require('events');
+const Fs = require('fs');
+const Http = require('http');
+const Mime = require('mime');
+const Mkdirp = require('mkdirp');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+const RecursiveReaddir = require('recursive-readdir');
+const Url = require('url');
+
+// Dynamic image URLs, e.g. /uploads/2017/01/image.jpg?width=400&key=abc123
+const dynamicImagePattern = /\/uploads\/[^"'\s<>()?#,]+\?[^"'\s<>()#,]+/g;
+
+// Plain upload URLs, e.g. /uploads/2017/01/image.jpg
+const uploadPattern = /\/uploads\/[^"'\s<>()?#,]+/g;
+
+// Incremental changes are batched for this long before pages are regenerated
+const regenerateDelay = 5000;
+
+//
+// Decodes a URL path. Malformed paths are returned as is.
+//
+// Returns a string.
+//
+function decodePath(path) {
+  try {
+    return decodeURI(path);
+  } catch(err) {
+    return path;
+  }
+}
+
+//
+// Makes a GET request and buffers the response.
+//
+//  url* (string) - The URL to request.
+//
+// Returns a promise that resolves with { status, contentType, body }.
+//
+function request(url) {
+  return new Promise((resolve, reject) => {
+    Http.get(url, (res) => {
+      let chunks = [];
+
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          contentType: (res.headers['content-type'] || '').split(';')[0].trim(),
+          body: Buffer.concat(chunks)
+        });
+      });
+      res.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+//
+// Lists all files in a folder recursively.
+//
+// Returns a promise that resolves with an array of full paths. Missing folders resolve with an
+// empty array.
+//
+function listFolder(folder) {
+  return new Promise((resolve, reject) => {
+    RecursiveReaddir(folder, (err, files) => {
+      if(err && err.code === 'ENOENT') return resolve([]);
+      if(err) return reject(new Error('Unable to read folder: ' + folder));
+      resolve(files);
+    });
+  });
+}
+
+//
+// Writes a file, creating its folder if necessary.
+//
+//  file* (string) - The full path of the file.
+//  data* (buffer|stream) - The file's contents.
+//
+// Returns a promise.
+//
+function writeFile(file, data) {
+  return Promise.promisify(Mkdirp)(Path.dirname(file)).then(() => {
+    if(Buffer.isBuffer(data)) return Promise.promisify(Fs.writeFile)(file, data);
+
+    return new Promise((resolve, reject) => {
+      let target = Fs.createWriteStream(file);
+
+      data.on('error', reject);
+      target.on('error', reject);
+      target.on('finish', resolve);
+      data.pipe(target);
+    });
+  });
+}
+
+//
+// Checks whether a file exists.
+//
+// Returns a promise that resolves with a boolean.
+//
+function exists(file) {
+  return new Promise((resolve) => Fs.stat(file, (err) => resolve(!err)));
+}
+
+//
+// Generates a static copy of the website that can be served from a CDN. Every public page is
+// rendered through the active theme and written as a file, along with assets, the active theme,
+// uploads, and resized copies of dynamic images.
+//
+// Pages are written as folders with an index file so URLs don't need extensions, e.g. /my-post is
+// written to my-post/index.html and /feed/rss is written to feed/rss/index.xml. Search and other
+// pages that depend on query strings aren't generated.
+//
+//  app* (object) - An initialized Postleaf app.
+//  options (object)
+//    - staticPath (string) - The folder to write the website to (default static).
+//
+module.exports = function(app, options) {
+  options = options || {};
+  const emitter = new EventEmitter();
+  let staticPath = options.staticPath || Path.join(__basedir, 'static');
+  let manifestFile = Path.join(__basedir, 'cache/static_site.json');
+  let isGenerating = false;
+  let pendingPostIds = [];
+  let timer = null;
+
+  //
+  // Reads the manifest, which remembers the path each post was written to so pages can be removed
+  // when a post's slug changes or it's no longer public.
+  //
+  // Returns a promise that resolves with { generatedAt, posts: { id: path } }.
+  //
+  function readManifest() {
+    return Promise.promisify(Fs.readFile)(manifestFile, 'utf8')
+      .then((json) => JSON.parse(json))
+      .catch(() => ({ generatedAt: null, posts: {} }));
+  }
+
+  //
+  // Saves the manifest.
+  //
+  // Returns a promise.
+  //
+  function writeManifest(manifest) {
+    manifest.generatedAt = Moment().utc().toDate();
+    return writeFile(manifestFile, Buffer.from(JSON.stringify(manifest, null, 2)));
+  }
+
+  //
+  // Determines the file a page should be written to.
+  //
+  //  root* (string) - The output folder.
+  //  path* (string) - The page's URL path.
+  //  contentType* (string) - The page's mime type.
+  //
+  // Returns a full path or null if the path would be outside of the output folder.
+  //
+  function getOutputFile(root, path, contentType) {
+    let pathname = decodePath(Url.parse(path).pathname).replace(/\/+$/, '');
+    let file;
+
+    if(contentType === 'text/html') {
+      file = Path.join(pathname, 'index.html');
+    } else if(Path.extname(pathname)) {
+      file = pathname;
+    } else {
+      file = Path.join(pathname, 'index.' + (/xml/.test(contentType) ? 'xml' : Mime.extension(contentType) || 'txt'));
+    }
+
+    file = Path.join(root, file);
+    return file.indexOf(root + Path.sep) === 0 ? file : null;
+  }
+
+  //
+  // Gets a public post's URL path.
+  //
+  // Returns a string or null if the post isn't public.
+  //
+  function getPostPath(MakeUrl, post) {
+    let isPublic = post.status === 'published' && Moment(post.publishedAt).isBefore(Moment());
+    return isPublic ? MakeUrl.post(post.slug) : null;
+  }
+
+  //
+  // Rewrites dynamic image URLs in a page to static filenames. Static filenames include the key of
+  // the signed URL, e.g. /uploads/2017/01/image.jpg?width=400&key=abc123 becomes
+  // /uploads/2017/01/image.abc123.jpg.
+  //
+  //  html* (string) - The page's HTML.
+  //  images* (object) - Found images are added to this object as { url: staticPath }.
+  //
+  // Returns the updated HTML.
+  //
+  function rewriteDynamicImages(html, images) {
+    return html.replace(dynamicImagePattern, (match) => {
+      let url = match.replace(/&amp;/g, '&');
+      let parsed = Url.parse(url, true);
+      let key = (parsed.query.key || Crypto.createHash('sha256').update(parsed.search).digest('hex')).substring(0, 16);
+      let extension = Path.posix.extname(parsed.pathname);
+      let staticUrl = parsed.pathname.slice(0, parsed.pathname.length - extension.length) + '.' + key + extension;
+
+      images[url] = staticUrl;
+      return staticUrl;
+    });
+  }
+
+  //
+  // Finds links to other pages of the website.
+  //
+  //  html* (string) - The page's HTML.
+  //
+  // Returns an array of URL paths.
+  //
+  function findLinks(html) {
+    let $ = Cheerio.load(html);
+    let siteUrl = Url.parse(process.env.APP_URL || '');
+    let skip = new RegExp('^/(' + [
+      process.env.APP_ADMIN_SLUG,
+      process.env.APP_API_SLUG,
+      process.env.APP_SEARCH_SLUG,
+      'assets',
+      'themes',
+      'uploads'
+    ].join('|') + ')(/|$)');
+    let links = [];
+
+    $('a[href]').each((index, el) => {
+      let parsed = Url.parse($(el).attr('href'));
+
+      // Only follow links to this website without query strings
+      if(parsed.protocol && !/^https?:$/.test(parsed.protocol)) return;
+      if(parsed.host && parsed.host !== siteUrl.host) return;
+      if(parsed.query || !parsed.pathname || !/^\//.test(parsed.pathname)) return;
+      if(skip.test(parsed.pathname)) return;
+
+      links.push(parsed.pathname.replace(/(.)\/+$/, '$1'));
+    });
+
+    return links;
+  }
+
+  //
+  // Renders pages and writes them to the output folder.
+  //
+  //  context* (object) - The generator's state: { baseUrl, root, visited, images, uploads, report }.
+  //  seeds* (array) - URL paths to render. Paginated pages can be passed as functions that accept
+  //    a page number and return a path. Pages are rendered until one isn't found.
+  //  follow (boolean) - Whether to follow links to other pages (default false).
+  //
+  // Returns a promise.
+  //
+  function crawl(context, seeds, follow) {
+    let queue = seeds.slice();
+
+    //
+    // Renders a page and writes it. Resolves with true if the page exists.
+    //
+    let render = (path) => {
+      if(context.visited[path]) return context.visited[path];
+
+      context.visited[path] = request(context.baseUrl + path).then((res) => {
+        if(res.status !== 200) return false;
+
+        let file = getOutputFile(context.root, path, res.contentType);
+        let body = res.body;
+        if(!file) return false;
+
+        // Process HTML and XML pages
+        if(/html|xml|json/.test(res.contentType)) {
+          let text = rewriteDynamicImages(body.toString('utf8'), context.images);
+
+          (text.match(uploadPattern) || []).forEach((url) => context.uploads[decodePath(url)] = true);
+          if(follow && res.contentType === 'text/html') queue.push.apply(queue, findLinks(text));
+          body = Buffer.from(text);
+        }
+
+        context.report.pages++;
+        return writeFile(file, body).then(() => true);
+      });
+
+      return context.visited[path];
+    };
+
+    //
+    // Renders each page of a paginated index, then removes pages left over from a previous run.
+    //
+    let paginate = (getPath) => {
+      let next = (page) => {
+        return render(getPath(page)).then((found) => {
+          if(found) return next(page + 1);
+          return removeStalePages(page);
+        });
+      };
+      let removeStalePages = (page) => {
+        let folder = getOutputFile(context.root, getPath(page), 'text/html');
+        if(page < 2 || !folder) return;
+
+        folder = Path.dirname(folder);
+        return exists(folder).then((found) => {
+          if(!found) return;
+          context.report.removed++;
+          return Del(folder, { force: true }).then(() => removeStalePages(page + 1));
+        });
+      };
+
+      return next(1);
+    };
+
+    let next = () => {
+      if(!queue.length) return Promise.resolve();
+
+      let seed = queue.shift();
+      return (typeof seed === 'function' ? paginate(seed) : render(seed)).then(next);
+    };
+
+    return next();
+  }
+
+  //
+  // Writes resized copies of dynamic images that appear in rendered pages.
+  //
+  // Returns a promise.
+  //
+  function writeDynamicImages(context) {
+    return Promise.each(Object.keys(context.images), (url) => {
+      let file = Path.join(context.root, decodePath(context.images[url]));
+
+      return exists(file).then((found) => {
+        if(found) return;
+
+        return request(context.baseUrl + url).then((res) => {
+          if(res.status !== 200) return;
+          context.report.images++;
+          return writeFile(file, res.body);
+        });
+      });
+    });
+  }
+
+  //
+  // Copies uploads to the output folder.
+  //
+  //  context* (object) - The generator's state.
+  //  all (boolean) - Copy all uploads instead of only the ones that appear in rendered pages.
+  //
+  // Returns a promise.
+  //
+  function writeUploads(context, all) {
+    const Storage = app.locals.Storage;
+
+    return Promise.resolve()
+      .then(() => all ? Storage.list() : Object.keys(context.uploads).map((path) => Storage.keyFromPath(path)))
+      .then((keys) => {
+        return Promise.each(keys, (key) => {
+          let file = Path.join(context.root, 'uploads', key);
+          if(file.indexOf(context.root + Path.sep) !== 0) return;
+
+          return exists(file)
+            .then((found) => found ? null : Storage.stat(key))
+            .then((info) => {
+              if(!info) return;
+              context.report.files++;
+              return writeFile(file, Storage.stream(key));
+            });
+        });
+      });
+  }
+
+  //
+  // Copies a folder to the output folder.
+  //
+  //  context* (object) - The generator's state.
+  //  source* (string) - The folder to copy.
+  //  target* (string) - The destination folder.
+  //
+  // Returns a promise.
+  //
+  function copyFolder(context, source, target) {
+    return listFolder(source).then((files) => {
+      return Promise.each(files, (file) => {
+        context.report.files++;
+        return writeFile(Path.join(target, Path.relative(source, file)), Fs.createReadStream(file));
+      });
+    });
+  }
+
+  //
+  // Starts a private server for the app so pages can be rendered exactly as they're served.
+  //
+  //  root* (string) - The folder to write pages to.
+  //  callback* (function) - Receives the generator's state and returns a promise.
+  //
+  // Returns a promise that resolves with a report.
+  //
+  function withServer(root, callback) {
+    let server = Http.createServer(app);
+    let context = {
+      root: root,
+      visited: {},
+      images: {},
+      uploads: {},
+      report: { pages: 0, images: 0, files: 0, removed: 0 }
+    };
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        context.baseUrl = 'http://127.0.0.1:' + server.address().port;
+        resolve();
+      });
+    })
+      .then(() => callback(context))
+      .then(() => context.report)
+      .finally(() => server.close());
+  }
+
+  //
+  // Generates the entire website into a temporary folder, then replaces the output folder with it.
+  //
+  // Returns a promise that resolves with a report.
+  //
+  function generateAll() {
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(app.locals.Settings);
+    const models = app.locals.Database.sequelize.models;
+    let tempPath = staticPath + '.tmp';
+    let manifest = { posts: {} };
+
+    return Del(tempPath, { force: true })
+      .then(() => {
+        return Promise.all([
+          models.post.findAll({ attributes: ['id', 'slug', 'status', 'publishedAt'] }),
+          models.tag.findAll({ attributes: ['slug'] }),
+          models.user.findAll({ attributes: ['username'] })
+        ]);
+      })
+      .then((result) => {
+        let posts = result[0];
+        let tags = result[1];
+        let users = result[2];
+
+        return withServer(tempPath, (context) => {
+          let seeds = [
+            '/',
+            (page) => MakeUrl.blog({ page: page }),
+            MakeUrl.feed({ format: 'rss' }),
+            MakeUrl.feed({ format: 'json' }),
+            '/sitemap.xml',
+            '/robots.txt'
+          ];
+
+          posts.forEach((post) => {
+            let path = getPostPath(MakeUrl, post);
+            if(!path) return;
+
+            manifest.posts[post.id] = path;
+            seeds.push(path);
+          });
+          tags.forEach((tag) => seeds.push((page) => MakeUrl.tag(tag.slug, { page: page })));
+          users.forEach((user) => seeds.push((page) => MakeUrl.author(user.username, { page: page })));
+
+          return crawl(context, seeds, true)
+            // Render the not found page
+            .then(() => request(context.baseUrl + '/' + Crypto.randomBytes(16).toString('hex')))
+            .then((res) => writeFile(Path.join(tempPath, '404.html'), res.body))
+            .then(() => writeDynamicImages(context))
+            .then(() => writeUploads(context, true))
+            .then(() => copyFolder(context, Path.join(__basedir, 'assets'), Path.join(tempPath, 'assets')))
+            .then(() => {
+              let theme = app.locals.Settings.theme;
+              return copyFolder(
+                context,
+                Path.join(app.locals.Themes.themePath, theme),
+                Path.join(tempPath, 'themes', theme)
+              );
+            });
+        });
+      })
+      // Swap the new website in
+      .then((report) => {
+        return Del(staticPath, { force: true })
+          .then(() => Promise.promisify(Fs.rename)(tempPath, staticPath))
+          .then(() => writeManifest(manifest))
+          .then(() => report);
+      })
+      .catch((err) => Del(tempPath, { force: true }).then(() => { throw err; }));
+  }
+
+  //
+  // Regenerates the pages affected by changes to the specified posts: the posts themselves, the
+  // blog index, their tags and authors, feeds, and the sitemap. Pages for posts that are no longer
+  // public are removed.
+  //
+  //  postIds* (array) - The IDs of posts that were created, updated, or deleted.
+  //
+  // Returns a promise that resolves with a report.
+  //
+  function generatePosts(postIds) {
+    const MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(app.locals.Settings);
+    const models = app.locals.Database.sequelize.models;
+    let manifest;
+
+    return readManifest()
+      .then((result) => manifest = result)
+      .then(() => {
+        return models.post.findAll({
+          attributes: ['id', 'slug', 'status', 'publishedAt'],
+          where: { id: { $in: postIds } },
+          include: [
+            {
+              model: models.user,
+              as: 'author',
+              attributes: ['username']
+            },
+            {
+              model: models.tag,
+              through: { attributes: [] }, // exclude postTags
+              attributes: ['slug'],
+              where: null // also return posts that don't have tags
+            }
+          ]
+        });
+      })
+      .then((posts) => {
+        return withServer(staticPath, (context) => {
+          let seeds = [
+            '/',
+            (page) => MakeUrl.blog({ page: page }),
+            MakeUrl.feed({ format: 'rss' }),
+            MakeUrl.feed({ format: 'json' }),
+            '/sitemap.xml'
+          ];
+          let removed = [];
+
+          postIds.forEach((id) => {
+            let post = posts.find((post) => String(post.id) === String(id));
+            let path = post ? getPostPath(MakeUrl, post) : null;
+
+            // Remove the old page if the post was deleted, unpublished, or its slug changed
+            if(manifest.posts[id] && manifest.posts[id] !== path) removed.push(manifest.posts[id]);
+
+            if(path) {
+              manifest.posts[id] = path;
+              seeds.push(path);
+            } else {
+              delete manifest.posts[id];
+            }
+
+            if(post) {
+              // A post's tags and author may have changed too, but their pages will be updated on
+              // the next full build
+              if(post.author) seeds.push((page) => MakeUrl.author(post.author.username, { page: page }));
+              post.tags.forEach((tag) => seeds.push((page) => MakeUrl.tag(tag.slug, { page: page })));
+            }
+          });
+
+          return Promise.each(removed, (path) => {
+            let file = getOutputFile(staticPath, path, 'text/html');
+            if(!file) return;
+
+            context.report.removed++;
+            return Del(Path.dirname(file), { force: true });
+          })
+            .then(() => crawl(context, seeds, false))
+            .then(() => writeDynamicImages(context))
+            .then(() => writeUploads(context, false));
+        });
+      })
+      .then((report) => writeManifest(manifest).then(() => report));
+  }
+
+  const self = {
+
+    //
+    // Gets the folder the website is written to.
+    //
+    get staticPath() {
+      return staticPath;
+    },
+
+    //
+    // Whether the website is currently being generated.
+    //
+    get isGenerating() {
+      return isGenerating;
+    },
+
+    //
+    // Generates the website.
+    //
+    //  options (object)
+    //    - postIds (array) - Only regenerate pages affected by these posts. If the website hasn't
+    //      been generated yet, the entire website is generated instead.
+    //
+    // Returns a promise that resolves with a report: { pages, images, files, removed }.
+    //
+    generate: (options) => {
+      options = options || {};
+      let postIds = options.postIds || [];
+
+      if(isGenerating) return Promise.reject(new Error('The website is already being generated.'));
+      isGenerating = true;
+
+      return exists(staticPath)
+        .then((found) => found && postIds.length ? generatePosts(postIds) : generateAll())
+        .finally(() => isGenerating = false);
+    },
+
+    //
+    // Regenerates affected pages automatically when posts change or scheduled posts are published.
+    // Changes are batched so saving a post several times in a row only regenerates once.
+    //
+    watch: () => {
+      const models = app.locals.Database.sequelize.models;
+      let queue = (post) => {
+        if(!pendingPostIds.includes(post.id)) pendingPostIds.push(post.id);
+
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          // Wait for the current build to finish
+          if(isGenerating) return queue(post);
+
+          let postIds = pendingPostIds;
+          pendingPostIds = [];
+
+          // Nothing to update if the website hasn't been generated yet
+          exists(staticPath)
+            .then((found) => found ? self.generate({ postIds: postIds }) : null)
+            .catch((err) => emitter.emit('error', err));
+        }, regenerateDelay);
+      };
+
+      models.post.addHook('afterCreate', 'staticSite', queue);
+      models.post.addHook('afterUpdate', 'staticSite', queue);
+      models.post.addHook('afterDestroy', 'staticSite', queue);
+      models.post.addHook('afterRestore', 'staticSite', queue);
+      app.locals.Scheduler.on('publish', queue);
+    },
+
+    //
+    // Adds an event listener. The generator emits the following events:
+    //
+    //  error - Automatic regeneration failed. The listener receives the error.
+    //
+    on: (event, listener) => {
+      emitter.on(event, listener);
+      return self;
+    },
+
+    //
+    // Removes an event listener.
+    //
+    off: (event, listener) => {
+      emitter.removeListener(event, listener);
+      return self;
+    }
+
+  };
+
+  return self;
+};
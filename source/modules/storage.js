@@ -0,0 +1,239 @@
+'use strict';
+
+// Node modules
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const LocalStorage = require(Path.join(__basedir, 'source/modules/storage/local_storage.js'));
+const MemoryStorage = require(Path.join(__basedir, 'source/modules/storage/memory_storage.js'));
+const S3Storage = require(Path.join(__basedir, 'source/modules/storage/s3_storage.js'));
+
+//
+// Normalizes a storage key. Keys are relative, use forward slashes, and can't escape the store.
+//
+// Returns a string.
+//
+function normalizeKey(key) {
+  let normalized = Path.posix.normalize('/' + String(key || '').replace(/\\/g, '/')).replace(/^\/+/, '');
+
+  if(!normalized || normalized === '.' || normalized.split('/').includes('..')) {
+    throw new Error('Invalid storage key: ' + key);
+  }
+
+  return normalized;
+}
+
+//
+// Creates the storage backend for uploads. The driver is selected with STORAGE_DRIVER in .env:
+//
+//  local - Files are stored on disk in the upload path (default).
+//  s3 - Files are stored in an S3-compatible bucket. Configure with S3_ENDPOINT, S3_BUCKET,
+//    S3_REGION, S3_ACCESS_KEY, S3_SECRET_KEY, and S3_PREFIX.
+//  memory - Files are stored in memory and lost when the app restarts.
+//
+//  options (object)
+//    - storageDriver (string) - Overrides STORAGE_DRIVER.
+//    - uploadPath (string) - The folder to store files in when using the local driver.
+//
+// All keys are relative to the uploads folder, e.g. '2017/01/image.png'.
+//
+module.exports = function(options) {
+  options = options || {};
+  let driver = options.storageDriver || process.env.STORAGE_DRIVER || 'local';
+  let adapter;
+
+  switch(driver) {
+  case 'local':
+    adapter = LocalStorage({
+      root: options.uploadPath || Path.join(__basedir, 'uploads')
+    });
+    break;
+  case 'memory':
+    adapter = MemoryStorage();
+    break;
+  case 's3':
+    adapter = S3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      accessKey: process.env.S3_ACCESS_KEY,
+      secretKey: process.env.S3_SECRET_KEY,
+      prefix: process.env.S3_PREFIX
+    });
+    break;
+  default:
+    throw new Error('Unknown storage driver: ' + driver);
+  }
+
+  const self = {
+
+    //
+    // Expose the configured driver
+    //
+    get driver() {
+      return driver;
+    },
+
+    //
+    // Stores a file, replacing it if it already exists.
+    //
+    //  key* (string) - The file's key.
+    //  data* (buffer|string) - The file's contents.
+    //  options (object)
+    //    - mimeType (string) - The file's mime type (default determined by extension).
+    //
+    // Returns a promise.
+    //
+    put: (key, data, options) => {
+      return Promise.try(() => adapter.put(normalizeKey(key), data, options));
+    },
+
+    //
+    // Gets a file's contents.
+    //
+    //  key* (string) - The file's key.
+    //
+    // Returns a promise that resolves with a buffer. Rejects if the file doesn't exist.
+    //
+    get: (key) => {
+      return Promise.try(() => adapter.get(normalizeKey(key)));
+    },
+
+    //
+    // Gets information about a file.
+    //
+    //  key* (string) - The file's key.
+    //
+    // Returns a promise that resolves with { size, mimeType, modifiedAt } or null if the file
+    // doesn't exist.
+    //
+    stat: (key) => {
+      return Promise.try(() => adapter.stat(normalizeKey(key)));
+    },
+
+    //
+    // Deletes a file. Deleting a file that doesn't exist is not an error.
+    //
+    //  key* (string) - The file's key.
+    //
+    // Returns a promise.
+    //
+    delete: (key) => {
+      return Promise.try(() => adapter.delete(normalizeKey(key)));
+    },
+
+    //
+    // Streams a file's contents.
+    //
+    //  key* (string) - The file's key.
+    //
+    // Returns a readable stream. The stream emits an error if the file doesn't exist.
+    //
+    stream: (key) => {
+      return adapter.stream(normalizeKey(key));
+    },
+
+    //
+    // Lists stored files.
+    //
+    //  prefix (string) - Only return keys that start with this prefix (default '').
+    //
+    // Returns a promise that resolves with an array of keys.
+    //
+    list: (prefix) => {
+      return Promise.try(() => adapter.list(prefix || ''));
+    },
+
+    //
+    // Finds a key that isn't in use. If the key is taken, an incremental suffix is appended to the
+    // filename: image_1.png, image_2.png, etc.
+    //
+    //  key* (string) - The desired key.
+    //
+    // Returns a promise that resolves with a key.
+    //
+    uniqueKey: (key) => {
+      key = normalizeKey(key);
+      let parsed = Path.posix.parse(key);
+      let i = 0;
+
+      function check(candidate) {
+        return self.stat(candidate).then((stat) => {
+          if(!stat) return candidate;
+          return check(Path.posix.join(parsed.dir, parsed.name + '_' + (++i) + parsed.ext));
+        });
+      }
+
+      return check(key);
+    },
+
+    //
+    // Converts an upload path to a storage key.
+    //
+    //  path* (string) - An upload path, e.g. '/uploads/2017/01/image.png'.
+    //
+    // Returns a string, e.g. '2017/01/image.png'.
+    //
+    keyFromPath: (path) => {
+      return normalizeKey(String(path).replace(/^\/?uploads\//, ''));
+    },
+
+    //
+    // Converts a storage key to an upload path.
+    //
+    //  key* (string) - A storage key, e.g. '2017/01/image.png'.
+    //
+    // Returns a string, e.g. '/uploads/2017/01/image.png'.
+    //
+    pathFromKey: (key) => {
+      return '/uploads/' + normalizeKey(key);
+    },
+
+    //
+    // Returns middleware that serves stored files. Mount it on /uploads.
+    //
+    serve: () => {
+      // Let the driver serve files itself if it knows how
+      if(adapter.serve) return adapter.serve();
+
+      return (req, res, next) => {
+        if(!['GET', 'HEAD'].includes(req.method)) return next();
+
+        let key;
+        try {
+          key = normalizeKey(decodeURIComponent(req.path));
+        } catch(err) {
+          return next();
+        }
+
+        self.stat(key)
+          .then((stat) => {
+            if(!stat) return next();
+
+            let lastModified = stat.modifiedAt.toUTCString();
+
+            res.setHeader('Content-Type', stat.mimeType);
+            res.setHeader('Last-Modified', lastModified);
+
+            // Not modified
+            if(req.headers['if-modified-since'] === lastModified) {
+              return res.status(HttpCodes.NOT_MODIFIED).end();
+            }
+
+            res.setHeader('Content-Length', stat.size);
+            if(req.method === 'HEAD') return res.end();
+
+            self.stream(key)
+              .on('error', (err) => next(err))
+              .pipe(res);
+          })
+          .catch((err) => next(err));
+      };
+    }
+
+  };
+
+  return self;
+};
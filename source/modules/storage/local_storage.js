@@ -0,0 +1,106 @@
+'use strict';
+
+// Node modules
+const Express = require('express');
+const Fs = require('fs');
+const Mime = require('mime');
+const Mkdirp = require('mkdirp');
+const Path = require('path');
+const Promise = require('bluebird');
+const RecursiveReaddir = require('recursive-readdir');
+
+//
+// Stores files on the local disk.
+//
+//  options* (object)
+//    - root* (string) - The full path of the folder to store files in.
+//
+module.exports = function(options) {
+  let root = options.root;
+
+  //
+  // Resolves a key to a full path inside the root folder.
+  //
+  function resolve(key) {
+    return Path.join(root, key);
+  }
+
+  const self = {
+
+    put: (key, data) => {
+      return new Promise((resolvePromise, reject) => {
+        let pathname = resolve(key);
+
+        // Create the directory if it doesn't exist
+        Mkdirp(Path.dirname(pathname), (err) => {
+          if(err) return reject(new Error('Unable to create directory: ' + Path.dirname(pathname)));
+
+          Fs.writeFile(pathname, data, (err) => {
+            if(err) return reject(new Error('Unable to create file: ' + pathname));
+            resolvePromise();
+          });
+        });
+      });
+    },
+
+    get: (key) => {
+      return new Promise((resolvePromise, reject) => {
+        Fs.readFile(resolve(key), (err, buffer) => {
+          if(err) return reject(new Error('Unable to read file: ' + key));
+          resolvePromise(buffer);
+        });
+      });
+    },
+
+    stat: (key) => {
+      return new Promise((resolvePromise) => {
+        Fs.stat(resolve(key), (err, stat) => {
+          if(err || !stat.isFile()) return resolvePromise(null);
+
+          resolvePromise({
+            size: stat.size,
+            mimeType: Mime.lookup(key),
+            modifiedAt: stat.mtime
+          });
+        });
+      });
+    },
+
+    delete: (key) => {
+      return new Promise((resolvePromise, reject) => {
+        Fs.unlink(resolve(key), (err) => {
+          // Deleting a file that doesn't exist isn't an error
+          if(err && err.code !== 'ENOENT') return reject(new Error('Unable to delete file: ' + key));
+          resolvePromise();
+        });
+      });
+    },
+
+    stream: (key) => {
+      return Fs.createReadStream(resolve(key));
+    },
+
+    list: (prefix) => {
+      return new Promise((resolvePromise, reject) => {
+        RecursiveReaddir(root, (err, files) => {
+          // A missing root folder just means nothing has been stored yet
+          if(err && err.code === 'ENOENT') return resolvePromise([]);
+          if(err) return reject(new Error('Unable to read folder: ' + root));
+
+          resolvePromise(
+            files
+              // Keys always use forward slashes
+              .map((file) => Path.relative(root, file).split(Path.sep).join('/'))
+              .filter((key) => key.indexOf(prefix || '') === 0)
+          );
+        });
+      });
+    },
+
+    // Serve files directly from disk so we get ranges, ETags, etc. for free
+    serve: () => Express.static(root)
+
+  };
+
+  return self;
+};
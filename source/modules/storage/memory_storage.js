@@ -0,0 +1,72 @@
+'use strict';
+
+// Node modules
+const Mime = require('mime');
+const Promise = require('bluebird');
+const Stream = require('stream');
+
+//
+// Stores files in memory. Everything is lost when the app restarts, so this is only useful for
+// development and throwaway instances.
+//
+module.exports = function() {
+  let files = new Map();
+
+  const self = {
+
+    put: (key, data, options) => {
+      options = options || {};
+
+      files.set(key, {
+        buffer: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        mimeType: options.mimeType || Mime.lookup(key),
+        modifiedAt: new Date()
+      });
+
+      return Promise.resolve();
+    },
+
+    get: (key) => {
+      if(!files.has(key)) return Promise.reject(new Error('Unable to read file: ' + key));
+
+      return Promise.resolve(files.get(key).buffer);
+    },
+
+    stat: (key) => {
+      let file = files.get(key);
+
+      return Promise.resolve(file ? {
+        size: file.buffer.length,
+        mimeType: file.mimeType,
+        modifiedAt: file.modifiedAt
+      } : null);
+    },
+
+    delete: (key) => {
+      files.delete(key);
+      return Promise.resolve();
+    },
+
+    stream: (key) => {
+      let stream = new Stream.PassThrough();
+
+      // Emit the error asynchronously so callers have a chance to attach a listener
+      if(!files.has(key)) {
+        process.nextTick(() => stream.emit('error', new Error('Unable to read file: ' + key)));
+      } else {
+        stream.end(files.get(key).buffer);
+      }
+
+      return stream;
+    },
+
+    list: (prefix) => {
+      return Promise.resolve(
+        Array.from(files.keys()).filter((key) => key.indexOf(prefix || '') === 0)
+      );
+    }
+
+  };
+
+  return self;
+};
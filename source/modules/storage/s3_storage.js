@@ -0,0 +1,285 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+const He = require('he');
+const Http = require('http');
+const Https = require('https');
+const Mime = require('mime');
+const Moment = require('moment');
+const Promise = require('bluebird');
+const Stream = require('stream');
+const Url = require('url');
+
+//
+// Hashes a string or buffer with SHA256.
+//
+// Returns a hex string.
+//
+function sha256(data) {
+  return Crypto.createHash('sha256').update(data).digest('hex');
+}
+
+//
+// Signs a string or buffer with HMAC-SHA256.
+//
+// Returns a buffer.
+//
+function hmac(key, data) {
+  return Crypto.createHmac('sha256', key).update(data).digest();
+}
+
+//
+// Encodes a string per RFC 3986, which is what AWS expects in canonical requests.
+//
+function encodeRfc3986(string) {
+  return encodeURIComponent(string).replace(/[!'()*]/g, (char) => {
+    return '%' + char.charCodeAt(0).toString(16).toUpperCase();
+  });
+}
+
+//
+// Generates an AWS Signature Version 4 authorization header.
+//
+//  request* (object)
+//    - method* (string) - The HTTP method.
+//    - path* (string) - The encoded request path.
+//    - query (object) - Query string params.
+//    - headers* (object) - Headers to sign. Must include host, x-amz-date, and
+//      x-amz-content-sha256.
+//  credentials* (object)
+//    - accessKey* (string)
+//    - secretKey* (string)
+//    - region* (string)
+//
+// Returns a string.
+//
+function sign(request, credentials) {
+  let amzDate = request.headers['x-amz-date'];
+  let date = amzDate.substring(0, 8);
+  let scope = [date, credentials.region, 's3', 'aws4_request'].join('/');
+  let query = request.query || {};
+  let headerNames = Object.keys(request.headers).map((name) => name.toLowerCase()).sort();
+  let headers = {};
+
+  Object.keys(request.headers).forEach((name) => {
+    headers[name.toLowerCase()] = String(request.headers[name]).trim().replace(/\s+/g, ' ');
+  });
+
+  let canonicalRequest = [
+    request.method,
+    request.path,
+    Object.keys(query).sort().map((key) => encodeRfc3986(key) + '=' + encodeRfc3986(query[key])).join('&'),
+    headerNames.map((name) => name + ':' + headers[name] + '\n').join(''),
+    headerNames.join(';'),
+    headers['x-amz-content-sha256']
+  ].join('\n');
+
+  let stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest)
+  ].join('\n');
+
+  let signingKey = hmac(hmac(hmac(hmac('AWS4' + credentials.secretKey, date), credentials.region), 's3'), 'aws4_request');
+
+  return 'AWS4-HMAC-SHA256 ' +
+    'Credential=' + credentials.accessKey + '/' + scope + ', ' +
+    'SignedHeaders=' + headerNames.join(';') + ', ' +
+    'Signature=' + hmac(signingKey, stringToSign).toString('hex');
+}
+
+//
+// Stores files in an S3-compatible bucket (Amazon S3, MinIO, DigitalOcean Spaces, etc.). Requests
+// use path-style URLs so self-hosted services work without wildcard DNS.
+//
+//  options* (object)
+//    - endpoint* (string) - The service URL, e.g. https://s3.amazonaws.com or http://localhost:9000.
+//    - bucket* (string) - The bucket name.
+//    - region (string) - The bucket's region (default 'us-east-1').
+//    - accessKey* (string) - The access key id.
+//    - secretKey* (string) - The secret access key.
+//    - prefix (string) - A prefix to store all keys under, e.g. 'uploads/' (default '').
+//
+module.exports = function(options) {
+  let endpoint = Url.parse(options.endpoint || '');
+  let bucket = options.bucket;
+  let credentials = {
+    accessKey: options.accessKey,
+    secretKey: options.secretKey,
+    region: options.region || 'us-east-1'
+  };
+  let prefix = options.prefix || '';
+
+  if(!endpoint.host || !bucket || !credentials.accessKey || !credentials.secretKey) {
+    throw new Error('The S3 storage driver requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY, and S3_SECRET_KEY.');
+  }
+
+  //
+  // Sends a signed request to the bucket.
+  //
+  //  method* (string) - The HTTP method.
+  //  key (string) - The object key or null to target the bucket itself.
+  //  options (object)
+  //    - query (object) - Query string params.
+  //    - headers (object) - Additional headers.
+  //    - body (buffer) - The request body.
+  //
+  // Returns a promise that resolves with the response. The response body has not been read.
+  //
+  function request(method, key, options) {
+    options = options || {};
+    let body = options.body || Buffer.alloc(0);
+    let basePath = (endpoint.pathname || '/').replace(/\/$/, '');
+    let path = basePath + '/' + encodeRfc3986(bucket) +
+      (key === null ? '/' : '/' + (prefix + key).split('/').map(encodeRfc3986).join('/'));
+    let headers = Object.assign({}, options.headers, {
+      'host': endpoint.host,
+      'x-amz-content-sha256': sha256(body),
+      'x-amz-date': Moment.utc().format('YYYYMMDD[T]HHmmss[Z]')
+    });
+    let query = options.query || {};
+    let queryString = Object.keys(query).map((key) => encodeRfc3986(key) + '=' + encodeRfc3986(query[key])).join('&');
+
+    headers['content-length'] = body.length;
+    headers.authorization = sign({ method: method, path: path, query: query, headers: headers }, credentials);
+
+    return new Promise((resolve, reject) => {
+      let req = (endpoint.protocol === 'http:' ? Http : Https).request({
+        protocol: endpoint.protocol,
+        hostname: endpoint.hostname,
+        port: endpoint.port,
+        method: method,
+        path: path + (queryString ? '?' + queryString : ''),
+        headers: headers
+      }, resolve);
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  //
+  // Reads the entire body of a response.
+  //
+  // Returns a promise that resolves with a buffer.
+  //
+  function readBody(res) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+  }
+
+  //
+  // Rejects with an error that includes the S3 error code, if any.
+  //
+  function fail(res, message) {
+    return readBody(res).then((body) => {
+      let code = (body.toString().match(/<Code>(.*?)<\/Code>/) || [])[1] || res.statusCode;
+      throw new Error(message + ' (' + code + ')');
+    });
+  }
+
+  const self = {
+
+    put: (key, data, options) => {
+      options = options || {};
+
+      return request('PUT', key, {
+        body: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        headers: {
+          'content-type': options.mimeType || Mime.lookup(key)
+        }
+      }).then((res) => {
+        if(res.statusCode !== 200) return fail(res, 'Unable to create file: ' + key);
+        res.resume();
+      });
+    },
+
+    get: (key) => {
+      return request('GET', key).then((res) => {
+        if(res.statusCode !== 200) return fail(res, 'Unable to read file: ' + key);
+        return readBody(res);
+      });
+    },
+
+    stat: (key) => {
+      return request('HEAD', key).then((res) => {
+        res.resume();
+
+        if(res.statusCode === 404) return null;
+        if(res.statusCode !== 200) throw new Error('Unable to read file: ' + key + ' (' + res.statusCode + ')');
+
+        return {
+          size: parseInt(res.headers['content-length']),
+          mimeType: res.headers['content-type'] || Mime.lookup(key),
+          modifiedAt: new Date(res.headers['last-modified'])
+        };
+      });
+    },
+
+    delete: (key) => {
+      return request('DELETE', key).then((res) => {
+        // S3 returns 204 whether or not the object existed
+        if(res.statusCode !== 204 && res.statusCode !== 200) return fail(res, 'Unable to delete file: ' + key);
+        res.resume();
+      });
+    },
+
+    stream: (key) => {
+      let stream = new Stream.PassThrough();
+
+      request('GET', key)
+        .then((res) => {
+          if(res.statusCode !== 200) return fail(res, 'Unable to read file: ' + key);
+          res.on('error', (err) => stream.emit('error', err));
+          res.pipe(stream);
+        })
+        .catch((err) => stream.emit('error', err));
+
+      return stream;
+    },
+
+    list: (listPrefix) => {
+      let keys = [];
+
+      // Results are paginated, so keep fetching until we have them all
+      function fetch(continuationToken) {
+        let query = { 'list-type': '2', 'prefix': prefix + (listPrefix || '') };
+        if(continuationToken) query['continuation-token'] = continuationToken;
+
+        return request('GET', null, { query: query })
+          .then((res) => {
+            if(res.statusCode !== 200) return fail(res, 'Unable to list files in bucket: ' + bucket);
+            return readBody(res);
+          })
+          .then((body) => {
+            body = body.toString();
+
+            // The response is simple enough that we can skip a full XML parser
+            (body.match(/<Key>[\s\S]*?<\/Key>/g) || []).forEach((match) => {
+              let key = He.decode(match.replace(/^<Key>|<\/Key>$/g, ''));
+              keys.push(key.substring(prefix.length));
+            });
+
+            let next = body.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/);
+            if(/<IsTruncated>true<\/IsTruncated>/.test(body) && next) {
+              return fetch(He.decode(next[1]));
+            }
+
+            return keys;
+          });
+      }
+
+      return fetch();
+    }
+
+  };
+
+  return self;
+};
@@ -6,10 +6,40 @@ const Fs = require('fs');
 const Path = require('path');
 const Promise = require('bluebird');
 
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+
 module.exports = function(options) {
   options = options || {};
   let themePath = options.themePath || Path.join(__basedir, 'themes');
 
+  //
+  // Reads a theme's config file.
+  //
+  //  themeId* (string) - A theme id.
+  //
+  // Returns a promise that resolves with the parsed theme.json.
+  //
+  function readConfig(themeId) {
+    return new Promise((resolve, reject) => {
+      let themeConfig = Path.join(themePath, themeId, 'theme.json');
+
+      // Read the theme's config file
+      Fs.readFile(themeConfig, 'utf8', (err, data) => {
+        if(err) {
+          return reject(new Error('Unable to find theme.json.'));
+        }
+
+        // Parse it
+        try {
+          return resolve(JSON.parse(data));
+        } catch(err) {
+          return reject(new Error('Unable to parse theme.json.'));
+        }
+      });
+    });
+  }
+
   const self = {
 
     //
@@ -27,29 +57,25 @@ module.exports = function(options) {
     // Returns a promise that resolves with an array of post template objects.
     //
     getPostTemplates: (themeId) => {
-      return new Promise((resolve, reject) => {
-        let themeConfig = Path.join(themePath, themeId, 'theme.json');
-        let themeData;
-
-        // Read the theme's config file
-        Fs.readFile(themeConfig, 'utf8', (err, data) => {
-          if(err) {
-            return reject(new Error('Unable to find theme.json.'));
-          }
-
-          // Parse it
-          try {
-            themeData = JSON.parse(data);
-          } catch(err) {
-            return reject(new Error('Unable to parse theme.json.'));
-          }
+      return readConfig(themeId).then((themeData) => {
+        // Return an array of available templates
+        return Array.isArray(themeData.customPostTemplates) ? themeData.customPostTemplates : [];
+      });
+    },
 
-          // Return an array of available templates
-          return resolve(
-            Array.isArray(themeData.customPostTemplates) ? themeData.customPostTemplates : []
-          );
-        });
+    //
+    // Gets the custom fields the specified theme declares for a type of item.
+    //
+    //  themeId* (string) - A theme id.
+    //  type* (string) - The type of item: post, tag, or user.
+    //
+    // Returns a promise that resolves with an array of field definitions.
+    //
+    getCustomFields: (themeId, type) => {
+      return readConfig(themeId).then((themeData) => {
+        let customFields = themeData.customFields || {};
 
+        return CustomFields.normalize(customFields[type]);
       });
     },
 
@@ -0,0 +1,152 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+
+// RFC 4648 base32 alphabet, which authenticator apps expect secrets to be encoded with
+const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Codes are valid for this many seconds
+const period = 30;
+
+// The number of digits in a code
+const digits = 6;
+
+//
+// Encodes a buffer as base32 without padding.
+//
+// Returns a string.
+//
+function toBase32(buffer) {
+  let bits = '';
+  let output = '';
+
+  for(let i = 0; i < buffer.length; i++) {
+    bits += ('00000000' + buffer[i].toString(2)).slice(-8);
+  }
+
+  for(let i = 0; i < bits.length; i += 5) {
+    output += alphabet[parseInt((bits.substr(i, 5) + '0000').substr(0, 5), 2)];
+  }
+
+  return output;
+}
+
+//
+// Decodes a base32 string. Spaces, dashes, and padding are ignored.
+//
+// Returns a buffer.
+//
+function fromBase32(string) {
+  let bits = '';
+  let bytes = [];
+
+  String(string).toUpperCase().replace(/[\s=-]/g, '').split('').forEach((char) => {
+    let index = alphabet.indexOf(char);
+    if(index === -1) throw new Error('Invalid base32 character: ' + char);
+    bits += ('00000' + index.toString(2)).slice(-5);
+  });
+
+  for(let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substr(i, 8), 2));
+  }
+
+  return Buffer.from(bytes);
+}
+
+//
+// Generates the code for a time step as described in RFC 4226 and RFC 6238.
+//
+//  secret* (buffer) - The shared secret.
+//  counter* (int) - The time step.
+//
+// Returns a string.
+//
+function generateCode(secret, counter) {
+  let message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  let hmac = Crypto.createHmac('sha1', secret).update(message).digest();
+  let offset = hmac[hmac.length - 1] & 0xf;
+  let binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+
+  return ('000000000' + binary).slice(-digits);
+}
+
+module.exports = {
+
+  //
+  // Generates a random secret.
+  //
+  // Returns a base32 string.
+  //
+  generateSecret: () => {
+    return toBase32(Crypto.randomBytes(20));
+  },
+
+  //
+  // Generates a provisioning URI that authenticator apps can scan as a QR code.
+  //
+  //  secret* (string) - A base32 secret.
+  //  options* (object)
+  //    - issuer* (string) - The name of the website.
+  //    - account* (string) - The name of the account, e.g. an email address.
+  //
+  // Returns an otpauth:// URI.
+  //
+  getUri: (secret, options) => {
+    let label = encodeURIComponent(options.issuer) + ':' + encodeURIComponent(options.account);
+
+    return 'otpauth://totp/' + label +
+      '?secret=' + secret +
+      '&issuer=' + encodeURIComponent(options.issuer) +
+      '&algorithm=SHA1&digits=' + digits + '&period=' + period;
+  },
+
+  //
+  // Gets the current code for a secret.
+  //
+  //  secret* (string) - A base32 secret.
+  //
+  // Returns a string.
+  //
+  getCode: (secret) => {
+    return generateCode(fromBase32(secret), Math.floor(Date.now() / 1000 / period));
+  },
+
+  //
+  // Verifies a code. One time step before and after the current one are allowed to account for
+  // clock drift.
+  //
+  //  secret* (string) - A base32 secret.
+  //  code* (string) - The code to verify.
+  //  lastCounter (int) - The time step of the last code that was accepted. Codes from this time step
+  //    or earlier are rejected so a code can't be used twice.
+  //
+  // Returns the time step of the matching code or null if the code is invalid.
+  //
+  verify: (secret, code, lastCounter) => {
+    let counter = Math.floor(Date.now() / 1000 / period);
+    let key;
+
+    code = String(code || '').replace(/\s/g, '');
+    if(!new RegExp('^\\d{' + digits + '}$').test(code)) return null;
+
+    try {
+      key = fromBase32(secret);
+    } catch(err) {
+      return null;
+    }
+
+    for(let i = counter - 1; i <= counter + 1; i++) {
+      if(typeof lastCounter === 'number' && i <= lastCounter) continue;
+
+      let expected = Buffer.from(generateCode(key, i));
+      if(Crypto.timingSafeEqual(expected, Buffer.from(code))) return i;
+    }
+
+    return null;
+  }
+
+};
@@ -0,0 +1,335 @@
+'use strict';
+
+// Node modules
+const Crypto = require('crypto');
+const Del = require('del');
+const EventEmitter = require('events');
+const Extend = require('extend');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Models that have a trash, in the order they're purged. Users go last because deleting a user
+// also deletes their posts and uploads.
+const types = ['post', 'tag', 'upload', 'user'];
+
+// How often to look for items that have been in the trash longer than the retention period
+const purgeInterval = 60 * 60 * 1000;
+
+module.exports = function(Database, Storage, getSettings) {
+  const models = Database.sequelize.models;
+  const emitter = new EventEmitter();
+  let isRunning = false;
+  let timer = null;
+
+  //
+  // Gets the number of days items are kept in the trash. Zero means items are kept until they're
+  // deleted by hand.
+  //
+  // Returns an integer.
+  //
+  function getRetention() {
+    let settings = getSettings() || {};
+    let days = parseInt(settings.trashRetention);
+
+    return isNaN(days) ? 30 : Math.max(0, days);
+  }
+
+  //
+  // Sets a timer that purges old items from the trash.
+  //
+  //  delay* (int) - The number of milliseconds to wait.
+  //
+  function setTimer(delay) {
+    clearTimeout(timer);
+    timer = null;
+
+    if(!isRunning) return;
+
+    timer = setTimeout(() => {
+      self.purge()
+        .catch((err) => emitter.emit('error', err))
+        .finally(() => setTimer(purgeInterval));
+    }, delay);
+  }
+
+  //
+  // Deletes an upload's file along with its cached thumbnails.
+  //
+  //  upload* (object) - The upload.
+  //
+  // Returns a promise.
+  //
+  function deleteFiles(upload) {
+    // Cache files are prefixed by SHA256(path)
+    let pathHash = Crypto.createHash('sha256').update(upload.path).digest('hex').substring(0, 10);
+
+    return Promise.all([
+      Del(Path.join(__basedir, 'cache/images/' + pathHash + '.*')),
+      Storage.delete(Storage.keyFromPath(upload.path))
+    ]);
+  }
+
+  //
+  // Removes the old slugs of an item that's being deleted so they stop redirecting. A user's posts
+  // are deleted along with them, so their old slugs are removed too.
+  //
+  //  type* (string) - The type of item.
+  //  item* (object) - The item.
+  //
+  // Returns a promise.
+  //
+  function forgetSlugs(type, item) {
+    if(type === 'upload') return Promise.resolve();
+
+    return Promise.resolve()
+      .then(() => {
+        if(type !== 'user') return;
+
+        return models.post
+          .findAll({ where: { userId: item.id }, attributes: ['id'], paranoid: false })
+          .then((posts) => {
+            if(!posts.length) return;
+
+            return models.slugHistory.destroy({
+              where: {
+                type: 'post',
+                targetId: posts.map((post) => post.id)
+              }
+            });
+          });
+      })
+      .then(() => models.slugHistory.destroy({ where: { type: type, targetId: item.id } }));
+  }
+
+  const self = {
+
+    //
+    // Gets the types of items that can be moved to the trash.
+    //
+    // Returns an array: ['post', 'tag', 'upload', 'user']
+    //
+    getTypes: () => types.slice(),
+
+    //
+    // Gets items in the trash, most recently deleted first.
+    //
+    //  type* (string) - The type of item.
+    //  options (object)
+    //    - where (object) - An object to pass to findAndCountAll to limit results (default null).
+    //    - attributes (array|object) - The attributes to return (default all).
+    //    - limit (int) - Max number of items to return (default null).
+    //    - offset (int) - The offset to start from (default 0).
+    //
+    // Returns a promise that resolves with { count, rows }.
+    //
+    list: (type, options) => {
+      options = Extend(true, {
+        where: null,
+        attributes: undefined,
+        limit: null,
+        offset: 0
+      }, options);
+
+      return models[type].findAndCountAll({
+        where: Extend(true, {}, options.where, { deletedAt: { $ne: null } }),
+        attributes: options.attributes,
+        limit: options.limit,
+        offset: options.offset,
+        order: [
+          ['deletedAt', 'DESC']
+        ],
+        paranoid: false
+      });
+    },
+
+    //
+    // Gets an item in the trash.
+    //
+    //  type* (string) - The type of item.
+    //  id* (string) - The item's id.
+    //
+    // Returns a promise that resolves with the item or null if it's not in the trash.
+    //
+    find: (type, id) => {
+      return models[type].findOne({
+        where: {
+          id: id,
+          deletedAt: { $ne: null }
+        },
+        paranoid: false
+      });
+    },
+
+    //
+    // Finds the item in the trash that's holding on to a unique value. Items in the trash keep their
+    // slugs, usernames, and email addresses so they can be restored, so those values can't be used
+    // again until the item is deleted for good.
+    //
+    //  type* (string) - The type of item.
+    //  err* (object) - A SequelizeUniqueConstraintError from creating or updating an item.
+    //
+    // Returns a promise that resolves with the item or null if the value isn't held by the trash.
+    //
+    findConflict: (type, err) => {
+      let values = (err.errors || [])
+        .filter((item) => item.path && item.value !== undefined && item.value !== null)
+        .map((item) => ({ [item.path]: item.value }));
+
+      if(!values.length) return Promise.resolve(null);
+
+      return models[type].findOne({
+        where: {
+          $or: values,
+          deletedAt: { $ne: null }
+        },
+        paranoid: false
+      });
+    },
+
+    //
+    // Moves an item to the trash. Trashing a user also trashes their posts and uploads, since those
+    // can't be shown without an author.
+    //
+    //  type* (string) - The type of item.
+    //  item* (object) - The item to trash.
+    //
+    // Returns a promise.
+    //
+    add: (type, item) => {
+      return item.destroy().then(() => {
+        if(type !== 'user') return;
+
+        return Promise.all([
+          models.post.destroy({ where: { userId: item.id }, individualHooks: true }),
+          models.upload.destroy({ where: { userId: item.id }, individualHooks: true })
+        ]);
+      });
+    },
+
+    //
+    // Restores an item from the trash. Restoring a user also restores the posts and uploads that
+    // were trashed along with them.
+    //
+    //  type* (string) - The type of item.
+    //  item* (object) - The item to restore.
+    //
+    // Returns a promise.
+    //
+    restore: (type, item) => {
+      let deletedAt = item.deletedAt;
+
+      return item.restore().then(() => {
+        if(type !== 'user') return;
+
+        // Posts and uploads that were trashed before the user stay in the trash
+        let options = {
+          where: {
+            userId: item.id,
+            deletedAt: { $gte: deletedAt }
+          },
+          individualHooks: true
+        };
+
+        return Promise.all([
+          models.post.restore(options),
+          models.upload.restore(options)
+        ]);
+      });
+    },
+
+    //
+    // Permanently deletes an item. Upload files and old slugs are deleted too, including those of a
+    // user's uploads and posts. The database removes a user's posts and uploads when the user is
+    // deleted.
+    //
+    //  type* (string) - The type of item.
+    //  item* (object) - The item to delete.
+    //
+    // Returns a promise.
+    //
+    destroy: (type, item) => {
+      return Promise.resolve()
+        .then(() => {
+          if(type === 'upload') return deleteFiles(item);
+
+          if(type === 'user') {
+            return models.upload
+              .findAll({ where: { userId: item.id }, paranoid: false })
+              .each((upload) => deleteFiles(upload));
+          }
+        })
+        .then(() => forgetSlugs(type, item))
+        .then(() => item.destroy({ force: true }));
+    },
+
+    //
+    // Permanently deletes items that have been in the trash longer than the retention period.
+    //
+    // Returns a promise that resolves with the number of items that were deleted.
+    //
+    purge: () => {
+      let days = getRetention();
+      let count = 0;
+
+      if(!days) return Promise.resolve(0);
+
+      let cutoff = Moment().subtract(days, 'days').toDate();
+
+      return Promise
+        .each(types, (type) => {
+          return models[type]
+            .findAll({
+              where: {
+                deletedAt: { $lt: cutoff }
+              },
+              paranoid: false
+            })
+            .each((item) => self.destroy(type, item).then(() => count++));
+        })
+        .then(() => {
+          if(count) emitter.emit('purge', count);
+          return count;
+        });
+    },
+
+    //
+    // Starts purging old items from the trash. The first purge runs right away.
+    //
+    start: () => {
+      isRunning = true;
+      setTimer(0);
+    },
+
+    //
+    // Stops purging old items from the trash.
+    //
+    stop: () => {
+      isRunning = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    //
+    // Adds an event listener. The trash emits the following events:
+    //
+    //  purge - Old items were deleted. The listener receives the number of items.
+    //  error - An automatic purge failed. The listener receives the error.
+    //
+    on: (event, listener) => {
+      emitter.on(event, listener);
+      return self;
+    },
+
+    //
+    // Removes an event listener.
+    //
+    off: (event, listener) => {
+      emitter.removeListener(event, listener);
+      return self;
+    }
+
+  };
+
+  return self;
+};
@@ -16,6 +16,7 @@ module.exports = (app) => {
   const InstallMiddleware = require(Path.join(__basedir, 'source/middleware/install_middleware.js'));
 
   // Controllers
+  const AuditLogController = require(Path.join(__basedir, 'source/controllers/admin/audit_log_controller.js'));
   const DashboardController = require(Path.join(__basedir, 'source/controllers/admin/dashboard_controller.js'));
   const EditPostController = require(Path.join(__basedir, 'source/controllers/admin/edit_post_controller.js'));
   const EditTagController = require(Path.join(__basedir, 'source/controllers/admin/edit_tag_controller.js'));
@@ -24,12 +25,14 @@ module.exports = (app) => {
   const LoginController = require(Path.join(__basedir, 'source/controllers/admin/login_controller.js'));
   const LogoutController = require(Path.join(__basedir, 'source/controllers/admin/logout_controller.js'));
   const NavigationController = require(Path.join(__basedir, 'source/controllers/admin/navigation_controller.js'));
+  const PostCalendarController = require(Path.join(__basedir, 'source/controllers/admin/post_calendar_controller.js'));
   const PostsController = require(Path.join(__basedir, 'source/controllers/admin/posts_controller.js'));
   const QuickPostController = require(Path.join(__basedir, 'source/controllers/admin/quick_post_controller.js'));
   const RecoverPasswordController = require(Path.join(__basedir, 'source/controllers/admin/recover_password_controller.js'));
   const ResetPasswordController = require(Path.join(__basedir, 'source/controllers/admin/reset_password_controller.js'));
   const SettingsController = require(Path.join(__basedir, 'source/controllers/admin/settings_controller.js'));
   const TagsController = require(Path.join(__basedir, 'source/controllers/admin/tags_controller.js'));
+  const TrashController = require(Path.join(__basedir, 'source/controllers/admin/trash_controller.js'));
   const UsersController = require(Path.join(__basedir, 'source/controllers/admin/users_controller.js'));
 
   //
@@ -107,6 +110,17 @@ module.exports = (app) => {
     PostsController.view
   );
 
+  //
+  // Post calendar
+  //
+  //  GET /admin/posts/calendar
+  //
+  router.get(
+    '/posts/calendar',
+    AuthMiddleware.requireAuth,
+    PostCalendarController.view
+  );
+
   //
   // Edit posts
   //
@@ -143,7 +157,7 @@ module.exports = (app) => {
   router.get(
     '/tags',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.view
   );
 
@@ -156,13 +170,13 @@ module.exports = (app) => {
   router.get(
     '/tags/new',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     EditTagController.view
   );
   router.get(
     '/tags/edit/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     EditTagController.view
   );
 
@@ -174,7 +188,7 @@ module.exports = (app) => {
   router.get(
     '/navigation',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('navigation.manage'),
     NavigationController.view
   );
 
@@ -186,7 +200,7 @@ module.exports = (app) => {
   router.get(
     '/users',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     UsersController.view
   );
 
@@ -199,7 +213,7 @@ module.exports = (app) => {
   router.get(
     '/users/new',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     EditUserController.view
   );
   router.get(
@@ -211,7 +225,7 @@ module.exports = (app) => {
         return next();
       }
 
-      return AuthMiddleware.requireRole(['owner', 'admin'])(req, res, next);
+      return AuthMiddleware.requireCapability('user.manage')(req, res, next);
     },
     EditUserController.view
   );
@@ -224,10 +238,33 @@ module.exports = (app) => {
   router.get(
     '/settings',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('settings.manage'),
     SettingsController.view
   );
 
+  //
+  // Audit log
+  //
+  //  GET /admin/audit
+  //
+  router.get(
+    '/audit',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('audit.view'),
+    AuditLogController.view
+  );
+
+  //
+  // Trash
+  //
+  //  GET /admin/trash
+  //
+  router.get(
+    '/trash',
+    AuthMiddleware.requireAuth,
+    TrashController.view
+  );
+
   // Attach the router to the app
   app.use(
     '/' + process.env.APP_ADMIN_SLUG + '/',
@@ -15,16 +15,28 @@ module.exports = (app) => {
   const AuthMiddleware = require(Path.join(__basedir, 'source/middleware/auth_middleware.js'));
 
   // Controllers
+  const ApiTokensController = require(Path.join(__basedir, 'source/controllers/api/api_tokens_controller.js'));
+  const AuditController = require(Path.join(__basedir, 'source/controllers/api/audit_controller.js'));
   const AuthController = require(Path.join(__basedir, 'source/controllers/api/auth_controller.js'));
+  const AutosavesController = require(Path.join(__basedir, 'source/controllers/api/autosaves_controller.js'));
   const BackupController = require(Path.join(__basedir, 'source/controllers/api/backup_controller.js'));
   const EmbedController = require(Path.join(__basedir, 'source/controllers/api/embed_controller.js'));
+  const ExportController = require(Path.join(__basedir, 'source/controllers/api/export_controller.js'));
+  const ImportController = require(Path.join(__basedir, 'source/controllers/api/import_controller.js'));
   const InstallController = require(Path.join(__basedir, 'source/controllers/api/install_controller.js'));
   const NavigationController = require(Path.join(__basedir, 'source/controllers/api/navigation_controller.js'));
+  const PostLocksController = require(Path.join(__basedir, 'source/controllers/api/post_locks_controller.js'));
   const PostsController = require(Path.join(__basedir, 'source/controllers/api/posts_controller.js'));
+  const ReviewsController = require(Path.join(__basedir, 'source/controllers/api/reviews_controller.js'));
   const RevisionsController = require(Path.join(__basedir, 'source/controllers/api/revisions_controller.js'));
+  const RolesController = require(Path.join(__basedir, 'source/controllers/api/roles_controller.js'));
   const TagsController = require(Path.join(__basedir, 'source/controllers/api/tags_controller.js'));
+  const TwoFactorController = require(Path.join(__basedir, 'source/controllers/api/two_factor_controller.js'));
   const SearchController = require(Path.join(__basedir, 'source/controllers/api/search_controller.js'));
+  const SessionsController = require(Path.join(__basedir, 'source/controllers/api/sessions_controller.js'));
   const SettingsController = require(Path.join(__basedir, 'source/controllers/api/settings_controller.js'));
+  const StaticController = require(Path.join(__basedir, 'source/controllers/api/static_controller.js'));
+  const TrashController = require(Path.join(__basedir, 'source/controllers/api/trash_controller.js'));
   const UploadsController = require(Path.join(__basedir, 'source/controllers/api/uploads_controller.js'));
   const UsersController = require(Path.join(__basedir, 'source/controllers/api/users_controller.js'));
 
@@ -42,13 +54,29 @@ module.exports = (app) => {
   // Auth
   //
   //  POST /api/auth
+  //  POST /api/auth/two-factor
+  //  GET /api/auth/oidc
+  //  GET /api/auth/oidc/callback
   //  POST /api/auth/recover
   //  POST /api/auth/reset
+  //  POST /api/auth/unlock
   //
   router.post(
     '/auth',
     AuthController.authenticate
   );
+  router.post(
+    '/auth/two-factor',
+    AuthController.verifyTwoFactor
+  );
+  router.get(
+    '/auth/oidc',
+    AuthController.oidc
+  );
+  router.get(
+    '/auth/oidc/callback',
+    AuthController.oidcCallback
+  );
   router.post(
     '/auth/recover',
     AuthController.recoverPassword
@@ -57,25 +85,86 @@ module.exports = (app) => {
     '/auth/reset',
     AuthController.resetPassword
   );
+  router.post(
+    '/auth/unlock',
+    AuthController.unlock
+  );
+
+  //
+  // Audit log
+  //
+  //  GET /api/audit
+  //
+  router.get(
+    '/audit',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('audit.view'),
+    AuditController.index
+  );
 
   //
   // Backups
   //
   //  GET /api/backup
   //  PUT /api/backup
+  //  GET /api/backup/archives
+  //  POST /api/backup/archives
+  //  GET /api/backup/archives/:filename
   //
   router.get(
     '/backup',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('backup.manage'),
     BackupController.create
   );
   router.put(
     '/backup',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('backup.manage'),
     BackupController.restore
   );
+  router.get(
+    '/backup/archives',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('backup.manage'),
+    BackupController.archives
+  );
+  router.post(
+    '/backup/archives',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('backup.manage'),
+    BackupController.createArchive
+  );
+  router.get(
+    '/backup/archives/:filename',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('backup.manage'),
+    BackupController.downloadArchive
+  );
+
+  //
+  // Export
+  //
+  //  GET /api/export
+  //
+  router.get(
+    '/export',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('backup.manage'),
+    ExportController.export
+  );
+
+  //
+  // Import
+  //
+  //  POST /api/import
+  //
+  router.post(
+    '/import',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('backup.manage'),
+    ImportController.import
+  );
 
   //
   // Navigation
@@ -86,13 +175,13 @@ module.exports = (app) => {
   router.get(
     '/navigation',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('navigation.manage'),
     NavigationController.index
   );
   router.put(
     '/navigation',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('navigation.manage'),
     NavigationController.update
   );
 
@@ -112,6 +201,7 @@ module.exports = (app) => {
   //
   //  GET /api/posts
   //  POST /api/posts
+  //  GET /api/posts/scheduled
   //  GET /api/posts/:id
   //  GET /api/posts/:id/preview
   //  POST /api/posts/:id/preview
@@ -128,6 +218,11 @@ module.exports = (app) => {
     AuthMiddleware.requireAuth,
     PostsController.create
   );
+  router.get(
+    '/posts/scheduled',
+    AuthMiddleware.requireAuth,
+    PostsController.scheduled
+  );
   router.get(
     '/posts/:id',
     AuthMiddleware.requireAuth,
@@ -154,13 +249,78 @@ module.exports = (app) => {
     PostsController.delete
   );
 
+  //
+  // Autosaves
+  //
+  //  GET /api/posts/:id/autosave
+  //  PUT /api/posts/:id/autosave
+  //  DELETE /api/posts/:id/autosave
+  //
+  router.get(
+    '/posts/:id/autosave',
+    AuthMiddleware.requireAuth,
+    AutosavesController.read
+  );
+  router.put(
+    '/posts/:id/autosave',
+    AuthMiddleware.requireAuth,
+    AutosavesController.update
+  );
+  router.delete(
+    '/posts/:id/autosave',
+    AuthMiddleware.requireAuth,
+    AutosavesController.delete
+  );
+
+  //
+  // Edit locks
+  //
+  //  GET /api/posts/:id/lock
+  //  POST /api/posts/:id/lock
+  //  DELETE /api/posts/:id/lock
+  //
+  router.get(
+    '/posts/:id/lock',
+    AuthMiddleware.requireAuth,
+    PostLocksController.read
+  );
+  router.post(
+    '/posts/:id/lock',
+    AuthMiddleware.requireAuth,
+    PostLocksController.update
+  );
+  router.delete(
+    '/posts/:id/lock',
+    AuthMiddleware.requireAuth,
+    PostLocksController.delete
+  );
+
+  //
+  // Reviews
+  //
+  //  GET /api/reviews
+  //  POST /api/reviews
+  //
+  router.get(
+    '/reviews',
+    AuthMiddleware.requireAuth,
+    ReviewsController.index
+  );
+  router.post(
+    '/reviews',
+    AuthMiddleware.requireAuth,
+    ReviewsController.create
+  );
+
   //
   // Revisions
   //
   //  GET /api/revisions
   //  POST /api/revisions
   //  GET /api/revisions/:id
+  //  GET /api/revisions/:id/diff
   //  GET /api/posts/:id/preview
+  //  POST /api/revisions/:id/restore
   //  PUT /api/revisions/:id
   //  DELETE /api/revisions/:id
   //
@@ -179,11 +339,21 @@ module.exports = (app) => {
     AuthMiddleware.requireAuth,
     RevisionsController.read
   );
+  router.get(
+    '/revisions/:id/diff',
+    AuthMiddleware.requireAuth,
+    RevisionsController.diff
+  );
   router.get(
     '/revisions/:id/preview',
     AuthMiddleware.requireAuth,
     RevisionsController.preview
   );
+  router.post(
+    '/revisions/:id/restore',
+    AuthMiddleware.requireAuth,
+    RevisionsController.restore
+  );
   router.put(
     '/revisions/:id',
     AuthMiddleware.requireAuth,
@@ -195,6 +365,39 @@ module.exports = (app) => {
     RevisionsController.delete
   );
 
+  //
+  // Roles
+  //
+  //  GET /api/roles
+  //  POST /api/roles
+  //  PUT /api/roles/:id
+  //  DELETE /api/roles/:id
+  //
+  router.get(
+    '/roles',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('security.manage'),
+    RolesController.index
+  );
+  router.post(
+    '/roles',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('security.manage'),
+    RolesController.create
+  );
+  router.put(
+    '/roles/:id',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('security.manage'),
+    RolesController.update
+  );
+  router.delete(
+    '/roles/:id',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('security.manage'),
+    RolesController.delete
+  );
+
   //
   // Search
   //
@@ -215,16 +418,28 @@ module.exports = (app) => {
   router.get(
     '/settings',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('settings.manage'),
     SettingsController.index
   );
   router.put(
     '/settings',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('settings.manage'),
     SettingsController.update
   );
 
+  //
+  // Static website
+  //
+  //  POST /api/static
+  //
+  router.post(
+    '/static',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireCapability('static.generate'),
+    StaticController.generate
+  );
+
   //
   // Tags
   //
@@ -237,34 +452,57 @@ module.exports = (app) => {
   router.get(
     '/tags',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.index
   );
   router.post(
     '/tags',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.create
   );
   router.get(
     '/tags/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.read
   );
   router.put(
     '/tags/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.update
   );
   router.delete(
     '/tags/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin', 'editor']),
+    AuthMiddleware.requireCapability('tag.manage'),
     TagsController.delete
   );
 
+  //
+  // Trash
+  //
+  //  GET /api/trash
+  //  POST /api/trash/:type/:id/restore
+  //  DELETE /api/trash/:type/:id
+  //
+  router.get(
+    '/trash',
+    AuthMiddleware.requireAuth,
+    TrashController.index
+  );
+  router.post(
+    '/trash/:type/:id/restore',
+    AuthMiddleware.requireAuth,
+    TrashController.restore
+  );
+  router.delete(
+    '/trash/:type/:id',
+    AuthMiddleware.requireAuth,
+    TrashController.delete
+  );
+
   //
   // Uploads
   //
@@ -314,23 +552,33 @@ module.exports = (app) => {
   //  GET /api/users/:id
   //  PUT /api/users/:id
   //  DELETE /api/users/:id
+  //  POST /api/users/:id/two-factor
+  //  POST /api/users/:id/two-factor/enable
+  //  POST /api/users/:id/two-factor/recovery-codes
+  //  DELETE /api/users/:id/two-factor
+  //  GET /api/users/:id/tokens
+  //  POST /api/users/:id/tokens
+  //  DELETE /api/users/:id/tokens/:tokenId
+  //  GET /api/users/:id/sessions
+  //  DELETE /api/users/:id/sessions
+  //  DELETE /api/users/:id/sessions/:sessionId
   //
   router.get(
     '/users',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     UsersController.index
   );
   router.post(
     '/users',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     UsersController.create
   );
   router.get(
     '/users/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     UsersController.read
   );
   router.put(
@@ -343,16 +591,66 @@ module.exports = (app) => {
       }
 
       // Otherwise
-      return AuthMiddleware.requireRole(['owner', 'admin'])(req, res, next);
+      return AuthMiddleware.requireCapability('user.manage')(req, res, next);
     },
     UsersController.update
   );
   router.delete(
     '/users/:id',
     AuthMiddleware.requireAuth,
-    AuthMiddleware.requireRole(['owner', 'admin']),
+    AuthMiddleware.requireCapability('user.manage'),
     UsersController.delete
   );
+  router.post(
+    '/users/:id/two-factor',
+    AuthMiddleware.requireAuth,
+    TwoFactorController.setup
+  );
+  router.post(
+    '/users/:id/two-factor/enable',
+    AuthMiddleware.requireAuth,
+    TwoFactorController.enable
+  );
+  router.post(
+    '/users/:id/two-factor/recovery-codes',
+    AuthMiddleware.requireAuth,
+    TwoFactorController.regenerateRecoveryCodes
+  );
+  router.delete(
+    '/users/:id/two-factor',
+    AuthMiddleware.requireAuth,
+    TwoFactorController.disable
+  );
+  router.get(
+    '/users/:id/tokens',
+    AuthMiddleware.requireAuth,
+    ApiTokensController.index
+  );
+  router.post(
+    '/users/:id/tokens',
+    AuthMiddleware.requireAuth,
+    ApiTokensController.create
+  );
+  router.delete(
+    '/users/:id/tokens/:tokenId',
+    AuthMiddleware.requireAuth,
+    ApiTokensController.delete
+  );
+  router.get(
+    '/users/:id/sessions',
+    AuthMiddleware.requireAuth,
+    SessionsController.index
+  );
+  router.delete(
+    '/users/:id/sessions',
+    AuthMiddleware.requireAuth,
+    SessionsController.deleteAll
+  );
+  router.delete(
+    '/users/:id/sessions/:sessionId',
+    AuthMiddleware.requireAuth,
+    SessionsController.delete
+  );
 
   // Attach the router to the app
   app.use('/' + process.env.APP_API_SLUG, router);
@@ -13,7 +13,9 @@ module.exports = (app) => {
   });
 
   // Router-level middleware
+  const CacheMiddleware = require(Path.join(__basedir, 'source/middleware/cache_middleware.js'));
   const InstallMiddleware = require(Path.join(__basedir, 'source/middleware/install_middleware.js'));
+  const RedirectMiddleware = require(Path.join(__basedir, 'source/middleware/redirect_middleware.js'));
   const ViewMiddleware = require(Path.join(__basedir, 'source/middleware/view_middleware.js'));
 
   // Controllers
@@ -50,7 +52,7 @@ module.exports = (app) => {
   //
 
   // Homepage (can be either the blog index or a custom homepage)
-  router.get('/', (req, res, next) => {
+  router.get('/', CacheMiddleware.cachePage, (req, res, next) => {
     if(app.locals.Settings.homepage) {
       // Homepage
       return PostController.customHomepage(req, res, next);
@@ -61,7 +63,7 @@ module.exports = (app) => {
   });
 
   // Blog at / (only when a custom homepage isn't set)
-  router.get('/' + slugs.page + '/:page', ViewMiddleware.checkPageNumbers, (req, res, next) => {
+  router.get('/' + slugs.page + '/:page', ViewMiddleware.checkPageNumbers, CacheMiddleware.cachePage, (req, res, next) => {
     if(!app.locals.Settings.homepage) {
       return BlogController.view(req, res, next);
     }
@@ -73,7 +75,7 @@ module.exports = (app) => {
   router.get([
     '/' + slugs.blog,
     '/' + slugs.blog + '/' + slugs.page + '/:page'
-  ], ViewMiddleware.checkPageNumbers, (req, res, next) => {
+  ], ViewMiddleware.checkPageNumbers, CacheMiddleware.cachePage, (req, res, next) => {
     if(app.locals.Settings.homepage) {
       return BlogController.view(req, res, next);
     }
@@ -87,10 +89,12 @@ module.exports = (app) => {
   //  GET /author/:username
   //  GET /author/:username/page/:page
   //
+  // Old usernames redirect to the author's current URL.
+  //
   router.get([
     '/' + slugs.author + '/:username',
     '/' + slugs.author + '/:username/' + slugs.page + '/:page'
-  ], ViewMiddleware.checkPageNumbers, AuthorController.view);
+  ], ViewMiddleware.checkPageNumbers, CacheMiddleware.cachePage, AuthorController.view, RedirectMiddleware.redirectOldSlugs('user'));
 
   //
   // Tag
@@ -98,13 +102,15 @@ module.exports = (app) => {
   //  GET /tag/:slug
   //  GET /tag/:slug/page/:page
   //
+  // Old tag slugs redirect to the tag's current URL.
+  //
   router.get([
     '/' + slugs.tag + '/:slug',
     '/' + slugs.tag + '/:slug/' + slugs.page + '/:page'
-  ], ViewMiddleware.checkPageNumbers, TagController.view);
+  ], ViewMiddleware.checkPageNumbers, CacheMiddleware.cachePage, TagController.view, RedirectMiddleware.redirectOldSlugs('tag'));
 
   //
-  // Search
+  // Search (not cached since results depend on the query string)
   //
   //  GET /search
   //  GET /search/page/:page
@@ -119,28 +125,30 @@ module.exports = (app) => {
   //
   //  GET /feed/:format
   //
-  router.get('/' + slugs.feed + '/:format', FeedController.view);
+  router.get('/' + slugs.feed + '/:format', CacheMiddleware.cachePage, FeedController.view);
 
   //
   // Post
   //
   //  GET /:slug
   //
-  router.get('/:slug', PostController.view);
+  // Old post slugs redirect to the post's current URL.
+  //
+  router.get('/:slug', CacheMiddleware.cachePage, PostController.view, RedirectMiddleware.redirectOldSlugs('post'));
 
   //
   // Robots
   //
   //  GET /robot.txt
   //
-  app.use('/robots.txt', RobotsController.view);
+  app.use('/robots.txt', CacheMiddleware.cachePage, RobotsController.view);
 
   //
   // Sitemap
   //
   //  Get /sitemap.xml
   //
-  app.use('/sitemap.xml', SitemapController.view);
+  app.use('/sitemap.xml', CacheMiddleware.cachePage, SitemapController.view);
 
   // Attach the router to the app
   app.use(
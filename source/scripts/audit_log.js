@@ -0,0 +1,102 @@
+/* eslint-env browser, jquery */
+'use strict';
+
+const NProgress = require('nprogress');
+const Promise = require('bluebird');
+
+$(() => {
+
+  //
+  // Gets the current filters.
+  //
+  // Returns an object.
+  //
+  function getFilters() {
+    let filters = {};
+
+    $('#audit-log-filters').serializeArray().forEach((field) => {
+      if(field.value) filters[field.name] = field.value;
+    });
+
+    return filters;
+  }
+
+  //
+  // Gets a list of audit log entries.
+  //
+  //  page* (int) - The page number to fetch.
+  //
+  // Return a promise that resolves with the response object.
+  //
+  function getEntries(page) {
+    return new Promise((resolve, reject) => {
+      let count = $('#audit-log-filters').attr('data-items-per-page');
+
+      // Fetch entries
+      if(entryRequest) entryRequest.abort();
+      entryRequest = $.ajax({
+        url: $('#audit-log-filters').attr('action'),
+        type: 'GET',
+        data: $.extend(getFilters(), {
+          count: count,
+          offset: (page - 1) * count,
+          render: 'auditLogItems'
+        })
+      })
+      .done((res) => {
+        entryRequest = null;
+        currentPage = page;
+        moreEntries = res.totalItems > count * page;
+
+        // Reset the list
+        if(page === 1) $('#entries tbody').html('');
+
+        // Append entries
+        $('#entries tbody').append(res.html);
+
+        // Toggle entries/empty state
+        $('#entries').prop('hidden', res.totalItems === 0);
+        $('#empty').prop('hidden', res.totalItems !== 0);
+
+        resolve(res);
+      })
+      .fail((jqXHR) => reject(jqXHR.responseJSON));
+    });
+  }
+
+  let currentPage = 1;
+  let moreEntries =
+    parseInt($('main').attr('data-total-items')) > parseInt($('#audit-log-filters').attr('data-items-per-page'));
+  let entryRequest;
+  let exportUrl = $('[data-export]').attr('href');
+
+  // Filter
+  $('#audit-log-filters')
+    .on('change', () => {
+      // Export the same entries that are shown
+      $('[data-export]').attr('href', exportUrl + '&' + $.param(getFilters()));
+
+      NProgress.start();
+      getEntries(1)
+        .then(NProgress.done)
+        .catch(NProgress.done);
+    })
+    .on('submit', (event) => event.preventDefault());
+
+  // Infinite scrolling
+  $('main').on('scroll', function() {
+    let div = this;
+    let scrollPos = $(div).scrollTop() + $(div).height();
+    let scrollHeight = div.scrollHeight;
+    let threshold = $(window).height() / 2;
+
+    // Load the next page of entries
+    if(moreEntries && !entryRequest && scrollPos >= scrollHeight - threshold) {
+      NProgress.start();
+      getEntries(currentPage + 1)
+        .then(NProgress.done)
+        .catch(NProgress.done);
+    }
+  });
+
+});
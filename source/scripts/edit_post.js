@@ -9,6 +9,39 @@ const Promise = require('bluebird');
 
 $(() => {
 
+  //
+  // Saves unsaved changes to the user's autosave so they can be recovered if the editor is closed
+  // before saving. Nothing is sent if there are no new changes.
+  //
+  // No return value.
+  //
+  function autosave() {
+    // Posts must be saved once before they can be autosaved
+    if(!postId || !cleanState || !isDirty()) return;
+
+    let state = JSON.stringify(serializePost());
+    if(state === autosaveState) return;
+
+    $.ajax({
+      url: autosaveAction.replace(':id', postId),
+      type: 'PUT',
+      data: {
+        post: state,
+        'updated-at': updatedAt
+      },
+      dataType: 'json'
+    })
+      .done((res) => {
+        autosaveState = state;
+
+        // Let the user know once if someone else has saved the post in the meantime
+        if(res.conflict && !autosaveConflictShown) {
+          autosaveConflictShown = true;
+          $.announce.warning(autosaveConflict);
+        }
+      });
+  }
+
   //
   // Disables or enables the toolbar.
   //
@@ -319,6 +352,7 @@ $(() => {
       onReady: () => {
         makeClean();
         titleEditor.focus();
+        recoverAutosave();
       }
     });
 
@@ -338,6 +372,7 @@ $(() => {
         disableToolbar(false);
         updateToolbar();
         updateWordCount();
+        recoverAutosave();
       }
     });
   }
@@ -383,6 +418,75 @@ $(() => {
     cleanState = JSON.stringify(serializePost());
   }
 
+  //
+  // Offers to recover unsaved changes from the user's autosave. Runs once both editors are ready.
+  // Declined changes are discarded.
+  //
+  // No return value.
+  //
+  function recoverAutosave() {
+    let data = autosaveData;
+
+    if(!data || !titleEditor.isReady || !contentEditor.isReady) return;
+    autosaveData = null;
+
+    $.alertable.confirm(autosavePrompt)
+      .then(() => {
+        let publishedAt = (data['published-at'] || '').split(' ');
+
+        // Restore the title and content. The post stays dirty until it's saved.
+        if(typeof data.title === 'string') titleEditor.setContent(data.title);
+        if(typeof data.content === 'string') contentEditor.setContent(data.content);
+
+        // Restore settings
+        $('#slug').val(data.slug).trigger('change');
+        $('#pub-date').val(publishedAt[0]);
+        $('#pub-time').val(publishedAt[1]);
+        $('#template').val(data.template).trigger('change');
+        $('#author').val(data['user-id']);
+        $('#meta-title').val(data['meta-title']).trigger('change');
+        $('#meta-description').val(data['meta-description']).trigger('change');
+        $('#image').val(data.image).trigger('change');
+        $('#is-featured').prop('checked', data['is-featured'] === true);
+        $('#is-sticky').prop('checked', data['is-sticky'] === true);
+        $('#is-page').prop('checked', data['is-page'] === true);
+        if(Array.isArray(data.tags)) $('#tags').get(0).selectize.setValue(data.tags);
+
+        // Skip statuses the user can no longer choose
+        if($('#status option').filter((index, option) => option.value === data.status).length) {
+          $('#status').val(data.status);
+        }
+
+        if($('#reviewer').length && typeof data['reviewer-id'] !== 'undefined') {
+          $('#reviewer').val(data['reviewer-id']);
+        }
+
+        if($('#coauthors').length && Array.isArray(data['author-ids'])) {
+          $('#coauthors').get(0).selectize.setValue(data['author-ids'].slice(1));
+        }
+
+        // Custom fields
+        $.each(data.fields || {}, (key, value) => {
+          let input = $('[data-custom-field="' + key + '"]').find('[name="fields[' + key + ']"]').last();
+
+          if(input.is(':checkbox')) {
+            input.prop('checked', value === true);
+          } else {
+            input.val(value).trigger('change');
+          }
+        });
+
+        // Render the post with the recovered settings
+        return loadPreview(serializePost());
+      }, () => {
+        // Discard the changes
+        $.ajax({
+          url: autosaveAction.replace(':id', postId),
+          type: 'DELETE'
+        });
+      });
+  }
+
   //
   // Renders a preview using the specified post data and hot swaps the page in the editor.
   //
@@ -452,23 +556,45 @@ $(() => {
   }
 
   //
-  // Saves changes.
+  // Saves changes. Users are asked for a reason when they reject a post.
+  //
+  //  reviewMessage (string) - A note for the review thread, e.g. the reason for a rejection.
   //
-  function save() {
+  function save(reviewMessage) {
+    let data = serializePost();
+
+    // Ask for a reason before rejecting the post
+    if(typeof reviewMessage !== 'string' && data.status === 'rejected' && savedStatus !== 'rejected') {
+      $.alertable.prompt(rejectionPrompt).then((values) => save(values.value));
+      return;
+    }
+
+    if(typeof reviewMessage === 'string') data['review-message'] = reviewMessage;
+
+    // Don't save over someone who's editing the post
+    if(isLockedByOther) {
+      $.announce.warning($('#edit-lock .edit-lock-message').text());
+      return;
+    }
+
+    // Reject the changes if someone else saves the post first
+    if(postId && updatedAt) data['updated-at'] = updatedAt;
+
     NProgress.start();
 
     // Clear error states
     $('.form-group').removeClass('has-warning');
 
     $.ajax({
-      url: postId ? updateAction.replace(':id', postId) : createAction,
+      url: postId ? updateAction.replace(':id', postId) + '?render=revisionComparison' : createAction,
       type: postId ? 'PUT' : 'POST',
-      data: serializePost(),
+      data: data,
       dataType: 'json'
     })
       .done((res) => {
         // Reset dirty state
         makeClean();
+        savedStatus = data.status;
 
         if(res.post) {
           // Show a success message
@@ -477,17 +603,32 @@ $(() => {
 
           // Set post ID for future saves
           postId = res.post.id;
+
+          // Saving replaces the autosave
+          updatedAt = res.post.updatedAt;
+          autosaveState = null;
+
+          // Lock new posts once they've been created
+          updateLock(false);
         }
 
         // Update the toolbar
         updateToolbar();
 
-        // Update the revisions table
+        // Update the revisions table and review thread
         updateRevisionsTable(true);
+        updateReviewThread();
       })
       .fail((jqXHR) => {
         let res = jqXHR.responseJSON;
 
+        // Someone else saved the post, so show what changed
+        if(jqXHR.status === 409 && res.post) {
+          $('#conflict-comparison').html(res.html);
+          $('#conflict-panel').data('updatedAt', res.post.updatedAt).panel('show');
+          return;
+        }
+
         // Show error states
         if(res.invalid) {
           for(let i in res.invalid) {
@@ -509,7 +650,7 @@ $(() => {
   // Returns an object.
   //
   function serializePost() {
-    return {
+    let data = {
       title: titleEditor.isReady ? titleEditor.getContent() : null,
       content: contentEditor.isReady ? contentEditor.getContent() : null,
       slug: $('#slug').val() || Postleaf.Slug(titleEditor.getContent()),
@@ -525,6 +666,29 @@ $(() => {
       'meta-description': $('#meta-description').val(),
       image: $('#image').val()
     };
+
+    // Custom fields declared by the theme
+    if($('[data-custom-field]').length) {
+      data.fields = {};
+
+      $('[data-custom-field]').each(function() {
+        let key = $(this).attr('data-custom-field');
+        // Checkboxes come after their hidden fallback
+        let input = $(this).find('[name="fields[' + key + ']"]').last();
+
+        data.fields[key] = input.is(':checkbox') ? input.prop('checked') : input.val();
+      });
+    }
+
+    // Only users who can publish can assign reviewers
+    if($('#reviewer').length) data['reviewer-id'] = $('#reviewer').val();
+
+    // Only users who can edit others' posts can assign co-authors
+    if($('#coauthors').length) {
+      data['author-ids'] = [data['user-id']].concat($('#coauthors').get(0).selectize.items);
+    }
+
+    return data;
   }
 
   //
@@ -596,6 +760,52 @@ $(() => {
     $(frameDoc.body).attr('data-theme', theme);
   }
 
+  //
+  // Shows the custom fields that apply to the selected template and hides the rest.
+  //
+  // No return value.
+  //
+  function updateCustomFields() {
+    let template = $('#template').val() || '';
+
+    $('[data-custom-field][data-templates]').each(function() {
+      let templates = JSON.parse($(this).attr('data-templates') || '[]');
+      $(this).prop('hidden', !templates.includes(template));
+    });
+  }
+
+  //
+  // Locks the post so other users know it's being edited, or keeps the lock alive. A notice is
+  // shown instead if someone else is editing the post.
+  //
+  //  takeOver (boolean) - Set to true to take the lock from another user.
+  //
+  // No return value.
+  //
+  function updateLock(takeOver) {
+    // New posts can't be locked until they're saved
+    if(!postId) return;
+
+    $.ajax({
+      url: lockAction.replace(':id', postId),
+      type: 'POST',
+      data: takeOver ? { 'take-over': 'true' } : {},
+      dataType: 'json'
+    })
+      .done(() => {
+        isLockedByOther = false;
+        $('#edit-lock').prop('hidden', true);
+      })
+      .fail((jqXHR) => {
+        if(jqXHR.status === 409 && jqXHR.responseJSON) {
+          isLockedByOther = true;
+          $('#edit-lock')
+            .find('.edit-lock-message').text(jqXHR.responseJSON.message).end()
+            .prop('hidden', false);
+        }
+      });
+  }
+
   //
   // Refreshes the revision table and its empty state based on the number of items.
   //
@@ -633,6 +843,67 @@ $(() => {
     });
   }
 
+  //
+  // Loads the comparison between the revision in the revision panel and another version of the post.
+  //
+  // Returns a promise that resolves when the comparison has been loaded.
+  //
+  function updateRevisionComparison() {
+    let panel = $('#revision-panel');
+    let url = panel.attr('data-diff-action').replace(':id', panel.data('revisionId'));
+
+    return new Promise((resolve, reject) => {
+      $('#revision-comparison').addClass('loading');
+
+      $.ajax({
+        url: url,
+        type: 'GET',
+        data: {
+          against: $('#revision-against').val() || undefined,
+          render: 'revisionComparison'
+        }
+      })
+        .done((res) => {
+          $('#revision-comparison').html(res.html);
+          resolve();
+        })
+        .fail((jqXHR) => reject(jqXHR.responseJSON))
+        .always(() => $('#revision-comparison').removeClass('loading'));
+    });
+  }
+
+  //
+  // Reloads the review thread and shows the comment form once the post has been saved.
+  //
+  // Returns a promise that resolves when the thread has been updated.
+  //
+  function updateReviewThread() {
+    return new Promise((resolve, reject) => {
+      $('.review-comment').prop('hidden', !postId);
+
+      // New posts don't have a review thread yet
+      if(!postId) return resolve();
+
+      $.ajax({
+        url: reviewAction,
+        type: 'GET',
+        data: {
+          postId: postId,
+          render: 'reviewThread'
+        }
+      })
+        .done((res) => {
+          // Update the HTML
+          if(res.html) {
+            $('#review-thread').html(res.html);
+          }
+
+          resolve();
+        })
+        .fail((jqXHR) => reject(jqXHR.responseJSON));
+    });
+  }
+
   //
   // Updates the toolbar by toggling enabled states for buttons and dropdowns.
   //
@@ -733,18 +1004,32 @@ $(() => {
   }
 
   let changesSaved = $('#editor-frame').attr('data-changes-saved');
+  let autosaveAction = $('#editor-frame').attr('data-autosave-action');
+  let autosaveConflict = $('#editor-frame').attr('data-autosave-conflict');
+  let autosaveData = JSON.parse($('#editor-frame').attr('data-autosave') || 'null');
+  let autosavePrompt = ($('#editor-frame').attr('data-autosave-prompt') || '')
+    .replace(':date', $('#editor-frame').attr('data-autosave-date'));
   let createAction = $('#editor-frame').attr('data-create-action');
   let embedAction = $('#editor-frame').attr('data-embed-action');
   let linkSuggestions = JSON.parse($('#editor-frame').attr('data-link-suggestions'));
+  let lockAction = $('#editor-frame').attr('data-lock-action');
   let postId = $('#editor-frame').attr('data-post-id');
   let postCreated = $('#editor-frame').attr('data-post-created');
   let previewAction = $('#editor-frame').attr('data-preview-action');
+  let rejectionNotice = $('#editor-frame').attr('data-rejection-notice');
+  let rejectionPrompt = $('#editor-frame').attr('data-rejection-prompt');
+  let reviewAction = $('#editor-frame').attr('data-review-action');
   let revisionTableAction = $('#editor-frame').attr('data-revision-table-action');
   let updateAction = $('#editor-frame').attr('data-update-action');
+  let updatedAt = JSON.parse($('#editor-frame').attr('data-updated-at') || 'null');
   let uploadAction = $('#editor-frame').attr('data-upload-action');
   let wordCount = Cookie.get('wordCount') === 'true';
   let zenMode = false;
+  let savedStatus = $('#status').val();
+  let autosaveConflictShown = false;
+  let autosaveState;
   let cleanState;
+  let isLockedByOther = !$('#edit-lock').prop('hidden');
   let contentEditor;
   let dropzoneTimeout;
   let frameDoc;
@@ -753,6 +1038,19 @@ $(() => {
 
   // Initial load
   updateRevisionsTable(true);
+  updateReviewThread();
+
+  // Autosave unsaved changes periodically
+  setInterval(autosave, 15000);
+
+  // Lock the post and keep the lock alive while the editor is open
+  updateLock(false);
+  setInterval(() => updateLock(false), 30000);
+
+  // Let the author know why the post was rejected
+  if(rejectionNotice) {
+    $.announce.warning(rejectionNotice);
+  }
 
   // Enable image controls
   $('.image-control')
@@ -816,6 +1114,10 @@ $(() => {
     this.value = Postleaf.Slug(this.value);
   });
 
+  // Show custom fields for the selected template
+  $('#template').on('change', updateCustomFields);
+  updateCustomFields();
+
   // Re-render the post when settings are changed
   $('#settings-panel')
     .on('show.panel', function() {
@@ -849,6 +1151,17 @@ $(() => {
     highlight: false
   });
 
+  // Initialize selectize control for co-authors. They're listed in the order they're added.
+  $('#coauthors').selectize({
+    items: JSON.parse($('#coauthors').attr('data-current-coauthors') || '[]'),
+    options: JSON.parse($('#coauthors').attr('data-all-authors') || '[]'),
+    valueField: 'id',
+    labelField: 'name',
+    searchField: ['username', 'name'],
+    delimiter: ',',
+    highlight: false
+  });
+
   // Enable typeahead on each input
   $('[data-autocomplete="links"]').typeahead({
     hint: false,
@@ -958,6 +1271,87 @@ $(() => {
     });
   });
 
+  // Compare revisions
+  $(document).on('click', '[data-compare-revision]', function() {
+    let revisionId = $(this).attr('data-compare-revision');
+    let select = $('#revision-against');
+
+    // List the other revisions to compare to
+    select.find('option:not(:first-child)').remove();
+    $('#revisions').find('tr[data-revision-id]').each(function() {
+      if($(this).attr('data-revision-id') === revisionId) return;
+
+      $('<option>')
+        .val($(this).attr('data-revision-id'))
+        .text($(this).attr('data-revision-label'))
+        .appendTo(select);
+    });
+    select.val('');
+
+    $('#revision-comparison').html('');
+    $('#revision-panel').data('revisionId', revisionId).panel('show');
+    updateRevisionComparison();
+  });
+
+  // Change the version to compare to
+  $('#revision-against').on('change', updateRevisionComparison);
+
+  // Restore revisions
+  $('[data-restore-revision]').on('click', function() {
+    let panel = $('#revision-panel');
+    let confirm = $(this).attr('data-confirm');
+    let url = panel.attr('data-restore-action').replace(':id', panel.data('revisionId'));
+
+    $.alertable.confirm(confirm).then(() => {
+      NProgress.start();
+
+      $.ajax({
+        url: url,
+        type: 'POST'
+      })
+        .done(() => {
+          // Reload the editor with the restored post
+          makeClean();
+          location.reload();
+        })
+        .fail((jqXHR) => {
+          NProgress.done();
+
+          if(jqXHR.responseJSON && jqXHR.responseJSON.message) {
+            $.announce.warning(jqXHR.responseJSON.message);
+          }
+        });
+    });
+  });
+
+  // Add review comments
+  $('[data-add-review-comment]').on('click', () => {
+    let message = $('#review-comment').val();
+
+    if(!message.trim()) return;
+
+    NProgress.start();
+    $.ajax({
+      url: reviewAction,
+      type: 'POST',
+      data: {
+        'post-id': postId,
+        message: message
+      },
+      dataType: 'json'
+    })
+      .done(() => {
+        $('#review-comment').val('');
+        updateReviewThread();
+      })
+      .fail((jqXHR) => {
+        if(jqXHR.responseJSON && jqXHR.responseJSON.message) {
+          $.announce.warning(jqXHR.responseJSON.message);
+        }
+      })
+      .always(() => NProgress.done());
+  });
+
   //////////////////////////////////////////////////////////////////////////////////////////////////
   // Editor commands
   //////////////////////////////////////////////////////////////////////////////////////////////////
@@ -1028,6 +1422,27 @@ $(() => {
   // Save button
   $('[data-save]').on('click', save);
 
+  // Take over editing from another user
+  $('[data-take-over]').on('click', () => updateLock(true));
+
+  // Save over someone else's changes
+  $('[data-overwrite]').on('click', () => {
+    updatedAt = $('#conflict-panel').data('updatedAt');
+    $('#conflict-panel').panel('hide');
+    save();
+  });
+
+  // Unlock the post when leaving the editor
+  $(window).on('pagehide', () => {
+    if(postId && !isLockedByOther) {
+      fetch(lockAction.replace(':id', postId), {
+        method: 'DELETE',
+        credentials: 'same-origin',
+        keepalive: true
+      });
+    }
+  });
+
   // Watch for unsaved changes
   window.onbeforeunload = () => {
     if(cleanState && isDirty()) {
@@ -69,6 +69,190 @@ $(() => {
   // Save button
   $('[data-save]').on('click', () => $('#user-form').submit());
 
+  //
+  // Sends a two-factor or API token request and handles errors.
+  //
+  //  button* (element) - The button that triggered the request.
+  //  options* (object) - Options to pass to $.ajax. Unless a URL is set, it's taken from the
+  //    `action` attribute of the `section` element (default #two-factor).
+  //
+  // Returns a jqXHR object.
+  //
+  function securityRequest(button, options) {
+    NProgress.start();
+    $(button).prop('disabled', true);
+
+    let section = $(options.section || '#two-factor');
+
+    return $.ajax($.extend({
+      url: options.url || section.attr(options.action).replace(':id', userId),
+      dataType: 'json',
+      cache: false
+    }, options))
+      .fail((jqXHR) => {
+        let res = jqXHR.responseJSON;
+
+        // Show error message
+        if(res && res.message) {
+          $.announce.warning(res.message);
+        }
+      })
+      .always(() => {
+        NProgress.done();
+        $(button).prop('disabled', false);
+      });
+  }
+
+  // Shows recovery codes. They won't be shown again, so they stay visible until the user is done.
+  function showRecoveryCodes(codes) {
+    $('#two-factor').children().prop('hidden', true);
+    $('[data-recovery-codes-list]').text(codes.join('\n'));
+    $('[data-recovery-codes]').prop('hidden', false);
+  }
+
+  // Start setting up two-factor authentication
+  $('[data-setup-two-factor]').on('click', function() {
+    securityRequest(this, { action: 'data-setup-action', type: 'POST' })
+      .done((res) => {
+        $('[data-two-factor-qr-code]').html(res.qrCode);
+        $('[data-two-factor-uri]').attr('href', res.uri);
+        $('[data-two-factor-secret]').text(res.secret.replace(/(.{4})/g, '$1 ').trim());
+        $('[data-two-factor-start]').prop('hidden', true);
+        $('[data-two-factor-setup]').prop('hidden', false);
+        $('#two-factor-verify-code').focus();
+      });
+  });
+
+  // Verify a code to enable two-factor authentication
+  $('[data-enable-two-factor]').on('click', function() {
+    securityRequest(this, {
+      action: 'data-enable-action',
+      type: 'POST',
+      data: { code: $('#two-factor-verify-code').val() }
+    }).done((res) => showRecoveryCodes(res.recoveryCodes));
+  });
+
+  // Generate new recovery codes
+  $('[data-regenerate-recovery-codes]').on('click', function() {
+    securityRequest(this, {
+      action: 'data-recovery-codes-action',
+      type: 'POST',
+      data: { code: $('#two-factor-code').val() }
+    }).done((res) => showRecoveryCodes(res.recoveryCodes));
+  });
+
+  // Disable two-factor authentication
+  $('[data-disable-two-factor]').on('click', function() {
+    let button = this;
+
+    $.alertable.confirm($('#two-factor').attr('data-disable-confirmation')).then(() => {
+      securityRequest(button, {
+        action: 'data-disable-action',
+        type: 'DELETE',
+        data: { code: $('#two-factor-code').val() }
+      }).done(() => {
+        $.announce
+          .success($('#two-factor').attr('data-disabled-message'))
+          .then(() => location.reload());
+      });
+    });
+  });
+
+  // Reload to show the new two-factor status
+  $('[data-recovery-codes-done]').on('click', () => location.reload());
+
+  // Create an API token
+  $('[data-create-api-token]').on('click', function() {
+    securityRequest(this, {
+      section: '#api-tokens',
+      action: 'data-create-action',
+      type: 'POST',
+      data: {
+        name: $('#api-token-name').val(),
+        scopes: $('[data-api-token-scopes] :checked').map(function() {
+          return this.value;
+        }).get(),
+        expires: $('#api-token-expires').val()
+      }
+    }).done((res) => {
+      // Show the token until the user is done copying it
+      $('#api-tokens').children().prop('hidden', true);
+      $('[data-new-api-token-value]').text(res.token);
+      $('[data-new-api-token]').prop('hidden', false);
+    });
+  });
+
+  // Revoke an API token
+  $('[data-delete-api-token]').on('click', function() {
+    let button = this;
+    let url = $('#api-tokens').attr('data-delete-action')
+      .replace(':id', userId)
+      .replace(':tokenId', $(button).attr('data-delete-api-token'));
+
+    $.alertable.confirm($('#api-tokens').attr('data-delete-confirmation')).then(() => {
+      securityRequest(button, {
+        url: url,
+        type: 'DELETE'
+      }).done(() => {
+        $(button).closest('tr').remove();
+        $.announce.success($('#api-tokens').attr('data-deleted-message'));
+      });
+    });
+  });
+
+  // Reload to show the new API token
+  $('[data-new-api-token-done]').on('click', () => location.reload());
+
+  // Revoke a session
+  $('[data-delete-session]').on('click', function() {
+    let button = this;
+    let url = $('#sessions').attr('data-delete-action')
+      .replace(':id', userId)
+      .replace(':sessionId', $(button).attr('data-delete-session'));
+
+    securityRequest(button, { url: url, type: 'DELETE' }).done(() => {
+      // Revoking the current session signs the user out
+      if($(button).is('[data-current]')) {
+        location.href = $('#sessions').attr('data-login-url');
+        return;
+      }
+
+      $(button).closest('tr').remove();
+      $.announce.success($('#sessions').attr('data-deleted-message'));
+    });
+  });
+
+  // Sign out everywhere
+  $('[data-delete-all-sessions]').on('click', function() {
+    let button = this;
+
+    $.alertable.confirm($('#sessions').attr('data-delete-all-confirmation')).then(() => {
+      securityRequest(button, {
+        section: '#sessions',
+        action: 'data-delete-all-action',
+        type: 'DELETE'
+      }).done(() => {
+        // The current session is revoked too when signing out of your own account
+        if($('#sessions [data-current]').length) {
+          location.href = $('#sessions').attr('data-login-url');
+          return;
+        }
+
+        $('#sessions tbody').empty();
+        $.announce.success($('#sessions').attr('data-deleted-all-message'));
+      });
+    });
+  });
+
+  // Keep ENTER from submitting the user form while entering codes
+  $('#two-factor-code, #two-factor-verify-code, #api-token-name').on('keydown', function(event) {
+    if(event.keyCode === 13) {
+      event.preventDefault();
+      if(this.id === 'two-factor-verify-code') $('[data-enable-two-factor]').trigger('click');
+      if(this.id === 'api-token-name') $('[data-create-api-token]').trigger('click');
+    }
+  });
+
   // Update hash on tab change
   $('#sidebar').find('[data-toggle="tab"]').on('show.bs.tab', function() {
     let href = this.href;
@@ -6,12 +6,94 @@ const NProgress = require('nprogress');
 $(() => {
 
   let redirect = $('#login-form').attr('data-redirect');
+  let unlockToken = $('#login-form').attr('data-unlock-token');
+  let error = $('#login-form').attr('data-error');
+
+  // Show why single sign-on didn't work
+  if(error) {
+    $.announce.warning(error);
+
+    // Remove the error from the URL
+    window.history.replaceState({}, '', location.pathname);
+  }
+
+  // Unlock the account when following the link from a lockout email
+  if(unlockToken) {
+    NProgress.start();
+    $.ajax({
+      url: $('#login-form').attr('data-unlock-action'),
+      type: 'POST',
+      data: {
+        id: $('#login-form').attr('data-unlock-id'),
+        token: unlockToken
+      },
+      dataType: 'json'
+    })
+      .done((res) => $.announce.success(res.message))
+      .fail((jqXHR) => {
+        if(jqXHR.responseJSON && jqXHR.responseJSON.message) {
+          $.announce.warning(jqXHR.responseJSON.message);
+        }
+      })
+      .always(() => {
+        NProgress.done();
+
+        // Remove the token from the URL
+        window.history.replaceState({}, '', location.pathname);
+      });
+  }
+
+  // Ask for a two-factor code after single sign-on
+  if($('#two-factor-token').val()) {
+    $('#code').focus();
+  }
 
   // Handle the form
   $('#login-form').ajaxSubmit({
     before: NProgress.start,
     after: NProgress.done,
-    error: () => $('#login-form').animateCSS('shake'),
+    error: (res) => {
+      // Show why the attempt was throttled
+      if(res.retryAfter || res.locked) {
+        $.announce.warning(res.message);
+      }
+
+      $('#login-form').animateCSS('shake');
+    },
+    success: (res) => {
+      // Ask for a two-factor code
+      if(res.twoFactorRequired) {
+        $('#two-factor-token').val(res.twoFactorToken);
+        $('#login-form').prop('hidden', true);
+        $('#two-factor-form').prop('hidden', false);
+        $('#code').val('').focus();
+        return;
+      }
+
+      location.href = redirect;
+    }
+  });
+
+  // Handle the two-factor form
+  $('#two-factor-form').ajaxSubmit({
+    before: NProgress.start,
+    after: NProgress.done,
+    error: (res) => {
+      // Show why the attempt was throttled
+      if(res.retryAfter || res.locked) {
+        $.announce.warning(res.message);
+      }
+
+      // Start over if the two-factor token expired
+      if(res.expired) {
+        $.announce.warning(res.message);
+        $('#two-factor-form').prop('hidden', true);
+        $('#login-form').prop('hidden', false);
+        $('#password').val('').focus();
+      }
+
+      $(res.expired ? '#login-form' : '#two-factor-form').animateCSS('shake');
+    },
     success: () => location.href = redirect
   });
 
@@ -21,6 +21,7 @@ $(() => {
       let offset = (page - 1) * count;
       let status = [];
       let flag = [];
+      let needsReview = $('[data-filter="queue"] :checkbox').prop('checked');
 
       // Filter by statuses
       $('[data-filter="status"] :checkbox').each(function() {
@@ -33,7 +34,7 @@ $(() => {
       });
 
       // Set a cookie to remember post filters
-      Cookie.set('postFilters', [].concat(status, flag).join(','));
+      Cookie.set('postFilters', [].concat(status, flag, needsReview ? 'needsReview' : []).join(','));
 
       // Unset filters if none are enabled
       status = status.length ? status.join(',') : undefined;
@@ -48,6 +49,7 @@ $(() => {
           search: search,
           status: status,
           flag: flag,
+          'needs-review': needsReview ? 'true' : undefined,
           count: count,
           offset: offset,
           render: 'postItems'
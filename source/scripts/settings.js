@@ -68,6 +68,40 @@ $(() => {
     location.href = action + '?' + options.join('&');
   });
 
+  // Make an automatic backup now
+  $('[data-create-archive]').on('click', function() {
+    let button = this;
+
+    NProgress.start();
+    $(button).prop('disabled', true);
+    $.ajax({
+      url: $(button).attr('data-action'),
+      type: 'POST',
+      dataType: 'json',
+      cache: false
+    })
+      .done((res) => {
+        // Show success message and reload to update the list
+        if(res.message) {
+          $.announce
+            .success(res.message)
+            .then(() => location.reload());
+        }
+      })
+      .fail((jqXHR) => {
+        let res = jqXHR.responseJSON;
+
+        // Show error message
+        if(res && res.message) {
+          $.announce.warning(res.message);
+        }
+      })
+      .always(() => {
+        NProgress.done();
+        $(button).prop('disabled', false);
+      });
+  });
+
   // Restore a backup
   $('[data-restore-backup]').on('change', function(event) {
     let input = this;
@@ -119,6 +153,150 @@ $(() => {
       });
   });
 
+  // Import from another platform
+  $('[data-import]').on('change', function(event) {
+    let input = this;
+    let action = $(input).attr('data-action');
+    let formData = new FormData();
+
+    // Append the file and import options
+    formData.append('file', event.target.files[0]);
+    formData.append('site-url', $('#import-site-url').val());
+    formData.append('render', 'importReport');
+    $('[data-import-options] :input').each(function() {
+      formData.append(this.value, $(this).prop('checked'));
+    });
+
+    // Upload the export
+    NProgress.start();
+    $('[data-import-report]').prop('hidden', true).html('');
+    $.ajax({
+      url: action,
+      type: 'POST',
+      data: formData,
+      dataType: 'json',
+      contentType: false,
+      processData: false,
+      cache: false,
+      progress: function(event) {
+        if(event.lengthComputable) {
+          // 50% when the upload completes
+          NProgress.set(event.loaded / event.total * .5);
+        }
+      }
+    })
+      .done((res) => {
+        // Show the report
+        $('[data-import-report]').html(res.html).prop('hidden', false);
+
+        if(res.message) {
+          $.announce.success(res.message);
+        }
+      })
+      .fail((jqXHR) => {
+        let res = jqXHR.responseJSON;
+
+        // Show error message
+        if(res && res.message) {
+          $.announce.warning(res.message);
+        }
+      })
+      .always(() => {
+        // 100% when the import completes
+        NProgress.done();
+
+        // Reset the input
+        $(input).val('');
+      });
+  });
+
+  // Sends a request to create, update, or delete a role
+  function roleRequest(button, options) {
+    NProgress.start();
+    $(button).prop('disabled', true);
+
+    return $.ajax($.extend({
+      dataType: 'json',
+      cache: false
+    }, options))
+      .fail((jqXHR) => {
+        let res = jqXHR.responseJSON;
+
+        // Show error message
+        if(res && res.message) {
+          $.announce.warning(res.message);
+        }
+      })
+      .always(() => {
+        NProgress.done();
+        $(button).prop('disabled', false);
+      });
+  }
+
+  // Resets the role form so it creates a new role
+  function resetRoleForm() {
+    $('[data-role-form]').removeAttr('data-role-id');
+    $('#role-name').val('');
+    $('[data-role-capabilities] :checkbox').prop('checked', false);
+    $('[data-cancel-role]').prop('hidden', true);
+  }
+
+  // Edit a custom role
+  $('[data-edit-role]').on('click', function() {
+    let capabilities = ($(this).attr('data-capabilities') || '').split(',');
+
+    $('[data-role-form]').attr('data-role-id', $(this).attr('data-edit-role'));
+    $('#role-name').val($(this).attr('data-name')).focus();
+    $('[data-role-capabilities] :checkbox').each(function() {
+      $(this).prop('checked', capabilities.includes(this.value));
+    });
+    $('[data-cancel-role]').prop('hidden', false);
+  });
+
+  // Stop editing a role
+  $('[data-cancel-role]').on('click', resetRoleForm);
+
+  // Create or update a role
+  $('[data-save-role]').on('click', function() {
+    let id = $('[data-role-form]').attr('data-role-id');
+    let capabilities = $('[data-role-capabilities] :checked').map(function() {
+      return this.value;
+    }).get();
+
+    roleRequest(this, {
+      url: id ?
+        $('#roles').attr('data-update-action').replace(':id', encodeURIComponent(id)) :
+        $('#roles').attr('data-create-action'),
+      type: id ? 'PUT' : 'POST',
+      data: {
+        name: $('#role-name').val(),
+        // Empty arrays aren't sent, so send an empty string to remove all capabilities
+        capabilities: capabilities.length ? capabilities : ''
+      }
+    }).done(() => {
+      $.announce
+        .success($('#roles').attr('data-saved-message'))
+        .then(() => location.reload());
+    });
+  });
+
+  // Delete a custom role
+  $('[data-delete-role]').on('click', function() {
+    let button = this;
+    let url = $('#roles').attr('data-delete-action')
+      .replace(':id', encodeURIComponent($(button).attr('data-delete-role')));
+
+    $.alertable.confirm($('#roles').attr('data-delete-confirmation')).then(() => {
+      roleRequest(button, {
+        url: url,
+        type: 'DELETE'
+      }).done(() => {
+        $(button).closest('tr').remove();
+        $.announce.success($('#roles').attr('data-deleted-message'));
+      });
+    });
+  });
+
   // Handle the form
   $('#settings-form').ajaxSubmit({
     before: NProgress.start,
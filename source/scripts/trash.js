@@ -0,0 +1,132 @@
+/* eslint-env browser, jquery */
+'use strict';
+
+const NProgress = require('nprogress');
+const Promise = require('bluebird');
+
+$(() => {
+
+  //
+  // Gets a list of items in the trash.
+  //
+  //  page* (int) - The page number to fetch.
+  //
+  // Return a promise that resolves with the response object.
+  //
+  function getItems(page) {
+    return new Promise((resolve, reject) => {
+      let count = $('#trash-filters').attr('data-items-per-page');
+
+      // Fetch items
+      if(itemRequest) itemRequest.abort();
+      itemRequest = $.ajax({
+        url: $('#trash-filters').attr('action'),
+        type: 'GET',
+        data: {
+          type: $('#trash-filters [name="type"]').val(),
+          count: count,
+          offset: (page - 1) * count,
+          render: 'trashItems'
+        }
+      })
+      .done((res) => {
+        itemRequest = null;
+        currentPage = page;
+        moreItems = res.totalItems > count * page;
+
+        // Reset the list
+        if(page === 1) $('#items tbody').html('');
+
+        // Append items
+        $('#items tbody').append(res.html);
+
+        // Toggle items/empty state
+        $('#items').prop('hidden', res.totalItems === 0);
+        $('#empty').prop('hidden', res.totalItems !== 0);
+
+        resolve(res);
+      })
+      .fail((jqXHR) => reject(jqXHR.responseJSON));
+    });
+  }
+
+  //
+  // Removes an item from the list after it's been restored or deleted.
+  //
+  //  row* (element) - The item's table row.
+  //
+  function removeItem(row) {
+    $(row).animateCSS('fadeOut', 300, function() {
+      $(this).remove();
+
+      // Show the empty state when the last item is gone
+      let isEmpty = $('#items tbody tr').length === 0;
+      $('#items').prop('hidden', isEmpty);
+      $('#empty').prop('hidden', !isEmpty);
+    });
+  }
+
+  let currentPage = 1;
+  let moreItems =
+    parseInt($('main').attr('data-total-items')) > parseInt($('#trash-filters').attr('data-items-per-page'));
+  let itemRequest;
+
+  // Filter
+  $('#trash-filters')
+    .on('change', () => {
+      NProgress.start();
+      getItems(1)
+        .then(NProgress.done)
+        .catch(NProgress.done);
+    })
+    .on('submit', (event) => event.preventDefault());
+
+  // Restore
+  $('#items').on('click', '[data-restore]', function() {
+    let row = $(this).closest('tr');
+
+    NProgress.start();
+    $.ajax({
+      url: $(this).attr('data-action'),
+      type: 'POST'
+    })
+    .done(() => removeItem(row))
+    .fail((jqXHR) => $.announce.warning(jqXHR.responseJSON.message))
+    .always(NProgress.done);
+  });
+
+  // Delete permanently
+  $('#items').on('click', '[data-delete]', function() {
+    let row = $(this).closest('tr');
+    let url = $(this).attr('data-action');
+
+    // Quick confirmation
+    $.alertable.confirm($('main').attr('data-delete-confirm')).then(() => {
+      NProgress.start();
+      $.ajax({
+        url: url,
+        type: 'DELETE'
+      })
+      .done(() => removeItem(row))
+      .fail((jqXHR) => $.announce.warning(jqXHR.responseJSON.message))
+      .always(NProgress.done);
+    });
+  });
+
+  // Infinite scrolling
+  $('main').on('scroll', function() {
+    let div = this;
+    let scrollPos = $(div).scrollTop() + $(div).height();
+    let scrollHeight = div.scrollHeight;
+    let threshold = $(window).height() / 2;
+
+    // Load the next page of items
+    if(moreItems && !itemRequest && scrollPos >= scrollHeight - threshold) {
+      NProgress.start();
+      getItems(currentPage + 1)
+        .then(NProgress.done)
+        .catch(NProgress.done);
+    }
+  });
+
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const AuditController = require(Path.join(__basedir, 'source/controllers/api/audit_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('AuditController', () => {
+  let db;
+  let admin;
+  let editor;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => Promise.all([
+        TestDatabase.createUser(db.models, { role: 'admin' }),
+        TestDatabase.createUser(db.models, { role: 'editor' })
+      ]))
+      .spread((first, second) => {
+        admin = first;
+        editor = second;
+
+        return Promise.all([
+          db.models.auditLog.create({
+            userId: admin.id,
+            username: admin.username,
+            action: 'update',
+            targetType: 'settings',
+            after: JSON.stringify({ title: '=HYPERLINK("http://example.com")' }),
+            createdAt: new Date('2017-01-01T12:00:00.000Z')
+          }),
+          db.models.auditLog.create({
+            userId: editor.id,
+            username: editor.username,
+            action: 'delete',
+            targetType: 'tag',
+            targetId: '1',
+            targetName: '+Tag',
+            createdAt: new Date('2017-01-02T12:00:00.000Z')
+          })
+        ]);
+      });
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller as the admin.
+  //
+  function request(query) {
+    return TestHttp.run(AuditController.index, TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: Object.assign({}, db.Settings, { timeZone: 'UTC' }) },
+      query: query,
+      User: admin
+    }));
+  }
+
+  describe('index()', () => {
+    it('filters entries', () => {
+      return Promise.all([
+        request({}),
+        request({ user: editor.id }),
+        request({ action: 'update', type: 'settings' }),
+        request({ from: '2017-01-02', to: '2017-01-02' }),
+        request({ to: '2016-12-31' })
+      ])
+        .then((responses) => {
+          Assert.strictEqual(responses[0].body.totalItems, 2);
+          Assert.strictEqual(responses[0].body.entries[0].action, 'delete');
+          Assert.strictEqual(responses[1].body.entries[0].userId, editor.id);
+          Assert.strictEqual(responses[2].body.entries[0].userId, admin.id);
+          Assert.strictEqual(responses[3].body.entries[0].action, 'delete');
+          Assert.strictEqual(responses[3].body.totalItems, 1);
+          Assert.strictEqual(responses[4].body.totalItems, 0);
+        });
+    });
+
+    it('exports entries as CSV and escapes formulas', () => {
+      return request({ format: 'csv' }).then((res) => {
+        let rows = res.body.trim().split('\r\n');
+
+        Assert.ok(/^text\/csv/.test(res.headers['Content-Type']));
+        Assert.strictEqual(rows.length, 3);
+        Assert.ok(rows[1].includes('"\'+Tag"'), rows[1]);
+        Assert.ok(rows[2].includes('"{""title"":""=HYPERLINK(\\""http://example.com\\"")""}"'), rows[2]);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Jwt = require('jsonwebtoken');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const AuthController = require(Path.join(__basedir, 'source/controllers/api/auth_controller.js'));
+const Oidc = require(Path.join(__basedir, 'source/modules/oidc.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+const Totp = require(Path.join(__basedir, 'source/modules/totp.js'));
+
+describe('AuthController', () => {
+  let db;
+
+  before(() => TestDatabase.create().then((result) => db = result));
+
+  after(() => db.destroy());
+
+  describe('oidcCallback()', () => {
+    let isEnabled = Oidc.isEnabled;
+    let getClaims = Oidc.getClaims;
+    let claims;
+
+    before(() => {
+      // The identity provider is stood in for by the claims each test sets
+      Oidc.isEnabled = () => true;
+      Oidc.getClaims = () => Promise.resolve(claims);
+    });
+
+    after(() => {
+      Oidc.isEnabled = isEnabled;
+      Oidc.getClaims = getClaims;
+    });
+
+    //
+    // Returns from the identity provider as if the user logged in with the given claims.
+    //
+    function callback(result, settings) {
+      claims = result;
+
+      return TestHttp.run(AuthController.oidcCallback, TestHttp.createRequest({
+        locals: { Database: db.Database, Settings: Object.assign({}, db.Settings, settings) },
+        cookies: {
+          oidcLogin: Jwt.sign({
+            state: 'state',
+            nonce: 'nonce',
+            verifier: 'verifier',
+            redirect: '/admin/posts'
+          }, process.env.AUTH_SECRET)
+        },
+        query: { state: 'state', code: 'code' }
+      }));
+    }
+
+    it('logs in users whose email address is verified', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => callback({ sub: '1', email: user.email, email_verified: true }))
+        .then((res) => {
+          Assert.strictEqual(res.redirect, '/admin/posts');
+          Assert.ok(res.cookies.authToken);
+        });
+    });
+
+    it('requires the provider to say the email address is verified', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => Promise.all([
+          callback({ sub: '1', email: user.email }),
+          callback({ sub: '1', email: user.email, email_verified: 'true' })
+        ]))
+        .each((res) => {
+          Assert.ok(/error=sso_no_email/.test(res.redirect));
+          Assert.ok(!res.cookies.authToken);
+        });
+    });
+
+    it('asks users with two-factor authentication for a code', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => {
+          user = result;
+          user.setTwoFactorSecret(Totp.generateSecret());
+          user.twoFactorEnabled = true;
+          return user.save();
+        })
+        .then(() => callback({ sub: '1', email: user.email, email_verified: true }))
+        .then((res) => {
+          Assert.ok(/\/admin\/login\?redirect=/.test(res.redirect));
+          Assert.ok(!res.cookies.authToken);
+          return db.models.user.decodeTwoFactorToken(res.cookies.twoFactorToken);
+        })
+        .then((result) => Assert.strictEqual(result.id, user.id));
+    });
+
+    it('sends users whose role requires two-factor authentication to set it up', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: 'editor' })
+        .then((result) => user = result)
+        .then(() => callback({ sub: '1', email: user.email, email_verified: true }, { twoFactorRoles: 'editor' }))
+        .then((res) => {
+          Assert.strictEqual(res.redirect, '/admin/users/edit/' + user.id + '#security');
+          Assert.ok(res.cookies.authToken);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const AutosavesController = require(Path.join(__basedir, 'source/controllers/api/autosaves_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('AutosavesController', () => {
+  let db;
+  let contributor;
+  let editor;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => Promise.all([
+        TestDatabase.createUser(db.models, { role: 'contributor' }),
+        TestDatabase.createUser(db.models, { role: 'editor' })
+      ]))
+      .spread((first, second) => {
+        contributor = first;
+        editor = second;
+      });
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller.
+  //
+  function request(action, User, post, options) {
+    return TestHttp.run(AutosavesController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings },
+      params: { id: post.id },
+      User: User
+    }, options)));
+  }
+
+  //
+  // Autosaves a post's title.
+  //
+  function autosave(User, post, title) {
+    return request('update', User, post, {
+      method: 'PUT',
+      body: {
+        post: JSON.stringify({ title: title }),
+        'updated-at': post.updatedAt.toISOString()
+      }
+    });
+  }
+
+  describe('update()', () => {
+    it('keeps one autosave per user and post', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: contributor.id })
+        .then((result) => post = result)
+        .then(() => autosave(contributor, post, 'First Draft'))
+        .then(() => autosave(contributor, post, 'Second Draft'))
+        .then(() => autosave(editor, post, 'Edited Draft'))
+        .then(() => Promise.all([
+          request('read', contributor, post),
+          db.models.autosave.count({ where: { postId: post.id } })
+        ]))
+        .spread((res, count) => {
+          Assert.strictEqual(res.body.autosave.data.title, 'Second Draft');
+          Assert.strictEqual(res.body.conflict, false);
+          Assert.strictEqual(count, 2);
+        });
+    });
+
+    it('only lets users autosave posts they can edit', () => {
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((post) => autosave(contributor, post, 'Not Mine'))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(res.nextError);
+        });
+    });
+
+    it('rejects invalid post data', () => {
+      return TestDatabase.createPost(db.models, { userId: contributor.id })
+        .then((post) => request('update', contributor, post, { method: 'PUT', body: { post: '{' } }))
+        .then((res) => Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST));
+    });
+  });
+
+  describe('read()', () => {
+    it('reports a conflict when the post was saved after the changes were autosaved', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: contributor.id })
+        .then((result) => post = result)
+        .then(() => autosave(contributor, post, 'Unsaved Title'))
+        .then(() => Promise.delay(10))
+        .then(() => post.update({ title: 'Saved Elsewhere' }))
+        .then(() => request('read', contributor, post))
+        .then((res) => {
+          Assert.strictEqual(res.body.autosave.data.title, 'Unsaved Title');
+          Assert.strictEqual(res.body.conflict, true);
+        });
+    });
+  });
+
+  describe('delete()', () => {
+    it('discards the current user\'s autosave', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: contributor.id })
+        .then((result) => post = result)
+        .then(() => Promise.all([
+          autosave(contributor, post, 'Discarded'),
+          autosave(editor, post, 'Kept')
+        ]))
+        .then(() => request('delete', contributor, post, { method: 'DELETE' }))
+        .then(() => Promise.all([
+          request('read', contributor, post),
+          request('read', editor, post)
+        ]))
+        .spread((discarded, kept) => {
+          Assert.strictEqual(discarded.body.autosave, null);
+          Assert.strictEqual(kept.body.autosave.data.title, 'Kept');
+        });
+    });
+  });
+
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const PostLocksController = require(Path.join(__basedir, 'source/controllers/api/post_locks_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('PostLocksController', () => {
+  let db;
+  let editor;
+  let otherEditor;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'editor', name: 'First Editor' }))
+      .then((result) => editor = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'editor', name: 'Second Editor' }))
+      .then((result) => otherEditor = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller.
+  //
+  function request(action, User, post, body) {
+    return TestHttp.run(PostLocksController[action], TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      params: { id: post.id },
+      body: body || {},
+      User: User
+    }));
+  }
+
+  describe('update()', () => {
+    it('tells other users who is editing the post', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => request('update', editor, post))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.body.lock.userId, editor.id);
+          return request('update', otherEditor, post);
+        })
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.CONFLICT);
+          Assert.strictEqual(res.body.lock.userId, editor.id);
+          Assert.ok(res.body.message.includes('First Editor'));
+        });
+    });
+
+    it('lets other users take over the lock', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => request('update', editor, post))
+        .then(() => request('update', otherEditor, post, { 'take-over': 'true' }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.body.lock.userId, otherEditor.id);
+        });
+    });
+
+    it('ignores locks that have expired', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => db.models.postLock.create({
+          postId: post.id,
+          userId: editor.id,
+          heartbeatAt: new Date(Date.now() - 60 * 60 * 1000)
+        }))
+        .then(() => request('update', otherEditor, post))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.body.lock.userId, otherEditor.id);
+        });
+    });
+  });
+
+  describe('delete()', () => {
+    it('only releases the current user\'s lock', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => request('update', editor, post))
+        .then(() => request('delete', otherEditor, post))
+        .then(() => db.models.postLock.getActive(post.id))
+        .then((lock) => {
+          Assert.strictEqual(lock.userId, editor.id);
+          return request('delete', editor, post);
+        })
+        .then(() => db.models.postLock.getActive(post.id))
+        .then((lock) => Assert.strictEqual(lock, null));
+    });
+  });
+
+});
@@ -0,0 +1,212 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const PostsController = require(Path.join(__basedir, 'source/controllers/api/posts_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('PostsController', () => {
+  let send = Email.send;
+  let db;
+  let editor;
+
+  before(() => {
+    // Review notifications aren't sent
+    Email.send = () => Promise.resolve();
+
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'editor' }))
+      .then((result) => editor = result);
+  });
+
+  after(() => {
+    Email.send = send;
+    db.destroy();
+  });
+
+  //
+  // Sends an update request to the controller.
+  //
+  function update(User, post, body) {
+    return TestHttp.run(PostsController.update, TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      method: 'PUT',
+      params: { id: post.id },
+      body: body,
+      User: User
+    }));
+  }
+
+  //
+  // Gets the ids of a post's authors in order.
+  //
+  // Returns a promise that resolves with an array.
+  //
+  function getAuthorIds(post) {
+    return db.models.postAuthor
+      .findAll({ where: { postId: post.id }, order: [['sortOrder', 'ASC']] })
+      .then((postAuthors) => postAuthors.map((postAuthor) => postAuthor.userId));
+  }
+
+  describe('update()', () => {
+    it('saves changes made to the current copy of a post', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => update(editor, post, {
+          title: 'Current Title',
+          'updated-at': post.updatedAt.toISOString()
+        }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return post.reload();
+        })
+        .then(() => Assert.strictEqual(post.title, 'Current Title'));
+    });
+
+    it('rejects changes made to an outdated copy of a post', () => {
+      let post;
+      let outdated;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id, title: 'Original Title' })
+        .then((result) => {
+          post = result;
+          outdated = new Date(post.updatedAt.getTime() - 60 * 1000);
+        })
+        // Someone else saved the post after the copy was loaded
+        .then(() => update(editor, post, {
+          title: 'Outdated Title',
+          'updated-at': outdated.toISOString()
+        }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.CONFLICT);
+          Assert.strictEqual(res.body.post.id, post.id);
+          Assert.ok(res.body.diff);
+          Assert.ok(res.body.message);
+          return post.reload();
+        })
+        .then(() => Assert.strictEqual(post.title, 'Original Title'))
+        .then(() => db.models.revision.count({ where: { postId: post.id } }))
+        .then((count) => Assert.strictEqual(count, 0));
+    });
+
+    it('saves changes from clients that don\'t send when the post was last saved', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => update(editor, post, { title: 'Unchecked Title' }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return post.reload();
+        })
+        .then(() => Assert.strictEqual(post.title, 'Unchecked Title'));
+    });
+
+    it('discards the user\'s autosave when the post is saved', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id })
+        .then((result) => post = result)
+        .then(() => db.models.autosave.create({ postId: post.id, userId: editor.id, data: { title: 'Autosaved' } }))
+        .then(() => update(editor, post, { title: 'Saved Title' }))
+        .then(() => db.models.autosave.count({ where: { postId: post.id } }))
+        .then((count) => Assert.strictEqual(count, 0));
+    });
+
+    it('sets the post\'s authors and makes the first one the primary author', () => {
+      let post;
+      let coauthor;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => coauthor = result)
+        .then(() => TestDatabase.createPost(db.models, { userId: editor.id }))
+        .then((result) => post = result)
+        .then(() => update(editor, post, { 'author-ids': [coauthor.id, editor.id, coauthor.id] }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return Promise.all([post.reload(), getAuthorIds(post)]);
+        })
+        .spread((post, authorIds) => {
+          Assert.strictEqual(post.userId, coauthor.id);
+          Assert.deepStrictEqual(authorIds, [coauthor.id, editor.id]);
+        });
+    });
+
+    it('keeps co-authors when the primary author changes', () => {
+      let post;
+      let users;
+
+      return Promise.all([TestDatabase.createUser(db.models), TestDatabase.createUser(db.models)])
+        .then((result) => users = result)
+        .then(() => TestDatabase.createPost(db.models, { userId: editor.id }))
+        .then((result) => post = result)
+        .then(() => db.models.postAuthor.setAuthors(post.id, [editor.id, users[0].id]))
+        .then(() => update(editor, post, { 'user-id': users[1].id }))
+        .then(() => getAuthorIds(post))
+        .then((authorIds) => Assert.deepStrictEqual(authorIds, [users[1].id, users[0].id]));
+    });
+
+    it('doesn\'t let contributors give their posts to someone else', () => {
+      let contributor;
+      let post;
+
+      return TestDatabase.createUser(db.models, { role: 'contributor' })
+        .then((result) => contributor = result)
+        .then(() => TestDatabase.createPost(db.models, { userId: contributor.id, status: 'draft' }))
+        .then((result) => post = result)
+        .then(() => update(contributor, post, { 'author-ids': [editor.id, contributor.id] }))
+        .then((res) => {
+          Assert.notStrictEqual(res.status, HttpCodes.OK);
+          return post.reload();
+        })
+        .then(() => Assert.strictEqual(post.userId, contributor.id));
+    });
+
+    it('adds status changes to the review thread', () => {
+      let post;
+
+      return TestDatabase.createUser(db.models, { role: 'contributor' })
+        .then((author) => TestDatabase.createPost(db.models, { userId: author.id, status: 'pending' }))
+        .then((result) => post = result)
+        .then(() => update(editor, post, { status: 'rejected', 'review-message': 'Needs sources' }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return db.models.review.findAll({ where: { postId: post.id } });
+        })
+        .then((reviews) => {
+          Assert.strictEqual(reviews.length, 1);
+          Assert.strictEqual(reviews[0].type, 'reject');
+          Assert.strictEqual(reviews[0].userId, editor.id);
+          Assert.strictEqual(reviews[0].message, 'Needs sources');
+        });
+    });
+
+    it('only lets users who can publish review posts', () => {
+      let post;
+      let contributor;
+
+      return TestDatabase.createUser(db.models, { role: 'contributor' })
+        .then((result) => contributor = result)
+        .then(() => TestDatabase.createPost(db.models, { userId: editor.id, status: 'pending' }))
+        .then((result) => post = result)
+        .then(() => update(editor, post, { 'reviewer-id': contributor.id }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST);
+          Assert.deepStrictEqual(res.body.invalid, ['reviewer-id']);
+          return post.reload();
+        })
+        .then(() => Assert.strictEqual(post.reviewerId, null));
+    });
+  });
+
+});
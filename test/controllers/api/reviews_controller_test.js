@@ -0,0 +1,93 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const ReviewsController = require(Path.join(__basedir, 'source/controllers/api/reviews_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('ReviewsController', () => {
+  let db;
+  let contributor;
+  let post;
+  let othersPost;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => Promise.all([
+        TestDatabase.createUser(db.models, { role: 'contributor' }),
+        TestDatabase.createUser(db.models, { role: 'contributor' })
+      ]))
+      .spread((first, second) => {
+        contributor = first;
+
+        return Promise.all([
+          TestDatabase.createPost(db.models, { userId: first.id, status: 'pending' }),
+          TestDatabase.createPost(db.models, { userId: second.id, status: 'pending' })
+        ]);
+      })
+      .spread((first, second) => {
+        post = first;
+        othersPost = second;
+
+        return Promise.all([
+          db.models.review.create({ postId: post.id, userId: contributor.id, type: 'comment', message: 'Mine' }),
+          db.models.review.create({ postId: othersPost.id, userId: othersPost.userId, type: 'comment', message: 'Theirs' })
+        ]);
+      });
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller as the contributor.
+  //
+  function request(action, options) {
+    return TestHttp.run(ReviewsController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings },
+      User: contributor
+    }, options)));
+  }
+
+  describe('index()', () => {
+    it('only shows contributors the threads of their own posts', () => {
+      return Promise.all([
+        request('index', { query: { postId: post.id } }),
+        request('index', { query: { postId: othersPost.id } })
+      ])
+        .spread((own, others) => {
+          Assert.deepStrictEqual(own.body.reviews.map((review) => review.message), ['Mine']);
+          Assert.strictEqual(others.body.totalItems, 0);
+        });
+    });
+  });
+
+  describe('create()', () => {
+    it('only lets contributors comment on their own posts', () => {
+      return Promise.all([
+        request('create', { body: { 'post-id': post.id, message: 'Ready for review' } }),
+        request('create', { body: { 'post-id': othersPost.id, message: 'Nice post' } })
+      ])
+        .spread((own, others) => {
+          Assert.strictEqual(own.body.review.type, 'comment');
+          Assert.strictEqual(others.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(others.nextError);
+        });
+    });
+
+    it('requires a message', () => {
+      return request('create', { body: { 'post-id': post.id, message: '  ' } })
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST);
+          Assert.deepStrictEqual(res.body.invalid, ['message']);
+        });
+    });
+  });
+
+});
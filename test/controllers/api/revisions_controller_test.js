@@ -0,0 +1,149 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const RevisionsController = require(Path.join(__basedir, 'source/controllers/api/revisions_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('RevisionsController', () => {
+  let db;
+  let editor;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'editor' }))
+      .then((result) => editor = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller as the editor.
+  //
+  function request(action, options) {
+    return TestHttp.run(RevisionsController[action], TestHttp.createRequest(Object.assign({
+      locals: {
+        Database: db.Database,
+        Settings: db.Settings,
+        Themes: { getCustomFields: () => Promise.resolve([]) }
+      },
+      User: editor
+    }, options)));
+  }
+
+  //
+  // Saves changes to a post and records them as a new revision.
+  //
+  // Returns a promise that resolves with the revision.
+  //
+  function revise(post, values) {
+    return post.update(values)
+      .then(() => Promise.delay(10))
+      .then(() => db.models.revision.createFromPost(post, editor.id));
+  }
+
+  describe('diff()', () => {
+    it('compares a revision to the current post', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id, title: 'First Title', content: '<p>Old</p>' })
+        .then((result) => post = result)
+        .then(() => db.models.revision.createFromPost(post, editor.id))
+        .then((revision) => post.update({ title: 'Second Title' }).then(() => revision))
+        .then((revision) => request('diff', { params: { id: revision.id } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.body.after.isCurrent, true);
+          Assert.strictEqual(res.body.title.before, '<del>First</del> Title');
+          Assert.strictEqual(res.body.title.after, '<ins>Second</ins> Title');
+          Assert.strictEqual(res.body.content.changed, false);
+        });
+    });
+
+    it('shows the older revision first', () => {
+      let post;
+      let older;
+      let newer;
+
+      return TestDatabase.createPost(db.models, { userId: editor.id, title: 'One' })
+        .then((result) => post = result)
+        .then(() => revise(post, { title: 'Two' }))
+        .then((result) => older = result)
+        .then(() => revise(post, { title: 'Three' }))
+        .then((result) => newer = result)
+        .then(() => request('diff', { params: { id: newer.id }, query: { against: older.id } }))
+        .then((res) => {
+          Assert.strictEqual(res.body.before.id, older.id);
+          Assert.strictEqual(res.body.after.id, newer.id);
+          Assert.strictEqual(res.body.title.after, '<ins>Three</ins>');
+        });
+    });
+
+    it('only compares revisions of the same post', () => {
+      return Promise.all([
+        TestDatabase.createPost(db.models, { userId: editor.id }),
+        TestDatabase.createPost(db.models, { userId: editor.id })
+      ])
+        .spread((first, second) => Promise.all([
+          db.models.revision.createFromPost(first, editor.id),
+          db.models.revision.createFromPost(second, editor.id)
+        ]))
+        .spread((first, second) => request('diff', { params: { id: first.id }, query: { against: second.id } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST);
+          Assert.ok(res.nextError);
+        });
+    });
+  });
+
+  describe('restore()', () => {
+    it('restores a post\'s content, settings, and tags as a new revision', () => {
+      let post;
+      let tags;
+      let revision;
+
+      return Promise.all([
+        db.models.tag.create({ name: 'Kept', slug: 'kept' }),
+        db.models.tag.create({ name: 'Deleted', slug: 'deleted' }),
+        db.models.tag.create({ name: 'Added', slug: 'added' }),
+        TestDatabase.createPost(db.models, { userId: editor.id, title: 'Original', metaTitle: 'Original Meta' })
+      ])
+        .spread((kept, deleted, added, result) => {
+          tags = { kept: kept, deleted: deleted, added: added };
+          post = result;
+
+          return Promise.mapSeries([kept, deleted], (tag) => db.models.postTags.create({ postId: post.id, tagId: tag.id }));
+        })
+        .then(() => db.models.revision.createFromPost(post, editor.id))
+        .then((result) => revision = result)
+        .then(() => post.update({ title: 'Changed', metaTitle: null }))
+        .then(() => db.models.postTags.destroy({ where: { postId: post.id } }))
+        .then(() => db.models.postTags.create({ postId: post.id, tagId: tags.added.id }))
+        .then(() => tags.deleted.destroy())
+        .then(() => request('restore', { method: 'POST', params: { id: revision.id } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.notStrictEqual(res.body.revision.id, revision.id);
+          Assert.strictEqual(res.body.revision.title, 'Original');
+
+          return Promise.all([
+            post.reload(),
+            db.models.postTags.findAll({ where: { postId: post.id } })
+          ]);
+        })
+        .spread((post, postTags) => {
+          Assert.strictEqual(post.title, 'Original');
+          Assert.strictEqual(post.metaTitle, 'Original Meta');
+          Assert.deepStrictEqual(postTags.map((postTag) => postTag.tagId), [tags.kept.id]);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+const RolesController = require(Path.join(__basedir, 'source/controllers/api/roles_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('RolesController', () => {
+  let db;
+  let owner;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'owner' }))
+      .then((result) => owner = result);
+  });
+
+  after(() => {
+    db.destroy();
+    return Permissions.load({ role: { findAll: () => Promise.resolve([]) } });
+  });
+
+  //
+  // Sends a request to the controller as the owner.
+  //
+  function request(action, options) {
+    return TestHttp.run(RolesController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings },
+      User: owner
+    }, options)));
+  }
+
+  describe('delete()', () => {
+    it('makes users with the role contributors, including users in the trash', () => {
+      let role;
+      let user;
+      let trashed;
+
+      return db.models.role.build({ name: 'Writer' }).setCapabilities(['post.create']).save()
+        .then((result) => role = result)
+        .then(() => Permissions.load(db.models))
+        .then(() => Promise.all([
+          TestDatabase.createUser(db.models, { role: role.id }),
+          TestDatabase.createUser(db.models, { role: role.id })
+        ]))
+        .spread((result, other) => {
+          user = result;
+          trashed = other;
+          return trashed.destroy();
+        })
+        .then(() => request('delete', { params: { id: role.id } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return Promise.all([
+            db.models.user.findById(user.id),
+            db.models.user.findById(trashed.id, { paranoid: false }),
+            db.models.role.findById(role.id)
+          ]);
+        })
+        .spread((updatedUser, updatedTrashed, deletedRole) => {
+          Assert.strictEqual(updatedUser.role, 'contributor');
+          Assert.strictEqual(updatedTrashed.role, 'contributor');
+          Assert.strictEqual(deletedRole, null);
+        });
+    });
+  });
+
+});
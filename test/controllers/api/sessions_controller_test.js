@@ -0,0 +1,110 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const SessionsController = require(Path.join(__basedir, 'source/controllers/api/sessions_controller.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('SessionsController', () => {
+  let db;
+
+  before(() => TestDatabase.create().then((result) => db = result));
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller as a user.
+  //
+  function request(action, User, Session, options) {
+    return TestHttp.run(SessionsController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings },
+      User: User,
+      Session: Session
+    }, options)));
+  }
+
+  //
+  // Creates a user with two sessions.
+  //
+  // Returns a promise that resolves with an array: [user, currentSession, otherSession]
+  //
+  function createUserWithSessions() {
+    return TestDatabase.createUser(db.models).then((user) => {
+      return Promise.all([
+        user,
+        db.models.session.start(user.id),
+        db.models.session.start(user.id)
+      ]);
+    });
+  }
+
+  describe('index()', () => {
+    it('lists active sessions and marks the current one', () => {
+      return createUserWithSessions()
+        .spread((user, current, other) => {
+          return db.models.session.create({ userId: user.id, expiresAt: new Date(Date.now() - 1000) })
+            .then(() => request('index', user, current, { params: { id: user.id } }))
+            .then((res) => {
+              let sessions = res.body.sessions;
+
+              Assert.deepStrictEqual(sessions.map((session) => session.id).sort(), [current.id, other.id].sort());
+              Assert.strictEqual(sessions.find((session) => session.id === current.id).current, true);
+              Assert.strictEqual(sessions.find((session) => session.id === other.id).current, false);
+            });
+        });
+    });
+  });
+
+  describe('deleteAll()', () => {
+    it('signs users out everywhere, including the current session', () => {
+      let user;
+
+      return createUserWithSessions()
+        .spread((result, current) => {
+          user = result;
+          return request('deleteAll', user, current, { params: { id: user.id } });
+        })
+        .then((res) => {
+          Assert.strictEqual(res.body.deleted, true);
+          Assert.strictEqual(res.cookies.authToken, '');
+          return db.models.session.count({ where: { userId: user.id } });
+        })
+        .then((count) => Assert.strictEqual(count, 0));
+    });
+  });
+
+  describe('delete()', () => {
+    it('revokes one session', () => {
+      return createUserWithSessions()
+        .spread((user, current, other) => {
+          return request('delete', user, current, { params: { id: user.id, sessionId: other.id } })
+            .then((res) => {
+              Assert.strictEqual(res.body.deleted, true);
+              Assert.strictEqual(res.cookies.authToken, undefined);
+              return db.models.session.findAll({ where: { userId: user.id } });
+            })
+            .then((sessions) => Assert.deepStrictEqual(sessions.map((session) => session.id), [current.id]));
+        });
+    });
+
+    it('doesn\'t revoke other users\' sessions', () => {
+      return Promise.all([createUserWithSessions(), createUserWithSessions()])
+        .spread((first, second) => {
+          return request('delete', first[0], first[1], { params: { id: first[0].id, sessionId: second[1].id } })
+            .then((res) => {
+              Assert.strictEqual(res.status, HttpCodes.NOT_FOUND);
+              Assert.ok(res.nextError);
+              return db.models.session.findById(second[1].id);
+            })
+            .then((session) => Assert.ok(session));
+        });
+    });
+  });
+
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+const TrashController = require(Path.join(__basedir, 'source/controllers/api/trash_controller.js'));
+
+describe('TrashController', () => {
+  let db;
+  let admin;
+  let Trash;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => {
+        let Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' });
+
+        db = result;
+        Trash = require(Path.join(__basedir, 'source/modules/trash.js'))(db.Database, Storage, () => db.Settings);
+      })
+      .then(() => TestDatabase.createUser(db.models, { role: 'owner' }))
+      .then((result) => admin = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Sends a request to the controller as the owner.
+  //
+  function request(action, options) {
+    return TestHttp.run(TrashController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings, Trash: Trash },
+      User: admin
+    }, options)));
+  }
+
+  describe('index()', () => {
+    it('doesn\'t send users\' secrets', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => Trash.add('user', user))
+        .then(() => request('index', { query: { type: 'user' } }))
+        .then((res) => {
+          let items = JSON.parse(JSON.stringify(res.body.items));
+
+          Assert.ok(items.length > 0);
+          items.forEach((item) => {
+            Assert.strictEqual(item.password, undefined);
+            Assert.strictEqual(item.twoFactorSecret, undefined);
+          });
+        });
+    });
+  });
+
+  describe('restore()', () => {
+    it('passes errors on to the error handler', () => {
+      return request('restore', { params: { type: 'post', id: 'missing' } })
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.NOT_FOUND);
+          Assert.ok(res.nextError instanceof Error);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const I18n = require(Path.join(__basedir, 'source/modules/i18n.js'));
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+const UsersController = require(Path.join(__basedir, 'source/controllers/api/users_controller.js'));
+
+describe('UsersController', () => {
+  let send = Email.send;
+  let db;
+  let managerRole;
+  let Trash;
+
+  before(() => {
+    // Invitations aren't sent
+    Email.send = () => Promise.resolve();
+
+    return TestDatabase.create()
+      .then((result) => {
+        let Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' });
+
+        db = result;
+        Trash = require(Path.join(__basedir, 'source/modules/trash.js'))(db.Database, Storage, () => db.Settings);
+      })
+      // A custom role that can manage users but not publish
+      .then(() => db.models.role.build({ name: 'Manager' }).setCapabilities(['user.manage']).save())
+      .then((role) => managerRole = role.id)
+      .then(() => Permissions.load(db.models));
+  });
+
+  after(() => {
+    Email.send = send;
+    db.destroy();
+    return Permissions.load({ role: { findAll: () => Promise.resolve([]) } });
+  });
+
+  //
+  // Sends a request to the controller as a user.
+  //
+  function request(action, User, options) {
+    return TestHttp.run(UsersController[action], TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings, Trash: Trash },
+      User: User
+    }, options)));
+  }
+
+  describe('update()', () => {
+    it('lets admins change other users\' roles', () => {
+      let admin;
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'contributor' }))
+        .then((result) => user = result)
+        .then(() => request('update', admin, { params: { id: user.id }, body: { role: 'editor' } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          return user.reload();
+        })
+        .then(() => Assert.strictEqual(user.role, 'editor'));
+    });
+
+    it('signs users out everywhere when their role changes', () => {
+      let admin;
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'contributor' }))
+        .then((result) => user = result)
+        .then(() => db.models.session.start(user.id))
+        .then(() => request('update', admin, { params: { id: user.id }, body: { role: 'editor' } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.headers['X-Auth-Token'], undefined);
+          return db.models.session.count({ where: { userId: user.id } });
+        })
+        .then((count) => Assert.strictEqual(count, 0));
+    });
+
+    it('starts a new session when users change their own password', () => {
+      let user;
+      let session;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => db.models.session.start(user.id))
+        .then((result) => session = result)
+        .then(() => request('update', user, { params: { id: user.id }, body: { password: 'new password' } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.OK);
+          Assert.strictEqual(res.cookies.authToken, res.headers['X-Auth-Token']);
+          return db.models.user.decodeAuthToken(res.headers['X-Auth-Token']);
+        })
+        .then((decoded) => {
+          Assert.strictEqual(decoded.id, user.id);
+          Assert.notStrictEqual(decoded.session.id, session.id);
+          return db.models.session.findById(session.id);
+        })
+        .then((result) => Assert.strictEqual(result, null));
+    });
+
+    it('doesn\'t let users change their own role', () => {
+      let admin;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => request('update', admin, { params: { id: admin.id }, body: { role: 'editor' } }))
+        .then((res) => {
+          Assert.notStrictEqual(res.status, HttpCodes.OK);
+          return admin.reload();
+        })
+        .then(() => Assert.strictEqual(admin.role, 'admin'));
+    });
+
+    it('doesn\'t let users assign roles with capabilities they don\'t have', () => {
+      let manager;
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: managerRole })
+        .then((result) => manager = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'contributor' }))
+        .then((result) => user = result)
+        .then(() => request('update', manager, { params: { id: user.id }, body: { role: 'admin' } }))
+        .then((res) => {
+          Assert.notStrictEqual(res.status, HttpCodes.OK);
+          return user.reload();
+        })
+        .then(() => Assert.strictEqual(user.role, 'contributor'));
+    });
+
+    it('doesn\'t let users change the role of users with capabilities they don\'t have', () => {
+      let manager;
+      let editor;
+
+      return TestDatabase.createUser(db.models, { role: managerRole })
+        .then((result) => manager = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'editor' }))
+        .then((result) => editor = result)
+        .then(() => request('update', manager, { params: { id: editor.id }, body: { role: 'contributor' } }))
+        .then((res) => {
+          Assert.notStrictEqual(res.status, HttpCodes.OK);
+          return editor.reload();
+        })
+        .then(() => Assert.strictEqual(editor.role, 'editor'));
+    });
+
+    it('doesn\'t let anyone reassign the owner role', () => {
+      let owner;
+      let admin;
+
+      return TestDatabase.createUser(db.models, { role: 'owner' })
+        .then((result) => owner = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'admin' }))
+        .then((result) => admin = result)
+        .then(() => request('update', owner, { params: { id: admin.id }, body: { role: 'owner' } }))
+        .then((res) => {
+          Assert.notStrictEqual(res.status, HttpCodes.OK);
+          return admin.reload();
+        })
+        .then(() => Assert.strictEqual(admin.role, 'admin'));
+    });
+
+    it('says when a username belongs to a user in the trash', () => {
+      let admin;
+      let trashed;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models))
+        .then((result) => trashed = result)
+        .then(() => Trash.add('user', trashed))
+        .then(() => request('update', admin, { params: { id: admin.id }, body: { username: trashed.username } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST);
+          Assert.strictEqual(res.body.message, I18n.term('this_username_belongs_to_a_user_in_the_trash'));
+        });
+    });
+
+    it('says when a username belongs to another user', () => {
+      let admin;
+      let other;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models))
+        .then((result) => other = result)
+        .then(() => request('update', admin, { params: { id: admin.id }, body: { username: other.username } }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.BAD_REQUEST);
+          Assert.strictEqual(res.body.message, I18n.term('this_username_is_already_in_use'));
+        });
+    });
+  });
+
+  describe('create()', () => {
+    it('doesn\'t let users create users with capabilities they don\'t have', () => {
+      return TestDatabase.createUser(db.models, { role: managerRole })
+        .then((manager) => request('create', manager, {
+          body: { name: 'New User', email: 'new-admin@example.com', username: 'new-admin', role: 'admin' }
+        }))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          return db.models.user.count({ where: { username: 'new-admin' } });
+        })
+        .then((count) => Assert.strictEqual(count, 0));
+    });
+  });
+
+});
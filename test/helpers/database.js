@@ -0,0 +1,90 @@
+'use strict';
+
+// Node modules
+const Path = require('path');
+const Promise = require('bluebird');
+const Tmp = require('tmp');
+
+// Local modules
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+
+module.exports = {
+
+  //
+  // Creates a SQLite database in a temporary directory and brings it up to date by running the
+  // migrations.
+  //
+  // Returns a promise that resolves with an object: { Database, Settings, models, destroy }. Call
+  // destroy() to close the database and remove it.
+  //
+  create: () => {
+    let dir = Tmp.dirSync({ unsafeCleanup: true });
+    let Database = require(Path.join(__basedir, 'source/modules/database.js'))({
+      databaseDialect: 'sqlite',
+      databasePath: Path.join(dir.name, 'database.sq3')
+    });
+    let models = Database.sequelize.models;
+
+    return Database.init()
+      .then(() => Promise.all([
+        Database.loadSettings(),
+        models.post.buildSearchIndex(),
+        models.user.buildSearchIndex(),
+        models.tag.buildSearchIndex(),
+        Permissions.load(models)
+      ]))
+      .spread((settings) => {
+        return {
+          Database: Database,
+          Settings: settings,
+          models: models,
+          destroy: () => {
+            Database.sequelize.close();
+            dir.removeCallback();
+          }
+        };
+      });
+  },
+
+  //
+  // Creates a user.
+  //
+  //  models* (object) - The database models.
+  //  values (object) - Values to override the defaults with, e.g. { role: 'editor' }.
+  //
+  // Returns a promise that resolves with the user.
+  //
+  createUser: (models, values) => {
+    let username = 'user' + Math.random().toString(36).substr(2, 8);
+
+    return models.user.create(Object.assign({
+      name: 'Test User',
+      email: username + '@example.com',
+      username: username,
+      password: models.user.hashPassword('password'),
+      role: 'contributor'
+    }, values));
+  },
+
+  //
+  // Creates a post.
+  //
+  //  models* (object) - The database models.
+  //  values* (object) - Values to override the defaults with. A userId is required.
+  //
+  // Returns a promise that resolves with the post.
+  //
+  createPost: (models, values) => {
+    return models.post.create(Object.assign({
+      slug: 'post-' + Math.random().toString(36).substr(2, 8),
+      title: 'Test Post',
+      content: '<p>Test content</p>',
+      status: 'published',
+      publishedAt: new Date(Date.now() - 60 * 1000),
+      isPage: false,
+      isFeatured: false,
+      isSticky: false
+    }, values));
+  }
+
+};
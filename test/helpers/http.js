@@ -0,0 +1,129 @@
+'use strict';
+
+// Node modules
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const I18n = require(Path.join(__basedir, 'source/modules/i18n.js'));
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+const Themes = require(Path.join(__basedir, 'source/modules/themes.js'))();
+
+module.exports = {
+
+  //
+  // Creates a request like the ones controllers and middleware receive.
+  //
+  //  options (object)
+  //    - locals (object) - Extra app.locals, e.g. { Database, Settings }.
+  //    - headers (object) - Request headers.
+  //    - Everything else (e.g. body, params, query, User, ApiToken) is copied to the request.
+  //
+  // Returns an object.
+  //
+  createRequest: (options) => {
+    options = Object.assign({}, options);
+    let headers = options.headers || {};
+    let locals = Object.assign({
+      I18n: I18n,
+      Permissions: Permissions,
+      PageCache: { invalidate: () => null },
+      Settings: {},
+      Themes: Themes
+    }, options.locals);
+
+    delete options.locals;
+    delete options.headers;
+
+    return Object.assign({
+      app: { locals: locals },
+      baseUrl: '',
+      body: {},
+      cookies: {},
+      ip: '127.0.0.1',
+      method: 'GET',
+      originalUrl: '/',
+      params: {},
+      query: {},
+      xhr: false,
+      get: (name) => headers[name.toLowerCase()]
+    }, options);
+  },
+
+  //
+  // Runs a controller or middleware.
+  //
+  //  handler* (function) - The controller or middleware.
+  //  req* (object) - A request from createRequest().
+  //  err (object) - An error to pass to error handling middleware.
+  //
+  // Returns a promise that resolves with an object when the handler responds or calls next():
+  //
+  //  { status, body, redirect, headers, cookies, next, nextError }
+  //
+  run: (handler, req, err) => {
+    return new Promise((resolve) => {
+      let result = {
+        status: 200,
+        body: null,
+        redirect: null,
+        headers: {},
+        cookies: {},
+        next: false,
+        nextError: null
+      };
+      let res = {
+        locals: {},
+        get statusCode() {
+          return result.status;
+        },
+        status: (code) => {
+          result.status = code;
+          return res;
+        },
+        set: (name, value) => {
+          result.headers[name] = value;
+          return res;
+        },
+        setHeader: (name, value) => {
+          result.headers[name] = value;
+        },
+        cookie: (name, value) => {
+          result.cookies[name] = value;
+          return res;
+        },
+        json: (body) => {
+          result.body = body;
+          resolve(result);
+          return res;
+        },
+        send: (body) => {
+          result.body = body;
+          resolve(result);
+          return res;
+        },
+        redirect: (status, url) => {
+          if(typeof url === 'undefined') {
+            url = status;
+            status = 302;
+          }
+          result.status = status;
+          result.redirect = url;
+          resolve(result);
+        }
+      };
+      let next = (nextError) => {
+        result.next = true;
+        result.nextError = nextError || null;
+        resolve(result);
+      };
+
+      if(err) {
+        handler(err, req, res, next);
+      } else {
+        handler(req, res, next);
+      }
+    });
+  }
+
+};
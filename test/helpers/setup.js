@@ -0,0 +1,14 @@
+'use strict';
+
+// Node modules
+const Dotenv = require('dotenv');
+const Path = require('path');
+
+// Tests run against the example configuration so they don't depend on a local .env file
+global.__basedir = Path.join(__dirname, '../..');
+global.__version = require(Path.join(__basedir, 'package.json')).version;
+Dotenv.config({ path: Path.join(__basedir, '.env.example') });
+
+// Load the default language pack for modules that use I18n.term(). It's read synchronously, so
+// it's ready before the first test runs.
+require(Path.join(__basedir, 'source/modules/i18n.js')).load('en-us');
@@ -0,0 +1,213 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const AuthMiddleware = require(Path.join(__basedir, 'source/middleware/auth_middleware.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('AuthMiddleware', () => {
+  let db;
+
+  before(() => TestDatabase.create().then((result) => db = result));
+  after(() => db.destroy());
+
+  //
+  // Creates an API token for a user.
+  //
+  // Returns a promise that resolves with the plain text token.
+  //
+  function createApiToken(user, scopes, values) {
+    let generated = db.models.apiToken.generateToken();
+
+    return db.models.apiToken
+      .build(Object.assign({
+        userId: user.id,
+        name: 'Test Token',
+        tokenHash: generated.tokenHash,
+        prefix: generated.prefix
+      }, values))
+      .setScopes(scopes)
+      .save()
+      .then(() => generated.token);
+  }
+
+  //
+  // Creates a request to the API.
+  //
+  //  method* (string) - The request method.
+  //  route* (string) - The route's path, e.g. /posts/:id.
+  //  options (object) - Additional request options.
+  //
+  function createApiRequest(method, route, options) {
+    return TestHttp.createRequest(Object.assign({
+      locals: { Database: db.Database, Settings: db.Settings },
+      baseUrl: '/' + process.env.APP_API_SLUG,
+      method: method,
+      originalUrl: '/' + process.env.APP_API_SLUG + route,
+      route: { path: route },
+      xhr: true
+    }, options));
+  }
+
+  //
+  // Sends a token in a request's Authorization header and attaches the user it belongs to.
+  //
+  // Returns a promise.
+  //
+  function authenticate(token, req) {
+    req.get = (name) => name.toLowerCase() === 'authorization' ? 'Bearer ' + token : undefined;
+
+    return TestHttp.run(AuthMiddleware.attachUser, req);
+  }
+
+  //
+  // Authenticates a request with a token and runs a middleware.
+  //
+  // Returns a promise that resolves with the middleware's result.
+  //
+  function runWithToken(token, req, middleware) {
+    return authenticate(token, req).then(() => TestHttp.run(middleware, req));
+  }
+
+  describe('attachUser()', () => {
+    it('authenticates API tokens', () => {
+      let user;
+      let req = createApiRequest('GET', '/posts');
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => createApiToken(user, ['posts:read']))
+        .then((token) => runWithToken(token, req, AuthMiddleware.requireAuth))
+        .then(() => {
+          Assert.strictEqual(req.User.id, user.id);
+          Assert.ok(req.ApiToken.hasScope('posts:read'));
+          Assert.strictEqual(req.User.password, undefined);
+        });
+    });
+
+    it('ignores expired and unknown API tokens', () => {
+      let req = createApiRequest('GET', '/posts');
+      let expired = new Date(Date.now() - 1000);
+
+      return TestDatabase.createUser(db.models)
+        .then((user) => createApiToken(user, ['posts:read'], { expiresAt: expired }))
+        .then((token) => authenticate(token, req))
+        .then(() => Assert.strictEqual(req.User, undefined))
+        .then(() => authenticate('pl_unknown', req))
+        .then(() => Assert.strictEqual(req.User, undefined));
+    });
+  });
+
+  describe('requireAuth()', () => {
+    it('allows requests within the API token\'s scopes', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => createApiToken(user, ['posts:read']))
+        .then((token) => runWithToken(token, createApiRequest('GET', '/posts'), AuthMiddleware.requireAuth))
+        .then((res) => {
+          Assert.ok(res.next);
+          Assert.strictEqual(res.nextError, null);
+        });
+    });
+
+    it('rejects requests outside the API token\'s scopes', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => createApiToken(user, ['posts:read']))
+        .then((token) => runWithToken(token, createApiRequest('POST', '/posts'), AuthMiddleware.requireAuth))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(!res.next);
+          Assert.ok(res.body.message.includes('posts:write'));
+        });
+    });
+
+    it('rejects API tokens for endpoints that manage credentials', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => createApiToken(user, db.models.apiToken.getAvailableScopes()))
+        .then((token) => runWithToken(token, createApiRequest('POST', '/users/:id/tokens', {
+          params: { id: user.id }
+        }), AuthMiddleware.requireAuth))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(!res.next);
+        });
+    });
+
+    it('limits users whose role requires two-factor authentication to their own profile', () => {
+      let locals = {
+        Database: db.Database,
+        Settings: Object.assign({}, db.Settings, { twoFactorRoles: 'admin' })
+      };
+      let admin;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestHttp.run(AuthMiddleware.requireAuth, createApiRequest('GET', '/posts', {
+          locals: locals,
+          User: admin
+        })))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(!res.next);
+        })
+        .then(() => TestHttp.run(AuthMiddleware.requireAuth, createApiRequest('PUT', '/users/:id', {
+          locals: locals,
+          originalUrl: '/' + process.env.APP_API_SLUG + '/users/' + admin.id,
+          User: admin
+        })))
+        .then((res) => Assert.ok(res.next));
+    });
+  });
+
+  describe('requireCapability()', () => {
+    it('never grants more than the API token owner\'s role', () => {
+      return TestDatabase.createUser(db.models, { role: 'editor' })
+        .then((user) => createApiToken(user, ['users:read']))
+        .then((token) => runWithToken(
+          token,
+          createApiRequest('GET', '/users'),
+          AuthMiddleware.requireCapability('user.manage')
+        ))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.strictEqual(res.nextError, 'Unauthorized');
+        });
+    });
+
+    it('requires the scope even if the role has the capability', () => {
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((user) => createApiToken(user, ['posts:read']))
+        .then((token) => runWithToken(
+          token,
+          createApiRequest('GET', '/users'),
+          AuthMiddleware.requireCapability('user.manage')
+        ))
+        .then((res) => {
+          Assert.strictEqual(res.status, HttpCodes.UNAUTHORIZED);
+          Assert.ok(res.body.message.includes('users:read'));
+        });
+    });
+
+    it('allows requests within the role and the API token\'s scopes', () => {
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((user) => createApiToken(user, ['users:read']))
+        .then((token) => runWithToken(
+          token,
+          createApiRequest('GET', '/users'),
+          AuthMiddleware.requireCapability('user.manage')
+        ))
+        .then((res) => {
+          Assert.ok(res.next);
+          Assert.strictEqual(res.nextError, null);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Express = require('express');
+const Http = require('http');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const CacheMiddleware = require(Path.join(__basedir, 'source/middleware/cache_middleware.js'));
+const PageCache = require(Path.join(__basedir, 'source/modules/page_cache.js'));
+
+describe('CacheMiddleware', () => {
+  let app;
+  let server;
+  let renders;
+
+  //
+  // Requests a page.
+  //
+  //  path* (string) - The page's path.
+  //  headers (object) - Request headers.
+  //
+  // Returns a promise that resolves with { status, headers, body }.
+  //
+  function get(path, headers) {
+    return new Promise((resolve, reject) => {
+      Http.get({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: path,
+        headers: headers || {},
+        // Don't keep connections open, so the server can close
+        agent: false
+      }, (res) => {
+        let body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body }));
+      }).on('error', reject);
+    });
+  }
+
+  before(() => {
+    app = Express();
+
+    app.locals.PageCache = PageCache();
+    app.use((req, res, next) => {
+      if(req.query.user) req.User = { id: req.query.user };
+      next();
+    });
+    app.use(CacheMiddleware.cachePage);
+    app.get('/post', (req, res) => {
+      renders++;
+      app.locals.PageCache.tag(res.locals, 'post:1');
+      res.send('Post ' + renders);
+    });
+    app.get('/missing', (req, res) => {
+      renders++;
+      res.status(404).send('Not Found');
+    });
+
+    server = Http.createServer(app);
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    renders = 0;
+    app.locals.PageCache.clear();
+  });
+
+  it('serves pages from the cache until their data changes', () => {
+    return get('/post')
+      .then((res) => {
+        Assert.strictEqual(res.body, 'Post 1');
+        Assert.strictEqual(res.headers['x-page-cache'], 'MISS');
+        return get('/post');
+      })
+      .then((res) => {
+        Assert.strictEqual(res.body, 'Post 1');
+        Assert.strictEqual(res.headers['x-page-cache'], 'HIT');
+        Assert.ok(res.headers.etag);
+
+        app.locals.PageCache.invalidate('post:1');
+        return get('/post');
+      })
+      .then((res) => Assert.strictEqual(res.body, 'Post 2'));
+  });
+
+  it('responds with Not Modified when the browser\'s copy is current', () => {
+    return get('/post')
+      .then((res) => get('/post', { 'If-None-Match': res.headers.etag }))
+      .then((res) => {
+        Assert.strictEqual(res.status, 304);
+        Assert.strictEqual(renders, 1);
+      });
+  });
+
+  it('doesn\'t cache pages for logged in users', () => {
+    return get('/post?user=1')
+      .then(() => get('/post?user=1'))
+      .then((res) => {
+        Assert.strictEqual(res.headers['x-page-cache'], undefined);
+        Assert.strictEqual(renders, 2);
+      });
+  });
+
+  it('doesn\'t cache errors', () => {
+    return get('/missing')
+      .then(() => get('/missing'))
+      .then((res) => {
+        Assert.strictEqual(res.status, 404);
+        Assert.strictEqual(renders, 2);
+      });
+  });
+
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const RedirectMiddleware = require(Path.join(__basedir, 'source/middleware/redirect_middleware.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('RedirectMiddleware', () => {
+  let db;
+  let MakeUrl;
+  let user;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => MakeUrl = require(Path.join(__basedir, 'source/modules/make_url.js'))(db.Settings))
+      .then(() => TestDatabase.createUser(db.models))
+      .then((result) => user = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Runs the middleware for a route that responded with an error.
+  //
+  //  type* (string) - The type of item the route serves.
+  //  params* (object) - The route's parameters.
+  //  options (object)
+  //    - status (int) - The route's response status (default Not Found).
+  //    - originalUrl (string) - The requested URL.
+  //
+  function redirect(type, params, options) {
+    options = options || {};
+    let req = TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      originalUrl: options.originalUrl || '/',
+      params: params
+    });
+    let err = new Error('Not Found');
+
+    return TestHttp.run((err, req, res, next) => {
+      res.status(options.status || HttpCodes.NOT_FOUND);
+      RedirectMiddleware.redirectOldSlugs(type)(err, req, res, next);
+    }, req, err);
+  }
+
+  it('redirects old post slugs to the current URL and keeps the query string', () => {
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'old-post' })
+      .then((post) => post.update({ slug: 'new-post' }))
+      .then(() => redirect('post', { slug: 'old-post' }, { originalUrl: '/old-post?ref=feed' }))
+      .then((res) => {
+        Assert.strictEqual(res.status, HttpCodes.MOVED_PERMANENTLY);
+        Assert.strictEqual(res.redirect, MakeUrl.post('new-post') + '?ref=feed');
+      });
+  });
+
+  it('doesn\'t reveal the new slug of a post that isn\'t public', () => {
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'old-draft', status: 'draft' })
+      .then((post) => post.update({ slug: 'new-draft' }))
+      .then(() => redirect('post', { slug: 'old-draft' }))
+      .then((res) => {
+        Assert.strictEqual(res.redirect, null);
+        Assert.ok(res.nextError);
+      });
+  });
+
+  it('doesn\'t redirect posts in the trash', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'old-trashed' })
+      .then((result) => post = result)
+      .then(() => post.update({ slug: 'new-trashed' }))
+      .then(() => post.destroy())
+      .then(() => redirect('post', { slug: 'old-trashed' }))
+      .then((res) => Assert.strictEqual(res.redirect, null));
+  });
+
+  it('redirects old tag slugs and usernames, keeping the page number', () => {
+    let tag;
+    let author;
+
+    return db.models.tag.create({ slug: 'old-tag', name: 'Tag' })
+      .then((result) => tag = result)
+      .then(() => tag.update({ slug: 'new-tag' }))
+      .then(() => redirect('tag', { slug: 'old-tag', page: '2' }))
+      .then((res) => Assert.strictEqual(res.redirect, MakeUrl.tag('new-tag', { page: 2 })))
+      .then(() => TestDatabase.createUser(db.models, { username: 'old-author' }))
+      .then((result) => author = result)
+      .then(() => author.update({ username: 'new-author' }))
+      .then(() => redirect('user', { username: 'old-author' }))
+      .then((res) => Assert.strictEqual(res.redirect, MakeUrl.author('new-author', { page: 1 })));
+  });
+
+  it('only handles Not Found responses for slugs it knows', () => {
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'old-error' })
+      .then((post) => post.update({ slug: 'new-error' }))
+      .then(() => redirect('post', { slug: 'old-error' }, { status: HttpCodes.INTERNAL_SERVER_ERROR }))
+      .then((res) => {
+        Assert.strictEqual(res.redirect, null);
+        Assert.ok(res.nextError);
+      })
+      .then(() => redirect('post', { slug: 'never-existed' }))
+      .then((res) => {
+        Assert.strictEqual(res.redirect, null);
+        Assert.ok(res.nextError);
+      });
+  });
+
+});
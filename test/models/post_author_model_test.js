@@ -0,0 +1,90 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Post author model', () => {
+  let db;
+  let users;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => Promise.all([
+        TestDatabase.createUser(db.models),
+        TestDatabase.createUser(db.models),
+        TestDatabase.createUser(db.models)
+      ]))
+      .then((result) => users = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Fetches a post with its authors.
+  //
+  // Returns a promise that resolves with the post.
+  //
+  function fetchPost(id) {
+    return db.models.post.findOne({
+      where: { id: id },
+      include: [{
+        model: db.models.user,
+        as: 'authors',
+        through: { attributes: ['sortOrder'] }
+      }]
+    });
+  }
+
+  describe('setAuthors()', () => {
+    it('replaces a post\'s authors and keeps them in order', () => {
+      let post;
+
+      return TestDatabase.createPost(db.models, { userId: users[0].id })
+        .then((result) => post = result)
+        .then(() => db.models.postAuthor.setAuthors(post.id, [users[0].id, users[1].id]))
+        .then(() => db.models.postAuthor.setAuthors(post.id, [users[2].id, users[0].id]))
+        .then(() => fetchPost(post.id))
+        .then((result) => {
+          Assert.deepStrictEqual(result.authors.map((user) => user.id), [users[2].id, users[0].id]);
+          Assert.deepStrictEqual(result.listAuthors().map((user) => user.id), [users[2].id, users[0].id]);
+        });
+    });
+  });
+
+  describe('post counts', () => {
+    it('include co-authored posts', () => {
+      let author;
+      let coauthor;
+
+      return Promise.all([TestDatabase.createUser(db.models), TestDatabase.createUser(db.models)])
+        .spread((first, second) => {
+          author = first;
+          coauthor = second;
+
+          return Promise.all([
+            TestDatabase.createPost(db.models, { userId: author.id }),
+            TestDatabase.createPost(db.models, { userId: author.id })
+          ]);
+        })
+        .spread((first, second) => Promise.all([
+          db.models.postAuthor.setAuthors(first.id, [author.id, coauthor.id]),
+          db.models.postAuthor.setAuthors(second.id, [author.id])
+        ]))
+        .then(() => Promise.all([
+          db.models.post.getCount({ author: author.username }),
+          db.models.post.getCount({ author: coauthor.username })
+        ]))
+        .spread((authorCount, coauthorCount) => {
+          Assert.strictEqual(authorCount, 2);
+          Assert.strictEqual(coauthorCount, 1);
+        });
+    });
+  });
+
+});
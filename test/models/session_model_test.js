@@ -0,0 +1,90 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('Session model', () => {
+  let db;
+  let user;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models))
+      .then((result) => user = result);
+  });
+
+  after(() => db.destroy());
+
+  describe('start()', () => {
+    it('records the device and removes expired sessions', () => {
+      let expired;
+      let req = TestHttp.createRequest({
+        ip: '203.0.113.1',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_3) AppleWebKit/537.36 Chrome/56.0 Safari/537.36'
+        }
+      });
+
+      return db.models.session.create({ userId: user.id, expiresAt: new Date(Date.now() - 1000) })
+        .then((result) => expired = result)
+        .then(() => db.models.session.start(user.id, req))
+        .then((session) => {
+          Assert.strictEqual(session.ipAddress, '203.0.113.1');
+          Assert.strictEqual(session.getDevice(), 'Chrome on macOS');
+          Assert.ok(!session.isExpired());
+          return db.models.session.findById(expired.id);
+        })
+        .then((session) => Assert.strictEqual(session, null));
+    });
+  });
+
+  describe('revokeAll()', () => {
+    it('revokes every session except the one to keep', () => {
+      let other;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => other = result)
+        .then(() => Promise.all([
+          db.models.session.start(user.id),
+          db.models.session.start(user.id),
+          db.models.session.start(other.id)
+        ]))
+        .spread((current) => {
+          return db.models.session.revokeAll(user.id, { except: current.id })
+            .then(() => Promise.all([
+              db.models.session.findAll({ where: { userId: user.id } }),
+              db.models.session.count({ where: { userId: other.id } })
+            ]))
+            .spread((sessions, count) => {
+              Assert.deepStrictEqual(sessions.map((session) => session.id), [current.id]);
+              Assert.strictEqual(count, 1);
+            });
+        });
+    });
+  });
+
+  describe('auth tokens', () => {
+    it('stop working when their session is revoked', () => {
+      let authToken;
+
+      return user.startSession()
+        .then((result) => authToken = result)
+        .then(() => db.models.user.decodeAuthToken(authToken.token))
+        .then((decoded) => {
+          Assert.strictEqual(decoded.id, user.id);
+          return decoded.session.destroy();
+        })
+        .then(() => db.models.user.decodeAuthToken(authToken.token))
+        .then(() => Assert.fail('The token was accepted'))
+        .catch((err) => Assert.ok(/revoked/.test(err.message), err.message));
+    });
+  });
+
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('SlugHistory model', () => {
+  let db;
+  let user;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models))
+      .then((result) => user = result);
+  });
+
+  after(() => db.destroy());
+
+  it('remembers old post slugs', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'first-slug' })
+      .then((result) => post = result)
+      .then(() => post.update({ slug: 'second-slug' }))
+      .then(() => db.models.slugHistory.resolve('post', 'first-slug'))
+      .then((targetId) => Assert.strictEqual(targetId, post.id));
+  });
+
+  it('resolves a chain of renames to the item', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'chain-one' })
+      .then((result) => post = result)
+      .then(() => post.update({ slug: 'chain-two' }))
+      .then(() => post.update({ slug: 'chain-three' }))
+      .then(() => Promise.all([
+        db.models.slugHistory.resolve('post', 'chain-one'),
+        db.models.slugHistory.resolve('post', 'chain-two'),
+        db.models.slugHistory.resolve('post', 'chain-three')
+      ]))
+      .then((targetIds) => Assert.deepStrictEqual(targetIds, [post.id, post.id, null]));
+  });
+
+  it('forgets old slugs when an item claims them', () => {
+    let post;
+    let otherPost;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'claimed-slug' })
+      .then((result) => post = result)
+      .then(() => post.update({ slug: 'renamed-slug' }))
+      .then(() => TestDatabase.createPost(db.models, { userId: user.id, slug: 'claimed-slug' }))
+      .then((result) => otherPost = result)
+      .then(() => db.models.slugHistory.resolve('post', 'claimed-slug'))
+      .then((targetId) => Assert.strictEqual(targetId, null))
+      // Renaming the post back claims its old slug too
+      .then(() => otherPost.update({ slug: 'other-slug' }))
+      .then(() => post.update({ slug: 'claimed-slug' }))
+      .then(() => db.models.slugHistory.resolve('post', 'claimed-slug'))
+      .then((targetId) => Assert.strictEqual(targetId, null))
+      .then(() => db.models.slugHistory.resolve('post', 'renamed-slug'))
+      .then((targetId) => Assert.strictEqual(targetId, post.id));
+  });
+
+  it('keeps the histories of posts, tags, and users apart', () => {
+    let tag;
+
+    return db.models.tag.create({ slug: 'shared-slug', name: 'Shared' })
+      .then((result) => tag = result)
+      .then(() => tag.update({ slug: 'new-tag-slug' }))
+      .then(() => Promise.all([
+        db.models.slugHistory.resolve('tag', 'shared-slug'),
+        db.models.slugHistory.resolve('post', 'shared-slug')
+      ]))
+      .then((targetIds) => Assert.deepStrictEqual(targetIds, [tag.id, null]));
+  });
+
+  it('remembers old usernames', () => {
+    let author;
+
+    return TestDatabase.createUser(db.models, { username: 'old-username' })
+      .then((result) => author = result)
+      .then(() => author.update({ username: 'new-username' }))
+      .then(() => db.models.slugHistory.resolve('user', 'old-username'))
+      .then((targetId) => Assert.strictEqual(targetId, author.id));
+  });
+
+  it('records slug changes made in a transaction', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, slug: 'transaction-slug' })
+      .then((result) => post = result)
+      .then(() => {
+        return db.Database.sequelize.transaction((transaction) => {
+          return post.update({ slug: 'transaction-renamed' }, { transaction: transaction });
+        });
+      })
+      .then(() => db.models.slugHistory.resolve('post', 'transaction-slug'))
+      .then((targetId) => Assert.strictEqual(targetId, post.id));
+  });
+
+});
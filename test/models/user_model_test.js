@@ -0,0 +1,109 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const Totp = require(Path.join(__basedir, 'source/modules/totp.js'));
+
+describe('User model', () => {
+  let db;
+
+  before(() => TestDatabase.create().then((result) => db = result));
+  after(() => db.destroy());
+
+  describe('two-factor authentication', () => {
+    it('encrypts the two-factor secret', () => {
+      let secret = Totp.generateSecret();
+
+      return TestDatabase.createUser(db.models)
+        .then((user) => user.setTwoFactorSecret(secret).save())
+        .then((user) => db.models.user.findById(user.id))
+        .then((user) => {
+          Assert.ok(!user.twoFactorSecret.includes(secret));
+          Assert.strictEqual(user.getTwoFactorSecret(), secret);
+        });
+    });
+
+    it('accepts each code only once', () => {
+      let secret = Totp.generateSecret();
+
+      return TestDatabase.createUser(db.models)
+        .then((user) => {
+          user.setTwoFactorSecret(secret);
+
+          Assert.ok(user.verifyTwoFactorCode(Totp.getCode(secret)));
+          Assert.ok(!user.verifyTwoFactorCode(Totp.getCode(secret)));
+        });
+    });
+
+    it('rejects codes when there\'s no secret', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => Assert.ok(!user.verifyTwoFactorCode(Totp.getCode(Totp.generateSecret()))));
+    });
+
+    it('accepts each recovery code only once', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => {
+          let codes = user.generateRecoveryCodes();
+
+          Assert.strictEqual(user.getRecoveryCodeCount(), codes.length);
+          Assert.ok(!user.recoveryCodes.includes(codes[0]));
+
+          // Recovery codes aren't case sensitive and the dash is optional
+          Assert.ok(user.useRecoveryCode(codes[0].toUpperCase().replace('-', '')));
+          Assert.ok(!user.useRecoveryCode(codes[0]));
+          Assert.ok(!user.useRecoveryCode('not-a-code'));
+          Assert.strictEqual(user.getRecoveryCodeCount(), codes.length - 1);
+        });
+    });
+
+    it('resets two-factor authentication when the secret changes', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => {
+          user.setTwoFactorSecret(Totp.generateSecret());
+          user.generateRecoveryCodes();
+          user.twoFactorEnabled = true;
+          user.setTwoFactorSecret(null);
+
+          Assert.strictEqual(user.twoFactorEnabled, false);
+          Assert.strictEqual(user.getTwoFactorSecret(), null);
+          Assert.strictEqual(user.getRecoveryCodeCount(), 0);
+        });
+    });
+  });
+
+  describe('toJSON()', () => {
+    it('leaves secrets out, including when the user is included with another model', () => {
+      let secretFields = ['password', 'recoveryCodes', 'resetToken', 'twoFactorSecret', 'unlockToken'];
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => {
+          user = result;
+          user.setTwoFactorSecret(Totp.generateSecret());
+          user.generateRecoveryCodes();
+          user.generateResetToken();
+          user.generateUnlockToken();
+
+          return user.save();
+        })
+        .then(() => TestDatabase.createPost(db.models, { userId: user.id }))
+        .then((post) => db.models.post.findById(post.id, {
+          include: [{ model: db.models.user, as: 'author' }]
+        }))
+        .then((post) => {
+          let json = JSON.parse(JSON.stringify({ user: user, post: post }));
+
+          secretFields.forEach((field) => {
+            Assert.ok(!(field in json.user), field + ' is in the user');
+            Assert.ok(!(field in json.post.author), field + ' is in the post\'s author');
+          });
+          Assert.strictEqual(json.post.author.id, user.id);
+        });
+    });
+  });
+
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+
+// Local modules
+const AuditLog = require(Path.join(__basedir, 'source/modules/audit_log.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('AuditLog', () => {
+  let db;
+  let admin;
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models, { role: 'admin' }))
+      .then((result) => admin = result);
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Records a change as the admin.
+  //
+  // Returns a promise that resolves with the entry.
+  //
+  function record(options) {
+    return AuditLog.record(TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      ip: '203.0.113.1',
+      User: admin
+    }), options);
+  }
+
+  describe('record()', () => {
+    it('records who changed what and only the fields that changed', () => {
+      let tag;
+      let before;
+
+      return db.models.tag.create({ name: 'News', slug: 'news', description: 'The news' })
+        .then((result) => {
+          tag = result;
+          before = AuditLog.snapshot(tag);
+          return tag.update({ name: 'Updates', description: 'All the news' });
+        })
+        .then(() => record({ action: 'update', targetType: 'tag', target: tag, before: before, after: tag }))
+        .then((entry) => {
+          entry = entry.toJSON();
+
+          Assert.strictEqual(entry.userId, admin.id);
+          Assert.strictEqual(entry.username, admin.username);
+          Assert.strictEqual(entry.ipAddress, '203.0.113.1');
+          Assert.strictEqual(entry.targetId, String(tag.id));
+          Assert.strictEqual(entry.targetName, 'Updates');
+          Assert.deepStrictEqual(entry.before, { name: 'News', description: 'The news' });
+          Assert.deepStrictEqual(entry.after, { name: 'Updates', description: 'All the news' });
+        });
+    });
+
+    it('masks secrets', () => {
+      let user;
+      let before;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => {
+          user = result;
+          before = AuditLog.snapshot(user);
+          user.setPassword('new password');
+          return user.save();
+        })
+        .then(() => record({ action: 'update', targetType: 'user', target: user, before: before, after: user }))
+        .then((entry) => {
+          Assert.ok(!entry.before.includes(before.password));
+          Assert.ok(!entry.after.includes(user.password));
+          Assert.deepStrictEqual(entry.toJSON().after, { password: '********' });
+        });
+    });
+
+    it('doesn\'t record anything when nothing changed', () => {
+      return db.models.tag.create({ name: 'Unchanged', slug: 'unchanged' })
+        .then((tag) => record({ action: 'update', targetType: 'tag', target: tag, before: tag, after: tag }))
+        .then((entry) => Assert.strictEqual(entry, null));
+    });
+  });
+
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Del = require('del');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Moment = require('moment');
+const Path = require('path');
+const Promise = require('bluebird');
+const Stream = require('stream');
+
+// Local modules
+const BackupScheduler = require(Path.join(__basedir, 'source/modules/backup_scheduler.js'));
+
+describe('BackupScheduler', () => {
+  let folder = 'data/test-backups-' + process.pid;
+  let settings;
+  let Scheduler;
+
+  //
+  // Stands in for the backup module by creating tiny archives.
+  //
+  const Backup = {
+    create: () => {
+      let archive = new Stream.PassThrough();
+      archive.end('backup');
+      return archive;
+    }
+  };
+
+  //
+  // Writes a file to the backup folder.
+  //
+  function writeFile(filename) {
+    Mkdirp.sync(Path.join(__basedir, folder));
+    Fs.writeFileSync(Path.join(__basedir, folder, filename), 'backup');
+  }
+
+  beforeEach(() => {
+    settings = { backupFrequency: 'never', backupPath: folder, backupCopies: 2 };
+    Scheduler = BackupScheduler(Backup, () => settings);
+  });
+
+  afterEach(() => {
+    Scheduler.stop();
+    return Del(Path.join(__basedir, folder));
+  });
+
+  describe('run()', () => {
+    it('makes a backup and removes the oldest copies', () => {
+      let filename;
+
+      writeFile('postleaf-backup-20170101-120000.zip');
+      writeFile('postleaf-backup-20170102-120000.zip');
+
+      return Scheduler.run()
+        .then((result) => filename = result)
+        .then(() => Scheduler.list())
+        .then((backups) => {
+          Assert.deepStrictEqual(backups.map((backup) => backup.filename), [
+            filename,
+            'postleaf-backup-20170102-120000.zip'
+          ]);
+          Assert.strictEqual(backups[0].size, 'backup'.length);
+        });
+    });
+  });
+
+  describe('list()', () => {
+    it('lists automatic backups, newest first', () => {
+      writeFile('postleaf-backup-20170101-120000.zip');
+      writeFile('postleaf-backup-20170301-120000.zip');
+      writeFile('postleaf-backup-20170301-120000.zip.tmp');
+      writeFile('notes.txt');
+
+      return Scheduler.list().then((backups) => {
+        Assert.deepStrictEqual(backups.map((backup) => backup.filename), [
+          'postleaf-backup-20170301-120000.zip',
+          'postleaf-backup-20170101-120000.zip'
+        ]);
+        Assert.strictEqual(backups[0].createdAt.toISOString(), '2017-03-01T12:00:00.000Z');
+      });
+    });
+
+    it('returns nothing before the first backup', () => {
+      return Scheduler.list().then((backups) => Assert.deepStrictEqual(backups, []));
+    });
+  });
+
+  describe('start()', () => {
+    it('makes a backup right away when one is due', () => {
+      settings.backupFrequency = 'daily';
+
+      return new Promise((resolve) => {
+        Scheduler.on('backup', resolve);
+        Scheduler.start();
+      })
+        .then((filename) => Assert.ok(Fs.existsSync(Path.join(__basedir, folder, filename))));
+    });
+
+    it('waits for the next backup when the last one is recent', () => {
+      let made = false;
+
+      settings.backupFrequency = 'daily';
+      writeFile('postleaf-backup-' + Moment().utc().format('YYYYMMDD-HHmmss') + '.zip');
+      Scheduler.on('backup', () => made = true);
+
+      return Scheduler.start()
+        .then(() => Promise.delay(100))
+        .then(() => Assert.strictEqual(made, false));
+    });
+  });
+
+  describe('getPath()', () => {
+    it('only returns paths to automatic backups', () => {
+      Assert.strictEqual(
+        Scheduler.getPath('postleaf-backup-20170101-120000.zip'),
+        Path.join(__basedir, folder, 'postleaf-backup-20170101-120000.zip')
+      );
+      Assert.strictEqual(Scheduler.getPath('../../package.json'), null);
+    });
+  });
+
+  describe('resolvePath()', () => {
+    it('keeps backups inside the data folder', () => {
+      Assert.strictEqual(Scheduler.resolvePath('data/backups'), Path.join(__basedir, 'data/backups'));
+      Assert.strictEqual(Scheduler.resolvePath('assets/backups'), null);
+      Assert.strictEqual(Scheduler.resolvePath('data/../assets'), null);
+      Assert.strictEqual(Scheduler.resolvePath('/tmp/backups'), null);
+    });
+  });
+
+});
@@ -0,0 +1,234 @@
+'use strict';
+
+// Node modules
+const Archiver = require('archiver');
+const Assert = require('assert');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Path = require('path');
+const Promise = require('bluebird');
+const Stream = require('stream');
+const Tmp = require('tmp');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Backup', () => {
+  let db;
+  let dir;
+  let user;
+  let Backup;
+  let Storage;
+  let Themes;
+
+  //
+  // Writes a zip file.
+  //
+  //  name* (string) - The file's name in the temporary folder.
+  //  source* (stream|object) - A zip stream, or an object with the contents of each entry keyed by
+  //    name.
+  //
+  // Returns a promise that resolves with the file's full path.
+  //
+  function writeZip(name, source) {
+    let file = Path.join(dir.name, name);
+
+    if(typeof source.pipe !== 'function') {
+      let entries = source;
+
+      source = Archiver('zip');
+      Object.keys(entries).forEach((name) => {
+        // Entries are appended as streams, the same way backups are created
+        let entry = new Stream.PassThrough();
+        entry.end(entries[name]);
+        source.append(entry, { name: name });
+      });
+      source.finalize();
+    }
+
+    return new Promise((resolve, reject) => {
+      source.on('error', reject);
+      source.pipe(Fs.createWriteStream(file)).on('finish', () => resolve(file)).on('error', reject);
+    });
+  }
+
+  //
+  // Writes a theme file.
+  //
+  // Returns a promise.
+  //
+  function writeThemeFile(name, data) {
+    let file = Path.join(Themes.themePath, name);
+
+    return Promise.promisify(Mkdirp)(Path.dirname(file))
+      .then(() => Promise.promisify(Fs.writeFile)(file, data));
+  }
+
+  //
+  // Reads a theme file.
+  //
+  // Returns a promise that resolves with a string, or null if the file doesn't exist.
+  //
+  function readThemeFile(name) {
+    return Promise.promisify(Fs.readFile)(Path.join(Themes.themePath, name), 'utf8').catch(() => null);
+  }
+
+  before(() => {
+    dir = Tmp.dirSync({ unsafeCleanup: true });
+    Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' });
+    Themes = { themePath: Path.join(dir.name, 'themes') };
+
+    return TestDatabase.create()
+      .then((result) => {
+        db = result;
+        Backup = require(Path.join(__basedir, 'source/modules/backup.js'))(db.Database, Storage, Themes);
+      })
+      .then(() => TestDatabase.createUser(db.models))
+      .then((result) => user = result);
+  });
+
+  after(() => {
+    db.destroy();
+    dir.removeCallback();
+  });
+
+  describe('verify()', () => {
+    it('summarizes a backup', () => {
+      return TestDatabase.createPost(db.models, { userId: user.id })
+        .then(() => writeZip('summary.zip', Backup.create()))
+        .then((file) => Backup.verify(file))
+        .then((summary) => {
+          Assert.strictEqual(summary.version, __version);
+          Assert.strictEqual(summary.data, true);
+          Assert.ok(summary.tables.post > 0);
+          Assert.ok(summary.tables.user > 0);
+          Assert.strictEqual(summary.uploads, 0);
+        });
+    });
+
+    it('lists files that don\'t match the manifest', () => {
+      return writeZip('mismatch.zip', {
+        'postleaf.json': JSON.stringify({
+          migrations: [],
+          files: {
+            'data/tag.ndjson': { size: 1, sha256: 'invalid' },
+            'data/post.ndjson': { size: 1, sha256: 'invalid' }
+          }
+        }),
+        'data/tag.ndjson': '{}\n'
+      })
+        .then((file) => Backup.verify(file))
+        .then(() => Assert.fail('The backup was verified'))
+        .catch((err) => {
+          Assert.deepStrictEqual(err.errors, [
+            'Checksum mismatch: data/tag.ndjson',
+            'Missing file: data/post.ndjson'
+          ]);
+        });
+    });
+
+    it('rejects backups from newer versions', () => {
+      return writeZip('newer.zip', {
+        'postleaf.json': JSON.stringify({ migrations: ['999_from_the_future'], files: {} })
+      })
+        .then((file) => Backup.verify(file))
+        .then(() => Assert.fail('The backup was verified'))
+        .catch((err) => Assert.ok(/unknown migration 999_from_the_future/.test(err.errors[0]), err.message));
+    });
+  });
+
+  describe('restore()', () => {
+    it('restores data, uploads, and themes', () => {
+      let post;
+
+      return Promise.all([
+        TestDatabase.createPost(db.models, { userId: user.id }).then((result) => post = result),
+        Storage.put('2017/01/image.png', 'image'),
+        writeThemeFile('theme/theme.json', '{}')
+      ])
+        .then(() => writeZip('backup.zip', Backup.create({ uploads: true, themes: true })))
+        .then((file) => {
+          return Promise.all([
+            post.destroy({ force: true }),
+            Storage.put('stale.png', 'stale'),
+            Storage.delete('2017/01/image.png'),
+            writeThemeFile('stale/theme.json', '{}')
+          ])
+            .then(() => Backup.restore(file));
+        })
+        .then((summary) => {
+          Assert.strictEqual(summary.uploads, 1);
+          Assert.strictEqual(summary.themes, 1);
+
+          return Promise.all([
+            db.models.post.findById(post.id),
+            Storage.list(),
+            readThemeFile('theme/theme.json'),
+            readThemeFile('stale/theme.json')
+          ]);
+        })
+        .spread((restored, keys, theme, stale) => {
+          Assert.ok(restored);
+          Assert.deepStrictEqual(keys, ['2017/01/image.png']);
+          Assert.strictEqual(theme, '{}');
+          Assert.strictEqual(stale, null);
+        });
+    });
+
+    it('signs everyone out except the user restoring the backup', () => {
+      let other;
+      let current;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => other = result)
+        .then(() => writeZip('sessions.zip', Backup.create()))
+        .then((file) => {
+          return Promise.all([
+            db.models.session.start(user.id),
+            db.models.session.start(other.id)
+          ])
+            .spread((result) => current = result)
+            .then(() => Backup.restore(file, { sessionId: current.id }));
+        })
+        .then(() => db.models.session.findAll())
+        .then((sessions) => Assert.deepStrictEqual(sessions.map((session) => session.id), [current.id]));
+    });
+
+    it('leaves uploads and themes alone when the data can\'t be restored', () => {
+      let before;
+
+      return Promise.all([
+        Storage.put('current.png', 'current'),
+        writeThemeFile('current/theme.json', '{}')
+      ])
+        .then(() => Storage.list())
+        .then((keys) => before = keys)
+        .then(() => {
+          return writeZip('invalid.zip', {
+            'postleaf.json': JSON.stringify({ migrations: [], files: {} }),
+            // Posts need a title, so this row can't be inserted
+            'data/post.ndjson': JSON.stringify({ id: 'a', slug: 'post', userId: user.id }) + '\n',
+            'uploads/new.png': 'new',
+            'themes/new/theme.json': '{}'
+          });
+        })
+        .then((file) => Backup.restore(file))
+        .then(() => Assert.fail('The backup was restored'))
+        .catch((err) => Assert.ok(!/The backup was restored/.test(err.message), err.message))
+        .then(() => Promise.all([
+          Storage.list(),
+          readThemeFile('current/theme.json'),
+          readThemeFile('new/theme.json'),
+          Promise.promisify(Fs.readdir)(dir.name)
+        ]))
+        .spread((keys, current, added, folders) => {
+          Assert.deepStrictEqual(keys, before);
+          Assert.strictEqual(current, '{}');
+          Assert.strictEqual(added, null);
+          // The staged themes are cleaned up
+          Assert.ok(!folders.includes('themes.restore'));
+        });
+    });
+  });
+
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const CustomFields = require(Path.join(__basedir, 'source/modules/custom_fields.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('CustomFields', () => {
+  let fields = CustomFields.normalize([
+    { key: 'subtitle', type: 'text' },
+    { key: 'rating', label: 'Rating', type: 'number' },
+    { key: 'featured', type: 'boolean' },
+    { key: 'eventDate', type: 'date', templates: ['event'] },
+    { key: 'related', type: 'post' }
+  ]);
+
+  describe('normalize()', () => {
+    it('skips invalid and duplicate fields', () => {
+      let result = CustomFields.normalize([
+        { key: 'subtitle', type: 'text' },
+        { key: 'subtitle', type: 'number' },
+        { key: '1st', type: 'text' },
+        { key: 'color', type: 'color' },
+        null
+      ]);
+
+      Assert.deepStrictEqual(result, [{
+        key: 'subtitle',
+        label: 'subtitle',
+        type: 'text',
+        description: null,
+        templates: null
+      }]);
+      Assert.deepStrictEqual(CustomFields.normalize('fields'), []);
+    });
+  });
+
+  describe('cast()', () => {
+    it('converts values to the field\'s type', () => {
+      Assert.strictEqual(CustomFields.cast(fields[1], '4.5'), 4.5);
+      Assert.strictEqual(CustomFields.cast(fields[1], ' '), undefined);
+      Assert.strictEqual(CustomFields.cast(fields[2], ['false', 'true']), true);
+      Assert.strictEqual(CustomFields.cast(fields[2], 'false'), false);
+      Assert.strictEqual(CustomFields.cast(fields[3], ' 2017-01-31 '), '2017-01-31');
+      Assert.strictEqual(CustomFields.cast(fields[0], ''), undefined);
+    });
+
+    it('rejects invalid numbers and dates', () => {
+      Assert.throws(() => CustomFields.cast(fields[1], 'ten'), (err) => {
+        return err.name === 'SequelizeValidationError' && err.errors[0].path === 'fields[rating]';
+      });
+      Assert.throws(() => CustomFields.cast(fields[3], '2017-02-30'), /Validation/);
+    });
+  });
+
+  describe('merge()', () => {
+    it('only changes the fields the theme declares', () => {
+      let current = { subtitle: 'Old', rating: 3, fromOtherTheme: 'Kept' };
+      let merged = CustomFields.merge(fields, current, { subtitle: '', rating: '5', unknown: 'Ignored' });
+
+      Assert.deepStrictEqual(merged, { rating: 5, fromOtherTheme: 'Kept' });
+      Assert.strictEqual(current.subtitle, 'Old');
+    });
+  });
+
+  describe('parse()', () => {
+    let db;
+
+    before(() => TestDatabase.create().then((result) => db = result));
+
+    after(() => db.destroy());
+
+    //
+    // Parses values for a post.
+    //
+    function parse(values, options) {
+      return CustomFields.parse(TestHttp.createRequest({
+        locals: {
+          Database: db.Database,
+          Settings: { theme: 'test' },
+          Themes: { getCustomFields: () => Promise.resolve(fields) }
+        }
+      }), 'post', values, options);
+    }
+
+    it('leaves fields alone that don\'t apply to the post\'s template', () => {
+      return Promise.all([
+        parse({ eventDate: '2017-01-31' }, { current: { eventDate: '2016-12-31' } }),
+        parse({ eventDate: '2017-01-31' }, { template: 'event' })
+      ])
+        .spread((other, event) => {
+          Assert.deepStrictEqual(other, { eventDate: '2016-12-31' });
+          Assert.deepStrictEqual(event, { eventDate: '2017-01-31' });
+        });
+    });
+
+    it('only accepts posts that exist', () => {
+      return TestDatabase.createUser(db.models)
+        .then((user) => TestDatabase.createPost(db.models, { userId: user.id }))
+        .then((post) => parse({ related: post.id }).then((values) => Assert.strictEqual(values.related, post.id)))
+        .then(() => parse({ related: 'missing' }))
+        .then(() => Assert.fail('The post was accepted'))
+        .catch((err) => Assert.strictEqual(err.errors[0].path, 'fields[related]'));
+    });
+  });
+
+  describe('compare()', () => {
+    it('sorts numbers numerically and empty values last', () => {
+      let values = [10, null, 9, '', 100];
+
+      Assert.deepStrictEqual(values.slice().sort((a, b) => CustomFields.compare(a, b)), [9, 10, 100, null, '']);
+      Assert.deepStrictEqual(values.slice().sort((a, b) => CustomFields.compare(a, b, true)), [100, 10, 9, null, '']);
+    });
+  });
+
+  describe('matches()', () => {
+    it('matches values, or any value when none is expected', () => {
+      Assert.strictEqual(CustomFields.matches(5, '5'), true);
+      Assert.strictEqual(CustomFields.matches('a', 'b'), false);
+      Assert.strictEqual(CustomFields.matches('a'), true);
+      Assert.strictEqual(CustomFields.matches(false), false);
+      Assert.strictEqual(CustomFields.matches(''), false);
+    });
+  });
+
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Database = require(Path.join(__basedir, 'source/modules/database.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Database', () => {
+
+  describe('dialects', () => {
+    let keys = ['DB_DIALECT', 'DB_HOST', 'DB_PORT', 'DB_NAME', 'DB_USERNAME', 'DB_PASSWORD'];
+    let env = {};
+
+    beforeEach(() => keys.forEach((key) => env[key] = process.env[key]));
+
+    afterEach(() => {
+      keys.forEach((key) => {
+        if(typeof env[key] === 'undefined') {
+          delete process.env[key];
+        } else {
+          process.env[key] = env[key];
+        }
+      });
+    });
+
+    it('connects to database servers with the given credentials', () => {
+      let sequelize = Database({
+        databaseDialect: 'postgres',
+        databaseHost: 'db.example.com',
+        databasePort: 5433,
+        databaseName: 'blog',
+        databaseUsername: 'postleaf',
+        databasePassword: 'secret'
+      }).sequelize;
+
+      Assert.strictEqual(sequelize.getDialect(), 'postgres');
+      Assert.strictEqual(sequelize.config.host, 'db.example.com');
+      Assert.strictEqual(sequelize.config.port, 5433);
+      Assert.strictEqual(sequelize.config.database, 'blog');
+      Assert.strictEqual(sequelize.config.username, 'postleaf');
+      Assert.strictEqual(sequelize.config.password, 'secret');
+    });
+
+    it('reads the dialect and credentials from the environment', () => {
+      process.env.DB_DIALECT = 'mysql';
+      process.env.DB_HOST = 'mysql.example.com';
+      process.env.DB_NAME = 'website';
+      process.env.DB_USERNAME = 'admin';
+
+      let sequelize = Database().sequelize;
+
+      Assert.strictEqual(sequelize.getDialect(), 'mysql');
+      Assert.strictEqual(sequelize.config.host, 'mysql.example.com');
+      Assert.strictEqual(sequelize.config.database, 'website');
+      Assert.strictEqual(sequelize.config.username, 'admin');
+    });
+
+    it('rejects unsupported dialects', () => {
+      Assert.throws(() => Database({ databaseDialect: 'oracle' }), /Unsupported database dialect: oracle/);
+    });
+  });
+
+  describe('search', () => {
+    let db;
+
+    before(() => TestDatabase.create().then((result) => db = result));
+
+    after(() => db.destroy());
+
+    it('orders posts by how well they match', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => Promise.all([
+          TestDatabase.createPost(db.models, { userId: user.id, title: 'Zebra', content: 'Zebra zebra' }),
+          TestDatabase.createPost(db.models, { userId: user.id, title: 'Other', content: 'A zebra' }),
+          TestDatabase.createPost(db.models, { userId: user.id, title: 'Other', content: 'Giraffe' })
+        ]))
+        .then(() => db.models.post.search('zebra'))
+        .then((result) => {
+          let ranked = db.models.post.searchIndex.search('zebra').map((match) => match.ref);
+
+          Assert.strictEqual(result.count, 2);
+          Assert.deepStrictEqual(result.rows.map((post) => post.id), ranked);
+        });
+    });
+  });
+
+});
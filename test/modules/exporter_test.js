@@ -0,0 +1,124 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+const Yauzl = require('yauzl');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Exporter', () => {
+  let db;
+  let user;
+  let Exporter;
+  let Storage;
+
+  //
+  // Reads a zip stream.
+  //
+  //  archive* (stream) - The zip stream.
+  //
+  // Returns a promise that resolves with an object of entry contents keyed by name.
+  //
+  function readZip(archive) {
+    let chunks = [];
+
+    return new Promise((resolve, reject) => {
+      archive.on('data', (chunk) => chunks.push(chunk));
+      archive.on('end', resolve);
+      archive.on('error', reject);
+    })
+      .then(() => Promise.promisify(Yauzl.fromBuffer)(Buffer.concat(chunks), { lazyEntries: true }))
+      .then((zipFile) => {
+        let entries = {};
+
+        return new Promise((resolve, reject) => {
+          zipFile.on('entry', (entry) => {
+            zipFile.openReadStream(entry, (err, stream) => {
+              if(err) return reject(err);
+
+              let data = [];
+              stream.on('data', (chunk) => data.push(chunk));
+              stream.on('end', () => {
+                entries[entry.fileName] = Buffer.concat(data).toString('utf8');
+                zipFile.readEntry();
+              });
+            });
+          });
+          zipFile.on('end', () => resolve(entries));
+          zipFile.on('error', reject);
+          zipFile.readEntry();
+        });
+      });
+  }
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => {
+        db = result;
+        Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' });
+        Exporter = require(Path.join(__basedir, 'source/modules/exporter.js'))(db.Database, Storage);
+
+        return TestDatabase.createUser(db.models, { username: 'jane' });
+      })
+      .then((result) => user = result);
+  });
+
+  after(() => db.destroy());
+
+  describe('create()', () => {
+    it('exports posts, pages, and their uploads as markdown', () => {
+      return Promise.all([
+        Storage.put('2017/01/photo.jpg', Buffer.from('photo')),
+        Storage.put('2017/01/unused.jpg', Buffer.from('unused')),
+        db.models.tag.create({ name: 'News', slug: 'news' }),
+        TestDatabase.createPost(db.models, {
+          userId: user.id,
+          slug: 'hello-world',
+          title: 'Hello "World"',
+          content: '<p>Hello <strong>there</strong></p><p><img src="/uploads/2017/01/photo.jpg?size=small"></p>',
+          publishedAt: new Date('2017-01-02T03:04:05.000Z'),
+          isSticky: true
+        }),
+        TestDatabase.createPost(db.models, {
+          userId: user.id,
+          slug: 'about',
+          title: 'About',
+          status: 'draft',
+          isPage: true,
+          // Uploads that no longer exist are skipped
+          image: '/uploads/2017/01/missing.jpg'
+        })
+      ])
+        .spread((photo, unused, tag, post) => post.setTags([tag]))
+        .then(() => readZip(Exporter.create()))
+        .then((entries) => {
+          Assert.deepStrictEqual(Object.keys(entries).sort(), [
+            'pages/about.md',
+            'posts/hello-world.md',
+            'uploads/2017/01/photo.jpg'
+          ]);
+
+          let post = entries['posts/hello-world.md'];
+          Assert.ok(/^---\ntitle: "Hello \\"World\\""\nslug: "hello-world"\nauthor: "jane"\n/.test(post), post);
+          Assert.ok(/\ntags: \["News"\]\n/.test(post), post);
+          Assert.ok(/\npublishedAt: 2017-01-02T03:04:05.000Z\n/.test(post), post);
+          Assert.ok(/\nisSticky: true\n/.test(post), post);
+          Assert.ok(/\n---\n\nHello \*\*there\*\*/.test(post), post);
+
+          let page = entries['pages/about.md'];
+          Assert.ok(/\nstatus: "draft"\n/.test(page), page);
+          Assert.ok(/\ntags: \[\]\n/.test(page), page);
+
+          Assert.strictEqual(entries['uploads/2017/01/photo.jpg'], 'photo');
+        });
+    });
+
+    it('rejects unsupported formats', () => {
+      Assert.throws(() => Exporter.create({ format: 'html' }), /Unsupported export format: html/);
+    });
+  });
+
+});
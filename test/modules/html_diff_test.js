@@ -0,0 +1,41 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+
+// Local modules
+const HtmlDiff = require(Path.join(__basedir, 'source/modules/html_diff.js'));
+
+describe('HtmlDiff', () => {
+
+  describe('diff()', () => {
+    it('marks removed and added words without breaking tags', () => {
+      Assert.deepStrictEqual(HtmlDiff.diff('<p>The quick brown fox</p>', '<p>The slow brown fox jumps</p>'), {
+        before: '<p>The <del>quick</del> brown fox</p>',
+        after: '<p>The <ins>slow</ins> brown fox<ins> jumps</ins></p>',
+        changed: true
+      });
+    });
+
+    it('reports changes to markup alone', () => {
+      Assert.strictEqual(HtmlDiff.diff('<p>Same</p>', '<p>Same</p>').changed, false);
+      Assert.deepStrictEqual(HtmlDiff.diff('<p>Hello</p>', '<h2>Hello</h2>'), {
+        before: '<p>Hello</p>',
+        after: '<h2>Hello</h2>',
+        changed: true
+      });
+    });
+  });
+
+  describe('diffText()', () => {
+    it('escapes plain text', () => {
+      Assert.deepStrictEqual(HtmlDiff.diffText('a < b', 'a > b'), {
+        before: 'a <del>&lt;</del> b',
+        after: 'a <ins>&gt;</ins> b',
+        changed: true
+      });
+    });
+  });
+
+});
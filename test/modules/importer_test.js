@@ -0,0 +1,336 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Http = require('http');
+const Path = require('path');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Importer', () => {
+  let db;
+  let user;
+  let Importer;
+  let server;
+  let serverUrl;
+  let requests;
+
+  //
+  // Creates a Ghost export with one post.
+  //
+  //  html* (string) - The post's content.
+  //
+  // Returns a string.
+  //
+  function ghostExport(html) {
+    return JSON.stringify({
+      db: [{
+        data: {
+          posts: [{
+            id: 1,
+            title: 'Imported Post',
+            slug: 'imported-post-' + Math.random().toString(36).substr(2, 8),
+            html: html,
+            status: 'published',
+            published_at: '2017-01-01T00:00:00.000Z',
+            author_id: 1
+          }],
+          users: [],
+          tags: []
+        }
+      }]
+    });
+  }
+
+  //
+  // Creates a WordPress export.
+  //
+  //  items* (string) - The export's items.
+  //
+  // Returns a string.
+  //
+  function wordPressExport(items) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"',
+      '  xmlns:content="http://purl.org/rss/1.0/modules/content/"',
+      '  xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">',
+      '<channel>',
+      '  <link>http://example.com</link>',
+      '  <wp:base_blog_url>http://example.com</wp:base_blog_url>',
+      '  <wp:author>',
+      '    <wp:author_login><![CDATA[jane]]></wp:author_login>',
+      '    <wp:author_email><![CDATA[jane@example.com]]></wp:author_email>',
+      '    <wp:author_display_name><![CDATA[Jane Doe]]></wp:author_display_name>',
+      '  </wp:author>',
+      '  <wp:category>',
+      '    <wp:category_nicename><![CDATA[uncategorized]]></wp:category_nicename>',
+      '    <wp:cat_name><![CDATA[Uncategorized]]></wp:cat_name>',
+      '  </wp:category>',
+      '  <wp:category>',
+      '    <wp:category_nicename><![CDATA[news]]></wp:category_nicename>',
+      '    <wp:cat_name><![CDATA[News]]></wp:cat_name>',
+      '  </wp:category>',
+      items,
+      '</channel>',
+      '</rss>'
+    ].join('\n');
+  }
+
+  //
+  // Creates a WordPress export item.
+  //
+  //  fields* (object) - The item's fields, keyed by tag name.
+  //  children (string) - Extra markup to add to the item.
+  //
+  // Returns a string.
+  //
+  function wordPressItem(fields, children) {
+    return '<item>' +
+      Object.keys(fields).map((name) => '<' + name + '><![CDATA[' + fields[name] + ']]></' + name + '>').join('') +
+      (children || '') +
+      '</item>';
+  }
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => {
+        db = result;
+        Importer = require(Path.join(__basedir, 'source/modules/importer.js'))(
+          db.Database,
+          require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' })
+        );
+
+        return TestDatabase.createUser(db.models, { role: 'admin' });
+      })
+      .then((result) => {
+        user = result;
+
+        // A stand-in for a service that's only reachable from inside the network
+        server = Http.createServer((req, res) => {
+          requests.push(req.url);
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.end('secret');
+        });
+
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      })
+      .then(() => serverUrl = 'http://127.0.0.1:' + server.address().port);
+  });
+
+  after(() => {
+    server.close();
+    db.destroy();
+  });
+
+  beforeEach(() => requests = []);
+
+  describe('parse', () => {
+    it('parses WordPress exports', () => {
+      let source = Importer.parse(wordPressExport([
+        wordPressItem({
+          'wp:post_id': '10',
+          'wp:post_type': 'attachment',
+          'wp:status': 'inherit',
+          'wp:attachment_url': 'http://example.com/wp-content/uploads/2017/01/photo.jpg'
+        }),
+        wordPressItem({
+          'title': 'Hello World',
+          'link': 'http://example.com/hello-world/',
+          'dc:creator': 'jane',
+          'content:encoded': 'First line\nSecond line\n\nNext paragraph',
+          'excerpt:encoded': '<b>Summary</b>',
+          'wp:post_id': '1',
+          'wp:post_name': 'hello-world',
+          'wp:post_type': 'post',
+          'wp:status': 'future',
+          'wp:post_date_gmt': '2017-01-02 03:04:05'
+        },
+          '<category domain="category" nicename="news"><![CDATA[News]]></category>' +
+          '<category domain="post_tag" nicename="travel"><![CDATA[Travel]]></category>' +
+          '<category domain="category" nicename="uncategorized"><![CDATA[Uncategorized]]></category>' +
+          '<wp:postmeta><wp:meta_key>_thumbnail_id</wp:meta_key><wp:meta_value>10</wp:meta_value></wp:postmeta>'
+        ),
+        wordPressItem({
+          'title': 'About',
+          'dc:creator': 'jane',
+          'wp:post_id': '2',
+          'wp:post_name': 'about',
+          'wp:post_type': 'page',
+          'wp:status': 'private'
+        }),
+        wordPressItem({ 'title': 'Deleted', 'wp:post_id': '3', 'wp:post_type': 'post', 'wp:status': 'trash' })
+      ].join('\n')));
+
+      Assert.equal(source.format, 'wordpress');
+      Assert.equal(source.siteUrl, 'http://example.com');
+      Assert.deepEqual(source.users, [{
+        key: 'jane',
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        username: 'jane',
+        role: 'contributor'
+      }]);
+      Assert.deepEqual(source.tags.map((tag) => tag.slug), ['news', 'travel']);
+      Assert.equal(source.posts.length, 2);
+
+      let post = source.posts[0];
+      Assert.equal(post.content, '<p>First line<br>\nSecond line</p>\n<p>Next paragraph</p>');
+      Assert.equal(post.metaDescription, 'Summary');
+      Assert.equal(post.status, 'published');
+      Assert.equal(post.image, 'http://example.com/wp-content/uploads/2017/01/photo.jpg');
+      Assert.equal(post.publishedAt.toISOString(), '2017-01-02T03:04:05.000Z');
+      Assert.deepEqual(post.tagKeys, ['news', 'travel']);
+
+      Assert.equal(source.posts[1].isPage, true);
+      Assert.equal(source.posts[1].status, 'draft');
+    });
+
+    it('parses Ghost exports', () => {
+      let source = Importer.parse(JSON.stringify({
+        db: [{
+          data: {
+            posts: [{
+              id: 1,
+              title: 'Markdown Post',
+              slug: 'markdown-post',
+              markdown: '# Heading',
+              status: 'scheduled',
+              type: 'page',
+              featured: true,
+              created_at: '2017-01-01T00:00:00.000Z',
+              author_id: 1
+            }],
+            users: [
+              { id: 1, name: 'Owner', slug: 'owner', email: 'owner@example.com' },
+              { id: 2, name: 'Nobody', slug: 'nobody', email: 'nobody@example.com' }
+            ],
+            roles: [{ id: 1, name: 'Owner' }],
+            roles_users: [{ user_id: 1, role_id: 1 }],
+            tags: [{ id: 1, name: 'First', slug: 'first' }, { id: 2, name: 'Second', slug: 'second' }],
+            posts_tags: [{ post_id: 1, tag_id: 2, sort_order: 1 }, { post_id: 1, tag_id: 1, sort_order: 0 }],
+            posts_authors: [{ post_id: 1, author_id: 1, sort_order: 1 }, { post_id: 1, author_id: 2, sort_order: 0 }]
+          }
+        }]
+      }), { siteUrl: 'http://example.com' });
+
+      Assert.equal(source.format, 'ghost');
+      Assert.equal(source.siteUrl, 'http://example.com');
+
+      // Nobody can be imported as the owner, and users without a role become contributors
+      Assert.deepEqual(source.users.map((user) => user.role), ['admin', 'contributor']);
+
+      let post = source.posts[0];
+      Assert.ok(/<h1[^>]*>Heading<\/h1>/.test(post.content), post.content);
+      Assert.equal(post.status, 'published');
+      Assert.equal(post.isPage, true);
+      Assert.equal(post.isFeatured, true);
+      Assert.equal(post.publishedAt.toISOString(), '2017-01-01T00:00:00.000Z');
+      Assert.equal(post.authorKey, '2');
+      Assert.deepEqual(post.tagKeys, ['1', '2']);
+    });
+
+    it('rejects files that aren\'t exports', () => {
+      Assert.throws(() => Importer.parse('<rss></rss>'), /not a WordPress export/);
+      Assert.throws(() => Importer.parse('{"posts":[]}'), /not a Ghost export/);
+      Assert.throws(() => Importer.parse('Hello'), /not a WordPress or Ghost export/);
+    });
+  });
+
+  describe('import', () => {
+
+    it('imports posts from a Ghost export', () => {
+      return Importer
+        .import(ghostExport('<p>Hello</p>'), { userId: user.id, downloadUploads: false })
+        .then((report) => {
+          Assert.equal(report.format, 'ghost');
+          Assert.equal(report.posts.created, 1);
+        });
+    });
+
+    it('imports authors, tags, and posts from a WordPress export', () => {
+      let xml = wordPressExport(wordPressItem({
+        'title': 'WordPress Post',
+        'dc:creator': 'jane',
+        'content:encoded': 'Hello',
+        'wp:post_id': '1',
+        'wp:post_name': 'wordpress-post',
+        'wp:post_type': 'post',
+        'wp:status': 'publish',
+        'wp:post_date_gmt': '2017-01-02 03:04:05'
+      }, '<category domain="category" nicename="news"><![CDATA[News]]></category>'));
+
+      return Importer
+        .import(xml, { userId: user.id, downloadUploads: false })
+        .then((report) => {
+          Assert.equal(report.format, 'wordpress');
+          Assert.equal(report.posts.created, 1);
+          Assert.equal(report.tags.created, 1);
+          Assert.equal(report.users.created, 1);
+
+          return db.models.post.findOne({
+            where: { slug: 'wordpress-post' },
+            include: [{ model: db.models.user, as: 'author' }, { model: db.models.tag }]
+          });
+        })
+        .then((post) => {
+          Assert.equal(post.author.email, 'jane@example.com');
+          Assert.equal(post.author.role, 'contributor');
+          Assert.deepEqual(post.tags.map((tag) => tag.slug), ['news']);
+
+          // Importing again skips the post and reuses the author and tag
+          return Importer.import(xml, { userId: user.id, downloadUploads: false });
+        })
+        .then((report) => {
+          Assert.equal(report.posts.skipped, 1);
+          Assert.equal(report.tags.existing, 1);
+          Assert.equal(report.users.existing, 1);
+        });
+    });
+
+    it('refuses to download files from private addresses', () => {
+      let html = '<img src="' + serverUrl + '/content/images/2017/01/image.png">';
+
+      return Importer
+        .import(ghostExport(html), { userId: user.id, siteUrl: serverUrl })
+        .then((report) => {
+          Assert.equal(report.uploads.created, 0);
+          Assert.equal(report.uploads.failed, 1);
+          Assert.ok(/not allowed/.test(report.conflicts[0].message));
+          Assert.deepEqual(requests, []);
+        });
+    });
+
+    it('refuses to download files from hostnames that resolve to private addresses', () => {
+      let siteUrl = serverUrl.replace('127.0.0.1', 'localhost');
+      let html = '<img src="' + siteUrl + '/content/images/2017/01/image.png">';
+
+      return Importer
+        .import(ghostExport(html), { userId: user.id, siteUrl: siteUrl })
+        .then((report) => {
+          Assert.equal(report.uploads.failed, 1);
+          Assert.deepEqual(requests, []);
+        });
+    });
+
+    it('only downloads files from the original website', () => {
+      let html =
+        '<img src="http://example.com/content/images/2017/01/image.png">' +
+        '<img src="ftp://example.org/content/images/2017/01/image.png">';
+
+      return Promise.all([
+        Importer.import(ghostExport(html), { userId: user.id, dryRun: true }),
+        Importer.import(ghostExport(html), { userId: user.id, siteUrl: 'http://example.org', dryRun: true })
+      ])
+        .then((reports) => {
+          // Without a site URL, no host can be trusted
+          Assert.equal(reports[0].uploads.created, 0);
+          // Other hosts and schemes are ignored
+          Assert.equal(reports[1].uploads.created, 0);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const LoginGuard = require(Path.join(__basedir, 'source/modules/login_guard.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('LoginGuard', () => {
+  let send = Email.send;
+  let sent;
+  let db;
+
+  before(() => {
+    Email.send = (options) => {
+      sent.push(options);
+      return Promise.resolve();
+    };
+
+    return TestDatabase.create().then((result) => db = result);
+  });
+
+  beforeEach(() => sent = []);
+
+  after(() => {
+    Email.send = send;
+    db.destroy();
+  });
+
+  //
+  // Creates a request from an IP address. Each test uses its own address so failures from other
+  // tests don't count.
+  //
+  function createRequest(ip) {
+    return TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      ip: ip
+    });
+  }
+
+  //
+  // Records a number of failed login attempts.
+  //
+  // Returns a promise that resolves with the result of the last one.
+  //
+  function fail(req, user, count, action) {
+    return Promise.reduce(new Array(count), () => {
+      return LoginGuard.fail(req, { action: action || 'login', reason: 'invalid_password', user: user });
+    }, null);
+  }
+
+  describe('check()', () => {
+    it('allows the first few attempts', () => {
+      let req = createRequest('10.0.1.1');
+
+      return TestDatabase.createUser(db.models)
+        .then((user) => fail(req, user, 2).then(() => LoginGuard.check(req, { action: 'login', user: user })))
+        .then((result) => Assert.strictEqual(result, null));
+    });
+
+    it('delays attempts on an account after repeated failures from any address', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fail(createRequest('10.0.2.1'), user, 4))
+        .then(() => LoginGuard.check(createRequest('10.0.2.2'), { action: 'login', user: user }))
+        .then((result) => {
+          Assert.ok(result.retryAfter > 0);
+          Assert.strictEqual(result.locked, false);
+        });
+    });
+
+    it('delays attempts from an address after repeated failures on any account', () => {
+      let req = createRequest('10.0.3.1');
+
+      return fail(req, null, 4)
+        .then(() => TestDatabase.createUser(db.models))
+        .then((user) => LoginGuard.check(req, { action: 'login', user: user }))
+        .then((result) => Assert.ok(result.retryAfter > 0));
+    });
+
+    it('throttles invalid reset and unlock links by address', () => {
+      let req = createRequest('10.0.6.1');
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fail(req, user, 2, 'reset'))
+        .then(() => fail(req, user, 2, 'unlock'))
+        .then(() => Promise.all([
+          LoginGuard.check(req, { action: 'reset' }),
+          LoginGuard.check(createRequest('10.0.6.2'), { action: 'login', user: user })
+        ]))
+        .spread((fromAddress, onAccount) => {
+          Assert.ok(fromAddress.retryAfter > 0);
+          Assert.strictEqual(onAccount, null);
+        });
+    });
+
+    it('starts counting again after a successful attempt', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fail(createRequest('10.0.4.1'), user, 4))
+        .then(() => LoginGuard.succeed(createRequest('10.0.4.2'), { action: 'login', user: user }))
+        .then(() => LoginGuard.check(createRequest('10.0.4.3'), { action: 'login', user: user }))
+        .then((result) => Assert.strictEqual(result, null));
+    });
+  });
+
+  describe('fail()', () => {
+    it('locks the account after too many failures and emails the user', () => {
+      let req = createRequest('10.0.5.1');
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fail(req, user, 9))
+        .then((result) => {
+          Assert.strictEqual(result.locked, false);
+          return fail(req, user, 1);
+        })
+        .then((result) => {
+          Assert.strictEqual(result.locked, true);
+          Assert.strictEqual(sent.length, 1);
+          Assert.strictEqual(sent[0].to.email, user.email);
+          return db.models.user.findById(user.id);
+        })
+        .then((result) => {
+          user = result;
+          Assert.ok(user.isLocked());
+          Assert.ok(user.unlockToken);
+          return LoginGuard.check(createRequest('10.0.5.2'), { action: 'login', user: user });
+        })
+        .then((result) => Assert.strictEqual(result.locked, true))
+        // Locked accounts can still recover their password
+        .then(() => LoginGuard.check(createRequest('10.0.5.3'), { action: 'recover', user: user }))
+        .then((result) => Assert.ok(!result || !result.locked));
+    });
+
+    it('doesn\'t lock the account after invalid reset or unlock links', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fail(createRequest('10.0.7.1'), user, 10, 'reset'))
+        .then((result) => {
+          Assert.strictEqual(result.locked, false);
+          return fail(createRequest('10.0.7.2'), user, 10, 'unlock');
+        })
+        .then((result) => {
+          Assert.strictEqual(result.locked, false);
+          Assert.strictEqual(sent.length, 0);
+          return db.models.user.findById(user.id);
+        })
+        .then((result) => Assert.ok(!result.isLocked()));
+    });
+  });
+
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const HttpCodes = require('http-codes');
+const Path = require('path');
+
+// Local modules
+const ManagedUser = require(Path.join(__basedir, 'source/modules/managed_user.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('ManagedUser', () => {
+  let db;
+
+  before(() => TestDatabase.create().then((result) => db = result));
+
+  after(() => db.destroy());
+
+  //
+  // Fetches a user as another user.
+  //
+  // Returns a promise that resolves with an object: { user, status }
+  //
+  function fetch(User, id) {
+    let result = { user: null, status: null };
+    let req = TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      params: { id: id },
+      User: User
+    });
+    let res = {
+      status: (code) => {
+        result.status = code;
+        return res;
+      }
+    };
+
+    return ManagedUser.fetch(req, res)
+      .then((user) => result.user = user)
+      .catch(() => null)
+      .then(() => result);
+  }
+
+  describe('fetch()', () => {
+    it('lets users manage themselves', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => fetch(user, user.id))
+        .then((result) => Assert.strictEqual(result.user.id, user.id));
+    });
+
+    it('lets admins manage other users', () => {
+      let admin;
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models))
+        .then((result) => user = result)
+        .then(() => fetch(admin, user.id))
+        .then((result) => Assert.strictEqual(result.user.id, user.id));
+    });
+
+    it('doesn\'t let users manage other users without user.manage', () => {
+      let editor;
+      let user;
+
+      return TestDatabase.createUser(db.models, { role: 'editor' })
+        .then((result) => editor = result)
+        .then(() => TestDatabase.createUser(db.models))
+        .then((result) => user = result)
+        .then(() => fetch(editor, user.id))
+        .then((result) => {
+          Assert.strictEqual(result.user, null);
+          Assert.strictEqual(result.status, HttpCodes.UNAUTHORIZED);
+        });
+    });
+
+    it('only lets the owner manage the owner', () => {
+      let admin;
+      let owner;
+
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((result) => admin = result)
+        .then(() => TestDatabase.createUser(db.models, { role: 'owner' }))
+        .then((result) => owner = result)
+        .then(() => fetch(admin, owner.id))
+        .then((result) => {
+          Assert.strictEqual(result.user, null);
+          Assert.strictEqual(result.status, HttpCodes.UNAUTHORIZED);
+          return fetch(owner, owner.id);
+        })
+        .then((result) => Assert.strictEqual(result.user.id, owner.id));
+    });
+
+    it('responds with Not Found for unknown users', () => {
+      return TestDatabase.createUser(db.models, { role: 'admin' })
+        .then((admin) => fetch(admin, 'missing'))
+        .then((result) => {
+          Assert.strictEqual(result.user, null);
+          Assert.strictEqual(result.status, HttpCodes.NOT_FOUND);
+        });
+    });
+  });
+
+});
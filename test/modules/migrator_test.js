@@ -0,0 +1,186 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const Promise = require('bluebird');
+const Sequelize = require('sequelize');
+const Tmp = require('tmp');
+
+// Local modules
+const Migrator = require(Path.join(__basedir, 'source/modules/migrator.js'));
+
+describe('Migrator', () => {
+  let dir;
+  let sequelize;
+
+  //
+  // Writes a migration to the temporary migrations folder.
+  //
+  //  name* (string) - The migration's name.
+  //  up* (string) - The body of the up function.
+  //  down (string) - The body of the down function (default none).
+  //
+  function writeMigration(name, up, down) {
+    Fs.writeFileSync(Path.join(dir.name, 'migrations', name + '.js'), [
+      '\'use strict\';',
+      'module.exports = {',
+      '  up: (queryInterface, Sequelize) => { ' + up + ' },',
+      '  down: (queryInterface, Sequelize) => { ' + (down || 'return Promise.resolve();') + ' }',
+      '};'
+    ].join('\n'));
+  }
+
+  //
+  // Gets the names of the tables in the database.
+  //
+  // Returns a promise that resolves with an array.
+  //
+  function getTables() {
+    return sequelize.getQueryInterface().showAllTables().then((tables) => tables.sort());
+  }
+
+  beforeEach(() => {
+    dir = Tmp.dirSync({ unsafeCleanup: true });
+    Fs.mkdirSync(Path.join(dir.name, 'migrations'));
+    sequelize = new Sequelize(null, null, null, {
+      dialect: 'sqlite',
+      logging: false,
+      storage: Path.join(dir.name, 'database.sq3')
+    });
+
+    writeMigration(
+      '001_create_authors',
+      'return queryInterface.createTable(\'authors\', { id: { type: Sequelize.INTEGER, primaryKey: true } });',
+      'return queryInterface.dropTable(\'authors\');'
+    );
+    writeMigration(
+      '002_create_books',
+      'return queryInterface.createTable(\'books\', { id: { type: Sequelize.INTEGER, primaryKey: true } });',
+      'return queryInterface.dropTable(\'books\');'
+    );
+  });
+
+  afterEach(() => {
+    sequelize.close();
+    dir.removeCallback();
+  });
+
+  describe('up()', () => {
+    it('runs pending migrations in order and remembers them', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      return migrator.up()
+        .then((names) => {
+          Assert.deepStrictEqual(names, ['001_create_authors', '002_create_books']);
+          return getTables();
+        })
+        .then((tables) => {
+          Assert.deepStrictEqual(tables, ['authors', 'books', 'migrations']);
+          return migrator.up();
+        })
+        .then((names) => Assert.deepStrictEqual(names, []));
+    });
+
+    it('stops after the given migration', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      return migrator.up({ to: '001_create_authors' })
+        .then(() => migrator.status())
+        .then((status) => {
+          Assert.deepStrictEqual(status.executed, ['001_create_authors']);
+          Assert.deepStrictEqual(status.pending, ['002_create_books']);
+        });
+    });
+
+    it('rejects migrations without a down function', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      Fs.writeFileSync(
+        Path.join(dir.name, 'migrations', '003_incomplete.js'),
+        'module.exports = { up: () => Promise.resolve() };'
+      );
+
+      return migrator.up()
+        .then(() => Assert.fail('The migration ran'))
+        .catch((err) => Assert.ok(/must export an up and a down function/.test(err.message), err.message));
+    });
+
+    it('leaves the schema alone when a migration fails', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      writeMigration(
+        '003_broken',
+        'return queryInterface.createTable(\'reviews\', { id: { type: Sequelize.INTEGER, primaryKey: true } })' +
+        '.then(() => { throw new Error(\'Oops\'); });'
+      );
+
+      return migrator.up()
+        .then(() => Assert.fail('The migration ran'))
+        .catch((err) => Assert.ok(/Migration 003_broken failed: Oops/.test(err.message), err.message))
+        .then(() => Promise.all([getTables(), migrator.status()]))
+        .then((result) => {
+          Assert.deepStrictEqual(result[0], ['authors', 'books', 'migrations']);
+          Assert.deepStrictEqual(result[1].pending, ['003_broken']);
+        });
+    });
+
+    it('keeps rows that reference a table when its columns change', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      writeMigration(
+        '002_create_books',
+        'return queryInterface.createTable(\'books\', {' +
+        '  id: { type: Sequelize.INTEGER, primaryKey: true },' +
+        '  authorId: { type: Sequelize.INTEGER, references: { model: \'authors\', key: \'id\' }, onDelete: \'CASCADE\' }' +
+        '});'
+      );
+      writeMigration(
+        '003_add_author_name',
+        'return queryInterface.addColumn(\'authors\', \'name\', { type: Sequelize.STRING })' +
+        '.then(() => queryInterface.changeColumn(\'authors\', \'name\', { type: Sequelize.TEXT }));'
+      );
+
+      return migrator.up({ to: '002_create_books' })
+        .then(() => sequelize.query('INSERT INTO authors (id) VALUES (1)'))
+        .then(() => sequelize.query('INSERT INTO books (id, authorId) VALUES (1, 1)'))
+        .then(() => migrator.up())
+        .then(() => sequelize.query('SELECT * FROM books', { type: sequelize.QueryTypes.SELECT }))
+        .then((books) => Assert.strictEqual(books.length, 1));
+    });
+  });
+
+  describe('down()', () => {
+    it('reverts the newest migration', () => {
+      let migrator = Migrator(sequelize, { migrationPath: Path.join(dir.name, 'migrations') });
+
+      return migrator.up()
+        .then(() => migrator.down())
+        .then((names) => {
+          Assert.deepStrictEqual(names, ['002_create_books']);
+          return Promise.all([getTables(), migrator.status()]);
+        })
+        .then((result) => {
+          Assert.deepStrictEqual(result[0], ['authors', 'migrations']);
+          Assert.deepStrictEqual(result[1].pending, ['002_create_books']);
+        });
+    });
+  });
+
+  describe('migrations', () => {
+    it('can all be run and reverted', () => {
+      let migrator = Migrator(sequelize);
+
+      return migrator.up()
+        .then(() => migrator.status())
+        .then((status) => {
+          Assert.deepStrictEqual(status.pending, []);
+          return migrator.down({ step: status.executed.length });
+        })
+        .then(() => getTables())
+        .then((tables) => Assert.deepStrictEqual(tables, ['migrations']));
+    });
+  });
+
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Http = require('http');
+const Jwt = require('jsonwebtoken');
+const Path = require('path');
+const QueryString = require('querystring');
+const Url = require('url');
+
+// Local modules
+const Oidc = require(Path.join(__basedir, 'source/modules/oidc.js'));
+const keys = require(Path.join(__basedir, 'test/fixtures/oidc_keys.json'));
+
+describe('Oidc', () => {
+  let env = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET'].reduce((env, name) => {
+    env[name] = process.env[name];
+    return env;
+  }, {});
+  let server;
+  let issuer;
+  let idToken;
+  let tokenRequest;
+
+  //
+  // Signs an ID token like the provider would.
+  //
+  //  claims (object) - Claims to add or override.
+  //  options (object)
+  //    - key (string) - The key to sign with: rsa or ec (default rsa).
+  //    - algorithm (string) - The signature algorithm (default RS256 or ES256).
+  //    - kid (string) - The key id to send in the header (default the key's id).
+  //
+  // Returns a string.
+  //
+  function sign(claims, options) {
+    options = options || {};
+    let key = keys[options.key || 'rsa'];
+
+    return Jwt.sign(Object.assign({
+      iss: issuer,
+      aud: process.env.OIDC_CLIENT_ID,
+      sub: '1234',
+      email: 'user@example.com',
+      nonce: 'nonce'
+    }, claims), key.privateKey, {
+      algorithm: options.algorithm || (options.key === 'ec' ? 'ES256' : 'RS256'),
+      expiresIn: 60,
+      header: { kid: options.kid || key.jwk.kid }
+    });
+  }
+
+  //
+  // Exchanges a code for claims with the test nonce and verifier.
+  //
+  function getClaims() {
+    return Oidc.getClaims('code', 'https://example.com/callback', { nonce: 'nonce', verifier: 'verifier' });
+  }
+
+  before((done) => {
+    // A minimal identity provider
+    server = Http.createServer((req, res) => {
+      let path = Url.parse(req.url).pathname;
+      let body = '';
+
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        let json;
+
+        if(path === '/.well-known/openid-configuration') {
+          json = {
+            issuer: issuer,
+            authorization_endpoint: issuer + '/authorize',
+            token_endpoint: issuer + '/token',
+            jwks_uri: issuer + '/jwks'
+          };
+        } else if(path === '/jwks') {
+          json = { keys: [keys.rsa.jwk, keys.ec.jwk] };
+        } else if(path === '/token') {
+          tokenRequest = { headers: req.headers, form: QueryString.parse(body) };
+          json = { access_token: 'access', id_token: idToken };
+        }
+
+        res.writeHead(json ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json || { error: 'not_found' }));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      issuer = 'http://127.0.0.1:' + server.address().port;
+      process.env.OIDC_ISSUER = issuer;
+      process.env.OIDC_CLIENT_ID = 'postleaf';
+      process.env.OIDC_CLIENT_SECRET = 'secret';
+      done();
+    });
+  });
+
+  after((done) => {
+    Object.keys(env).forEach((name) => process.env[name] = env[name]);
+    server.close(done);
+  });
+
+  describe('getAuthorizationUrl()', () => {
+    it('starts an authorization code flow with PKCE', () => {
+      return Oidc.getAuthorizationUrl('https://example.com/callback').then((result) => {
+        let query = Url.parse(result.url, true).query;
+
+        Assert.strictEqual(result.url.indexOf(issuer + '/authorize?'), 0);
+        Assert.strictEqual(query.response_type, 'code');
+        Assert.strictEqual(query.client_id, 'postleaf');
+        Assert.strictEqual(query.state, result.state);
+        Assert.strictEqual(query.nonce, result.nonce);
+        Assert.strictEqual(query.code_challenge_method, 'S256');
+        Assert.notStrictEqual(query.code_challenge, result.verifier);
+      });
+    });
+  });
+
+  describe('getClaims()', () => {
+    it('verifies ID tokens signed with RSA keys', () => {
+      idToken = sign();
+
+      return getClaims().then((claims) => {
+        Assert.strictEqual(claims.sub, '1234');
+        Assert.strictEqual(claims.email, 'user@example.com');
+        Assert.strictEqual(tokenRequest.form.code, 'code');
+        Assert.strictEqual(tokenRequest.form.code_verifier, 'verifier');
+        Assert.strictEqual(
+          tokenRequest.headers.authorization,
+          'Basic ' + Buffer.from('postleaf:secret').toString('base64')
+        );
+      });
+    });
+
+    it('verifies ID tokens signed with EC keys', () => {
+      idToken = sign({}, { key: 'ec' });
+
+      return getClaims().then((claims) => Assert.strictEqual(claims.sub, '1234'));
+    });
+
+    it('rejects ID tokens with an invalid signature', () => {
+      // Signed with the EC key but claiming to be from the RSA key
+      idToken = sign({}, { key: 'ec', kid: keys.rsa.jwk.kid });
+
+      return getClaims().then(() => Assert.fail('The ID token was accepted.'), (err) => Assert.ok(err));
+    });
+
+    it('rejects ID tokens signed with unknown keys', () => {
+      idToken = sign({}, { kid: 'unknown' });
+
+      return getClaims().then(
+        () => Assert.fail('The ID token was accepted.'),
+        (err) => Assert.ok(/unknown key/.test(err.message))
+      );
+    });
+
+    it('rejects unsigned ID tokens', () => {
+      idToken = Jwt.sign({ iss: issuer, aud: 'postleaf', sub: '1234', nonce: 'nonce' }, null, { algorithm: 'none' });
+
+      return getClaims().then(() => Assert.fail('The ID token was accepted.'), (err) => Assert.ok(err));
+    });
+
+    it('rejects ID tokens for other clients', () => {
+      idToken = sign({ aud: 'someone-else' });
+
+      return getClaims().then(() => Assert.fail('The ID token was accepted.'), (err) => Assert.ok(err));
+    });
+
+    it('rejects ID tokens from other issuers', () => {
+      idToken = sign({ iss: 'https://example.org' });
+
+      return getClaims().then(() => Assert.fail('The ID token was accepted.'), (err) => Assert.ok(err));
+    });
+
+    it('rejects ID tokens with the wrong nonce', () => {
+      idToken = sign({ nonce: 'replayed' });
+
+      return getClaims().then(
+        () => Assert.fail('The ID token was accepted.'),
+        (err) => Assert.ok(/nonce/.test(err.message))
+      );
+    });
+  });
+
+});
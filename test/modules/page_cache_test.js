@@ -0,0 +1,141 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const Promise = require('bluebird');
+const Tmp = require('tmp');
+
+// Local modules
+const PageCache = require(Path.join(__basedir, 'source/modules/page_cache.js'));
+
+describe('PageCache', () => {
+
+  //
+  // Creates a page.
+  //
+  //  body* (string) - The page's body.
+  //  tags (array) - The page's tags.
+  //
+  // Returns an object.
+  //
+  function page(body, tags) {
+    return {
+      body: Buffer.from(body),
+      contentType: 'text/html',
+      etag: '"' + body + '"',
+      lastModified: new Date(),
+      tags: tags || []
+    };
+  }
+
+  //
+  // Checks which pages are cached.
+  //
+  //  cache* (object) - The page cache.
+  //  urls* (array) - The URLs to check.
+  //
+  // Returns a promise that resolves with the cached bodies as strings, or null for pages that aren't
+  // cached.
+  //
+  function getBodies(cache, urls) {
+    return Promise.map(urls, (url) => {
+      return cache.get(cache.getKey(url)).then((result) => result ? result.body.toString() : null);
+    });
+  }
+
+  ['memory', 'disk'].forEach((driver) => {
+    describe(driver + ' driver', () => {
+      let dir;
+      let cache;
+
+      beforeEach(() => {
+        dir = Tmp.dirSync({ unsafeCleanup: true });
+        cache = PageCache({ driver: driver, cachePath: Path.join(dir.name, 'pages') });
+
+        return Promise.all([
+          cache.set(cache.getKey('/'), page('Home', ['posts']), cache.generation),
+          cache.set(cache.getKey('/first-post'), page('First', ['post:1', 'tag:1']), cache.generation),
+          cache.set(cache.getKey('/second-post'), page('Second', ['post:2']), cache.generation)
+        ]);
+      });
+
+      afterEach(() => dir.removeCallback());
+
+      it('stores pages', () => {
+        return cache.get(cache.getKey('/')).then((result) => {
+          Assert.strictEqual(result.body.toString(), 'Home');
+          Assert.strictEqual(result.contentType, 'text/html');
+          Assert.strictEqual(result.etag, '"Home"');
+        });
+      });
+
+      it('only removes pages with matching tags', () => {
+        cache.invalidate(['posts', 'tag:1']);
+
+        return getBodies(cache, ['/', '/first-post', '/second-post'])
+          .then((bodies) => Assert.deepStrictEqual(bodies, [null, null, 'Second']));
+      });
+
+      it('removes every page when cleared', () => {
+        cache.clear();
+
+        return getBodies(cache, ['/', '/second-post'])
+          .then((bodies) => Assert.deepStrictEqual(bodies, [null, null]));
+      });
+
+      it('doesn\'t store pages that started rendering before an invalidation', () => {
+        let startedAt = cache.generation;
+
+        cache.invalidate('posts');
+
+        return cache.set(cache.getKey('/stale'), page('Stale'), startedAt)
+          .then(() => getBodies(cache, ['/stale']))
+          .then((bodies) => Assert.deepStrictEqual(bodies, [null]));
+      });
+    });
+  });
+
+  it('removes pages left on disk by a previous process', () => {
+    let dir = Tmp.dirSync({ unsafeCleanup: true });
+    let cachePath = Path.join(dir.name, 'pages');
+    let cache = PageCache({ driver: 'disk', cachePath: cachePath });
+
+    return cache.set(cache.getKey('/'), page('Home'), cache.generation)
+      .then(() => {
+        Assert.strictEqual(Fs.readdirSync(cachePath).length, 1);
+        PageCache({ driver: 'disk', cachePath: cachePath });
+        Assert.strictEqual(Fs.existsSync(cachePath), false);
+      })
+      .finally(() => dir.removeCallback());
+  });
+
+  it('removes the least recently used pages when it\'s full', () => {
+    let cache = PageCache();
+    let urls = [];
+
+    for(let i = 0; i < 1000; i++) urls.push('/post-' + i);
+
+    return Promise.each(urls, (url) => cache.set(cache.getKey(url), page(url), cache.generation))
+      // Reading the first page makes the second one the least recently used
+      .then(() => cache.get(cache.getKey('/post-0')))
+      .then(() => cache.set(cache.getKey('/new-post'), page('New'), cache.generation))
+      .then(() => getBodies(cache, ['/post-0', '/post-1', '/new-post']))
+      .then((bodies) => Assert.deepStrictEqual(bodies, ['/post-0', null, 'New']));
+  });
+
+  it('doesn\'t store pages when it\'s off', () => {
+    let cache = PageCache({ driver: 'off' });
+
+    Assert.strictEqual(cache.isEnabled, false);
+    return cache.set(cache.getKey('/'), page('Home'), cache.generation)
+      .then(() => getBodies(cache, ['/']))
+      .then((bodies) => Assert.deepStrictEqual(bodies, [null]));
+  });
+
+  it('rejects unknown drivers', () => {
+    Assert.throws(() => PageCache({ driver: 'redis' }), /Invalid page cache driver: redis/);
+  });
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Permissions = require(Path.join(__basedir, 'source/modules/permissions.js'));
+
+//
+// Loads custom roles without a database.
+//
+function loadRoles(roles) {
+  return Permissions.load({
+    role: {
+      findAll: () => Promise.resolve(roles.map((role) => {
+        return {
+          id: role.id,
+          name: role.name,
+          getCapabilities: () => role.capabilities
+        };
+      }))
+    }
+  });
+}
+
+describe('Permissions', () => {
+
+  beforeEach(() => loadRoles([
+    { id: 'manager', name: 'Manager', capabilities: ['user.manage'] },
+    { id: 'publisher', name: 'Publisher', capabilities: ['post.publish'] }
+  ]));
+
+  afterEach(() => loadRoles([]));
+
+  describe('can()', () => {
+    it('grants built-in roles their capabilities', () => {
+      Assert.ok(Permissions.can('editor', 'post.publish'));
+      Assert.ok(Permissions.can('admin', 'user.manage'));
+      Assert.ok(!Permissions.can('editor', 'user.manage'));
+      Assert.ok(!Permissions.can('contributor', 'post.publish'));
+    });
+
+    it('grants custom roles their capabilities', () => {
+      Assert.ok(Permissions.can('manager', 'user.manage'));
+      Assert.ok(!Permissions.can('manager', 'post.publish'));
+    });
+
+    it('keeps security settings for the owner', () => {
+      Assert.ok(Permissions.can('owner', 'security.manage'));
+      Assert.ok(!Permissions.can('admin', 'security.manage'));
+      Assert.ok(!Permissions.getCapabilities().includes('security.manage'));
+    });
+
+    it('gives roles that don\'t exist no capabilities', () => {
+      Assert.ok(!Permissions.can('nobody', 'post.publish'));
+      Assert.ok(!Permissions.can(undefined, 'post.publish'));
+    });
+  });
+
+  describe('canAssign()', () => {
+    it('allows roles with the same or fewer capabilities', () => {
+      Assert.ok(Permissions.canAssign('owner', 'admin'));
+      Assert.ok(Permissions.canAssign('admin', 'admin'));
+      Assert.ok(Permissions.canAssign('admin', 'editor'));
+      Assert.ok(Permissions.canAssign('manager', 'manager'));
+      Assert.ok(Permissions.canAssign('manager', 'contributor'));
+    });
+
+    it('rejects roles with capabilities the assigner doesn\'t have', () => {
+      Assert.ok(!Permissions.canAssign('manager', 'admin'));
+      Assert.ok(!Permissions.canAssign('manager', 'editor'));
+      Assert.ok(!Permissions.canAssign('manager', 'publisher'));
+      Assert.ok(!Permissions.canAssign('editor', 'admin'));
+    });
+
+    it('never assigns the owner role', () => {
+      Assert.ok(!Permissions.canAssign('owner', 'owner'));
+      Assert.ok(!Permissions.canAssign('admin', 'owner'));
+    });
+
+    it('rejects roles that don\'t exist', () => {
+      Assert.ok(!Permissions.canAssign('owner', 'nobody'));
+    });
+  });
+
+});
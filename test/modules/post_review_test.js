@@ -0,0 +1,116 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const Email = require(Path.join(__basedir, 'source/modules/email.js'));
+const PostReview = require(Path.join(__basedir, 'source/modules/post_review.js'));
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+const TestHttp = require(Path.join(__basedir, 'test/helpers/http.js'));
+
+describe('PostReview', () => {
+  let send = Email.send;
+  let db;
+  let author;
+  let editors;
+  let sent;
+
+  before(() => {
+    Email.send = (options) => {
+      sent.push(options);
+      return Promise.resolve();
+    };
+
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => Promise.all([
+        TestDatabase.createUser(db.models, { role: 'contributor' }),
+        TestDatabase.createUser(db.models, { role: 'editor' }),
+        TestDatabase.createUser(db.models, { role: 'editor' })
+      ]))
+      .spread((contributor, first, second) => {
+        author = contributor;
+        editors = [first, second];
+      });
+  });
+
+  after(() => {
+    Email.send = send;
+    db.destroy();
+  });
+
+  beforeEach(() => sent = []);
+
+  //
+  // Adds a review entry as a user.
+  //
+  // Returns a promise that resolves with the review.
+  //
+  function add(User, options) {
+    return PostReview.add(TestHttp.createRequest({
+      locals: { Database: db.Database, Settings: db.Settings },
+      User: User
+    }), options);
+  }
+
+  //
+  // Gets the email addresses of the notified users.
+  //
+  // Returns an array.
+  //
+  function getRecipients() {
+    return sent.map((email) => email.to.email).sort();
+  }
+
+  describe('getStep()', () => {
+    it('recognizes review steps', () => {
+      Assert.strictEqual(PostReview.getStep('draft', 'pending'), 'submit');
+      Assert.strictEqual(PostReview.getStep(undefined, 'pending'), 'submit');
+      Assert.strictEqual(PostReview.getStep('pending', 'rejected'), 'reject');
+      Assert.strictEqual(PostReview.getStep('pending', 'published'), 'approve');
+      Assert.strictEqual(PostReview.getStep('rejected', 'published'), 'approve');
+      Assert.strictEqual(PostReview.getStep('draft', 'published'), null);
+      Assert.strictEqual(PostReview.getStep('pending', 'pending'), null);
+    });
+  });
+
+  describe('add()', () => {
+    it('notifies everyone who can publish when there\'s no reviewer', () => {
+      return TestDatabase.createPost(db.models, { userId: author.id, status: 'pending' })
+        .then((post) => add(author, { post: post, type: 'submit' }))
+        .then((review) => {
+          Assert.strictEqual(review.type, 'submit');
+
+          let recipients = getRecipients();
+          editors.forEach((editor) => Assert.ok(recipients.includes(editor.email)));
+          Assert.ok(!recipients.includes(author.email));
+        });
+    });
+
+    it('only notifies the assigned reviewer', () => {
+      return TestDatabase.createPost(db.models, { userId: author.id, status: 'pending', reviewerId: editors[1].id })
+        .then((post) => add(author, { post: post, type: 'submit' }))
+        .then(() => Assert.deepStrictEqual(getRecipients(), [editors[1].email]));
+    });
+
+    it('tells the author why their post was rejected', () => {
+      return TestDatabase.createPost(db.models, { userId: author.id, status: 'rejected' })
+        .then((post) => add(editors[0], { post: post, type: 'reject', message: '  Needs a better title  ' }))
+        .then((review) => {
+          Assert.strictEqual(review.message, 'Needs a better title');
+          Assert.deepStrictEqual(getRecipients(), [author.email]);
+          Assert.strictEqual(sent[0].placeholders.reason, 'Needs a better title');
+        });
+    });
+
+    it('doesn\'t notify anyone about comments', () => {
+      return TestDatabase.createPost(db.models, { userId: author.id, status: 'pending' })
+        .then((post) => add(editors[0], { post: post, type: 'comment', message: 'Looks good' }))
+        .then(() => Assert.deepStrictEqual(sent, []));
+    });
+  });
+
+});
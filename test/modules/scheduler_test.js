@@ -0,0 +1,159 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Promise = require('bluebird');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Scheduler', () => {
+  let db;
+  let user;
+  let Scheduler;
+  let published;
+
+  //
+  // Gets a date relative to now.
+  //
+  //  offset* (int) - The offset in milliseconds.
+  //
+  // Returns a date.
+  //
+  function fromNow(offset) {
+    return new Date(Date.now() + offset);
+  }
+
+  //
+  // Moves a post's publish date into the past without running hooks, as if time had passed.
+  //
+  //  post* (object) - The post to move.
+  //
+  // Returns a promise.
+  //
+  function backdate(post) {
+    return db.models.post.update({ publishedAt: fromNow(-60 * 1000) }, {
+      where: { id: post.id },
+      hooks: false
+    });
+  }
+
+  //
+  // Waits for the scheduler to publish posts.
+  //
+  //  delay (int) - How long to wait in milliseconds (default 100).
+  //
+  // Returns a promise that resolves with the ids of the posts that were published.
+  //
+  function waitForPublish(delay) {
+    return Promise.delay(delay || 100).then(() => published.map((post) => post.id));
+  }
+
+  before(() => {
+    return TestDatabase.create()
+      .then((result) => db = result)
+      .then(() => TestDatabase.createUser(db.models))
+      .then((result) => user = result);
+  });
+
+  after(() => db.destroy());
+
+  beforeEach(() => {
+    // Start each test without posts
+    return db.models.post.destroy({ where: {}, force: true })
+      .then(() => {
+        published = [];
+        Scheduler = require(Path.join(__basedir, 'source/modules/scheduler.js'))(db.Database);
+        Scheduler.on('publish', (post) => published.push(post));
+      });
+  });
+
+  afterEach(() => Scheduler.stop());
+
+  it('queues published posts with a future date', () => {
+    let future;
+
+    return Promise.all([
+      TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(60 * 60 * 1000) }),
+      TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(-60 * 1000) }),
+      TestDatabase.createPost(db.models, { userId: user.id, status: 'draft', publishedAt: fromNow(60 * 60 * 1000) })
+    ])
+      .spread((result) => future = result)
+      .then(() => Scheduler.start())
+      .then((queue) => {
+        Assert.deepStrictEqual(queue.map((item) => item.id), [future.id]);
+        return future.reload();
+      })
+      .then(() => Assert.strictEqual(future.isScheduled, true));
+  });
+
+  it('publishes posts when they come due', () => {
+    let post;
+
+    return Scheduler.start()
+      .then(() => TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(300) }))
+      .then((result) => post = result)
+      .then(() => waitForPublish(100))
+      .then((ids) => Assert.deepStrictEqual(ids, []))
+      .then(() => waitForPublish(600))
+      .then((ids) => {
+        Assert.deepStrictEqual(ids, [post.id]);
+        Assert.strictEqual(published[0].author.id, user.id);
+        return post.reload();
+      })
+      .then(() => {
+        Assert.strictEqual(post.isScheduled, false);
+        Assert.deepStrictEqual(Scheduler.getQueue(), []);
+      });
+  });
+
+  it('publishes posts that came due while it wasn\'t running', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(60 * 60 * 1000) })
+      .then((result) => post = result)
+      .then(() => backdate(post))
+      .then(() => Scheduler.start())
+      .then(() => waitForPublish())
+      .then((ids) => Assert.deepStrictEqual(ids, [post.id]));
+  });
+
+  it('keeps due posts in the queue until they\'ve been published', () => {
+    let post;
+
+    return TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(60 * 60 * 1000) })
+      .then((result) => post = result)
+      .then(() => backdate(post))
+      // Reloading the queue mustn't drop a post whose timer hasn't fired yet
+      .then(() => Scheduler.refresh())
+      .then((queue) => Assert.deepStrictEqual(queue.map((item) => item.id), [post.id]));
+  });
+
+  it('only publishes a post once', () => {
+    let post;
+
+    return Scheduler.start()
+      .then(() => TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(200) }))
+      .then((result) => post = result)
+      .then(() => waitForPublish(500))
+      .then(() => {
+        Scheduler.stop();
+        return Scheduler.start();
+      })
+      .then((queue) => {
+        Assert.deepStrictEqual(queue, []);
+        return waitForPublish();
+      })
+      .then((ids) => Assert.deepStrictEqual(ids, [post.id]));
+  });
+
+  it('doesn\'t publish posts that were unpublished', () => {
+    return Scheduler.start()
+      .then(() => TestDatabase.createPost(db.models, { userId: user.id, publishedAt: fromNow(200) }))
+      .then((post) => post.update({ status: 'draft' }))
+      .then(() => waitForPublish(500))
+      .then((ids) => Assert.deepStrictEqual(ids, []));
+  });
+
+});
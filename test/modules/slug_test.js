@@ -0,0 +1,22 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+
+// Local modules
+const Slug = require(Path.join(__basedir, 'source/modules/slug.js'));
+
+describe('Slug', () => {
+
+  it('converts strings to lowercase, dash-separated slugs', () => {
+    Assert.strictEqual(Slug('  Hello, World_Again! '), 'hello-world-again');
+    Assert.strictEqual(Slug('Crème Brûlée'), 'creme-brulee');
+  });
+
+  it('returns an empty string for anything that isn\'t a string', () => {
+    Assert.strictEqual(Slug(null), '');
+    Assert.strictEqual(Slug(42), '');
+  });
+
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Fs = require('fs');
+const Mkdirp = require('mkdirp');
+const Path = require('path');
+const Promise = require('bluebird');
+const Tmp = require('tmp');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('StaticSite', () => {
+  let manifestFile = Path.join(__basedir, 'cache/static_site.json');
+  let manifest;
+  let db;
+  let dir;
+  let user;
+  let app;
+  let StaticSite;
+
+  //
+  // Stands in for the app by rendering a page for each public post and a few fixed pages.
+  //
+  function handler(req, res) {
+    let send = (status, contentType, body) => {
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(body);
+    };
+
+    if(req.url === '/') {
+      return db.models.post.findAll({ where: { status: 'published' } }).then((posts) => {
+        send(200, 'text/html', '<html><body>' +
+          posts.map((post) => '<a href="/' + post.slug + '">' + post.title + '</a>').join('') +
+          '<a href="/about/">About</a>' +
+          '<a href="/admin">Admin</a>' +
+          '<a href="/about?ref=home">About</a>' +
+          '<img src="/uploads/2017/01/photo.jpg?width=100&amp;key=abc123">' +
+          '</body></html>');
+      });
+    }
+
+    if(req.url === '/about') return send(200, 'text/html', '<html><body>About</body></html>');
+    if(req.url === '/feed/rss' || req.url === '/sitemap.xml') return send(200, 'application/xml', '<xml/>');
+    if(req.url === '/feed/json') return send(200, 'application/json', '{}');
+    if(req.url === '/robots.txt') return send(200, 'text/plain', 'User-agent: *');
+    if(req.url === '/tag/news') return send(200, 'text/html', '<html><body>News</body></html>');
+    if(/^\/uploads\/2017\/01\/photo\.jpg\?/.test(req.url)) return send(200, 'image/jpeg', 'resized');
+
+    return db.models.post.findOne({ where: { slug: req.url.substr(1), status: 'published' } }).then((post) => {
+      if(!post) return send(404, 'text/html', 'Not Found');
+      send(200, 'text/html', '<html><body>' + post.title + '</body></html>');
+    });
+  }
+
+  //
+  // Reads a file from the generated website.
+  //
+  // Returns a string, or null if the file doesn't exist.
+  //
+  function readFile(path) {
+    try {
+      return Fs.readFileSync(Path.join(StaticSite.staticPath, path), 'utf8');
+    } catch(err) {
+      return null;
+    }
+  }
+
+  before(() => {
+    dir = Tmp.dirSync({ unsafeCleanup: true });
+    manifest = Fs.existsSync(manifestFile) ? Fs.readFileSync(manifestFile) : null;
+    Mkdirp.sync(Path.join(dir.name, 'themes/test'));
+    Fs.writeFileSync(Path.join(dir.name, 'themes/test/post.hbs'), 'Theme');
+
+    return TestDatabase.create()
+      .then((result) => {
+        db = result;
+        db.Settings.theme = 'test';
+
+        app = handler;
+        app.locals = {
+          Database: db.Database,
+          Settings: db.Settings,
+          Storage: require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' }),
+          Themes: { themePath: Path.join(dir.name, 'themes') }
+        };
+
+        return Promise.all([
+          TestDatabase.createUser(db.models),
+          app.locals.Storage.put('2017/01/photo.jpg', Buffer.from('photo'))
+        ]);
+      })
+      .spread((result) => user = result);
+  });
+
+  beforeEach(() => {
+    StaticSite = require(Path.join(__basedir, 'source/modules/static_site.js'))(app, {
+      staticPath: Path.join(dir.name, 'static')
+    });
+  });
+
+  after(() => {
+    // Put back the manifest from a real build, if there was one
+    if(manifest) {
+      Fs.writeFileSync(manifestFile, manifest);
+    } else if(Fs.existsSync(manifestFile)) {
+      Fs.unlinkSync(manifestFile);
+    }
+
+    db.destroy();
+    dir.removeCallback();
+  });
+
+  describe('generate()', () => {
+    it('generates every public page, image, upload, and theme file', () => {
+      return Promise.all([
+        TestDatabase.createPost(db.models, { userId: user.id, slug: 'published-post', title: 'Published' }),
+        TestDatabase.createPost(db.models, { userId: user.id, slug: 'draft-post', status: 'draft' })
+      ])
+        .then(() => StaticSite.generate())
+        .then((report) => {
+          Assert.ok(report.pages > 0);
+          Assert.strictEqual(report.images, 1);
+
+          Assert.ok(/href="\/published-post"/.test(readFile('index.html')));
+          Assert.strictEqual(readFile('published-post/index.html'), '<html><body>Published</body></html>');
+          Assert.strictEqual(readFile('draft-post/index.html'), null);
+
+          // Links to other pages are followed, but not to the admin or with query strings
+          Assert.strictEqual(readFile('about/index.html'), '<html><body>About</body></html>');
+          Assert.strictEqual(readFile('admin/index.html'), null);
+
+          // Pages that aren't HTML are written with extensions that match their content type
+          Assert.strictEqual(readFile('feed/rss/index.xml'), '<xml/>');
+          Assert.strictEqual(readFile('feed/json/index.json'), '{}');
+          Assert.strictEqual(readFile('sitemap.xml'), '<xml/>');
+          Assert.strictEqual(readFile('robots.txt'), 'User-agent: *');
+          Assert.strictEqual(readFile('404.html'), 'Not Found');
+
+          // Dynamic images are rewritten to static files
+          Assert.ok(/src="\/uploads\/2017\/01\/photo\.abc123\.jpg"/.test(readFile('index.html')));
+          Assert.strictEqual(readFile('uploads/2017/01/photo.abc123.jpg'), 'resized');
+          Assert.strictEqual(readFile('uploads/2017/01/photo.jpg'), 'photo');
+
+          Assert.strictEqual(readFile('themes/test/post.hbs'), 'Theme');
+          Assert.ok(Fs.existsSync(Path.join(StaticSite.staticPath, 'assets')));
+        });
+    });
+
+    it('updates and removes pages for posts that change', () => {
+      let renamed;
+      let unpublished;
+
+      return Promise.all([
+        TestDatabase.createPost(db.models, { userId: user.id, slug: 'old-slug', title: 'Renamed' }),
+        TestDatabase.createPost(db.models, { userId: user.id, slug: 'unpublished-post' })
+      ])
+        .spread((first, second) => {
+          renamed = first;
+          unpublished = second;
+          return StaticSite.generate();
+        })
+        .then(() => {
+          Assert.ok(readFile('old-slug/index.html'));
+          Assert.ok(readFile('unpublished-post/index.html'));
+
+          return Promise.all([
+            renamed.update({ slug: 'new-slug' }),
+            unpublished.update({ status: 'draft' })
+          ]);
+        })
+        .then(() => StaticSite.generate({ postIds: [renamed.id, unpublished.id] }))
+        .then((report) => {
+          Assert.strictEqual(report.removed, 2);
+          Assert.strictEqual(readFile('old-slug/index.html'), null);
+          Assert.strictEqual(readFile('unpublished-post/index.html'), null);
+          Assert.strictEqual(readFile('new-slug/index.html'), '<html><body>Renamed</body></html>');
+          Assert.ok(/href="\/new-slug"/.test(readFile('index.html')));
+        });
+    });
+
+    it('refuses to generate the website twice at once', () => {
+      let first = StaticSite.generate();
+
+      return StaticSite.generate()
+        .then(() => Assert.fail('The website was generated twice'))
+        .catch((err) => Assert.ok(/already being generated/.test(err.message), err.message))
+        .then(() => first);
+    });
+  });
+
+});
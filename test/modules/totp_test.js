@@ -0,0 +1,78 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+
+// Local modules
+const Totp = require(Path.join(__basedir, 'source/modules/totp.js'));
+
+// The SHA-1 secret from RFC 6238, "12345678901234567890", in base32
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('Totp', () => {
+  let now = Date.now;
+
+  //
+  // Sets the current time in seconds.
+  //
+  function setTime(seconds) {
+    Date.now = () => seconds * 1000;
+  }
+
+  afterEach(() => Date.now = now);
+
+  describe('getCode()', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      // The RFC lists eight digit codes. Ours are the last six digits.
+      setTime(59);
+      Assert.strictEqual(Totp.getCode(secret), '287082');
+      setTime(1111111109);
+      Assert.strictEqual(Totp.getCode(secret), '081804');
+      setTime(1234567890);
+      Assert.strictEqual(Totp.getCode(secret), '005924');
+    });
+  });
+
+  describe('generateSecret()', () => {
+    it('generates a 160-bit base32 secret', () => {
+      Assert.ok(/^[A-Z2-7]{32}$/.test(Totp.generateSecret()));
+      Assert.notStrictEqual(Totp.generateSecret(), Totp.generateSecret());
+    });
+  });
+
+  describe('verify()', () => {
+    it('accepts codes from the current time step and one step either side', () => {
+      setTime(1234567890);
+      let counter = Math.floor(1234567890 / 30);
+
+      Assert.strictEqual(Totp.verify(secret, '005924'), counter);
+      setTime(1234567890 - 30);
+      Assert.strictEqual(Totp.verify(secret, '005924'), counter);
+      setTime(1234567890 + 30);
+      Assert.strictEqual(Totp.verify(secret, '005924'), counter);
+    });
+
+    it('rejects codes from further away', () => {
+      setTime(1234567890 + 60);
+      Assert.strictEqual(Totp.verify(secret, '005924'), null);
+    });
+
+    it('rejects codes that were already used', () => {
+      setTime(1234567890);
+      let counter = Totp.verify(secret, '005924');
+
+      Assert.strictEqual(Totp.verify(secret, '005924', counter), null);
+    });
+
+    it('ignores spaces and rejects malformed codes', () => {
+      setTime(1234567890);
+      Assert.notStrictEqual(Totp.verify(secret, '005 924'), null);
+      Assert.strictEqual(Totp.verify(secret, '5924'), null);
+      Assert.strictEqual(Totp.verify(secret, 'abcdef'), null);
+      Assert.strictEqual(Totp.verify(secret, ''), null);
+      Assert.strictEqual(Totp.verify('not base32!', '005924'), null);
+    });
+  });
+
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+// Node modules
+const Assert = require('assert');
+const Path = require('path');
+const Moment = require('moment');
+const Promise = require('bluebird');
+
+// Local modules
+const TestDatabase = require(Path.join(__basedir, 'test/helpers/database.js'));
+
+describe('Trash', () => {
+  let db;
+  let Storage;
+  let Trash;
+
+  before(() => {
+    return TestDatabase.create().then((result) => {
+      db = result;
+      Storage = require(Path.join(__basedir, 'source/modules/storage.js'))({ storageDriver: 'memory' });
+      Trash = createTrash(() => db.Settings);
+    });
+  });
+
+  after(() => db.destroy());
+
+  //
+  // Creates a trash that reads its settings from a function.
+  //
+  // Returns an object.
+  //
+  function createTrash(getSettings) {
+    return require(Path.join(__basedir, 'source/modules/trash.js'))(db.Database, Storage, getSettings);
+  }
+
+  //
+  // Moves a post to the trash as if it were deleted a number of days ago.
+  //
+  // Returns a promise that resolves with the post.
+  //
+  function trashPost(days) {
+    return TestDatabase.createUser(db.models)
+      .then((user) => TestDatabase.createPost(db.models, { userId: user.id }))
+      .then((post) => {
+        return Trash.add('post', post)
+          .then(() => db.models.post.update({
+            deletedAt: Moment().subtract(days, 'days').toDate()
+          }, {
+            where: { id: post.id },
+            paranoid: false
+          }))
+          .then(() => post);
+      });
+  }
+
+  //
+  // Tells if a post still exists, in or out of the trash.
+  //
+  // Returns a promise that resolves with a boolean.
+  //
+  function exists(post) {
+    return db.models.post.findOne({ where: { id: post.id }, paranoid: false }).then((result) => !!result);
+  }
+
+  describe('restore()', () => {
+    it('restores a user along with the posts that were trashed with them', () => {
+      let user;
+      let post;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => TestDatabase.createPost(db.models, { userId: user.id }))
+        .then((result) => post = result)
+        .then(() => Trash.add('user', user))
+        .then(() => Trash.find('user', user.id))
+        .then((result) => Trash.restore('user', result))
+        .then(() => Promise.all([
+          db.models.user.findById(user.id),
+          db.models.post.findById(post.id)
+        ]))
+        .spread((restoredUser, restoredPost) => {
+          Assert.ok(restoredUser);
+          Assert.ok(restoredPost);
+        });
+    });
+  });
+
+  describe('purge()', () => {
+    it('deletes items that have been in the trash longer than the retention period', () => {
+      let Trash = createTrash(() => ({ trashRetention: 7 }));
+      let purged;
+
+      Trash.on('purge', (count) => purged = count);
+
+      return Promise.all([trashPost(8), trashPost(6)])
+        .spread((old, recent) => {
+          return Trash.purge()
+            .then((count) => {
+              Assert.strictEqual(count, 1);
+              Assert.strictEqual(purged, 1);
+
+              return Promise.all([exists(old), exists(recent)]);
+            })
+            .spread((oldExists, recentExists) => {
+              Assert.strictEqual(oldExists, false);
+              Assert.strictEqual(recentExists, true);
+            });
+        });
+    });
+
+    it('keeps items until they\'re deleted by hand when the retention period is zero', () => {
+      let Trash = createTrash(() => ({ trashRetention: '0' }));
+
+      return trashPost(365)
+        .then((post) => Trash.purge().then((count) => {
+          Assert.strictEqual(count, 0);
+          return exists(post);
+        }))
+        .then((result) => Assert.strictEqual(result, true));
+    });
+  });
+
+  describe('destroy()', () => {
+    it('deletes an upload\'s file', () => {
+      let upload;
+
+      return TestDatabase.createUser(db.models)
+        .then((user) => Storage.put('trashed.txt', Buffer.from('Trashed'))
+          .then(() => db.models.upload.create({
+            userId: user.id,
+            path: '/uploads/trashed.txt',
+            filename: 'trashed.txt',
+            extension: '.txt',
+            mimeType: 'text/plain',
+            size: 7
+          })))
+        .then((result) => upload = result)
+        .then(() => Trash.add('upload', upload))
+        .then(() => Trash.destroy('upload', upload))
+        .then(() => Promise.all([
+          db.models.upload.findOne({ where: { id: upload.id }, paranoid: false }),
+          Storage.stat('trashed.txt')
+        ]))
+        .spread((result, stat) => {
+          Assert.strictEqual(result, null);
+          Assert.strictEqual(stat, null);
+        });
+    });
+  });
+
+  describe('findConflict()', () => {
+    it('finds the item in the trash that holds a value', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => Trash.add('user', user))
+        .then(() => TestDatabase.createUser(db.models, { username: user.username }))
+        .then(() => Assert.fail('The user was created'))
+        .catch((err) => Trash.findConflict('user', err))
+        .then((result) => Assert.strictEqual(result.id, user.id));
+    });
+
+    it('ignores values held by items that aren\'t in the trash', () => {
+      let user;
+
+      return TestDatabase.createUser(db.models)
+        .then((result) => user = result)
+        .then(() => TestDatabase.createUser(db.models, { email: user.email }))
+        .then(() => Assert.fail('The user was created'))
+        .catch((err) => Trash.findConflict('user', err))
+        .then((result) => Assert.strictEqual(result, null));
+    });
+  });
+
+});